@@ -22,8 +22,8 @@ var { requestLogger, logger } = require('./common/logger'); // 直接从logger
 
 // 从公共模块导入数据库连接、响应处理函数、国际化等核心功能
 var { sequelize, mongodb, sendSuccess, sendError, sendBadRequest, sendUnauthorized, sendResponse, initI18n, createMiddleware } = require('./common/index')
-// 从中间件模块导入全局限流器
-var { globalLimiter } = require('./middleware');
+// 从中间件模块导入全局限流器、API类型统计、监控指标接口和配置
+var { globalLimiter, quick: { apiTypeStats, metricsEndpoint }, config: { METRICS_CONFIG } } = require('./middleware');
 
 // 注释掉的主页路由，当前项目专注于API服务
 // var indexRouter = require('./routes/index');
@@ -151,10 +151,12 @@ if (process.env.NODE_ENV === 'development' || process.env.NODE_ENV === 'dev') {
 }
 // 启用CORS跨域资源共享，允许前端应用访问API
 app.use(cors());
+// 保留原始请求体，供商户请求签名校验计算请求体哈希
+const keepRawBody = (req, res, buf) => { req.rawBody = buf; };
 // 启用Express内置JSON解析中间件，解析application/json请求体
-app.use(express.json());
+app.use(express.json({ verify: keepRawBody }));
 // 启用Express内置URL编码解析中间件，解析application/x-www-form-urlencoded请求体
-app.use(express.urlencoded({ extended: false }));
+app.use(express.urlencoded({ extended: false, verify: keepRawBody }));
 // 启用Cookie解析中间件，解析HTTP请求中的Cookie数据
 app.use(cookieParser());
 // 配置静态资源服务和智能缓存策略，优化前端资源加载性能
@@ -182,8 +184,22 @@ app.use(express.static(path.join(__dirname, 'public'), {
   }
 }));
 
+// 注册Prometheus监控指标接口（METRICS_ENABLED=true 时启用，生产环境必须配置 METRICS_TOKEN）
+if (METRICS_CONFIG.enabled) {
+  if (process.env.NODE_ENV === 'production' && !METRICS_CONFIG.token) {
+    logger.warn('生产环境未配置 METRICS_TOKEN，不提供 /metrics 接口');
+  } else {
+    app.get('/metrics', metricsEndpoint);
+  }
+}
+
+// 注册公开元数据路由，提供JWT签名公钥集 /.well-known/jwks.json
+app.use('/.well-known', require('./app/routes/well-known'));
+
 // 引入并注册主路由模块，所有API路由都以/api为前缀
 const routes = require('./app/routes');
+// 按API类型统计请求数（类型由各端中间件栈设置，响应结束时计数）
+app.use('/api', apiTypeStats);
 app.use('/api', routes);
 
 // 从中间件模块导入快速错误处理器
@@ -0,0 +1,38 @@
+/**
+ * 总台审计日志控制器
+ * 处理审计日志查询相关的HTTP请求
+ */
+
+const BaseController = require('../base/BaseController');
+const AdminAuditService = require('../../services/admin/AdminAuditService');
+
+class AdminAuditController extends BaseController {
+  constructor() {
+    super();
+    this.auditService = new AdminAuditService();
+  }
+
+  /**
+   * 查询审计日志（分页）
+   * GET /api/admin/audit-logs
+   */
+  search = this.asyncHandler(async (req, res) => {
+    try {
+      const pagination = this.getPaginationParams(req);
+
+      const { rows, total } = await this.auditService.searchAuditLogs(req.query, pagination);
+
+      return this.sendPaginatedResponse(res, rows, { ...pagination, total }, '获取审计日志成功');
+
+    } catch (error) {
+      this.logError('获取审计日志失败', error, req);
+
+      if (error.message.includes('不可用')) {
+        return this.sendError(res, '审计日志存储暂不可用，请稍后重试', 503);
+      }
+      return this.sendError(res, '获取审计日志失败，请稍后重试', 500);
+    }
+  });
+}
+
+module.exports = AdminAuditController;
@@ -5,11 +5,14 @@
 
 const BaseController = require('../base/BaseController');
 const AdminAuthService = require('../../services/admin/AdminAuthService');
+const SessionService = require('../../services/common/SessionService');
+const { USER_ROLE } = require('../../../common/constants/status');
 
 class AdminAuthController extends BaseController {
   constructor() {
     super();
     this.loginAuthService = new AdminAuthService();
+    this.sessionService = new SessionService();
   }
 
   /**
@@ -34,13 +37,34 @@ class AdminAuthController extends BaseController {
         username.trim(),
         password,
         clientIP,
-        res.sequelize
+        res.sequelize,
+        req.get('User-Agent')
       );
 
+      // 密码已过期时只返回改密令牌，由客户端调用 /password/rotate 设置新密码后完成登录
+      if (result.passwordExpired) {
+        return this.sendSuccess(res, '密码已过期，请设置新密码', {
+          passwordExpired: true,
+          passwordToken: result.passwordToken,
+          expiresIn: result.expiresIn
+        });
+      }
+
+      // 需要二次验证时只返回待验证令牌，由客户端调用 /mfa/verify 或 /mfa/enroll 完成登录
+      if (result.mfaRequired) {
+        return this.sendSuccess(res, result.mfaEnrollRequired ? '请先绑定二次验证' : '请输入二次验证码', {
+          mfaRequired: true,
+          mfaEnrollRequired: result.mfaEnrollRequired,
+          mfaToken: result.mfaToken,
+          expiresIn: result.expiresIn
+        });
+      }
+
       // 返回成功响应
       return this.sendSuccess(res, '登录成功', {
         ...result.user,
         token: result.tokens.accessToken,
+        refreshToken: result.tokens.refreshToken,
       });
 
     } catch (error) {
@@ -57,6 +81,232 @@ class AdminAuthController extends BaseController {
     }
   });
 
+  /**
+   * 总台密码过期后设置新密码并继续登录，启用了二次验证时仍返回待验证令牌
+   * POST /api/admin/auth/password/rotate
+   */
+  rotatePassword = this.asyncHandler(async (req, res) => {
+    try {
+      const { passwordToken, newPassword } = req.body;
+
+      // 获取客户端IP
+      const clientIP = req.ip || req.connection.remoteAddress || req.socket.remoteAddress;
+
+      const result = await this.loginAuthService.rotateExpiredPassword(
+        passwordToken,
+        newPassword,
+        clientIP,
+        res.sequelize,
+        req.get('User-Agent')
+      );
+
+      if (result.mfaRequired) {
+        return this.sendSuccess(res, result.mfaEnrollRequired ? '密码已更新，请先绑定二次验证' : '密码已更新，请输入二次验证码', {
+          mfaRequired: true,
+          mfaEnrollRequired: result.mfaEnrollRequired,
+          mfaToken: result.mfaToken,
+          expiresIn: result.expiresIn
+        });
+      }
+
+      return this.sendSuccess(res, '密码已更新，登录成功', {
+        ...result.user,
+        token: result.tokens.accessToken,
+        refreshToken: result.tokens.refreshToken,
+      });
+
+    } catch (error) {
+      this.logError('总台过期密码更新失败', error, req);
+
+      if (error.message.includes('无效或已过期') || error.message.includes('密码')) {
+        return this.sendError(res, error.message, 400);
+      } else if (error.message.includes('不存在') || error.message.includes('状态异常')) {
+        return this.sendError(res, error.message, 401);
+      }
+      return this.sendError(res, '总台密码更新失败，请稍后重试', 500);
+    }
+  });
+
+  /**
+   * 总台登录第二步：校验验证码或恢复码
+   * POST /api/admin/auth/mfa/verify
+   */
+  verifyMfa = this.asyncHandler(async (req, res) => {
+    try {
+      const { mfaToken, code, recoveryCode } = req.body;
+
+      // 获取客户端IP
+      const clientIP = req.ip || req.connection.remoteAddress || req.socket.remoteAddress;
+
+      const result = await this.loginAuthService.verifyMfaLogin(
+        mfaToken,
+        { code, recoveryCode },
+        clientIP,
+        res.sequelize,
+        req.get('User-Agent')
+      );
+
+      return this.sendSuccess(res, '登录成功', {
+        ...result.user,
+        token: result.tokens.accessToken,
+        refreshToken: result.tokens.refreshToken,
+      });
+
+    } catch (error) {
+      this.logError('总台二次验证失败', error, req);
+      return this.sendMfaError(res, error, '总台二次验证失败，请稍后重试');
+    }
+  });
+
+  /**
+   * 总台强制绑定：凭待验证令牌获取绑定密钥
+   * POST /api/admin/auth/mfa/enroll
+   */
+  enrollMfa = this.asyncHandler(async (req, res) => {
+    try {
+      const result = await this.loginAuthService.beginMfaEnrollment(req.body.mfaToken, res.sequelize);
+
+      return this.sendSuccess(res, '获取二次验证密钥成功', result);
+
+    } catch (error) {
+      this.logError('总台获取二次验证密钥失败', error, req);
+      return this.sendMfaError(res, error, '获取二次验证密钥失败，请稍后重试');
+    }
+  });
+
+  /**
+   * 总台强制绑定：确认绑定并完成登录
+   * POST /api/admin/auth/mfa/enroll/confirm
+   */
+  confirmMfaEnrollment = this.asyncHandler(async (req, res) => {
+    try {
+      const { mfaToken, code } = req.body;
+
+      // 获取客户端IP
+      const clientIP = req.ip || req.connection.remoteAddress || req.socket.remoteAddress;
+
+      const result = await this.loginAuthService.confirmMfaEnrollment(
+        mfaToken,
+        code,
+        clientIP,
+        res.sequelize,
+        req.get('User-Agent')
+      );
+
+      // 恢复码仅在此处返回一次，需提示管理员妥善保存
+      return this.sendSuccess(res, '二次验证已启用', {
+        ...result.user,
+        token: result.tokens.accessToken,
+        refreshToken: result.tokens.refreshToken,
+        recoveryCodes: result.recoveryCodes
+      });
+
+    } catch (error) {
+      this.logError('总台二次验证绑定失败', error, req);
+      return this.sendMfaError(res, error, '二次验证绑定失败，请稍后重试');
+    }
+  });
+
+  /**
+   * 已登录管理员获取绑定密钥
+   * POST /api/admin/auth/mfa/setup
+   */
+  setupMfa = this.asyncHandler(async (req, res) => {
+    try {
+      const result = await this.loginAuthService.setupMfa(req.user.id, res.sequelize);
+
+      return this.sendSuccess(res, '获取二次验证密钥成功', result);
+
+    } catch (error) {
+      this.logError('总台获取二次验证密钥失败', error, req);
+      return this.sendMfaError(res, error, '获取二次验证密钥失败，请稍后重试');
+    }
+  });
+
+  /**
+   * 已登录管理员确认绑定
+   * POST /api/admin/auth/mfa/confirm
+   */
+  confirmMfa = this.asyncHandler(async (req, res) => {
+    try {
+      const recoveryCodes = await this.loginAuthService.confirmMfa(req.user.id, req.body.code, res.sequelize);
+
+      return this.sendSuccess(res, '二次验证已启用', { recoveryCodes });
+
+    } catch (error) {
+      this.logError('总台二次验证绑定失败', error, req);
+      return this.sendMfaError(res, error, '二次验证绑定失败，请稍后重试');
+    }
+  });
+
+  /**
+   * 关闭二次验证
+   * POST /api/admin/auth/mfa/disable
+   */
+  disableMfa = this.asyncHandler(async (req, res) => {
+    try {
+      await this.loginAuthService.disableMfa(req.user.id, req.body.code, res.sequelize);
+
+      return this.sendSuccess(res, '二次验证已关闭');
+
+    } catch (error) {
+      this.logError('总台关闭二次验证失败', error, req);
+      return this.sendMfaError(res, error, '关闭二次验证失败，请稍后重试');
+    }
+  });
+
+  /**
+   * 重新生成恢复码
+   * POST /api/admin/auth/mfa/recovery-codes
+   */
+  regenerateRecoveryCodes = this.asyncHandler(async (req, res) => {
+    try {
+      const recoveryCodes = await this.loginAuthService.regenerateRecoveryCodes(
+        req.user.id,
+        req.body.code,
+        res.sequelize
+      );
+
+      return this.sendSuccess(res, '恢复码已重新生成', { recoveryCodes });
+
+    } catch (error) {
+      this.logError('总台重新生成恢复码失败', error, req);
+      return this.sendMfaError(res, error, '重新生成恢复码失败，请稍后重试');
+    }
+  });
+
+  /**
+   * 总台刷新令牌
+   * POST /api/admin/auth/refresh
+   */
+  refresh = this.asyncHandler(async (req, res) => {
+    try {
+      const { refreshToken } = req.body;
+
+      // 获取客户端IP，用于记录令牌重放
+      const clientIP = req.ip || req.connection.remoteAddress || req.socket.remoteAddress;
+
+      // 调用服务层处理令牌刷新
+      const tokens = await this.loginAuthService.refreshToken(refreshToken, clientIP, res.sequelize);
+
+      return this.sendSuccess(res, '令牌刷新成功', {
+        token: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
+        expiresIn: tokens.expiresIn
+      });
+
+    } catch (error) {
+      this.logError('总台令牌刷新失败', error, req);
+
+      // JWT校验失败、令牌类型错误或账号状态异常均视为未授权
+      if (['JsonWebTokenError', 'TokenExpiredError'].includes(error.name) ||
+        error.message.includes('无效') || error.message.includes('状态异常')) {
+        return this.sendError(res, '刷新令牌无效或已过期', 401);
+      }
+      return this.sendError(res, '总台令牌刷新失败，请稍后重试', 500);
+    }
+  });
+
   /**
    * 总台管理员登出
    * POST /api/admin/console/auth/logout
@@ -84,6 +334,92 @@ class AdminAuthController extends BaseController {
       return this.sendError(res, '总台登出失败', 500);
     }
   });
+
+  /**
+   * 总台获取当前登录会话列表
+   * GET /api/admin/auth/sessions
+   */
+  listSessions = this.asyncHandler(async (req, res) => {
+    try {
+      const sessions = await this.sessionService.listSessions(USER_ROLE.CONSOLE_ADMIN, req.user.id, req.sessionId);
+
+      return this.sendSuccess(res, '获取会话列表成功', { sessions });
+
+    } catch (error) {
+      this.logError('总台获取会话列表失败', error, req);
+      return this.sendError(res, '获取会话列表失败，请稍后重试', 500);
+    }
+  });
+
+  /**
+   * 总台吊销指定会话
+   * DELETE /api/admin/auth/sessions/:sessionId
+   */
+  revokeSession = this.asyncHandler(async (req, res) => {
+    try {
+      this.logAction('总台吊销会话请求', req, { sessionId: req.params.sessionId });
+
+      const revoked = await this.sessionService.revokeSession(
+        USER_ROLE.CONSOLE_ADMIN,
+        req.user.id,
+        req.params.sessionId,
+        '用户远程下线'
+      );
+
+      if (!revoked) {
+        return this.sendError(res, '会话不存在或已失效', 404);
+      }
+
+      return this.sendSuccess(res, '会话已下线');
+
+    } catch (error) {
+      this.logError('总台吊销会话失败', error, req);
+      return this.sendError(res, '吊销会话失败，请稍后重试', 500);
+    }
+  });
+
+  /**
+   * 总台吊销除当前会话外的所有会话
+   * DELETE /api/admin/auth/sessions
+   */
+  revokeOtherSessions = this.asyncHandler(async (req, res) => {
+    try {
+      this.logAction('总台吊销其他会话请求', req);
+
+      if (!req.sessionId) {
+        return this.sendError(res, '当前令牌未关联会话，请重新登录', 400);
+      }
+
+      const count = await this.sessionService.revokeOtherSessions(
+        USER_ROLE.CONSOLE_ADMIN,
+        req.user.id,
+        req.sessionId
+      );
+
+      return this.sendSuccess(res, '其他会话已下线', { count });
+
+    } catch (error) {
+      this.logError('总台吊销其他会话失败', error, req);
+      return this.sendError(res, '吊销会话失败，请稍后重试', 500);
+    }
+  });
+
+  /**
+   * 二次验证相关接口的错误响应
+   * @param {Object} res - Express响应对象
+   * @param {Error} error - 错误对象
+   * @param {string} fallbackMessage - 未识别错误时返回的消息
+   */
+  sendMfaError(res, error, fallbackMessage) {
+    if (error.message.includes('锁定')) {
+      return this.sendError(res, error.message, 423); // 423 Locked
+    } else if (error.message.includes('验证码') || error.message.includes('令牌无效') || error.message.includes('账号不存在')) {
+      return this.sendError(res, error.message, 401); // 401 Unauthorized
+    } else if (error.message.includes('二次验证') || error.message.includes('绑定')) {
+      return this.sendError(res, error.message, 400);
+    }
+    return this.sendError(res, fallbackMessage, 500);
+  }
 }
 
 module.exports = AdminAuthController;
@@ -0,0 +1,68 @@
+/**
+ * 总台模拟登录控制器
+ * 处理管理员以商户或用户身份模拟登录相关的HTTP请求
+ */
+
+const BaseController = require('../base/BaseController');
+const AdminImpersonationService = require('../../services/admin/AdminImpersonationService');
+
+class AdminImpersonationController extends BaseController {
+  constructor() {
+    super();
+    this.impersonationService = new AdminImpersonationService();
+  }
+
+  /**
+   * 开始模拟登录
+   * POST /api/admin/impersonation
+   */
+  start = this.asyncHandler(async (req, res) => {
+    try {
+      const { targetType, targetId, reason } = req.body;
+      this.logAction('开始模拟登录请求', req, { targetType, targetId, reason });
+
+      const result = await this.impersonationService.startImpersonation(
+        this.getPrincipal(req),
+        { targetType, targetId, reason },
+        res.sequelize,
+        { ip: req.ip, userAgent: req.get('User-Agent') }
+      );
+
+      return this.sendSuccess(res, '模拟登录令牌已签发', result, 201);
+
+    } catch (error) {
+      this.logError('开始模拟登录失败', error, req);
+
+      if (error.message.includes('不存在')) {
+        return this.sendError(res, error.message, 404);
+      } else if (error.message.includes('无法') || error.message.includes('不支持')) {
+        return this.sendError(res, error.message, 400);
+      }
+      return this.sendError(res, '开始模拟登录失败，请稍后重试', 500);
+    }
+  });
+
+  /**
+   * 结束模拟登录，模拟令牌立即失效
+   * DELETE /api/admin/impersonation/:id
+   */
+  end = this.asyncHandler(async (req, res) => {
+    try {
+      this.logAction('结束模拟登录请求', req, { impersonationId: req.params.id });
+
+      await this.impersonationService.endImpersonation(req.params.id, this.getPrincipal(req));
+
+      return this.sendSuccess(res, '模拟登录已结束');
+
+    } catch (error) {
+      this.logError('结束模拟登录失败', error, req);
+
+      if (error.message.includes('不存在')) {
+        return this.sendError(res, error.message, 404);
+      }
+      return this.sendError(res, '结束模拟登录失败，请稍后重试', 500);
+    }
+  });
+}
+
+module.exports = AdminImpersonationController;
@@ -0,0 +1,190 @@
+/**
+ * 总台商户管理控制器
+ * 处理商户查询、创建、编辑、入驻审核、暂停/恢复营业和密码重置相关的HTTP请求
+ */
+
+const BaseController = require('../base/BaseController');
+const AdminMerchantService = require('../../services/admin/AdminMerchantService');
+
+class AdminMerchantController extends BaseController {
+  constructor() {
+    super();
+    this.merchantService = new AdminMerchantService();
+  }
+
+  /**
+   * 根据服务层错误返回对应状态码
+   * @param {Object} res - 响应对象
+   * @param {Error} error - 错误对象
+   * @param {string} fallbackMessage - 未知错误时的提示
+   */
+  sendMerchantError(res, error, fallbackMessage) {
+    if (error.message.includes('不存在')) {
+      return this.sendError(res, error.message, 404);
+    } else if (error.message.includes('已存在') || error.message.includes('已被使用')) {
+      return this.sendError(res, error.message, 409);
+    } else if (error.message.includes('频繁')) {
+      return this.sendError(res, error.message, 429);
+    } else if (['不能', '无法', '必须', '不支持'].some(keyword => error.message.includes(keyword))) {
+      return this.sendError(res, error.message, 400);
+    }
+    return this.sendError(res, fallbackMessage, 500);
+  }
+
+  /**
+   * 获取商户列表（分页）
+   * GET /api/admin/merchant
+   */
+  list = this.asyncHandler(async (req, res) => {
+    try {
+      const pagination = this.getPaginationParams(req);
+      const sort = this.getSortParams(req);
+
+      const { rows, total } = await this.merchantService.listMerchants(
+        { status: req.query.status, merchant_status: req.query.merchant_status, keyword: req.query.keyword },
+        pagination,
+        sort,
+        res.sequelize
+      );
+
+      return this.sendPaginatedResponse(res, rows, { ...pagination, total }, '获取商户列表成功');
+
+    } catch (error) {
+      this.logError('获取商户列表失败', error, req);
+      return this.sendError(res, '获取商户列表失败，请稍后重试', 500);
+    }
+  });
+
+  /**
+   * 获取商户详情
+   * GET /api/admin/merchant/:id
+   */
+  detail = this.asyncHandler(async (req, res) => {
+    try {
+      const merchant = await this.merchantService.getMerchant(parseInt(req.params.id), res.sequelize);
+
+      return this.sendSuccess(res, '获取商户详情成功', merchant);
+
+    } catch (error) {
+      this.logError('获取商户详情失败', error, req);
+      return this.sendMerchantError(res, error, '获取商户详情失败，请稍后重试');
+    }
+  });
+
+  /**
+   * 创建商户
+   * POST /api/admin/merchant
+   */
+  create = this.asyncHandler(async (req, res) => {
+    try {
+      this.logAction('创建商户请求', req, { username: req.body.username });
+
+      const merchant = await this.merchantService.createMerchant(
+        this.getPrincipal(req),
+        { username: req.body.username, email: req.body.email },
+        res.sequelize
+      );
+
+      return this.sendSuccess(res, '商户已创建，设置密码邮件已发送', merchant, 201);
+
+    } catch (error) {
+      this.logError('创建商户失败', error, req);
+      return this.sendMerchantError(res, error, '创建商户失败，请稍后重试');
+    }
+  });
+
+  /**
+   * 编辑商户
+   * PUT /api/admin/merchant/:id
+   */
+  update = this.asyncHandler(async (req, res) => {
+    try {
+      this.logAction('编辑商户请求', req, { merchantId: req.params.id });
+
+      const merchant = await this.merchantService.updateMerchant(
+        this.getPrincipal(req),
+        parseInt(req.params.id),
+        { username: req.body.username, email: req.body.email },
+        res.sequelize
+      );
+
+      return this.sendSuccess(res, '编辑商户成功', merchant);
+
+    } catch (error) {
+      this.logError('编辑商户失败', error, req);
+      return this.sendMerchantError(res, error, '编辑商户失败，请稍后重试');
+    }
+  });
+
+  /**
+   * 创建变更商户状态的处理函数
+   * @param {string} action - 操作（approve/reject/suspend/reactivate）
+   * @param {string} label - 操作名称，用于提示信息
+   * @returns {Function} 路由处理函数
+   */
+  changeStatus(action, label) {
+    return this.asyncHandler(async (req, res) => {
+      try {
+        this.logAction(`商户${label}请求`, req, { merchantId: req.params.id, reason: req.body.reason });
+
+        const merchant = await this.merchantService.changeMerchantStatus(
+          this.getPrincipal(req),
+          parseInt(req.params.id),
+          action,
+          req.body.reason,
+          res.sequelize
+        );
+
+        return this.sendSuccess(res, `商户${label}成功`, merchant);
+
+      } catch (error) {
+        this.logError(`商户${label}失败`, error, req);
+        return this.sendMerchantError(res, error, `商户${label}失败，请稍后重试`);
+      }
+    });
+  }
+
+  /**
+   * 审核通过
+   * POST /api/admin/merchant/:id/approve
+   */
+  approve = this.changeStatus('approve', '审核通过');
+
+  /**
+   * 审核拒绝
+   * POST /api/admin/merchant/:id/reject
+   */
+  reject = this.changeStatus('reject', '审核拒绝');
+
+  /**
+   * 暂停营业
+   * POST /api/admin/merchant/:id/suspend
+   */
+  suspend = this.changeStatus('suspend', '暂停营业');
+
+  /**
+   * 恢复营业
+   * POST /api/admin/merchant/:id/reactivate
+   */
+  reactivate = this.changeStatus('reactivate', '恢复营业');
+
+  /**
+   * 重置商户密码，向商户邮箱发送设置新密码的链接
+   * POST /api/admin/merchant/:id/password-reset
+   */
+  resetPassword = this.asyncHandler(async (req, res) => {
+    try {
+      this.logAction('重置商户密码请求', req, { merchantId: req.params.id });
+
+      await this.merchantService.resetMerchantPassword(this.getPrincipal(req), parseInt(req.params.id), res.sequelize);
+
+      return this.sendSuccess(res, '重置密码邮件已发送');
+
+    } catch (error) {
+      this.logError('重置商户密码失败', error, req);
+      return this.sendMerchantError(res, error, '重置商户密码失败，请稍后重试');
+    }
+  });
+}
+
+module.exports = AdminMerchantController;
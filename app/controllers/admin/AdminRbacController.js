@@ -0,0 +1,265 @@
+/**
+ * 总台角色权限控制器
+ * 处理角色、权限管理以及账号角色分配相关的HTTP请求
+ */
+
+const BaseController = require('../base/BaseController');
+const AdminRbacService = require('../../services/admin/AdminRbacService');
+
+class AdminRbacController extends BaseController {
+  constructor() {
+    super();
+    this.rbacService = new AdminRbacService();
+  }
+
+  /**
+   * 根据服务层错误返回对应状态码
+   * @param {Object} res - 响应对象
+   * @param {Error} error - 错误对象
+   * @param {string} fallbackMessage - 未知错误时的提示
+   */
+  sendRbacError(res, error, fallbackMessage) {
+    if (['无法', '请先', '不适用', '部分权限'].some(keyword => error.message.includes(keyword))) {
+      return this.sendError(res, error.message, 400);
+    } else if (error.message.includes('无权')) {
+      return this.sendError(res, error.message, 403);
+    } else if (error.message.includes('不存在')) {
+      return this.sendError(res, error.message, 404);
+    } else if (error.message.includes('已存在')) {
+      return this.sendError(res, error.message, 409);
+    }
+    return this.sendError(res, fallbackMessage, 500);
+  }
+
+  /**
+   * 获取权限列表
+   * GET /api/admin/rbac/permissions
+   */
+  listPermissions = this.asyncHandler(async (req, res) => {
+    try {
+      const permissions = await this.rbacService.listPermissions(
+        { module: req.query.module, status: req.query.status },
+        res.sequelize
+      );
+
+      return this.sendSuccess(res, '获取权限列表成功', { permissions });
+
+    } catch (error) {
+      this.logError('获取权限列表失败', error, req);
+      return this.sendError(res, '获取权限列表失败，请稍后重试', 500);
+    }
+  });
+
+  /**
+   * 创建权限
+   * POST /api/admin/rbac/permissions
+   */
+  createPermission = this.asyncHandler(async (req, res) => {
+    try {
+      this.logAction('创建权限请求', req, { code: req.body.code });
+
+      const permission = await this.rbacService.createPermission(req.body, res.sequelize);
+
+      return this.sendSuccess(res, '创建权限成功', permission, 201);
+
+    } catch (error) {
+      this.logError('创建权限失败', error, req);
+      return this.sendRbacError(res, error, '创建权限失败，请稍后重试');
+    }
+  });
+
+  /**
+   * 更新权限
+   * PUT /api/admin/rbac/permissions/:id
+   */
+  updatePermission = this.asyncHandler(async (req, res) => {
+    try {
+      this.logAction('更新权限请求', req, { permissionId: req.params.id });
+
+      const permission = await this.rbacService.updatePermission(parseInt(req.params.id), req.body, res.sequelize);
+
+      return this.sendSuccess(res, '更新权限成功', permission);
+
+    } catch (error) {
+      this.logError('更新权限失败', error, req);
+      return this.sendRbacError(res, error, '更新权限失败，请稍后重试');
+    }
+  });
+
+  /**
+   * 删除权限
+   * DELETE /api/admin/rbac/permissions/:id
+   */
+  deletePermission = this.asyncHandler(async (req, res) => {
+    try {
+      this.logAction('删除权限请求', req, { permissionId: req.params.id });
+
+      await this.rbacService.deletePermission(parseInt(req.params.id), res.sequelize);
+
+      return this.sendSuccess(res, '删除权限成功');
+
+    } catch (error) {
+      this.logError('删除权限失败', error, req);
+      return this.sendRbacError(res, error, '删除权限失败，请稍后重试');
+    }
+  });
+
+  /**
+   * 分页获取角色列表
+   * GET /api/admin/rbac/roles
+   */
+  listRoles = this.asyncHandler(async (req, res) => {
+    try {
+      const pagination = this.getPaginationParams(req);
+      const sort = this.getSortParams(req);
+
+      const { rows, total } = await this.rbacService.listRoles(
+        { user_type: req.query.user_type, status: req.query.status, keyword: req.query.keyword },
+        pagination,
+        sort,
+        res.sequelize
+      );
+
+      return this.sendPaginatedResponse(res, rows, { ...pagination, total }, '获取角色列表成功');
+
+    } catch (error) {
+      this.logError('获取角色列表失败', error, req);
+      return this.sendError(res, '获取角色列表失败，请稍后重试', 500);
+    }
+  });
+
+  /**
+   * 获取角色详情
+   * GET /api/admin/rbac/roles/:id
+   */
+  getRole = this.asyncHandler(async (req, res) => {
+    try {
+      const role = await this.rbacService.getRole(parseInt(req.params.id), res.sequelize);
+
+      return this.sendSuccess(res, '获取角色详情成功', role);
+
+    } catch (error) {
+      this.logError('获取角色详情失败', error, req);
+      return this.sendRbacError(res, error, '获取角色详情失败，请稍后重试');
+    }
+  });
+
+  /**
+   * 创建角色
+   * POST /api/admin/rbac/roles
+   */
+  createRole = this.asyncHandler(async (req, res) => {
+    try {
+      this.logAction('创建角色请求', req, { code: req.body.code });
+
+      const role = await this.rbacService.createRole(req.body, this.getPrincipal(req), res.sequelize);
+
+      return this.sendSuccess(res, '创建角色成功', role, 201);
+
+    } catch (error) {
+      this.logError('创建角色失败', error, req);
+      return this.sendRbacError(res, error, '创建角色失败，请稍后重试');
+    }
+  });
+
+  /**
+   * 更新角色
+   * PUT /api/admin/rbac/roles/:id
+   */
+  updateRole = this.asyncHandler(async (req, res) => {
+    try {
+      this.logAction('更新角色请求', req, { roleId: req.params.id });
+
+      const role = await this.rbacService.updateRole(parseInt(req.params.id), req.body, this.getPrincipal(req), res.sequelize);
+
+      return this.sendSuccess(res, '更新角色成功', role);
+
+    } catch (error) {
+      this.logError('更新角色失败', error, req);
+      return this.sendRbacError(res, error, '更新角色失败，请稍后重试');
+    }
+  });
+
+  /**
+   * 删除角色
+   * DELETE /api/admin/rbac/roles/:id
+   */
+  deleteRole = this.asyncHandler(async (req, res) => {
+    try {
+      this.logAction('删除角色请求', req, { roleId: req.params.id });
+
+      await this.rbacService.deleteRole(parseInt(req.params.id), res.sequelize);
+
+      return this.sendSuccess(res, '删除角色成功');
+
+    } catch (error) {
+      this.logError('删除角色失败', error, req);
+      return this.sendRbacError(res, error, '删除角色失败，请稍后重试');
+    }
+  });
+
+  /**
+   * 设置角色权限
+   * PUT /api/admin/rbac/roles/:id/permissions
+   */
+  setRolePermissions = this.asyncHandler(async (req, res) => {
+    try {
+      this.logAction('设置角色权限请求', req, { roleId: req.params.id });
+
+      const role = await this.rbacService.setRolePermissions(
+        parseInt(req.params.id),
+        req.body.permissionIds,
+        this.getPrincipal(req),
+        res.sequelize
+      );
+
+      return this.sendSuccess(res, '设置角色权限成功', role);
+
+    } catch (error) {
+      this.logError('设置角色权限失败', error, req);
+      return this.sendRbacError(res, error, '设置角色权限失败，请稍后重试');
+    }
+  });
+
+  /**
+   * 获取账号的角色和权限
+   * GET /api/admin/rbac/accounts/:userType/:userId/roles
+   */
+  getAccountRoles = this.asyncHandler(async (req, res) => {
+    try {
+      const result = await this.rbacService.getUserRoles(req.params.userType, req.params.userId, res.sequelize);
+
+      return this.sendSuccess(res, '获取账号角色成功', result);
+
+    } catch (error) {
+      this.logError('获取账号角色失败', error, req);
+      return this.sendRbacError(res, error, '获取账号角色失败，请稍后重试');
+    }
+  });
+
+  /**
+   * 设置账号的角色
+   * PUT /api/admin/rbac/accounts/:userType/:userId/roles
+   */
+  setAccountRoles = this.asyncHandler(async (req, res) => {
+    try {
+      this.logAction('设置账号角色请求', req, { userType: req.params.userType, targetUserId: req.params.userId });
+
+      const result = await this.rbacService.setUserRoles(
+        req.params.userType,
+        req.params.userId,
+        req.body.roleIds,
+        this.getPrincipal(req),
+        res.sequelize
+      );
+
+      return this.sendSuccess(res, '设置账号角色成功', result);
+
+    } catch (error) {
+      this.logError('设置账号角色失败', error, req);
+      return this.sendRbacError(res, error, '设置账号角色失败，请稍后重试');
+    }
+  });
+}
+
+module.exports = AdminRbacController;
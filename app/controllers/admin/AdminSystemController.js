@@ -0,0 +1,32 @@
+/**
+ * 总台系统运行状态控制器
+ * 处理运行统计查询相关的HTTP请求
+ */
+
+const BaseController = require('../base/BaseController');
+const AdminSystemService = require('../../services/admin/AdminSystemService');
+
+class AdminSystemController extends BaseController {
+  constructor() {
+    super();
+    this.systemService = new AdminSystemService();
+  }
+
+  /**
+   * 获取运行统计（集群模式下包含合并结果和各工作进程明细）
+   * GET /api/admin/system/stats
+   */
+  getStats = this.asyncHandler(async (req, res) => {
+    try {
+      const stats = await this.systemService.getRuntimeStats();
+
+      return this.sendSuccess(res, '获取运行统计成功', stats);
+
+    } catch (error) {
+      this.logError('获取运行统计失败', error, req);
+      return this.sendError(res, '获取运行统计失败，请稍后重试', 500);
+    }
+  });
+}
+
+module.exports = AdminSystemController;
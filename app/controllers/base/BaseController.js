@@ -170,6 +170,16 @@ class BaseController {
     };
   }
 
+  /**
+   * 获取认证主体方法：读取认证中间件设置的当前身份
+   * 功能：用户、商户、管理员和API密钥请求统一返回相同结构，不必区分身份来自哪张表
+   * @param {Object} req - Express请求对象
+   * @returns {Object|null} 认证主体 { id, type, role, username, email, status, merchantId, shopIds, permissions, authMethod, sessionId, apiKeyId, impersonator }，未认证时为null
+   */
+  getPrincipal(req) {
+    return req.principal || null;
+  }
+
   /**
    * 记录操作日志方法：记录控制器中的重要操作
    * 功能：统一记录用户操作，便于审计和问题追踪
@@ -170,7 +170,8 @@ class BaseMerchantController extends BaseController {
    */
   buildShopQuery(req, baseConditions = {}, shopId = null) {
     const merchantId = this.getMerchantId(req);
-    const shopIds = this.getMerchantShopIds(req);
+    // 主账号为 null（不限店铺），子账号为可访问的店铺列表，空列表表示不能访问任何店铺
+    const shopIds = req.user?.shopIds ?? null;
     
     if (!merchantId) {
       throw new Error('无法获取商户ID');
@@ -184,8 +185,8 @@ class BaseMerchantController extends BaseController {
     // 如果指定了特定店铺ID
     if (shopId) {
       query.shopId = shopId;
-    } else if (shopIds.length > 0) {
-      // 限制在商户拥有的店铺范围内
+    } else if (Array.isArray(shopIds)) {
+      // 限制在子账号可访问的店铺范围内
       query.shopId = { $in: shopIds };
     }
 
@@ -0,0 +1,57 @@
+/**
+ * 验证码控制器
+ * 功能：为登录、注册等场景签发验证码，各端只能获取本端允许的场景
+ */
+
+// 引入基础控制器类，获得统一的响应格式和错误处理能力
+const BaseController = require('./BaseController');
+const CaptchaService = require('../../services/common/CaptchaService');
+const { CAPTCHA_CONFIG } = require('../../../middleware/config');
+const { REGISTER_CONFIG } = require('../../../common/constants/status');
+
+class CaptchaController extends BaseController {
+  /**
+   * @param {Array<string>} scenes - 本端允许获取验证码的场景，对应 CAPTCHA_CONFIG.scenes 的键
+   */
+  constructor(scenes = []) {
+    super();
+    this.scenes = scenes;
+    this.captchaService = new CaptchaService();
+  }
+
+  /**
+   * 获取验证码
+   * POST /api/{user|admin|merchant}/auth/captcha
+   * 验证码类型由场景配置决定，短信验证码需要提供手机号
+   */
+  create = this.asyncHandler(async (req, res) => {
+    try {
+      const { scene, phone } = req.body;
+
+      if (!this.scenes.includes(scene)) {
+        return this.sendError(res, '验证码场景不正确', 400);
+      }
+
+      const type = CAPTCHA_CONFIG.scenes[scene];
+      if (type === REGISTER_CONFIG.CAPTCHA_NONE) {
+        return this.sendError(res, '当前场景无需验证码', 400);
+      }
+
+      const result = await this.captchaService.create(type, { scene, recipient: phone });
+
+      return this.sendSuccess(res, '获取验证码成功', result);
+
+    } catch (error) {
+      this.logError('获取验证码失败', error, req);
+
+      if (error.message.includes('过于频繁')) {
+        return this.sendError(res, error.message, 429);
+      } else if (error.message.includes('不能为空') || error.message.includes('不支持')) {
+        return this.sendError(res, error.message, 400);
+      }
+      return this.sendError(res, '获取验证码失败，请稍后重试', 500);
+    }
+  });
+}
+
+module.exports = CaptchaController;
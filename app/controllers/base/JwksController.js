@@ -0,0 +1,36 @@
+/**
+ * JWKS控制器
+ * 功能：公开令牌签名公钥，供其他内部服务按令牌头的 kid 验证本系统签发的令牌
+ */
+
+// 引入基础控制器类，获得统一的错误处理能力
+const BaseController = require('./BaseController');
+const JwtKeyService = require('../../services/common/JwtKeyService');
+
+class JwksController extends BaseController {
+  constructor() {
+    super();
+    this.jwtKeyService = new JwtKeyService();
+  }
+
+  /**
+   * 获取签名公钥集
+   * GET /.well-known/jwks.json
+   * 按 RFC 7517 格式直接返回 { keys: [...] }，不使用统一响应包装，便于标准JWT库直接读取
+   */
+  getJwks = this.asyncHandler(async (req, res) => {
+    try {
+      const jwks = this.jwtKeyService.getJwks();
+
+      // 轮换后新密钥立即发布，缓存时间不宜过长
+      res.set('Cache-Control', 'public, max-age=300');
+      return res.json(jwks);
+
+    } catch (error) {
+      this.logError('获取签名公钥失败', error, req);
+      return this.sendError(res, '获取签名公钥失败，请稍后重试', 500);
+    }
+  });
+}
+
+module.exports = JwksController;
@@ -9,16 +9,26 @@ const BaseMerchantController = require('./base/BaseMerchantController');
 
 // 引入管理端控制器：处理面向管理员的业务逻辑
 const AdminAuthController = require('./admin/AdminAuthController');   // 总台登录控制器
+const AdminRbacController = require('./admin/AdminRbacController');   // 总台角色权限控制器
+const AdminImpersonationController = require('./admin/AdminImpersonationController'); // 总台模拟登录控制器
+const AdminMerchantController = require('./admin/AdminMerchantController');   // 总台商户管理控制器
+const AdminAuditController = require('./admin/AdminAuditController');   // 总台审计日志控制器
+const AdminSystemController = require('./admin/AdminSystemController'); // 总台系统运行状态控制器
 const CountryController = require('./base/CountryController');   // 国家控制器
 const CurrencyController = require('./base/CurrencyController'); // 货币控制器
 const LanguageController = require('./base/LanguageController'); // 语言控制器
+const CaptchaController = require('./base/CaptchaController'); // 验证码控制器
+const JwksController = require('./base/JwksController'); // 签名公钥控制器
 
 
 // 引入商户端控制器：处理面向商户用户的业务逻辑
 const MerchantAuthController = require('./merchant/MerchantAuthController');         // 商户认证控制器
+const MerchantSubAccountController = require('./merchant/MerchantSubAccountController'); // 商户子账号控制器
+const MerchantApiKeyController = require('./merchant/MerchantApiKeyController');     // 商户API密钥控制器
 
 // 引入用户端控制器：处理面向普通用户的业务逻辑
 const UserAuthController = require('./user/UserAuthController');         // 用户认证控制器
+const UserOidcController = require('./user/UserOidcController');         // 用户第三方登录控制器
 // const UserProfileController = require('./user/UserProfileController');   // 用户资料控制器
 
 // 导出所有控制器，使用对象结构便于按需引入
@@ -29,13 +39,23 @@ module.exports = {
 
   // 用户端控制器：处理用户相关的HTTP请求
   UserAuthController,
+  UserOidcController,
   CountryController,
   CurrencyController,
   LanguageController,
+  CaptchaController,
+  JwksController,
 
   // 管理端控制器：处理管理员相关的HTTP请求
   AdminAuthController,
+  AdminRbacController,
+  AdminImpersonationController,
+  AdminMerchantController,
+  AdminAuditController,
+  AdminSystemController,
 
   // 商户端控制器：处理商户相关的HTTP请求
   MerchantAuthController,
+  MerchantSubAccountController,
+  MerchantApiKeyController,
 };
@@ -0,0 +1,101 @@
+/**
+ * 商户API密钥控制器
+ * 处理商户主账号创建、查看、轮换和吊销API密钥的HTTP请求
+ */
+
+const BaseMerchantController = require('../base/BaseMerchantController');
+const MerchantApiKeyService = require('../../services/merchant/MerchantApiKeyService');
+
+class MerchantApiKeyController extends BaseMerchantController {
+  constructor() {
+    super();
+    this.apiKeyService = new MerchantApiKeyService();
+  }
+
+  /**
+   * 根据服务层错误返回对应状态码
+   * @param {Object} res - 响应对象
+   * @param {Error} error - 错误对象
+   * @param {string} fallbackMessage - 未知错误时的提示
+   */
+  sendApiKeyError(res, error, fallbackMessage) {
+    if (['超出', '上限', '无法'].some(keyword => error.message.includes(keyword))) {
+      return this.sendError(res, error.message, 400);
+    } else if (error.message.includes('不存在')) {
+      return this.sendError(res, error.message, 404);
+    }
+    return this.sendError(res, fallbackMessage, 500);
+  }
+
+  /**
+   * 获取API密钥列表
+   * GET /api/merchant/api-keys
+   */
+  list = this.asyncHandler(async (req, res) => {
+    try {
+      const apiKeys = await this.apiKeyService.listApiKeys(this.getMerchantId(req), res.sequelize);
+
+      return this.sendSuccess(res, '获取API密钥列表成功', { apiKeys });
+
+    } catch (error) {
+      this.logError('获取API密钥列表失败', error, req);
+      return this.sendError(res, '获取API密钥列表失败，请稍后重试', 500);
+    }
+  });
+
+  /**
+   * 创建API密钥，明文密钥只在响应中出现一次
+   * POST /api/merchant/api-keys
+   */
+  create = this.asyncHandler(async (req, res) => {
+    try {
+      this.logAction('创建API密钥请求', req, { name: req.body.name });
+
+      const apiKey = await this.apiKeyService.createApiKey(req.user, req.body, res.sequelize);
+
+      return this.sendSuccess(res, 'API密钥创建成功，请立即保存，密钥不会再次显示', apiKey, 201);
+
+    } catch (error) {
+      this.logError('创建API密钥失败', error, req);
+      return this.sendApiKeyError(res, error, '创建API密钥失败，请稍后重试');
+    }
+  });
+
+  /**
+   * 轮换API密钥，旧密钥立即失效
+   * POST /api/merchant/api-keys/:id/rotate
+   */
+  rotate = this.asyncHandler(async (req, res) => {
+    try {
+      this.logAction('轮换API密钥请求', req, { apiKeyId: req.params.id });
+
+      const apiKey = await this.apiKeyService.rotateApiKey(req.user, parseInt(req.params.id), res.sequelize);
+
+      return this.sendSuccess(res, 'API密钥轮换成功，请立即保存，密钥不会再次显示', apiKey);
+
+    } catch (error) {
+      this.logError('轮换API密钥失败', error, req);
+      return this.sendApiKeyError(res, error, '轮换API密钥失败，请稍后重试');
+    }
+  });
+
+  /**
+   * 吊销API密钥
+   * DELETE /api/merchant/api-keys/:id
+   */
+  revoke = this.asyncHandler(async (req, res) => {
+    try {
+      this.logAction('吊销API密钥请求', req, { apiKeyId: req.params.id });
+
+      const apiKey = await this.apiKeyService.revokeApiKey(req.user, parseInt(req.params.id), res.sequelize);
+
+      return this.sendSuccess(res, 'API密钥已吊销', apiKey);
+
+    } catch (error) {
+      this.logError('吊销API密钥失败', error, req);
+      return this.sendApiKeyError(res, error, '吊销API密钥失败，请稍后重试');
+    }
+  });
+}
+
+module.exports = MerchantApiKeyController;
@@ -5,11 +5,14 @@
 
 const BaseController = require('../base/BaseController');
 const MerchantAuthService = require('../../services/merchant/MerchantAuthService');
+const SessionService = require('../../services/common/SessionService');
+const { USER_ROLE } = require('../../../common/constants/status');
 
 class MerchantAuthController extends BaseController {
   constructor() {
     super();
     this.merchantAuthService = new MerchantAuthService();
+    this.sessionService = new SessionService();
   }
 
   /**
@@ -34,13 +37,24 @@ class MerchantAuthController extends BaseController {
         username.trim(),
         password,
         clientIP,
-        res.sequelize
+        res.sequelize,
+        req.get('User-Agent')
       );
 
+      // 密码已过期时只返回改密令牌，由客户端调用 /password/rotate 设置新密码后完成登录
+      if (result.passwordExpired) {
+        return this.sendSuccess(res, '密码已过期，请设置新密码', {
+          passwordExpired: true,
+          passwordToken: result.passwordToken,
+          expiresIn: result.expiresIn
+        });
+      }
+
       // 返回成功响应
       return this.sendSuccess(res, '登录成功', {
         ...result.user,
         token: result.tokens.accessToken,
+        refreshToken: result.tokens.refreshToken,
       });
 
     } catch (error) {
@@ -49,6 +63,8 @@ class MerchantAuthController extends BaseController {
       // 根据错误类型返回不同的状态码
       if (error.message.includes('锁定') || error.message.includes('尝试机会')) {
         return this.sendError(res, error.message, 423); // 423 Locked
+      } else if (['审核', '暂停营业', '不可用'].some(keyword => error.message.includes(keyword))) {
+        return this.sendError(res, error.message, 403); // 商户状态不允许登录
       } else if (error.message.includes('不存在') || error.message.includes('密码') || error.message.includes('状态异常')) {
         return this.sendError(res, error.message, 401); // 401 Unauthorized
       } else {
@@ -57,6 +73,38 @@ class MerchantAuthController extends BaseController {
     }
   });
 
+  /**
+   * 商户刷新令牌
+   * POST /api/merchant/auth/refresh
+   */
+  refresh = this.asyncHandler(async (req, res) => {
+    try {
+      const { refreshToken } = req.body;
+
+      // 获取客户端IP，用于记录令牌重放
+      const clientIP = req.ip || req.connection.remoteAddress || req.socket.remoteAddress;
+
+      // 调用服务层处理令牌刷新
+      const tokens = await this.merchantAuthService.refreshToken(refreshToken, clientIP, res.sequelize);
+
+      return this.sendSuccess(res, '令牌刷新成功', {
+        token: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
+        expiresIn: tokens.expiresIn
+      });
+
+    } catch (error) {
+      this.logError('商户令牌刷新失败', error, req);
+
+      // JWT校验失败、令牌类型错误或账号状态异常均视为未授权
+      if (['JsonWebTokenError', 'TokenExpiredError'].includes(error.name) ||
+        error.message.includes('无效') || error.message.includes('状态异常')) {
+        return this.sendError(res, '刷新令牌无效或已过期', 401);
+      }
+      return this.sendError(res, '商户令牌刷新失败，请稍后重试', 500);
+    }
+  });
+
   /**
    * 总台管理员登出
    * POST /api/admin/console/auth/logout
@@ -84,6 +132,149 @@ class MerchantAuthController extends BaseController {
       return this.sendError(res, '总台登出失败', 500);
     }
   });
+
+  /**
+   * 商户忘记密码
+   * POST /api/merchant/auth/password/forgot
+   */
+  forgotPassword = this.asyncHandler(async (req, res) => {
+    try {
+      await this.merchantAuthService.forgotPassword(req.body.email, res.sequelize);
+
+      // 无论账号是否存在都返回相同结果，避免泄露注册信息
+      return this.sendSuccess(res, '如果该邮箱已注册，重置邮件将很快送达');
+
+    } catch (error) {
+      this.logError('商户忘记密码失败', error, req);
+      return this.sendError(res, '商户忘记密码处理失败，请稍后重试', 500);
+    }
+  });
+
+  /**
+   * 商户重置密码
+   * POST /api/merchant/auth/password/reset
+   */
+  resetPassword = this.asyncHandler(async (req, res) => {
+    try {
+      const { token, newPassword } = req.body;
+
+      await this.merchantAuthService.resetPassword(token, newPassword, res.sequelize);
+
+      return this.sendSuccess(res, '密码重置成功，请重新登录');
+
+    } catch (error) {
+      this.logError('商户重置密码失败', error, req);
+
+      if (error.message.includes('无效或已过期') || error.message.includes('密码')) {
+        return this.sendError(res, error.message, 400);
+      }
+      return this.sendError(res, '商户重置密码失败，请稍后重试', 500);
+    }
+  });
+
+  /**
+   * 商户密码过期后设置新密码并完成登录
+   * POST /api/merchant/auth/password/rotate
+   */
+  rotatePassword = this.asyncHandler(async (req, res) => {
+    try {
+      const { passwordToken, newPassword } = req.body;
+
+      // 获取客户端IP
+      const clientIP = req.ip || req.connection.remoteAddress || req.socket.remoteAddress;
+
+      const result = await this.merchantAuthService.rotateExpiredPassword(
+        passwordToken,
+        newPassword,
+        clientIP,
+        res.sequelize,
+        req.get('User-Agent')
+      );
+
+      return this.sendSuccess(res, '密码已更新，登录成功', {
+        ...result.user,
+        token: result.tokens.accessToken,
+        refreshToken: result.tokens.refreshToken,
+      });
+
+    } catch (error) {
+      this.logError('商户过期密码更新失败', error, req);
+
+      if (error.message.includes('无效或已过期') || error.message.includes('密码')) {
+        return this.sendError(res, error.message, 400);
+      }
+      return this.sendError(res, '商户密码更新失败，请稍后重试', 500);
+    }
+  });
+
+  /**
+   * 商户获取当前登录会话列表
+   * GET /api/merchant/auth/sessions
+   */
+  listSessions = this.asyncHandler(async (req, res) => {
+    try {
+      const sessions = await this.sessionService.listSessions(USER_ROLE.MERCHANT, req.user.id, req.sessionId);
+
+      return this.sendSuccess(res, '获取会话列表成功', { sessions });
+
+    } catch (error) {
+      this.logError('商户获取会话列表失败', error, req);
+      return this.sendError(res, '获取会话列表失败，请稍后重试', 500);
+    }
+  });
+
+  /**
+   * 商户吊销指定会话
+   * DELETE /api/merchant/auth/sessions/:sessionId
+   */
+  revokeSession = this.asyncHandler(async (req, res) => {
+    try {
+      this.logAction('商户吊销会话请求', req, { sessionId: req.params.sessionId });
+
+      const revoked = await this.sessionService.revokeSession(
+        USER_ROLE.MERCHANT,
+        req.user.id,
+        req.params.sessionId,
+        '用户远程下线'
+      );
+
+      if (!revoked) {
+        return this.sendError(res, '会话不存在或已失效', 404);
+      }
+
+      return this.sendSuccess(res, '会话已下线');
+
+    } catch (error) {
+      this.logError('商户吊销会话失败', error, req);
+      return this.sendError(res, '吊销会话失败，请稍后重试', 500);
+    }
+  });
+
+  /**
+   * 商户吊销除当前会话外的所有会话
+   * DELETE /api/merchant/auth/sessions
+   */
+  revokeOtherSessions = this.asyncHandler(async (req, res) => {
+    try {
+      this.logAction('商户吊销其他会话请求', req);
+
+      if (!req.sessionId) {
+        return this.sendError(res, '当前令牌未关联会话，请重新登录', 400);
+      }
+
+      const count = await this.sessionService.revokeOtherSessions(
+        USER_ROLE.MERCHANT,
+        req.user.id,
+        req.sessionId
+      );
+
+      return this.sendSuccess(res, '其他会话已下线', { count });
+
+    } catch (error) {
+      this.logError('商户吊销其他会话失败', error, req);
+      return this.sendError(res, '吊销会话失败，请稍后重试', 500);
+    }
+  });
 }
 
 module.exports = MerchantAuthController;
@@ -0,0 +1,178 @@
+/**
+ * 商户子账号控制器
+ * 处理商户主账号管理员工子账号，以及子账号接受邀请的HTTP请求
+ */
+
+const BaseMerchantController = require('../base/BaseMerchantController');
+const MerchantSubAccountService = require('../../services/merchant/MerchantSubAccountService');
+const { COMMON_STATUS } = require('../../../common/constants/status');
+
+class MerchantSubAccountController extends BaseMerchantController {
+  constructor() {
+    super();
+    this.subAccountService = new MerchantSubAccountService();
+  }
+
+  /**
+   * 根据服务层错误返回对应状态码
+   * @param {Object} res - 响应对象
+   * @param {Error} error - 错误对象
+   * @param {string} fallbackMessage - 未知错误时的提示
+   */
+  sendSubAccountError(res, error, fallbackMessage) {
+    if (error.message.includes('过于频繁')) {
+      return this.sendError(res, error.message, 429);
+    } else if (['超出', '无法', '无需', '无效或已过期', '密码'].some(keyword => error.message.includes(keyword))) {
+      return this.sendError(res, error.message, 400);
+    } else if (error.message.includes('不存在')) {
+      return this.sendError(res, error.message, 404);
+    } else if (error.message.includes('已存在') || error.message.includes('已被使用')) {
+      return this.sendError(res, error.message, 409);
+    }
+    return this.sendError(res, fallbackMessage, 500);
+  }
+
+  /**
+   * 分页获取子账号列表
+   * GET /api/merchant/sub-accounts
+   */
+  list = this.asyncHandler(async (req, res) => {
+    try {
+      const pagination = this.getPaginationParams(req);
+      const sort = this.getSortParams(req);
+
+      const { rows, total } = await this.subAccountService.listSubAccounts(
+        this.getMerchantId(req),
+        { status: req.query.status, keyword: req.query.keyword },
+        pagination,
+        sort,
+        res.sequelize
+      );
+
+      return this.sendPaginatedResponse(res, rows, { ...pagination, total }, '获取子账号列表成功');
+
+    } catch (error) {
+      this.logError('获取子账号列表失败', error, req);
+      return this.sendError(res, '获取子账号列表失败，请稍后重试', 500);
+    }
+  });
+
+  /**
+   * 邀请子账号
+   * POST /api/merchant/sub-accounts
+   */
+  invite = this.asyncHandler(async (req, res) => {
+    try {
+      this.logAction('邀请子账号请求', req, { username: req.body.username });
+
+      const subAccount = await this.subAccountService.inviteSubAccount(req.user, req.body, res.sequelize);
+
+      return this.sendSuccess(res, '邀请已发送', subAccount, 201);
+
+    } catch (error) {
+      this.logError('邀请子账号失败', error, req);
+      return this.sendSubAccountError(res, error, '邀请子账号失败，请稍后重试');
+    }
+  });
+
+  /**
+   * 重新发送邀请邮件
+   * POST /api/merchant/sub-accounts/:id/invitation
+   */
+  resendInvitation = this.asyncHandler(async (req, res) => {
+    try {
+      await this.subAccountService.resendInvitation(req.user, parseInt(req.params.id), res.sequelize);
+
+      return this.sendSuccess(res, '邀请已发送');
+
+    } catch (error) {
+      this.logError('重新发送子账号邀请失败', error, req);
+      return this.sendSubAccountError(res, error, '发送邀请失败，请稍后重试');
+    }
+  });
+
+  /**
+   * 更新子账号可访问的店铺和权限
+   * PUT /api/merchant/sub-accounts/:id
+   */
+  update = this.asyncHandler(async (req, res) => {
+    try {
+      this.logAction('更新子账号请求', req, { subAccountId: req.params.id });
+
+      const subAccount = await this.subAccountService.updateSubAccount(
+        req.user,
+        parseInt(req.params.id),
+        req.body,
+        res.sequelize
+      );
+
+      return this.sendSuccess(res, '更新子账号成功', subAccount);
+
+    } catch (error) {
+      this.logError('更新子账号失败', error, req);
+      return this.sendSubAccountError(res, error, '更新子账号失败，请稍后重试');
+    }
+  });
+
+  /**
+   * 启用或停用子账号
+   * PUT /api/merchant/sub-accounts/:id/status
+   */
+  setStatus = this.asyncHandler(async (req, res) => {
+    try {
+      const enabled = req.body.status === COMMON_STATUS.ENABLED;
+      this.logAction(enabled ? '启用子账号请求' : '停用子账号请求', req, { subAccountId: req.params.id });
+
+      const subAccount = await this.subAccountService.setSubAccountStatus(
+        req.user,
+        parseInt(req.params.id),
+        enabled,
+        res.sequelize
+      );
+
+      return this.sendSuccess(res, enabled ? '子账号已启用' : '子账号已停用', subAccount);
+
+    } catch (error) {
+      this.logError('修改子账号状态失败', error, req);
+      return this.sendSubAccountError(res, error, '修改子账号状态失败，请稍后重试');
+    }
+  });
+
+  /**
+   * 移除子账号
+   * DELETE /api/merchant/sub-accounts/:id
+   */
+  remove = this.asyncHandler(async (req, res) => {
+    try {
+      this.logAction('移除子账号请求', req, { subAccountId: req.params.id });
+
+      await this.subAccountService.removeSubAccount(req.user, parseInt(req.params.id), res.sequelize);
+
+      return this.sendSuccess(res, '子账号已移除');
+
+    } catch (error) {
+      this.logError('移除子账号失败', error, req);
+      return this.sendSubAccountError(res, error, '移除子账号失败，请稍后重试');
+    }
+  });
+
+  /**
+   * 子账号接受邀请并设置密码
+   * POST /api/merchant/auth/invitation/accept
+   */
+  acceptInvitation = this.asyncHandler(async (req, res) => {
+    try {
+      const { token, newPassword } = req.body;
+
+      await this.subAccountService.acceptInvitation(token, newPassword, res.sequelize);
+
+      return this.sendSuccess(res, '账号已激活，请登录');
+
+    } catch (error) {
+      this.logError('接受子账号邀请失败', error, req);
+      return this.sendSubAccountError(res, error, '接受邀请失败，请稍后重试');
+    }
+  });
+}
+
+module.exports = MerchantSubAccountController;
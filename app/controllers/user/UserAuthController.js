@@ -5,11 +5,14 @@
 
 const BaseController = require('../base/BaseController');
 const UserAuthService = require('../../services/user/UserAuthService');
+const SessionService = require('../../services/common/SessionService');
+const { USER_ROLE } = require('../../../common/constants/status');
 
 class UserAuthController extends BaseController {
   constructor() {
     super();
     this.userAuthService = new UserAuthService();
+    this.sessionService = new SessionService();
   }
 
   /**
@@ -34,13 +37,24 @@ class UserAuthController extends BaseController {
         username.trim(),
         password,
         clientIP,
-        res.sequelize
+        res.sequelize,
+        req.get('User-Agent')
       );
 
+      // 密码已过期时只返回改密令牌，由客户端调用 /password/rotate 设置新密码后完成登录
+      if (result.passwordExpired) {
+        return this.sendSuccess(res, '密码已过期，请设置新密码', {
+          passwordExpired: true,
+          passwordToken: result.passwordToken,
+          expiresIn: result.expiresIn
+        });
+      }
+
       // 返回成功响应
       return this.sendSuccess(res, '登录成功', {
         ...result.user,
         token: result.tokens.accessToken,
+        refreshToken: result.tokens.refreshToken,
       });
 
     } catch (error) {
@@ -49,6 +63,8 @@ class UserAuthController extends BaseController {
       // 根据错误类型返回不同的状态码
       if (error.message.includes('锁定') || error.message.includes('尝试机会')) {
         return this.sendError(res, error.message, 423); // 423 Locked
+      } else if (error.message.includes('未激活')) {
+        return this.sendError(res, error.message, 403); // 403 Forbidden
       } else if (error.message.includes('不存在') || error.message.includes('密码') || error.message.includes('状态异常')) {
         return this.sendError(res, error.message, 401); // 401 Unauthorized
       } else {
@@ -57,6 +73,169 @@ class UserAuthController extends BaseController {
     }
   });
 
+  /**
+   * H5用户注册
+   * POST /api/user/auth/register
+   */
+  register = this.asyncHandler(async (req, res) => {
+    try {
+      const { username, password, email } = req.body;
+
+      // 获取客户端IP和用户代理，用于登记会话
+      const clientIP = req.ip || req.connection.remoteAddress || req.socket.remoteAddress;
+
+      // 调用服务层处理注册逻辑
+      const result = await this.userAuthService.register(
+        { username: username.trim(), password, email },
+        res.sequelize,
+        { ip: clientIP, userAgent: req.get('User-Agent') }
+      );
+
+      // 开启邮箱验证时不签发令牌，提示用户查收验证邮件
+      if (result.verificationRequired) {
+        return this.sendSuccess(res, '注册成功，请查收邮件完成验证', {
+          ...result.user,
+          verificationRequired: true
+        }, 201);
+      }
+
+      // 返回成功响应
+      return this.sendSuccess(res, '注册成功', {
+        ...result.user,
+        token: result.tokens.accessToken,
+        refreshToken: result.tokens.refreshToken,
+      }, 201);
+
+    } catch (error) {
+      this.logError('H5注册失败', error, req);
+
+      // 根据错误类型返回不同的状态码
+      if (error.message.includes('已存在') || error.message.includes('已被注册')) {
+        return this.sendError(res, error.message, 409); // 409 Conflict
+      } else if (error.message.includes('验证失败') || error.message.includes('密码')) {
+        return this.sendError(res, error.message, 400);
+      } else {
+        return this.sendError(res, 'H5注册失败，请稍后重试', 500);
+      }
+    }
+  });
+
+  /**
+   * H5邮箱验证
+   * POST /api/user/auth/email/verify
+   */
+  verifyEmail = this.asyncHandler(async (req, res) => {
+    try {
+      const { email, code } = req.body;
+
+      // 获取客户端IP和用户代理，用于登记会话
+      const clientIP = req.ip || req.connection.remoteAddress || req.socket.remoteAddress;
+
+      const result = await this.userAuthService.verifyEmail(
+        email,
+        code,
+        res.sequelize,
+        { ip: clientIP, userAgent: req.get('User-Agent') }
+      );
+
+      return this.sendSuccess(res, '邮箱验证成功', {
+        ...result.user,
+        token: result.tokens.accessToken,
+        refreshToken: result.tokens.refreshToken,
+      });
+
+    } catch (error) {
+      this.logError('H5邮箱验证失败', error, req);
+
+      if (error.message.includes('无效或已过期')) {
+        return this.sendError(res, error.message, 400);
+      }
+      return this.sendError(res, 'H5邮箱验证失败，请稍后重试', 500);
+    }
+  });
+
+  /**
+   * H5重发邮箱验证码
+   * POST /api/user/auth/email/resend
+   */
+  resendVerification = this.asyncHandler(async (req, res) => {
+    try {
+      await this.userAuthService.resendVerification(req.body.email, res.sequelize);
+
+      // 无论账号是否存在都返回相同结果，避免泄露注册信息
+      return this.sendSuccess(res, '如果该邮箱待验证，验证邮件将很快送达');
+
+    } catch (error) {
+      this.logError('H5重发验证邮件失败', error, req);
+      return this.sendError(res, 'H5重发验证邮件失败，请稍后重试', 500);
+    }
+  });
+
+  /**
+   * H5刷新令牌
+   * POST /api/user/auth/refresh
+   */
+  refresh = this.asyncHandler(async (req, res) => {
+    try {
+      const { refreshToken } = req.body;
+
+      // 获取客户端IP，用于记录令牌重放
+      const clientIP = req.ip || req.connection.remoteAddress || req.socket.remoteAddress;
+
+      // 调用服务层处理令牌刷新
+      const tokens = await this.userAuthService.refreshToken(refreshToken, res.sequelize, clientIP);
+
+      return this.sendSuccess(res, '令牌刷新成功', {
+        token: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
+        expiresIn: tokens.expiresIn
+      });
+
+    } catch (error) {
+      this.logError('H5令牌刷新失败', error, req);
+
+      // JWT校验失败、令牌类型错误或用户状态异常均视为未授权
+      if (['JsonWebTokenError', 'TokenExpiredError'].includes(error.name) ||
+        error.message.includes('无效') || error.message.includes('状态异常')) {
+        return this.sendError(res, '刷新令牌无效或已过期', 401);
+      }
+      return this.sendError(res, 'H5令牌刷新失败，请稍后重试', 500);
+    }
+  });
+
+  /**
+   * H5修改密码
+   * PUT /api/user/auth/password
+   */
+  changePassword = this.asyncHandler(async (req, res) => {
+    try {
+      this.logAction('H5修改密码请求', req);
+
+      const { currentPassword, newPassword } = req.body;
+
+      // 调用服务层处理密码修改
+      await this.userAuthService.changePassword(
+        req.user.id,
+        currentPassword,
+        newPassword,
+        res.sequelize
+      );
+
+      return this.sendSuccess(res, '密码修改成功');
+
+    } catch (error) {
+      this.logError('H5修改密码失败', error, req);
+
+      if (error.message.includes('不存在')) {
+        return this.sendError(res, error.message, 404);
+      } else if (error.message.includes('密码')) {
+        return this.sendError(res, error.message, 400);
+      } else {
+        return this.sendError(res, 'H5修改密码失败，请稍后重试', 500);
+      }
+    }
+  });
+
   /**
    * H5管理员登出
    * POST /api/admin/console/auth/logout
@@ -84,6 +263,239 @@ class UserAuthController extends BaseController {
       return this.sendError(res, 'H5登出失败', 500);
     }
   });
+
+  /**
+   * H5忘记密码
+   * POST /api/user/auth/password/forgot
+   */
+  forgotPassword = this.asyncHandler(async (req, res) => {
+    try {
+      await this.userAuthService.forgotPassword(req.body.email, res.sequelize);
+
+      // 无论账号是否存在都返回相同结果，避免泄露注册信息
+      return this.sendSuccess(res, '如果该邮箱已注册，重置邮件将很快送达');
+
+    } catch (error) {
+      this.logError('H5忘记密码失败', error, req);
+      return this.sendError(res, 'H5忘记密码处理失败，请稍后重试', 500);
+    }
+  });
+
+  /**
+   * H5重置密码
+   * POST /api/user/auth/password/reset
+   */
+  resetPassword = this.asyncHandler(async (req, res) => {
+    try {
+      const { token, newPassword } = req.body;
+
+      await this.userAuthService.resetPassword(token, newPassword, res.sequelize);
+
+      return this.sendSuccess(res, '密码重置成功，请重新登录');
+
+    } catch (error) {
+      this.logError('H5重置密码失败', error, req);
+
+      if (error.message.includes('无效或已过期') || error.message.includes('密码')) {
+        return this.sendError(res, error.message, 400);
+      }
+      return this.sendError(res, 'H5重置密码失败，请稍后重试', 500);
+    }
+  });
+
+  /**
+   * H5密码过期后设置新密码并完成登录
+   * POST /api/user/auth/password/rotate
+   */
+  rotatePassword = this.asyncHandler(async (req, res) => {
+    try {
+      const { passwordToken, newPassword } = req.body;
+
+      // 获取客户端IP
+      const clientIP = req.ip || req.connection.remoteAddress || req.socket.remoteAddress;
+
+      const result = await this.userAuthService.rotateExpiredPassword(passwordToken, newPassword, res.sequelize, {
+        ip: clientIP,
+        userAgent: req.get('User-Agent')
+      });
+
+      return this.sendSuccess(res, '密码已更新，登录成功', {
+        ...result.user,
+        token: result.tokens.accessToken,
+        refreshToken: result.tokens.refreshToken,
+      });
+
+    } catch (error) {
+      this.logError('H5过期密码更新失败', error, req);
+
+      if (error.message.includes('无效或已过期') || error.message.includes('密码')) {
+        return this.sendError(res, error.message, 400);
+      }
+      return this.sendError(res, 'H5密码更新失败，请稍后重试', 500);
+    }
+  });
+
+  /**
+   * H5申请免密登录验证码或登录链接
+   * POST /api/user/auth/otp/request
+   */
+  requestOtp = this.asyncHandler(async (req, res) => {
+    try {
+      const { channel, recipient, type } = req.body;
+
+      await this.userAuthService.requestLoginOtp({ channel, recipient, type }, res.sequelize);
+
+      // 无论账号是否存在都返回相同结果，避免泄露注册信息
+      return this.sendSuccess(res, type === 'link' ? '如果该邮箱已注册，登录链接将很快送达' : '如果该账号已注册，验证码将很快送达');
+
+    } catch (error) {
+      this.logError('H5申请免密登录失败', error, req);
+
+      if (error.message.includes('不支持') || error.message.includes('只支持')) {
+        return this.sendError(res, error.message, 400);
+      }
+      return this.sendError(res, 'H5申请免密登录失败，请稍后重试', 500);
+    }
+  });
+
+  /**
+   * H5验证码登录
+   * POST /api/user/auth/otp/verify
+   */
+  verifyOtp = this.asyncHandler(async (req, res) => {
+    try {
+      const { channel, recipient, code } = req.body;
+
+      // 获取客户端IP和用户代理，用于登记会话
+      const clientIP = req.ip || req.connection.remoteAddress || req.socket.remoteAddress;
+
+      const result = await this.userAuthService.loginWithOtp(
+        channel,
+        recipient,
+        code,
+        res.sequelize,
+        { ip: clientIP, userAgent: req.get('User-Agent') }
+      );
+
+      return this.sendSuccess(res, '登录成功', {
+        ...result.user,
+        token: result.tokens.accessToken,
+        refreshToken: result.tokens.refreshToken,
+      });
+
+    } catch (error) {
+      this.logError('H5验证码登录失败', error, req);
+
+      if (error.message.includes('不支持')) {
+        return this.sendError(res, error.message, 400);
+      } else if (error.message.includes('无效或已过期') || error.message.includes('状态异常')) {
+        return this.sendError(res, error.message, 401);
+      }
+      return this.sendError(res, 'H5验证码登录失败，请稍后重试', 500);
+    }
+  });
+
+  /**
+   * H5登录链接登录
+   * POST /api/user/auth/otp/link/verify
+   */
+  verifyMagicLink = this.asyncHandler(async (req, res) => {
+    try {
+      const { token, expires, signature } = req.body;
+
+      // 获取客户端IP和用户代理，用于登记会话
+      const clientIP = req.ip || req.connection.remoteAddress || req.socket.remoteAddress;
+
+      const result = await this.userAuthService.loginWithMagicLink(
+        { token, expires, signature },
+        res.sequelize,
+        { ip: clientIP, userAgent: req.get('User-Agent') }
+      );
+
+      return this.sendSuccess(res, '登录成功', {
+        ...result.user,
+        token: result.tokens.accessToken,
+        refreshToken: result.tokens.refreshToken,
+      });
+
+    } catch (error) {
+      this.logError('H5登录链接登录失败', error, req);
+
+      if (error.message.includes('无效或已过期') || error.message.includes('状态异常')) {
+        return this.sendError(res, error.message, 401);
+      }
+      return this.sendError(res, 'H5登录链接登录失败，请稍后重试', 500);
+    }
+  });
+
+  /**
+   * H5获取当前登录会话列表
+   * GET /api/user/auth/sessions
+   */
+  listSessions = this.asyncHandler(async (req, res) => {
+    try {
+      const sessions = await this.sessionService.listSessions(USER_ROLE.USER, req.user.id, req.sessionId);
+
+      return this.sendSuccess(res, '获取会话列表成功', { sessions });
+
+    } catch (error) {
+      this.logError('H5获取会话列表失败', error, req);
+      return this.sendError(res, '获取会话列表失败，请稍后重试', 500);
+    }
+  });
+
+  /**
+   * H5吊销指定会话
+   * DELETE /api/user/auth/sessions/:sessionId
+   */
+  revokeSession = this.asyncHandler(async (req, res) => {
+    try {
+      this.logAction('H5吊销会话请求', req, { sessionId: req.params.sessionId });
+
+      const revoked = await this.sessionService.revokeSession(
+        USER_ROLE.USER,
+        req.user.id,
+        req.params.sessionId,
+        '用户远程下线'
+      );
+
+      if (!revoked) {
+        return this.sendError(res, '会话不存在或已失效', 404);
+      }
+
+      return this.sendSuccess(res, '会话已下线');
+
+    } catch (error) {
+      this.logError('H5吊销会话失败', error, req);
+      return this.sendError(res, '吊销会话失败，请稍后重试', 500);
+    }
+  });
+
+  /**
+   * H5吊销除当前会话外的所有会话
+   * DELETE /api/user/auth/sessions
+   */
+  revokeOtherSessions = this.asyncHandler(async (req, res) => {
+    try {
+      this.logAction('H5吊销其他会话请求', req);
+
+      if (!req.sessionId) {
+        return this.sendError(res, '当前令牌未关联会话，请重新登录', 400);
+      }
+
+      const count = await this.sessionService.revokeOtherSessions(
+        USER_ROLE.USER,
+        req.user.id,
+        req.sessionId
+      );
+
+      return this.sendSuccess(res, '其他会话已下线', { count });
+
+    } catch (error) {
+      this.logError('H5吊销其他会话失败', error, req);
+      return this.sendError(res, '吊销会话失败，请稍后重试', 500);
+    }
+  });
 }
 
 module.exports = UserAuthController;
@@ -0,0 +1,204 @@
+/**
+ * H5第三方登录控制器
+ * 处理 OIDC 第三方登录、回调和账号绑定相关的HTTP请求
+ */
+
+const BaseController = require('../base/BaseController');
+const UserOidcService = require('../../services/user/UserOidcService');
+const OidcClientService = require('../../services/common/OidcClientService');
+
+// 浏览器绑定值 Cookie 的作用路径，覆盖登录回调和绑定回调接口
+const BINDING_COOKIE_PATH = '/api/user/auth';
+
+class UserOidcController extends BaseController {
+  constructor() {
+    super();
+    this.userOidcService = new UserOidcService();
+  }
+
+  /**
+   * 发起授权失败时的统一响应
+   * @param {Object} res - 响应对象
+   * @param {Error} error - 错误对象
+   */
+  sendAuthorizeError(res, error) {
+    if (error.message.includes('不支持')) {
+      return this.sendError(res, error.message, 404);
+    } else if (error.message.includes('第三方登录服务')) {
+      return this.sendError(res, '第三方登录服务暂不可用，请稍后重试', 502);
+    }
+    return this.sendError(res, '发起第三方登录失败，请稍后重试', 500);
+  }
+
+  /**
+   * 把授权请求的浏览器绑定值写入 HttpOnly Cookie，并返回不含绑定值的授权信息
+   * @param {Object} res - 响应对象
+   * @param {Object} result - 授权请求 { authorizationUrl, state, binding, expiresIn }
+   * @returns {Object} { authorizationUrl, state }
+   */
+  setBindingCookie(res, { binding, expiresIn, ...result }) {
+    res.cookie(OidcClientService.BINDING_COOKIE, binding, {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'lax',
+      path: BINDING_COOKIE_PATH,
+      maxAge: expiresIn * 1000
+    });
+    return result;
+  }
+
+  /**
+   * 读取并清除浏览器绑定值 Cookie，每个授权请求只能回调一次
+   * @param {Object} req - 请求对象
+   * @param {Object} res - 响应对象
+   * @returns {string|undefined} 绑定值
+   */
+  takeBindingCookie(req, res) {
+    res.clearCookie(OidcClientService.BINDING_COOKIE, { path: BINDING_COOKIE_PATH });
+    return req.cookies?.[OidcClientService.BINDING_COOKIE];
+  }
+
+  /**
+   * 回调失败时的统一响应
+   * @param {Object} res - 响应对象
+   * @param {Error} error - 错误对象
+   * @param {string} fallback - 未识别错误的提示
+   */
+  sendCallbackError(res, error, fallback) {
+    if (error.message.includes('不支持')) {
+      return this.sendError(res, error.message, 404);
+    } else if (error.message.includes('已绑定其他用户') || error.message.includes('已注册')) {
+      return this.sendError(res, error.message, 409); // 409 Conflict
+    } else if (error.message.includes('无效或已过期') || error.message.includes('ID令牌') || error.message.includes('状态异常')) {
+      return this.sendError(res, error.message, 401); // 401 Unauthorized
+    } else if (error.message.includes('第三方登录服务')) {
+      return this.sendError(res, '第三方登录服务暂不可用，请稍后重试', 502);
+    }
+    return this.sendError(res, fallback, 500);
+  }
+
+  /**
+   * H5获取第三方登录方式
+   * GET /api/user/auth/oidc/providers
+   */
+  listProviders = this.asyncHandler(async (req, res) => {
+    return this.sendSuccess(res, '获取第三方登录方式成功', {
+      providers: this.userOidcService.listProviders()
+    });
+  });
+
+  /**
+   * H5发起第三方登录，返回提供方授权地址，前端跳转后由回调页提交授权码
+   * POST /api/user/auth/oidc/:provider/authorize
+   */
+  authorize = this.asyncHandler(async (req, res) => {
+    try {
+      const result = await this.userOidcService.authorize(req.params.provider);
+
+      return this.sendSuccess(res, '获取授权地址成功', this.setBindingCookie(res, result));
+
+    } catch (error) {
+      this.logError('H5发起第三方登录失败', error, req);
+      return this.sendAuthorizeError(res, error);
+    }
+  });
+
+  /**
+   * H5第三方登录回调
+   * POST /api/user/auth/oidc/:provider/callback
+   */
+  callback = this.asyncHandler(async (req, res) => {
+    try {
+      const { code, state } = req.body;
+      const binding = this.takeBindingCookie(req, res);
+
+      // 获取客户端IP和用户代理，用于登记会话
+      const clientIP = req.ip || req.connection.remoteAddress || req.socket.remoteAddress;
+
+      const result = await this.userOidcService.callback(
+        req.params.provider,
+        code,
+        state,
+        binding,
+        res.sequelize,
+        { ip: clientIP, userAgent: req.get('User-Agent') }
+      );
+
+      return this.sendSuccess(res, '登录成功', {
+        ...result.user,
+        token: result.tokens.accessToken,
+        refreshToken: result.tokens.refreshToken,
+        created: result.created,
+        linked: result.linked
+      });
+
+    } catch (error) {
+      this.logError('H5第三方登录回调失败', error, req);
+      return this.sendCallbackError(res, error, '第三方登录失败，请稍后重试');
+    }
+  });
+
+  /**
+   * H5获取已绑定的第三方账号
+   * GET /api/user/auth/identities
+   */
+  listIdentities = this.asyncHandler(async (req, res) => {
+    try {
+      const identities = await this.userOidcService.listIdentities(req.user.id, res.sequelize);
+
+      return this.sendSuccess(res, '获取第三方账号成功', { identities });
+
+    } catch (error) {
+      this.logError('H5获取第三方账号失败', error, req);
+      return this.sendError(res, '获取第三方账号失败，请稍后重试', 500);
+    }
+  });
+
+  /**
+   * H5发起第三方账号绑定，回调完成后身份绑定到当前账号
+   * POST /api/user/auth/identities/:provider/authorize
+   */
+  authorizeLink = this.asyncHandler(async (req, res) => {
+    try {
+      this.logAction('H5发起第三方账号绑定', req, { provider: req.params.provider });
+
+      const result = await this.userOidcService.authorize(req.params.provider, req.user.id);
+
+      return this.sendSuccess(res, '获取授权地址成功', this.setBindingCookie(res, result));
+
+    } catch (error) {
+      this.logError('H5发起第三方账号绑定失败', error, req);
+      return this.sendAuthorizeError(res, error);
+    }
+  });
+
+  /**
+   * H5第三方账号绑定回调，只能由发起绑定的账号在登录状态下完成
+   * POST /api/user/auth/identities/:provider/callback
+   */
+  linkCallback = this.asyncHandler(async (req, res) => {
+    try {
+      const { code, state } = req.body;
+      const binding = this.takeBindingCookie(req, res);
+
+      const result = await this.userOidcService.linkCallback(
+        req.params.provider,
+        code,
+        state,
+        binding,
+        req.user.id,
+        res.sequelize
+      );
+
+      this.logAction('H5绑定第三方账号', req, { provider: req.params.provider, linked: result.linked });
+
+      return this.sendSuccess(res, '绑定第三方账号成功', result);
+
+    } catch (error) {
+      this.logError('H5第三方账号绑定回调失败', error, req);
+      return this.sendCallbackError(res, error, '绑定第三方账号失败，请稍后重试');
+    }
+  });
+}
+
+module.exports = UserOidcController;
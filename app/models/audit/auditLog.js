@@ -0,0 +1,103 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const AuditLog = sequelize.define('AuditLog', {
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    operation_id: {
+      type: DataTypes.STRING(36),
+      allowNull: false,
+      comment: '操作ID'
+    },
+    operation_type: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      comment: '操作类型(API_REQUEST、ADMIN_OPERATION等)'
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: '请求账号ID，模拟登录时为被模拟的账号'
+    },
+    user_role: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: '请求账号角色(10:h5用户,20:商户,30:总台管理员)'
+    },
+    actor_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: '实际操作人ID，模拟登录时为发起模拟的管理员'
+    },
+    actor_role: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: '实际操作人角色'
+    },
+    impersonation_id: {
+      type: DataTypes.STRING(36),
+      allowNull: true,
+      comment: '模拟登录ID'
+    },
+    method: {
+      type: DataTypes.STRING(10),
+      allowNull: true,
+      comment: '请求方法'
+    },
+    path: {
+      type: DataTypes.STRING(500),
+      allowNull: true,
+      comment: '请求路径'
+    },
+    ip: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+      comment: '请求IP'
+    },
+    status_code: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: '响应状态码'
+    },
+    success: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+      comment: '是否成功'
+    },
+    risk_level: {
+      type: DataTypes.STRING(16),
+      allowNull: true,
+      comment: '风险等级'
+    },
+    duration: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: '耗时(毫秒)'
+    },
+    entry: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      comment: '完整审计日志记录'
+    },
+    created_at: {
+      type: DataTypes.DATE(3),
+      allowNull: false,
+      comment: '操作时间'
+    }
+  }, {
+    tableName: 'audit_logs',
+    timestamps: false,
+    indexes: [
+      { fields: ['created_at'] },
+      { fields: ['actor_id', 'created_at'] },
+      { fields: ['user_id', 'created_at'] },
+      { fields: ['operation_type', 'created_at'] }
+    ]
+  });
+
+  return AuditLog;
+};
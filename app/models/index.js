@@ -1,13 +1,56 @@
 const { sequelize } = require('../../common/index');
+const { trackChanges } = require('../../common/mysql/changeTracker');
+const { USER_ROLE, USER_STATUS, MERCHANT_STATUS, COMMON_STATUS, PERMISSION_LEVEL } = require('../../common/constants/status');
 const userModel = require('./users/user');
+const userIdentityModel = require('./users/identity');
+const passwordHistoryModel = require('./users/passwordHistory');
 const merchantUserModel = require('./merchants/user');
+const merchantApiKeyModel = require('./merchants/apiKey');
+const roleModel = require('./rbac/role');
+const permissionModel = require('./rbac/permission');
+const rolePermissionModel = require('./rbac/rolePermission');
+const userRoleModel = require('./rbac/userRole');
+const auditLogModel = require('./audit/auditLog');
 
 // 初始化模型
 const models = {
   userModel: userModel(sequelize),
+  userIdentityModel: userIdentityModel(sequelize),
+  passwordHistoryModel: passwordHistoryModel(sequelize),
   merchantUserModel: merchantUserModel(sequelize),
+  merchantApiKeyModel: merchantApiKeyModel(sequelize),
+  roleModel: roleModel(sequelize),
+  permissionModel: permissionModel(sequelize),
+  rolePermissionModel: rolePermissionModel(sequelize),
+  userRoleModel: userRoleModel(sequelize),
+  auditLogModel: auditLogModel(sequelize),
 };
 
+// 角色权限关联
+models.roleModel.belongsToMany(models.permissionModel, {
+  through: models.rolePermissionModel,
+  foreignKey: 'role_id',
+  otherKey: 'permission_id',
+  as: 'permissions'
+});
+models.permissionModel.belongsToMany(models.roleModel, {
+  through: models.rolePermissionModel,
+  foreignKey: 'permission_id',
+  otherKey: 'role_id',
+  as: 'roles'
+});
+models.userRoleModel.belongsTo(models.roleModel, { foreignKey: 'role_id', as: 'role' });
+models.roleModel.hasMany(models.userRoleModel, { foreignKey: 'role_id', as: 'userRoles' });
+
+// 数据变更跟踪：敏感操作审计期间对以下表的写入，会在审计日志中记录字段级前后值（密码等字段脱敏）
+trackChanges(models.userModel, { enums: { role: USER_ROLE, status: USER_STATUS } });
+trackChanges(models.merchantUserModel, { enums: { role: USER_ROLE, status: USER_STATUS, merchant_status: MERCHANT_STATUS } });
+trackChanges(models.merchantApiKeyModel, { enums: { status: COMMON_STATUS } });
+trackChanges(models.roleModel, { enums: { user_type: USER_ROLE, level: PERMISSION_LEVEL, status: COMMON_STATUS } });
+trackChanges(models.permissionModel, { enums: { level: PERMISSION_LEVEL, status: COMMON_STATUS } });
+trackChanges(models.rolePermissionModel);
+trackChanges(models.userRoleModel, { enums: { user_type: USER_ROLE } });
+
 // 导出模型和 Sequelize 实例
 module.exports = {
   ...models,
@@ -0,0 +1,85 @@
+const { DataTypes } = require('sequelize');
+const { COMMON_STATUS } = require('../../../common/constants/status');
+
+module.exports = (sequelize) => {
+  const MerchantApiKey = sequelize.define('MerchantApiKey', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    merchant_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: '所属商户ID（商户主账号ID）'
+    },
+    name: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      comment: '密钥名称，便于商户区分用途'
+    },
+    key_prefix: {
+      type: DataTypes.STRING(16),
+      allowNull: false,
+      unique: true,
+      comment: '密钥前缀，明文保存用于展示和查找'
+    },
+    key_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      comment: '完整密钥的SHA-256哈希'
+    },
+    scopes: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: '密钥可用的权限编码列表，只能是商户权限的子集'
+    },
+    status: {
+      type: DataTypes.INTEGER,
+      defaultValue: COMMON_STATUS.ENABLED,
+      allowNull: false,
+      comment: '状态(0:已吊销,1:可用)'
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: '过期时间，为空表示长期有效'
+    },
+    last_used_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: '最后使用时间'
+    },
+    last_used_ip: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+      comment: '最后使用的IP地址'
+    },
+    rotated_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: '最后轮换时间'
+    },
+    revoked_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: '吊销时间'
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'merchant_api_keys',
+    timestamps: false,
+    indexes: [
+      { fields: ['merchant_id'] }
+    ]
+  });
+
+  return MerchantApiKey;
+};
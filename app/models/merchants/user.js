@@ -1,5 +1,5 @@
 const { DataTypes } = require('sequelize');
-const { USER_ROLE, USER_STATUS } = require('../../../common/constants/status');
+const { USER_ROLE, USER_STATUS, MERCHANT_STATUS, COMMON_STATUS } = require('../../../common/constants/status');
 const moment = require('moment');
 
 module.exports = (sequelize) => {
@@ -18,6 +18,11 @@ module.exports = (sequelize) => {
       type: DataTypes.STRING,
       allowNull: false
     },
+    password_updated_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: '密码最后修改时间，为空时按创建时间计算密码有效期'
+    },
     email: {
       type: DataTypes.STRING,
       allowNull: true,
@@ -42,6 +47,69 @@ module.exports = (sequelize) => {
       defaultValue: USER_STATUS.ACTIVE,
       comment: '用户状态(0:未激活,1:已激活,2:已暂停,3:已封禁,4:已删除)'
     },
+    merchant_status: {
+      type: DataTypes.INTEGER,
+      defaultValue: MERCHANT_STATUS.ACTIVE,
+      allowNull: false,
+      comment: '商户状态(0:禁用,1:正常,2:审核中,3:审核拒绝,4:暂停营业)，只对商户主账号生效'
+    },
+    status_reason: {
+      type: DataTypes.STRING(500),
+      allowNull: true,
+      comment: '最近一次审核拒绝或暂停营业的原因'
+    },
+    status_updated_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: '最近一次变更商户状态的总台管理员ID'
+    },
+    status_updated_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: '商户状态最近变更时间'
+    },
+    merchant_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: '所属商户ID（子账号指向商户主账号ID，主账号为空）'
+    },
+    shop_ids: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: '子账号可访问的店铺ID列表，主账号为空表示不限店铺'
+    },
+    permission_codes: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: '子账号的权限编码列表，只能是主账号权限的子集'
+    },
+    mfa_enabled: {
+      type: DataTypes.INTEGER,
+      defaultValue: COMMON_STATUS.DISABLED,
+      allowNull: false,
+      comment: '是否已启用二次验证(0:未启用,1:已启用)'
+    },
+    mfa_required: {
+      type: DataTypes.INTEGER,
+      defaultValue: COMMON_STATUS.NO,
+      allowNull: false,
+      comment: '是否强制该账号使用二次验证(0:否,1:是)'
+    },
+    mfa_secret: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+      comment: 'TOTP密钥(Base32)'
+    },
+    mfa_recovery_codes: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: '恢复码哈希列表，每个恢复码仅能使用一次'
+    },
+    mfa_enabled_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: '二次验证启用时间'
+    },
     last_login: {
       type: DataTypes.DATE,
       get() {
@@ -67,7 +135,11 @@ module.exports = (sequelize) => {
     }
   }, {
     tableName: 'merchants_users',
-    timestamps: false
+    timestamps: false,
+    indexes: [
+      { fields: ['merchant_id'] },
+      { fields: ['merchant_status'] }
+    ]
   });
 
   return MerchantsUsers;
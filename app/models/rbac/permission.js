@@ -0,0 +1,58 @@
+const { DataTypes } = require('sequelize');
+const { COMMON_STATUS, PERMISSION_LEVEL } = require('../../../common/constants/status');
+
+module.exports = (sequelize) => {
+  const Permission = sequelize.define('Permission', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    code: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      unique: true,
+      comment: '权限编码，格式 模块:操作，如 rbac:write'
+    },
+    name: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      comment: '权限名称'
+    },
+    module: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      comment: '所属模块，用于分组展示'
+    },
+    description: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      comment: '权限描述'
+    },
+    level: {
+      type: DataTypes.INTEGER,
+      defaultValue: PERMISSION_LEVEL.READ,
+      allowNull: false,
+      comment: '权限级别(1:只读,2:读写,3:管理,4:超级)'
+    },
+    status: {
+      type: DataTypes.INTEGER,
+      defaultValue: COMMON_STATUS.ENABLED,
+      allowNull: false,
+      comment: '状态(0:禁用,1:启用)'
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'permissions',
+    timestamps: false
+  });
+
+  return Permission;
+};
@@ -0,0 +1,59 @@
+const { DataTypes } = require('sequelize');
+const { USER_ROLE, COMMON_STATUS, PERMISSION_LEVEL } = require('../../../common/constants/status');
+
+module.exports = (sequelize) => {
+  const Role = sequelize.define('Role', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    code: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      unique: true,
+      comment: '角色编码，如 super_admin'
+    },
+    name: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      comment: '角色名称'
+    },
+    description: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      comment: '角色描述'
+    },
+    user_type: {
+      type: DataTypes.INTEGER,
+      defaultValue: USER_ROLE.CONSOLE_ADMIN,
+      allowNull: false,
+      comment: '适用的账号类型(10:h5用户,20:商户,30:总台管理员)'
+    },
+    level: {
+      type: DataTypes.INTEGER,
+      defaultValue: PERMISSION_LEVEL.READ,
+      allowNull: false,
+      comment: '权限级别(0:无权限,1:只读,2:读写,3:管理,4:超级)，超级角色拥有全部权限'
+    },
+    status: {
+      type: DataTypes.INTEGER,
+      defaultValue: COMMON_STATUS.ENABLED,
+      allowNull: false,
+      comment: '状态(0:禁用,1:启用)'
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'roles',
+    timestamps: false
+  });
+
+  return Role;
+};
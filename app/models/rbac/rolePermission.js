@@ -0,0 +1,33 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const RolePermission = sequelize.define('RolePermission', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    role_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: '角色ID'
+    },
+    permission_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: '权限ID'
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'role_permissions',
+    timestamps: false,
+    indexes: [
+      { unique: true, fields: ['role_id', 'permission_id'] }
+    ]
+  });
+
+  return RolePermission;
+};
@@ -0,0 +1,38 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const UserRole = sequelize.define('UserRole', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: '账号ID'
+    },
+    user_type: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: '账号类型(10:h5用户,20:商户,30:总台管理员)，区分不同账号表中相同的ID'
+    },
+    role_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: '角色ID'
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'user_roles',
+    timestamps: false,
+    indexes: [
+      { unique: true, fields: ['user_type', 'user_id', 'role_id'] }
+    ]
+  });
+
+  return UserRole;
+};
@@ -0,0 +1,53 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const UserIdentity = sequelize.define('UserIdentity', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: '绑定的用户ID（users表）'
+    },
+    provider: {
+      type: DataTypes.STRING(32),
+      allowNull: false,
+      comment: '第三方身份提供方名称，与 OIDC_PROVIDERS 配置一致'
+    },
+    subject: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      comment: '提供方内的用户标识（ID令牌的sub）'
+    },
+    email: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: '提供方返回的邮箱，仅供展示'
+    },
+    last_login_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: '最后通过该身份登录的时间'
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'user_identities',
+    timestamps: false,
+    indexes: [
+      { unique: true, fields: ['provider', 'subject'] },
+      { fields: ['user_id'] }
+    ]
+  });
+
+  return UserIdentity;
+};
@@ -0,0 +1,38 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const PasswordHistory = sequelize.define('PasswordHistory', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    user_type: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: '账号类型(10:h5用户,20:商户,30:总台管理员)'
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: '账号ID（h5用户为users表，商户和总台管理员为merchants_users表）'
+    },
+    password_hash: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: '使用过的密码哈希(bcrypt)'
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'password_histories',
+    timestamps: false,
+    indexes: [
+      { fields: ['user_type', 'user_id'] }
+    ]
+  });
+
+  return PasswordHistory;
+};
@@ -17,6 +17,11 @@ module.exports = (sequelize) => {
       type: DataTypes.STRING,
       allowNull: false
     },
+    password_updated_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: '密码最后修改时间，为空时按创建时间计算密码有效期'
+    },
     email: {
       type: DataTypes.STRING,
       allowNull: true,
@@ -24,6 +29,12 @@ module.exports = (sequelize) => {
         isEmail: true
       }
     },
+    phone: {
+      type: DataTypes.STRING(20),
+      allowNull: true,
+      unique: true,
+      comment: '手机号，用于短信验证码登录'
+    },
     role: {
       type: DataTypes.INTEGER,
       defaultValue: USER_ROLE.USER,
@@ -0,0 +1,22 @@
+/**
+ * 总台审计日志路由
+ * 查询持久化的审计日志，需要 audit:read 权限
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// 引入中间件和控制器
+const { quick } = require('../../../../middleware');
+const { AdminAuditController } = require('../../../controllers');
+
+// 创建审计日志控制器实例
+const adminAuditController = new AdminAuditController();
+
+/**
+ * 查询审计日志：可按操作人、账号、操作类型、时间范围和结果过滤
+ * GET /api/admin/audit-logs
+ */
+router.get('/', quick.requirePermissions('audit:read'), quick.commonValidations.auditLogSearch, adminAuditController.search);
+
+module.exports = router;
@@ -0,0 +1,25 @@
+// 引入Express框架，用于创建路由器
+const express = require('express');
+// 创建Express路由器实例，专门处理总台认证相关的路由（需登录）
+const router = express.Router();
+// 从中间件模块引入快速访问的验证器
+const { quick } = require('../../../../middleware');
+// 从控制器模块引入总台认证控制器类
+const { AdminAuthController } = require('../../../controllers');
+
+// 创建总台认证控制器实例，用于处理具体的认证业务逻辑
+const adminAuthController = new AdminAuthController();
+
+// 会话管理路由：查看当前登录设备、远程下线指定会话、下线除当前会话外的所有会话
+router.get('/sessions', adminAuthController.listSessions);
+router.delete('/sessions', adminAuthController.revokeOtherSessions);
+router.delete('/sessions/:sessionId', adminAuthController.revokeSession);
+
+// 二次验证管理路由：获取绑定密钥、确认绑定、关闭二次验证、重新生成恢复码
+router.post('/mfa/setup', adminAuthController.setupMfa);
+router.post('/mfa/confirm', quick.commonValidations.mfaCode, adminAuthController.confirmMfa);
+router.post('/mfa/disable', quick.commonValidations.mfaCode, adminAuthController.disableMfa);
+router.post('/mfa/recovery-codes', quick.commonValidations.mfaCode, adminAuthController.regenerateRecoveryCodes);
+
+// 导出路由器，供上级路由使用
+module.exports = router;
@@ -0,0 +1,32 @@
+/**
+ * 总台模拟登录路由
+ * 客服以商户或用户身份查看其所见页面，需要 account:impersonate 权限
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// 引入中间件和控制器
+const { quick, factories } = require('../../../../middleware');
+const { AdminImpersonationController } = require('../../../controllers');
+
+// 创建模拟登录控制器实例
+const adminImpersonationController = new AdminImpersonationController();
+
+// 开始和结束模拟登录都需要 account:impersonate
+const canStart = factories.createAdminPermissionStack('account:impersonate', { operationType: 'IMPERSONATION_START', strictLimiting: true });
+const canEnd = factories.createAdminPermissionStack('account:impersonate', { operationType: 'IMPERSONATION_END' });
+
+/**
+ * 开始模拟登录，签发目标账号端的短期访问令牌
+ * POST /api/admin/impersonation
+ */
+router.post('/', canStart, quick.commonValidations.impersonationStart, adminImpersonationController.start);
+
+/**
+ * 结束模拟登录
+ * DELETE /api/admin/impersonation/:id
+ */
+router.delete('/:id', canEnd, quick.commonValidations.impersonationEnd, adminImpersonationController.end);
+
+module.exports = router;
@@ -13,6 +13,8 @@ router.get('/', function(req, res) {
       // 列出所有可用的管理端API端点
       availableEndpoints: [
         '/api/admin/users',   // 用户管理相关接口
+        '/api/admin/merchant', // 商户管理相关接口
+        '/api/admin/audit-logs', // 审计日志查询接口
         '/api/admin/system'   // 系统管理相关接口
       ]
     }
@@ -25,6 +27,18 @@ const loginRouter = require('./no_require_auth/index'); // 总台认证路由
 // 注册总台认证路由，路径为/api/admin/auth（无需认证的公开路由）
 router.use('/auth', loginRouter);
 
+// 引入角色权限路由模块（每个接口自带按权限认证的中间件栈，需在通用管理端中间件之前注册）
+const rbacRouter = require('./rbac');
+
+// 注册角色权限路由，路径为/api/admin/rbac
+router.use('/rbac', rbacRouter);
+
+// 引入模拟登录路由模块（同样自带按权限认证的中间件栈）
+const impersonationRouter = require('./impersonation');
+
+// 注册模拟登录路由，路径为/api/admin/impersonation
+router.use('/impersonation', impersonationRouter);
+
 // 从中间件模块引入管理端专用中间件
 const { adminApi } = require('../../../middleware');
 
@@ -32,11 +46,17 @@ const { adminApi } = require('../../../middleware');
 router.use(adminApi);
 
 // 引入其他需要认证的管理端子路由模块
+const authRouter = require('./auth');            // 总台认证路由（需登录）
 const merchantRouter = require('./merchant');    // 用户管理路由
+const auditLogRouter = require('./audit-logs');  // 审计日志路由
+const systemRouter = require('./system');        // 系统运行状态路由
 
 
 // 注册需要认证的子路由到对应的路径
+router.use('/auth', authRouter);           // 注册认证路由，路径为/api/admin/auth
 router.use('/merchant', merchantRouter);   // 注册用户管理路由，路径为/api/admin/merchant
+router.use('/audit-logs', auditLogRouter); // 注册审计日志路由，路径为/api/admin/audit-logs
+router.use('/system', systemRouter);       // 注册系统运行状态路由，路径为/api/admin/system
 
 
 // 导出路由器，供上级路由使用
@@ -3,11 +3,13 @@ const express = require('express');
 // 创建Express路由器实例，专门处理管理端用户管理相关的路由
 const router = express.Router();
 
-const { CountryController, CurrencyController, LanguageController } = require('../../../controllers');
+const { quick } = require('../../../../middleware');
+const { CountryController, CurrencyController, LanguageController, AdminMerchantController } = require('../../../controllers');
 
 const countryController = new CountryController();
 const currencyController = new CurrencyController();
 const languageController = new LanguageController();
+const adminMerchantController = new AdminMerchantController();
 
 // 获取国家列表路由
 router.get('/countries', countryController.getCountries);
@@ -18,5 +20,32 @@ router.get('/currencies', currencyController.getCurrencies);
 // 获取语言列表路由
 router.get('/languages', languageController.getLanguages);
 
+// 商户管理：查看需要 merchant:read，变更需要 merchant:write；变更由总台中间件栈记入管理员操作审计
+const canRead = quick.requirePermissions('merchant:read');
+const canWrite = quick.requirePermissions('merchant:write');
+
+// 商户列表路由：分页，可按账号状态、商户状态和关键词过滤
+router.get('/', canRead, quick.commonValidations.merchantList, adminMerchantController.list);
+
+// 创建商户路由：新商户待审核，商户通过邮件链接设置密码
+router.post('/', canWrite, quick.commonValidations.merchantCreate, adminMerchantController.create);
+
+// 商户详情路由
+router.get('/:id', canRead, quick.validate([quick.rules.id()]), adminMerchantController.detail);
+
+// 编辑商户路由：用户名、邮箱
+router.put('/:id', canWrite, quick.commonValidations.merchantUpdate, adminMerchantController.update);
+
+// 入驻审核路由：审核通过、审核拒绝（需填写原因）
+router.post('/:id/approve', canWrite, quick.commonValidations.merchantStatusChange, adminMerchantController.approve);
+router.post('/:id/reject', canWrite, quick.commonValidations.merchantStatusReason, adminMerchantController.reject);
+
+// 营业状态路由：暂停营业（需填写原因，商户及子账号会话立即下线）、恢复营业
+router.post('/:id/suspend', canWrite, quick.commonValidations.merchantStatusReason, adminMerchantController.suspend);
+router.post('/:id/reactivate', canWrite, quick.commonValidations.merchantStatusChange, adminMerchantController.reactivate);
+
+// 重置密码路由：向商户邮箱发送设置新密码的链接
+router.post('/:id/password-reset', canWrite, quick.validate([quick.rules.id()]), adminMerchantController.resetPassword);
+
 // 导出路由器，供上级路由使用
 module.exports = router;
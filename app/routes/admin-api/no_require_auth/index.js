@@ -7,15 +7,53 @@ const express = require('express');
 const router = express.Router();
 
 // 引入总台中间件和控制器
-const { AdminAuthController } = require('../../../controllers');
+const { quick, stacks } = require('../../../../middleware');
+const { AdminAuthController, CaptchaController } = require('../../../controllers');
 
 // 创建总台认证控制器实例
 const adminAuthController = new AdminAuthController();
+const captchaController = new CaptchaController(['admin_login']);
 
 /**
- * 总台登录路由
+ * 总台获取验证码路由
+ * POST /api/admin/auth/captcha
+ */
+router.post('/captcha', quick.captchaRateLimit, quick.commonValidations.captcha, captchaController.create);
+
+/**
+ * 总台登录路由（连续失败后需要验证码）
  * POST /api/admin/auth/login
  */
-router.post('/login', adminAuthController.login);
+router.post('/login', stacks.admin.loginRisk, stacks.admin.loginCaptcha, adminAuthController.login);
+
+/**
+ * 总台刷新令牌路由
+ * POST /api/admin/auth/refresh
+ */
+router.post('/refresh', quick.commonValidations.refreshToken, adminAuthController.refresh);
+
+/**
+ * 总台密码过期后设置新密码
+ * POST /api/admin/auth/password/rotate
+ */
+router.post('/password/rotate', quick.commonValidations.passwordRotate, adminAuthController.rotatePassword);
+
+/**
+ * 总台登录第二步：校验二次验证码或恢复码
+ * POST /api/admin/auth/mfa/verify
+ */
+router.post('/mfa/verify', quick.commonValidations.mfaVerify, adminAuthController.verifyMfa);
+
+/**
+ * 总台强制绑定二次验证：获取绑定密钥
+ * POST /api/admin/auth/mfa/enroll
+ */
+router.post('/mfa/enroll', quick.commonValidations.mfaToken, adminAuthController.enrollMfa);
+
+/**
+ * 总台强制绑定二次验证：确认绑定并完成登录
+ * POST /api/admin/auth/mfa/enroll/confirm
+ */
+router.post('/mfa/enroll/confirm', quick.commonValidations.mfaEnrollConfirm, adminAuthController.confirmMfaEnrollment);
 
 module.exports = router;
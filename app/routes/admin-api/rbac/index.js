@@ -0,0 +1,92 @@
+/**
+ * 总台角色权限路由
+ * 处理角色、权限管理以及账号角色分配，每个接口使用按权限认证的中间件栈
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// 引入中间件和控制器
+const { quick, factories } = require('../../../../middleware');
+const { AdminRbacController } = require('../../../controllers');
+
+// 创建角色权限控制器实例
+const adminRbacController = new AdminRbacController();
+
+// 查看需要 rbac:read，变更需要 rbac:write
+const canRead = factories.createAdminPermissionStack('rbac:read', { operationType: 'RBAC_READ' });
+const canWrite = factories.createAdminPermissionStack('rbac:write', { operationType: 'PERMISSION_CHANGE' });
+
+/**
+ * 权限列表
+ * GET /api/admin/rbac/permissions
+ */
+router.get('/permissions', canRead, adminRbacController.listPermissions);
+
+/**
+ * 创建权限
+ * POST /api/admin/rbac/permissions
+ */
+router.post('/permissions', canWrite, quick.commonValidations.permissionCreate, adminRbacController.createPermission);
+
+/**
+ * 更新权限
+ * PUT /api/admin/rbac/permissions/:id
+ */
+router.put('/permissions/:id', canWrite, quick.commonValidations.permissionUpdate, adminRbacController.updatePermission);
+
+/**
+ * 删除权限
+ * DELETE /api/admin/rbac/permissions/:id
+ */
+router.delete('/permissions/:id', canWrite, quick.validate([quick.rules.id()]), adminRbacController.deletePermission);
+
+/**
+ * 角色列表（分页）
+ * GET /api/admin/rbac/roles
+ */
+router.get('/roles', canRead, quick.commonValidations.roleList, adminRbacController.listRoles);
+
+/**
+ * 角色详情
+ * GET /api/admin/rbac/roles/:id
+ */
+router.get('/roles/:id', canRead, quick.validate([quick.rules.id()]), adminRbacController.getRole);
+
+/**
+ * 创建角色
+ * POST /api/admin/rbac/roles
+ */
+router.post('/roles', canWrite, quick.commonValidations.roleCreate, adminRbacController.createRole);
+
+/**
+ * 更新角色
+ * PUT /api/admin/rbac/roles/:id
+ */
+router.put('/roles/:id', canWrite, quick.commonValidations.roleUpdate, adminRbacController.updateRole);
+
+/**
+ * 删除角色
+ * DELETE /api/admin/rbac/roles/:id
+ */
+router.delete('/roles/:id', canWrite, quick.validate([quick.rules.id()]), adminRbacController.deleteRole);
+
+/**
+ * 设置角色权限（全量覆盖）
+ * PUT /api/admin/rbac/roles/:id/permissions
+ */
+router.put('/roles/:id/permissions', canWrite, quick.commonValidations.rolePermissions, adminRbacController.setRolePermissions);
+
+/**
+ * 账号的角色和权限
+ * GET /api/admin/rbac/accounts/:userType/:userId/roles
+ */
+router.get('/accounts/:userType/:userId/roles', canRead, quick.commonValidations.accountRoles, adminRbacController.getAccountRoles);
+
+/**
+ * 设置账号的角色（全量覆盖）
+ * PUT /api/admin/rbac/accounts/:userType/:userId/roles
+ */
+router.put('/accounts/:userType/:userId/roles', canWrite, quick.commonValidations.accountRolesUpdate, adminRbacController.setAccountRoles);
+
+module.exports = router;
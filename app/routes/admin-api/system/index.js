@@ -0,0 +1,22 @@
+/**
+ * 总台系统运行状态路由
+ * 查看性能统计和API类型统计，需要 system:read 权限
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// 引入中间件和控制器
+const { quick } = require('../../../../middleware');
+const { AdminSystemController } = require('../../../controllers');
+
+// 创建系统运行状态控制器实例
+const adminSystemController = new AdminSystemController();
+
+/**
+ * 获取运行统计：集群模式下返回所有工作进程的合并结果和各工作进程明细
+ * GET /api/admin/system/stats
+ */
+router.get('/stats', quick.requirePermissions('system:read'), adminSystemController.getStats);
+
+module.exports = router;
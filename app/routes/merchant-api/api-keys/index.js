@@ -0,0 +1,46 @@
+/**
+ * 商户API密钥路由
+ * 商户主账号管理服务端集成使用的API密钥，子账号和API密钥本身无权访问
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// 引入中间件和控制器
+const { quick, stacks } = require('../../../../middleware');
+const { MerchantApiKeyController } = require('../../../controllers');
+
+// 创建API密钥控制器实例
+const apiKeyController = new MerchantApiKeyController();
+
+// 所有API密钥管理接口只允许登录的商户主账号访问
+router.use(stacks.merchant.owner);
+
+// 模拟登录状态下只能查看密钥列表，不能创建、轮换或吊销
+const noImpersonation = quick.forbidImpersonation;
+
+/**
+ * API密钥列表
+ * GET /api/merchant/api-keys
+ */
+router.get('/', apiKeyController.list);
+
+/**
+ * 创建API密钥
+ * POST /api/merchant/api-keys
+ */
+router.post('/', noImpersonation, quick.commonValidations.apiKeyCreate, apiKeyController.create);
+
+/**
+ * 轮换API密钥
+ * POST /api/merchant/api-keys/:id/rotate
+ */
+router.post('/:id/rotate', noImpersonation, quick.validate([quick.rules.id()]), apiKeyController.rotate);
+
+/**
+ * 吊销API密钥
+ * DELETE /api/merchant/api-keys/:id
+ */
+router.delete('/:id', noImpersonation, quick.validate([quick.rules.id()]), apiKeyController.revoke);
+
+module.exports = router;
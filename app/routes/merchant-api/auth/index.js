@@ -3,7 +3,7 @@ const express = require('express');
 // 创建Express路由器实例，专门处理商户认证相关的路由
 const router = express.Router();
 // 从中间件模块引入预定义的中间件堆栈，用于认证和权限验证
-const { stacks } = require('../../../../middleware');
+const { quick, stacks } = require('../../../../middleware');
 // 从控制器模块引入商户认证控制器类
 const { MerchantAuthController } = require('../../../controllers');
 
@@ -13,5 +13,10 @@ const merchantAuthController = new MerchantAuthController();
 // 商户登出路由：需要认证中间件验证，处理商户登出并使令牌失效
 router.post('/logout', stacks.merchant.authenticated, merchantAuthController.logout);
 
+// 会话管理路由：查看当前登录设备、远程下线指定会话、下线除当前会话外的所有会话，模拟登录状态下只能查看
+router.get('/sessions', stacks.merchant.authenticated, merchantAuthController.listSessions);
+router.delete('/sessions', stacks.merchant.authenticated, quick.forbidImpersonation, merchantAuthController.revokeOtherSessions);
+router.delete('/sessions/:sessionId', stacks.merchant.authenticated, quick.forbidImpersonation, merchantAuthController.revokeSession);
+
 // 导出路由器，供上级路由使用
 module.exports = router;
@@ -3,18 +3,30 @@ const express = require('express');
 // 创建Express路由器实例，专门处理商户端API路由
 const router = express.Router();
 
+// 引入商户登录路由模块（需要在认证中间件之前注册，因为登录接口本身不需要认证）
+const loginRouter = require('./no_require_auth/index'); // 商户认证路由
+
+// 注册商户认证路由，路径为/api/merchant/auth（无需认证的公开路由）
+router.use('/auth', loginRouter);
+
+// 引入子账号管理路由模块（使用主账号专用中间件栈，需在通用商户端中间件之前注册）
+const subAccountRouter = require('./sub-accounts');
+
+// 注册子账号管理路由，路径为/api/merchant/sub-accounts
+router.use('/sub-accounts', subAccountRouter);
+
+// 引入API密钥管理路由模块（同样使用主账号专用中间件栈）
+const apiKeyRouter = require('./api-keys');
+
+// 注册API密钥管理路由，路径为/api/merchant/api-keys
+router.use('/api-keys', apiKeyRouter);
+
 // 从中间件模块引入商户端专用中间件
 const { merchantApi } = require('../../../middleware');
 
-// 将商户端基础中间件应用到所有子路由，包括认证、权限验证等
+// 将商户端基础中间件应用到需要认证的子路由，包括认证、权限验证等
 router.use(merchantApi);
 
-// 引入商户登录路由模块（需要在认证中间件之前注册，因为登录接口本身不需要认证）
-const loginRouter = require('./no_require_auth/index'); // 总台认证路由
-
-// 注册总台认证路由，路径为/api/admin/auth（无需认证的公开路由）
-router.use('/auth', loginRouter);
-
 // 引入商户端子路由模块
 const authRouter = require('./auth');        // 商户认证路由
 
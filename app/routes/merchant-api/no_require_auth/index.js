@@ -7,15 +7,54 @@ const express = require('express');
 const router = express.Router();
 
 // 引入商户中间件和控制器
-const { MerchantAuthController } = require('../../../controllers');
+const { quick, stacks } = require('../../../../middleware');
+const { MerchantAuthController, MerchantSubAccountController, CaptchaController } = require('../../../controllers');
 
 // 创建商户认证控制器实例
 const merchantAuthController = new MerchantAuthController();
+const subAccountController = new MerchantSubAccountController();
+const captchaController = new CaptchaController(['merchant_login']);
 
 /**
- * 商户登录路由
+ * 商户获取验证码路由
+ * POST /api/merchant/auth/captcha
+ */
+router.post('/captcha', quick.captchaRateLimit, quick.commonValidations.captcha, captchaController.create);
+
+/**
+ * 商户登录路由（连续失败后需要验证码）
  * POST /api/admin/auth/login
  */
-router.post('/login', merchantAuthController.login);
+router.post('/login', stacks.merchant.loginRisk, stacks.merchant.loginCaptcha, merchantAuthController.login);
+
+/**
+ * 商户刷新令牌路由
+ * POST /api/merchant/auth/refresh
+ */
+router.post('/refresh', quick.commonValidations.refreshToken, merchantAuthController.refresh);
+
+/**
+ * 商户忘记密码路由（独立限流）
+ * POST /api/merchant/auth/password/forgot
+ */
+router.post('/password/forgot', stacks.merchant.forgotPassword, quick.commonValidations.forgotPassword, merchantAuthController.forgotPassword);
+
+/**
+ * 商户重置密码路由
+ * POST /api/merchant/auth/password/reset
+ */
+router.post('/password/reset', quick.commonValidations.resetPassword, merchantAuthController.resetPassword);
+
+/**
+ * 商户密码过期后设置新密码
+ * POST /api/merchant/auth/password/rotate
+ */
+router.post('/password/rotate', quick.commonValidations.passwordRotate, merchantAuthController.rotatePassword);
+
+/**
+ * 子账号接受邀请路由（设置密码并激活）
+ * POST /api/merchant/auth/invitation/accept
+ */
+router.post('/invitation/accept', stacks.merchant.public, quick.commonValidations.acceptInvitation, subAccountController.acceptInvitation);
 
 module.exports = router;
@@ -0,0 +1,58 @@
+/**
+ * 商户子账号路由
+ * 商户主账号邀请和管理员工子账号，子账号本身无权访问
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// 引入中间件和控制器
+const { quick, stacks } = require('../../../../middleware');
+const { MerchantSubAccountController } = require('../../../controllers');
+
+// 创建子账号控制器实例
+const subAccountController = new MerchantSubAccountController();
+
+// 所有子账号管理接口只允许商户主账号访问
+router.use(stacks.merchant.owner);
+
+// 模拟登录状态下只能查看子账号列表，不能邀请、修改或移除子账号，避免留下模拟结束后仍然有效的凭据
+const noImpersonation = quick.forbidImpersonation;
+
+/**
+ * 子账号列表
+ * GET /api/merchant/sub-accounts
+ */
+router.get('/', quick.commonValidations.subAccountList, subAccountController.list);
+
+/**
+ * 邀请子账号
+ * POST /api/merchant/sub-accounts
+ */
+router.post('/', noImpersonation, quick.commonValidations.subAccountInvite, subAccountController.invite);
+
+/**
+ * 更新子账号可访问的店铺和权限
+ * PUT /api/merchant/sub-accounts/:id
+ */
+router.put('/:id', noImpersonation, quick.commonValidations.subAccountUpdate, subAccountController.update);
+
+/**
+ * 启用或停用子账号
+ * PUT /api/merchant/sub-accounts/:id/status
+ */
+router.put('/:id/status', noImpersonation, quick.commonValidations.subAccountStatus, subAccountController.setStatus);
+
+/**
+ * 重新发送邀请邮件
+ * POST /api/merchant/sub-accounts/:id/invitation
+ */
+router.post('/:id/invitation', noImpersonation, quick.validate([quick.rules.id()]), subAccountController.resendInvitation);
+
+/**
+ * 移除子账号
+ * DELETE /api/merchant/sub-accounts/:id
+ */
+router.delete('/:id', noImpersonation, quick.validate([quick.rules.id()]), subAccountController.remove);
+
+module.exports = router;
@@ -3,13 +3,29 @@ const express = require('express');
 // 创建Express路由器实例，专门处理用户认证相关的路由
 const router = express.Router();
 
+// 从中间件模块引入快速访问的验证器
+const { quick } = require('../../../../middleware');
 // 从控制器模块引入用户认证控制器类
-const { UserAuthController } = require('../../../controllers');
+const { UserAuthController, UserOidcController } = require('../../../controllers');
 
 // 创建用户认证控制器实例，用于处理具体的认证业务逻辑
 const userAuthController = new UserAuthController();
+const userOidcController = new UserOidcController();
 
 router.post('/logout', userAuthController.logout);
 
+// 修改密码路由：需要认证（由上级路由的用户端中间件保证），校验当前密码和新密码格式，模拟登录状态下不可用
+router.put('/password', quick.forbidImpersonation, quick.commonValidations.changePassword, userAuthController.changePassword);
+
+// 会话管理路由：查看当前登录设备、远程下线指定会话、下线除当前会话外的所有会话，模拟登录状态下只能查看
+router.get('/sessions', userAuthController.listSessions);
+router.delete('/sessions', quick.forbidImpersonation, userAuthController.revokeOtherSessions);
+router.delete('/sessions/:sessionId', quick.forbidImpersonation, userAuthController.revokeSession);
+
+// 第三方账号路由：查看已绑定的第三方账号、发起绑定和完成绑定（须由发起绑定的账号提交回调），模拟登录状态下不能绑定
+router.get('/identities', userOidcController.listIdentities);
+router.post('/identities/:provider/authorize', quick.forbidImpersonation, userOidcController.authorizeLink);
+router.post('/identities/:provider/callback', quick.forbidImpersonation, quick.commonValidations.oidcCallback, userOidcController.linkCallback);
+
 // 导出路由器，供上级路由使用
 module.exports = router;
@@ -7,10 +7,19 @@ const express = require('express');
 const router = express.Router();
 
 // 引入H5中间件和控制器
-const { UserAuthController } = require('../../../controllers');
+const { quick, stacks } = require('../../../../middleware');
+const { UserAuthController, UserOidcController, CaptchaController } = require('../../../controllers');
 
 // 创建H5认证控制器实例
 const userAuthController = new UserAuthController();
+const userOidcController = new UserOidcController();
+const captchaController = new CaptchaController(['user_register']);
+
+/**
+ * H5获取验证码路由
+ * POST /api/user/auth/captcha
+ */
+router.post('/captcha', quick.captchaRateLimit, quick.commonValidations.captcha, captchaController.create);
 
 /**
  * H5登录路由
@@ -18,4 +27,82 @@ const userAuthController = new UserAuthController();
  */
 router.post('/login', userAuthController.login);
 
+/**
+ * H5注册路由
+ * POST /api/user/auth/register
+ */
+router.post('/register', quick.commonValidations.userRegister, stacks.user.registerCaptcha, userAuthController.register);
+
+/**
+ * H5刷新令牌路由
+ * POST /api/user/auth/refresh
+ */
+router.post('/refresh', quick.commonValidations.refreshToken, userAuthController.refresh);
+
+/**
+ * H5忘记密码路由（独立限流）
+ * POST /api/user/auth/password/forgot
+ */
+router.post('/password/forgot', stacks.user.forgotPassword, quick.commonValidations.forgotPassword, userAuthController.forgotPassword);
+
+/**
+ * H5重置密码路由
+ * POST /api/user/auth/password/reset
+ */
+router.post('/password/reset', quick.commonValidations.resetPassword, userAuthController.resetPassword);
+
+/**
+ * H5密码过期后设置新密码
+ * POST /api/user/auth/password/rotate
+ */
+router.post('/password/rotate', quick.commonValidations.passwordRotate, userAuthController.rotatePassword);
+
+/**
+ * H5邮箱验证路由
+ * POST /api/user/auth/email/verify
+ */
+router.post('/email/verify', quick.commonValidations.verifyEmail, userAuthController.verifyEmail);
+
+/**
+ * H5重发邮箱验证码路由（独立限流）
+ * POST /api/user/auth/email/resend
+ */
+router.post('/email/resend', stacks.user.verificationEmail, quick.commonValidations.forgotPassword, userAuthController.resendVerification);
+
+/**
+ * H5申请免密登录路由（独立限流）：发送短信/邮件验证码或邮件登录链接
+ * POST /api/user/auth/otp/request
+ */
+router.post('/otp/request', stacks.user.otpRequest, quick.commonValidations.otpRequest, userAuthController.requestOtp);
+
+/**
+ * H5验证码登录路由
+ * POST /api/user/auth/otp/verify
+ */
+router.post('/otp/verify', stacks.user.login, quick.commonValidations.otpVerify, userAuthController.verifyOtp);
+
+/**
+ * H5登录链接登录路由：登录页从链接中取出参数后提交
+ * POST /api/user/auth/otp/link/verify
+ */
+router.post('/otp/link/verify', stacks.user.login, quick.commonValidations.magicLinkVerify, userAuthController.verifyMagicLink);
+
+/**
+ * H5第三方登录方式路由
+ * GET /api/user/auth/oidc/providers
+ */
+router.get('/oidc/providers', userOidcController.listProviders);
+
+/**
+ * H5发起第三方登录路由
+ * POST /api/user/auth/oidc/:provider/authorize
+ */
+router.post('/oidc/:provider/authorize', userOidcController.authorize);
+
+/**
+ * H5第三方登录回调路由：回调页拿到授权码后提交
+ * POST /api/user/auth/oidc/:provider/callback
+ */
+router.post('/oidc/:provider/callback', stacks.user.login, quick.commonValidations.oidcCallback, userOidcController.callback);
+
 module.exports = router;
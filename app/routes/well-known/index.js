@@ -0,0 +1,19 @@
+/**
+ * 公开元数据路由
+ * 挂载在 /.well-known 下，无需认证
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const { JwksController } = require('../../controllers');
+
+const jwksController = new JwksController();
+
+/**
+ * 令牌签名公钥集
+ * GET /.well-known/jwks.json
+ */
+router.get('/jwks.json', jwksController.getJwks);
+
+module.exports = router;
@@ -0,0 +1,31 @@
+/**
+ * 总台审计日志服务
+ * 按操作人、账号、操作类型、时间范围、结果和变更的数据记录查询持久化的审计日志
+ */
+
+const BaseService = require('../base/BaseService');
+const { getAuditLogs } = require('../../../middleware/monitoring/audit');
+
+// 支持的过滤条件
+const AUDIT_FILTER_FIELDS = ['actorId', 'userId', 'operationType', 'startDate', 'endDate', 'success', 'statusCode', 'entityType', 'entityId'];
+
+class AdminAuditService extends BaseService {
+  /**
+   * 查询审计日志（分页，按时间倒序）
+   * @param {Object} filters - 过滤条件 { actorId, userId, operationType, startDate, endDate, success, statusCode, entityType, entityId }
+   * @param {Object} pagination - 分页参数 { offset, limit }
+   * @returns {Promise<{rows: Array, total: number}>} 审计日志及总数
+   */
+  async searchAuditLogs(filters, pagination) {
+    const conditions = AUDIT_FILTER_FIELDS.reduce((result, field) => {
+      if (filters[field] !== undefined && filters[field] !== '') {
+        result[field] = filters[field];
+      }
+      return result;
+    }, {});
+
+    return await getAuditLogs(conditions, { offset: pagination.offset, limit: pagination.limit });
+  }
+}
+
+module.exports = AdminAuditService;
@@ -4,7 +4,13 @@
  */
 
 const BaseService = require('../base/BaseService');
+const RefreshTokenService = require('../common/RefreshTokenService');
+const SessionService = require('../common/SessionService');
+const JwtKeyService = require('../common/JwtKeyService');
 const AdminLoginTracker = require('./AdminAuthUtils');
+const AdminMfaService = require('./AdminMfaService');
+const LoginRiskService = require('../common/LoginRiskService');
+const PasswordPolicyService = require('../common/PasswordPolicyService');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const { Op } = require('sequelize');
@@ -15,9 +21,14 @@ class AdminAuthService extends BaseService {
   constructor() {
     super();
     this.loginTracker = new AdminLoginTracker();
-    this.jwtSecret = process.env.JWT_SECRET || 'your_jwt_secret';
+    this.mfaService = new AdminMfaService();
+    this.riskService = new LoginRiskService('admin');
+    this.passwordPolicy = new PasswordPolicyService(USER_ROLE.CONSOLE_ADMIN);
+    this.jwtKeyService = new JwtKeyService('admin');
     this.jwtExpiresIn = process.env.JWT_EXPIRES_IN || '8h'; // 总台令牌8小时有效期
     this.refreshTokenExpiresIn = process.env.REFRESH_TOKEN_EXPIRES_IN || '24h';
+    this.refreshTokenService = new RefreshTokenService('admin');
+    this.sessionService = new SessionService();
   }
 
   /**
@@ -26,9 +37,10 @@ class AdminAuthService extends BaseService {
    * @param {string} password - 密码
    * @param {string} ip - 客户端IP地址
    * @param {Object} sequelize - 数据库实例
+   * @param {string} userAgent - 客户端用户代理，用于会话登记
    * @returns {Promise<Object>} 登录结果
    */
-  async login(username, password, ip, sequelize) {
+  async login(username, password, ip, sequelize, userAgent = null) {
     try {
 
       // 1. 检查账号是否被锁定
@@ -50,6 +62,7 @@ class AdminAuthService extends BaseService {
       if (!user) {
         // 记录失败尝试
         await this.loginTracker.recordFailedAttempt(username, ip);
+        await this.riskService.recordFailure({ username, ip });
         throw new Error('总台账号不存在或无权限');
       }
 
@@ -58,38 +71,325 @@ class AdminAuthService extends BaseService {
       if (!isPasswordValid) {
         // 记录登录失败
         const failResult = await this.loginTracker.recordFailedAttempt(username, ip);
+        await this.riskService.recordFailure({ username, ip });
         throw new Error(failResult.message);
       }
 
-      // 5. 登录成功，清除失败计数
-      await this.loginTracker.recordSuccessfulLogin(username, ip);
-
-      // 6. 生成令牌
-      const tokens = await this.generateTokens(user);
+      // 5. 密码已过期时只签发改密令牌，设置新密码后再继续登录
+      if (this.passwordPolicy.isExpired(user)) {
+        return await this.passwordPolicy.createRotationToken(user);
+      }
 
-      // 7. 更新最后登录时间
-      await user.update({
-        last_login: new Date(),
-        login_count: (user.login_count || 0) + 1
-      });
+      // 6. 继续二次验证或完成登录
+      return await this.continueLogin(user, ip, userAgent);
 
-      // 8. 返回登录结果（不包含密码）
-      const userInfo = {
-        id: user.id,
-        username: user.username,
-        email: user.email,
-        role: user.role,
-        status: user.status,
-        last_login: user.last_login,
-      };
+    } catch (error) {
+      this.logError(`总台登录失败: ${username}, IP: ${ip}`, error);
+      throw error;
+    }
+  }
 
+  /**
+   * 密码校验通过后继续登录：需要二次验证时签发待验证令牌，否则完成登录
+   * @param {Object} user - 管理员模型实例
+   * @param {string} ip - 客户端IP地址
+   * @param {string} userAgent - 客户端用户代理
+   * @returns {Promise<Object>} 登录结果或待验证令牌
+   */
+  async continueLogin(user, ip, userAgent = null) {
+    // 已启用或被要求启用二次验证时，只签发待验证令牌，完成第二步后再发放正式令牌
+    if (this.mfaService.isEnabled(user) || this.mfaService.isRequired(user)) {
+      const pending = await this.mfaService.createPendingToken(user);
       return {
-        user: userInfo,
-        tokens,
+        mfaRequired: true,
+        mfaEnrollRequired: pending.enroll,
+        mfaToken: pending.mfaToken,
+        expiresIn: pending.expiresIn
       };
+    }
+
+    return await this.completeLogin(user, ip, userAgent);
+  }
+
+  /**
+   * 密码过期后设置新密码并继续登录，启用了二次验证的账号仍需完成二次验证
+   * @param {string} passwordToken - 登录时返回的改密令牌
+   * @param {string} newPassword - 新密码
+   * @param {string} ip - 客户端IP地址
+   * @param {Object} sequelize - 数据库实例
+   * @param {string} userAgent - 客户端用户代理
+   * @returns {Promise<Object>} 登录结果或待验证令牌
+   */
+  async rotateExpiredPassword(passwordToken, newPassword, ip, sequelize, userAgent = null) {
+    try {
+      const userId = await this.passwordPolicy.peekRotationToken(passwordToken);
+      if (!userId) {
+        throw new Error('改密令牌无效或已过期');
+      }
+
+      const user = await this.findActiveAdmin(userId, sequelize);
+
+      await this.passwordPolicy.assertAcceptable(user, newPassword, sequelize);
+      if (!await this.passwordPolicy.consumeRotationToken(passwordToken)) {
+        throw new Error('改密令牌无效或已过期');
+      }
+      await this.passwordPolicy.applyPassword(user, newPassword, sequelize);
+
+      this.logAction(`总台过期密码已更新: ${user.username}, ID: ${user.id}`);
+      return await this.continueLogin(user, ip, userAgent);
 
     } catch (error) {
-      this.logError(`总台登录失败: ${username}, IP: ${ip}`, error);
+      this.logError(`总台过期密码更新失败, IP: ${ip}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * 完成登录：清除失败计数、记录登录设备、签发令牌并更新登录信息
+   * @param {Object} user - 管理员模型实例
+   * @param {string} ip - 客户端IP地址
+   * @param {string} userAgent - 客户端用户代理
+   * @returns {Promise<Object>} 登录结果
+   */
+  async completeLogin(user, ip, userAgent = null) {
+    // 1. 清除失败计数
+    await this.loginTracker.recordSuccessfulLogin(user.username, ip);
+
+    // 2. 记录登录设备和位置，新设备登录时提醒
+    await this.riskService.handleSuccessfulLogin(user, { ip, userAgent });
+
+    // 3. 生成令牌并登记会话
+    const tokens = await this.generateTokens(user, null, { ip, userAgent });
+
+    // 4. 更新最后登录时间
+    await user.update({
+      last_login: new Date(),
+      login_count: (user.login_count || 0) + 1
+    });
+
+    // 5. 返回登录结果（不包含密码和二次验证密钥）
+    const userInfo = {
+      id: user.id,
+      username: user.username,
+      email: user.email,
+      role: user.role,
+      status: user.status,
+      mfa_enabled: user.mfa_enabled,
+      last_login: user.last_login,
+    };
+
+    return {
+      user: userInfo,
+      tokens,
+    };
+  }
+
+  /**
+   * 登录第二步：校验验证码或恢复码后发放正式令牌
+   * @param {string} mfaToken - 登录第一步返回的待验证令牌
+   * @param {Object} factor - { code, recoveryCode }
+   * @param {string} ip - 客户端IP地址
+   * @param {Object} sequelize - 数据库实例
+   * @param {string} userAgent - 客户端用户代理
+   * @returns {Promise<Object>} 登录结果
+   */
+  async verifyMfaLogin(mfaToken, factor, ip, sequelize, userAgent = null) {
+    try {
+      const decoded = await this.mfaService.resolvePendingToken(mfaToken);
+
+      if (decoded.enroll) {
+        throw new Error('请先完成二次验证绑定');
+      }
+
+      // 二次验证失败同样计入登录失败次数
+      const lockStatus = await this.loginTracker.checkLockStatus(decoded.username);
+      if (lockStatus.isLocked) {
+        throw new Error(lockStatus.message);
+      }
+
+      const user = await this.findActiveAdmin(decoded.id, sequelize);
+
+      const passed = await this.mfaService.verifySecondFactor(user, factor);
+      if (!passed) {
+        const remaining = await this.mfaService.recordPendingFailure(decoded);
+        const failResult = await this.loginTracker.recordFailedAttempt(user.username, ip);
+        if (remaining <= 0) {
+          throw new Error('验证码错误次数过多，请重新登录');
+        }
+        throw new Error(failResult.shouldLock ? failResult.message : `验证码错误，还有${remaining}次尝试机会`);
+      }
+
+      await this.mfaService.consumePendingToken(decoded);
+      return await this.completeLogin(user, ip, userAgent);
+
+    } catch (error) {
+      this.logError(`总台二次验证失败, IP: ${ip}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * 强制绑定流程：凭待验证令牌获取绑定密钥
+   * @param {string} mfaToken - 登录第一步返回的待验证令牌
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} { secret, otpauthUri }
+   */
+  async beginMfaEnrollment(mfaToken, sequelize) {
+    const decoded = await this.mfaService.resolvePendingToken(mfaToken);
+    if (!decoded.enroll) {
+      throw new Error('已启用二次验证，请勿重复绑定');
+    }
+
+    const user = await this.findActiveAdmin(decoded.id, sequelize);
+    return await this.mfaService.beginSetup(user);
+  }
+
+  /**
+   * 强制绑定流程：确认绑定并完成登录
+   * @param {string} mfaToken - 登录第一步返回的待验证令牌
+   * @param {string} code - 验证器生成的验证码
+   * @param {string} ip - 客户端IP地址
+   * @param {Object} sequelize - 数据库实例
+   * @param {string} userAgent - 客户端用户代理
+   * @returns {Promise<Object>} 登录结果及恢复码
+   */
+  async confirmMfaEnrollment(mfaToken, code, ip, sequelize, userAgent = null) {
+    try {
+      const decoded = await this.mfaService.resolvePendingToken(mfaToken);
+      if (!decoded.enroll) {
+        throw new Error('已启用二次验证，请勿重复绑定');
+      }
+
+      const user = await this.findActiveAdmin(decoded.id, sequelize);
+
+      let recoveryCodes;
+      try {
+        recoveryCodes = await this.mfaService.confirmSetup(user, code);
+      } catch (error) {
+        await this.mfaService.recordPendingFailure(decoded);
+        throw error;
+      }
+
+      await this.mfaService.consumePendingToken(decoded);
+      const result = await this.completeLogin(user, ip, userAgent);
+
+      return { ...result, recoveryCodes };
+
+    } catch (error) {
+      this.logError(`总台二次验证绑定失败, IP: ${ip}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * 已登录管理员获取绑定密钥
+   * @param {number} userId - 管理员ID
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} { secret, otpauthUri }
+   */
+  async setupMfa(userId, sequelize) {
+    const user = await this.findActiveAdmin(userId, sequelize);
+    return await this.mfaService.beginSetup(user);
+  }
+
+  /**
+   * 已登录管理员确认绑定
+   * @param {number} userId - 管理员ID
+   * @param {string} code - 验证器生成的验证码
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Array<string>>} 恢复码
+   */
+  async confirmMfa(userId, code, sequelize) {
+    const user = await this.findActiveAdmin(userId, sequelize);
+    return await this.mfaService.confirmSetup(user, code);
+  }
+
+  /**
+   * 关闭二次验证
+   * @param {number} userId - 管理员ID
+   * @param {string} code - 验证器生成的验证码
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<boolean>} 是否成功
+   */
+  async disableMfa(userId, code, sequelize) {
+    const user = await this.findActiveAdmin(userId, sequelize);
+    return await this.mfaService.disable(user, code);
+  }
+
+  /**
+   * 重新生成恢复码
+   * @param {number} userId - 管理员ID
+   * @param {string} code - 验证器生成的验证码
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Array<string>>} 新的恢复码
+   */
+  async regenerateRecoveryCodes(userId, code, sequelize) {
+    const user = await this.findActiveAdmin(userId, sequelize);
+    return await this.mfaService.regenerateRecoveryCodes(user, code);
+  }
+
+  /**
+   * 查找状态正常的总台管理员
+   * @param {number} userId - 管理员ID
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 管理员模型实例
+   */
+  async findActiveAdmin(userId, sequelize) {
+    const MerchantsUsers = sequelize.models.MerchantsUsers;
+    const user = await MerchantsUsers.findOne({
+      where: {
+        id: userId,
+        role: USER_ROLE.CONSOLE_ADMIN,
+        status: USER_STATUS.ACTIVE
+      }
+    });
+
+    if (!user) {
+      throw new Error('总台账号不存在或状态异常');
+    }
+
+    return user;
+  }
+
+  /**
+   * 刷新总台令牌
+   * 每个刷新令牌只能使用一次，使用后轮换为同一令牌族的新令牌
+   * @param {string} refreshToken - 刷新令牌
+   * @param {string} ip - 客户端IP地址
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 新令牌
+   */
+  async refreshToken(refreshToken, ip, sequelize) {
+    try {
+      // 1. 验证刷新令牌
+      const decoded = this.jwtKeyService.verify(refreshToken);
+
+      if (decoded.type !== 'refresh' || decoded.role !== USER_ROLE.CONSOLE_ADMIN) {
+        throw new Error('无效的刷新令牌');
+      }
+
+      // 2. 校验令牌族，旧令牌重放时整族吊销
+      const familyId = await this.refreshTokenService.consume(decoded, { ip });
+
+      // 3. 确认账号仍然有效
+      const MerchantsUsers = sequelize.models.MerchantsUsers;
+      const user = await MerchantsUsers.findOne({
+        where: {
+          id: decoded.id,
+          role: USER_ROLE.CONSOLE_ADMIN,
+          status: USER_STATUS.ACTIVE
+        }
+      });
+
+      if (!user) {
+        throw new Error('总台账号不存在或状态异常');
+      }
+
+      // 4. 签发同一令牌族的新令牌
+      return await this.generateTokens(user, familyId);
+
+    } catch (error) {
+      this.logError(`总台令牌刷新失败, IP: ${ip}`, error);
       throw error;
     }
   }
@@ -105,7 +405,11 @@ class AdminAuthService extends BaseService {
       this.logAction(`总台登出: ${user.username}, ID: ${user.id}`);
       
       // 这里可以实现令牌黑名单机制
-      // 暂时只记录日志
+      // 暂时只吊销本次登录对应的会话及刷新令牌族
+      const decoded = jwt.decode(token);
+      if (decoded && decoded.fid) {
+        await this.sessionService.revokeSession(USER_ROLE.CONSOLE_ADMIN, decoded.id, decoded.fid, '总台登出');
+      }
       
       return {
         message: '总台登出成功',
@@ -121,29 +425,39 @@ class AdminAuthService extends BaseService {
   /**
    * 生成总台访问令牌和刷新令牌
    * @param {Object} user - 用户对象
+   * @param {string|null} familyId - 令牌族ID，刷新时沿用，登录时为空则新建
+   * @param {Object} context - 登录上下文 { ip, userAgent }，新建令牌族时用于会话登记
    * @returns {Promise<Object>} 令牌对象
    */
-  async generateTokens(user) {
+  async generateTokens(user, familyId = null, context = {}) {
+    const { fid, jti } = this.refreshTokenService.createTokenIds(familyId);
     const payload = {
       id: user.id,
       username: user.username,
       email: user.email,
       role: user.role,
-      userType: 'console_admin'
+      userType: 'console_admin',
+      fid
     };
 
-    const accessToken = jwt.sign(
+    const accessToken = this.jwtKeyService.sign(
       { ...payload, type: 'access' },
-      this.jwtSecret,
       { expiresIn: this.jwtExpiresIn }
     );
 
-    const refreshToken = jwt.sign(
-      { ...payload, type: 'refresh' },
-      this.jwtSecret,
+    const refreshToken = this.jwtKeyService.sign(
+      { ...payload, type: 'refresh', jti },
       { expiresIn: this.refreshTokenExpiresIn }
     );
 
+    await this.refreshTokenService.saveFamily(user.id, refreshToken);
+
+    // 新登录时登记会话，会话与刷新令牌同时过期
+    if (!familyId) {
+      const { exp } = jwt.decode(refreshToken);
+      await this.sessionService.createSession(USER_ROLE.CONSOLE_ADMIN, user.id, fid, exp, context);
+    }
+
     return {
       accessToken,
       refreshToken,
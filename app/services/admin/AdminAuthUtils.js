@@ -6,11 +6,14 @@
 const BaseService = require('../base/BaseService');
 const CacheManager = require('../../../common/redis/cache');
 const { logger } = require('../../../common/logger');
+const { USER_ROLE } = require('../../../common/constants/status');
+const { recordSecurityEvent } = require('../../../middleware/monitoring/audit');
 
 class AdminAuthUtils extends BaseService {
   constructor() {
     super();
     this.maxFailedAttempts = 10; // 最大失败次数
+    this.captchaThreshold = parseInt(process.env.LOGIN_CAPTCHA_THRESHOLD, 10) || 3; // 失败多少次后登录需要验证码
     this.lockPrefix = 'console_login_locked'; // 锁定状态缓存前缀
     this.failCountPrefix = 'console_login_fails'; // 失败次数缓存前缀
   }
@@ -85,7 +88,7 @@ class AdminAuthUtils extends BaseService {
       
       // 检查是否达到锁定条件
       if (failCount >= this.maxFailedAttempts) {
-        await this.lockAccount(username, tomorrow);
+        await this.lockAccount(username, tomorrow, ip);
         
         return {
           shouldLock: true,
@@ -127,8 +130,9 @@ class AdminAuthUtils extends BaseService {
    * 锁定账号
    * @param {string} username - 用户名
    * @param {Date} lockUntil - 锁定到什么时候
+   * @param {string} [ip] - 触发锁定的客户端IP
    */
-  async lockAccount(username, lockUntil) {
+  async lockAccount(username, lockUntil, ip) {
     try {
       const lockKey = `${this.lockPrefix}:${username}`;
       const lockInfo = {
@@ -146,6 +150,15 @@ class AdminAuthUtils extends BaseService {
         lockUntil: lockInfo.lockUntil,
         reason: '登录失败次数超限'
       });
+
+      // 同时记入审计日志，受哈希链保护
+      recordSecurityEvent('ACCOUNT_LOCKED', {
+        userRole: USER_ROLE.CONSOLE_ADMIN,
+        ip,
+        username,
+        lockUntil: lockInfo.lockUntil,
+        reason: '登录失败次数超限'
+      });
       
     } catch (error) {
       this.logError('锁定总台账号失败', error);
@@ -198,6 +211,19 @@ class AdminAuthUtils extends BaseService {
       return 0;
     }
   }
+
+  /**
+   * 判断登录是否需要验证码
+   * @param {string} username - 用户名
+   * @returns {Promise<boolean>} 失败次数达到阈值时返回true
+   */
+  async isCaptchaRequired(username) {
+    if (!username) {
+      return false;
+    }
+    const failCount = await this.getFailedAttempts(username);
+    return failCount >= this.captchaThreshold;
+  }
 }
 
 module.exports = AdminAuthUtils;
@@ -0,0 +1,171 @@
+/**
+ * 总台模拟登录服务
+ * 客服以商户或用户身份查看其所见页面：签发同时携带管理员ID和目标账号ID的短期访问令牌，
+ * 令牌不登记会话、不签发刷新令牌，模拟记录保存在缓存中，结束模拟或过期后令牌立即失效
+ */
+
+const crypto = require('crypto');
+const BaseService = require('../base/BaseService');
+const JwtKeyService = require('../common/JwtKeyService');
+const CacheManager = require('../../../common/redis/cache');
+const { redis, PREFIX, generateKey } = require('../../../common/redis');
+const { logger } = require('../../../common/logger');
+const { USER_ROLE } = require('../../../common/constants/status');
+const { StatusHelper } = require('../../../common/utils/statusHelper');
+
+// 可模拟的目标账号类型：令牌签发端、账号角色和数据模型
+const IMPERSONATION_TARGETS = {
+  merchant: { apiType: 'merchant', role: USER_ROLE.MERCHANT, model: 'MerchantsUsers' },
+  user: { apiType: 'user', role: USER_ROLE.USER, model: 'User' }
+};
+
+class AdminImpersonationService extends BaseService {
+  constructor() {
+    super();
+    this.ttl = parseInt(process.env.ADMIN_IMPERSONATION_TTL, 10) || 900; // 模拟令牌有效期（秒），默认15分钟
+    this.jwtKeyServices = Object.keys(IMPERSONATION_TARGETS).reduce((services, targetType) => {
+      services[targetType] = new JwtKeyService(IMPERSONATION_TARGETS[targetType].apiType);
+      return services;
+    }, {});
+  }
+
+  /**
+   * 加载模拟目标账号，只允许模拟状态正常的商户账号（含子账号）和用户
+   * @param {string} targetType - 目标类型（merchant/user）
+   * @param {number} targetId - 目标账号ID
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 目标账号
+   */
+  async findTarget(targetType, targetId, sequelize) {
+    const target = IMPERSONATION_TARGETS[targetType];
+    if (!target) {
+      throw new Error('不支持模拟该类型的账号');
+    }
+
+    const where = { id: targetId };
+    if (target.role !== USER_ROLE.USER) {
+      where.role = target.role;
+    }
+
+    const account = await sequelize.models[target.model].findOne({ where });
+    if (!account) {
+      throw new Error('目标账号不存在');
+    }
+    if (!StatusHelper.isUserActive(account.status)) {
+      throw new Error('目标账号状态异常，无法模拟登录');
+    }
+    return account;
+  }
+
+  /**
+   * 开始模拟登录，签发目标账号端的模拟访问令牌
+   * @param {Object} admin - 发起模拟的管理员（req.principal）
+   * @param {Object} data - { targetType, targetId, reason }
+   * @param {Object} sequelize - 数据库实例
+   * @param {Object} context - 请求上下文 { ip, userAgent }
+   * @returns {Promise<Object>} { accessToken, tokenType, expiresIn, impersonationId, target }
+   */
+  async startImpersonation(admin, { targetType, targetId, reason }, sequelize, context = {}) {
+    try {
+      const account = await this.findTarget(targetType, targetId, sequelize);
+      const target = IMPERSONATION_TARGETS[targetType];
+      const jti = crypto.randomUUID();
+      const startedAt = new Date();
+
+      const record = {
+        jti,
+        adminId: admin.id,
+        adminUsername: admin.username,
+        targetType,
+        targetId: account.id,
+        targetRole: target.role,
+        reason,
+        ip: context.ip || null,
+        userAgent: context.userAgent || null,
+        startedAt: startedAt.toISOString(),
+        expiresAt: new Date(startedAt.getTime() + this.ttl * 1000).toISOString()
+      };
+      await CacheManager.set(PREFIX.IMPERSONATION, jti, record, this.ttl);
+
+      // 只签发访问令牌且不携带会话ID，令牌无法刷新，也不会出现在目标账号的会话列表中
+      const accessToken = this.jwtKeyServices[targetType].sign({
+        id: account.id,
+        username: account.username,
+        email: account.email,
+        role: target.role,
+        type: 'access',
+        imp: { jti, adminId: admin.id, adminUsername: admin.username }
+      }, { expiresIn: this.ttl });
+
+      logger.security('管理员开始模拟登录', record);
+
+      return {
+        accessToken,
+        tokenType: 'Bearer',
+        expiresIn: this.ttl,
+        impersonationId: jti,
+        expiresAt: record.expiresAt,
+        target: {
+          type: targetType,
+          id: account.id,
+          username: account.username,
+          email: account.email || null
+        }
+      };
+
+    } catch (error) {
+      this.logError(`开始模拟登录失败, 管理员: ${admin.id}, 目标: ${targetType}#${targetId}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * 校验模拟令牌对应的模拟记录，记录已结束、过期或与令牌不符时返回null
+   * @param {Object} decoded - 解析后的令牌数据
+   * @returns {Promise<Object|null>} 模拟记录
+   */
+  async verifyImpersonation(decoded) {
+    const claim = decoded.imp;
+    if (!claim || !claim.jti) {
+      return null;
+    }
+
+    const record = await CacheManager.get(PREFIX.IMPERSONATION, claim.jti);
+    if (!record || record.adminId !== claim.adminId || record.targetId !== decoded.id || record.targetRole !== decoded.role) {
+      return null;
+    }
+    return record;
+  }
+
+  /**
+   * 结束模拟登录，对应的模拟令牌立即失效
+   * @param {string} jti - 模拟ID
+   * @param {Object} admin - 操作的管理员（req.principal）
+   * @returns {Promise<void>}
+   */
+  async endImpersonation(jti, admin) {
+    try {
+      const record = await CacheManager.get(PREFIX.IMPERSONATION, jti);
+      const removed = await redis.del(generateKey(PREFIX.IMPERSONATION, jti));
+      if (!record || removed === 0) {
+        throw new Error('模拟登录不存在或已结束');
+      }
+
+      logger.security('管理员结束模拟登录', {
+        jti,
+        adminId: record.adminId,
+        targetType: record.targetType,
+        targetId: record.targetId,
+        endedBy: admin.id
+      });
+
+    } catch (error) {
+      this.logError(`结束模拟登录失败: ${jti}`, error);
+      throw error;
+    }
+  }
+}
+
+AdminImpersonationService.IMPERSONATION_TARGETS = IMPERSONATION_TARGETS;
+
+module.exports = AdminImpersonationService;
@@ -0,0 +1,342 @@
+/**
+ * 总台商户管理服务
+ * 处理商户主账号的查询、创建、编辑、入驻审核、暂停/恢复营业和密码重置
+ *
+ * 商户状态（merchant_status）与账号状态（status）相互独立：账号状态控制账号能否使用，
+ * 商户状态控制商户能否经营，只对主账号生效，子账号随所属主账号的商户状态一起受限
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { Op } = require('sequelize');
+const BaseService = require('../base/BaseService');
+const PasswordResetService = require('../common/PasswordResetService');
+const SessionService = require('../common/SessionService');
+const EmailService = require('../common/EmailService');
+const CacheManager = require('../../../common/redis/cache');
+const { PREFIX } = require('../../../common/redis');
+const { USER_STATUS, USER_ROLE, MERCHANT_STATUS } = require('../../../common/constants/status');
+
+// 商户状态流转：操作 → 允许的当前状态、目标状态，拒绝和暂停必须填写原因
+const STATUS_TRANSITIONS = {
+  approve: { from: [MERCHANT_STATUS.PENDING, MERCHANT_STATUS.REJECTED], to: MERCHANT_STATUS.ACTIVE, label: '审核通过' },
+  reject: { from: [MERCHANT_STATUS.PENDING], to: MERCHANT_STATUS.REJECTED, label: '审核拒绝', reasonRequired: true },
+  suspend: { from: [MERCHANT_STATUS.ACTIVE], to: MERCHANT_STATUS.SUSPENDED, label: '暂停营业', reasonRequired: true },
+  reactivate: { from: [MERCHANT_STATUS.SUSPENDED], to: MERCHANT_STATUS.ACTIVE, label: '恢复营业' }
+};
+
+class AdminMerchantService extends BaseService {
+  constructor() {
+    super();
+    // 与商户忘记密码共用重置令牌，商户通过 /api/merchant/auth/password/reset 设置密码
+    this.passwordResetService = new PasswordResetService('merchant');
+    this.sessionService = new SessionService();
+    this.emailService = new EmailService();
+    this.saltRounds = 12;
+  }
+
+  /**
+   * 格式化商户信息（不包含密码、二次验证密钥等敏感字段）
+   * @param {Object} merchant - 商户主账号
+   * @returns {Object} 商户信息
+   */
+  formatMerchant(merchant) {
+    return {
+      id: merchant.id,
+      username: merchant.username,
+      email: merchant.email,
+      status: merchant.status,
+      merchant_status: merchant.merchant_status,
+      status_reason: merchant.status_reason,
+      status_updated_by: merchant.status_updated_by,
+      status_updated_at: merchant.status_updated_at,
+      mfa_enabled: merchant.mfa_enabled,
+      login_count: merchant.login_count,
+      last_login: merchant.last_login,
+      created_at: merchant.created_at,
+      updated_at: merchant.updated_at
+    };
+  }
+
+  /**
+   * 商户信息或状态变更后清除缓存，子账号的商户归属读取主账号缓存，一并生效
+   * @param {number} merchantId - 商户ID
+   */
+  async clearMerchantCache(merchantId) {
+    await CacheManager.del(PREFIX.MERCHANT_USER, merchantId);
+  }
+
+  /**
+   * 分页获取商户列表
+   * @param {Object} filters - 过滤条件 { status, merchant_status, keyword }
+   * @param {Object} pagination - 分页参数 { limit, offset }
+   * @param {Object} sort - 排序参数 { sortBy, sortOrder }
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} { rows, total }
+   */
+  async listMerchants(filters, pagination, sort, sequelize) {
+    const { MerchantsUsers } = sequelize.models;
+
+    const where = {
+      ...this.buildWhereCondition(filters, ['status', 'merchant_status']),
+      role: USER_ROLE.MERCHANT,
+      merchant_id: null
+    };
+    if (filters.keyword) {
+      where[Op.or] = [
+        { username: { [Op.like]: `%${filters.keyword}%` } },
+        { email: { [Op.like]: `%${filters.keyword}%` } }
+      ];
+    }
+
+    const sortBy = ['id', 'username', 'merchant_status', 'last_login', 'created_at'].includes(sort.sortBy) ? sort.sortBy : 'created_at';
+
+    const { rows, count } = await MerchantsUsers.findAndCountAll({
+      where,
+      order: [[sortBy, sort.sortOrder]],
+      limit: pagination.limit,
+      offset: pagination.offset
+    });
+
+    return { rows: rows.map(merchant => this.formatMerchant(merchant)), total: count };
+  }
+
+  /**
+   * 获取商户主账号
+   * @param {number} id - 商户ID
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 商户主账号
+   */
+  async findMerchant(id, sequelize) {
+    const merchant = await sequelize.models.MerchantsUsers.findOne({
+      where: { id, role: USER_ROLE.MERCHANT, merchant_id: null }
+    });
+
+    if (!merchant) {
+      throw new Error('商户不存在');
+    }
+
+    return merchant;
+  }
+
+  /**
+   * 获取商户详情（包含子账号数量）
+   * @param {number} id - 商户ID
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 商户信息
+   */
+  async getMerchant(id, sequelize) {
+    const merchant = await this.findMerchant(id, sequelize);
+    const subAccountCount = await sequelize.models.MerchantsUsers.count({
+      where: { merchant_id: merchant.id, role: USER_ROLE.MERCHANT }
+    });
+
+    return { ...this.formatMerchant(merchant), sub_account_count: subAccountCount };
+  }
+
+  /**
+   * 检查用户名和邮箱未被其他账号使用
+   * @param {Object} data - { username, email }
+   * @param {Object} sequelize - 数据库实例
+   * @param {number|null} excludeId - 编辑时排除的商户ID
+   */
+  async assertUnique(data, sequelize, excludeId = null) {
+    const { MerchantsUsers } = sequelize.models;
+    const exclude = excludeId ? { id: { [Op.ne]: excludeId } } : {};
+
+    if (data.username && await MerchantsUsers.findOne({ where: { username: data.username, ...exclude } })) {
+      throw new Error('用户名已存在');
+    }
+
+    if (data.email && await MerchantsUsers.findOne({ where: { email: data.email, role: USER_ROLE.MERCHANT, ...exclude } })) {
+      throw new Error('邮箱已被使用');
+    }
+  }
+
+  /**
+   * 向商户邮箱发送设置密码链接
+   * @param {Object} merchant - 商户主账号
+   * @returns {Promise<boolean>} 是否已发送，发送过于频繁时返回false
+   */
+  async sendPasswordLink(merchant) {
+    const resetToken = await this.passwordResetService.createToken(merchant.id);
+    if (!resetToken) {
+      return false;
+    }
+
+    const baseUrl = process.env.MERCHANT_FRONTEND_URL || process.env.FRONTEND_URL;
+    this.emailService.sendPasswordResetEmail(merchant.email, resetToken, baseUrl)
+      .catch(error => this.logError(`商户设置密码邮件发送失败: ${merchant.username}`, error));
+
+    return true;
+  }
+
+  /**
+   * 创建商户：新商户为待审核状态，密码由商户通过邮件中的链接自行设置
+   * @param {Object} admin - 操作的管理员（req.principal）
+   * @param {Object} data - { username, email }
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 商户信息
+   */
+  async createMerchant(admin, data, sequelize) {
+    try {
+      await this.assertUnique(data, sequelize);
+
+      // 商户设置密码前没有可用密码，先写入随机密码哈希
+      const placeholderPassword = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), this.saltRounds);
+
+      const merchant = await sequelize.models.MerchantsUsers.create({
+        username: data.username,
+        email: data.email,
+        password: placeholderPassword,
+        role: USER_ROLE.MERCHANT,
+        status: USER_STATUS.ACTIVE,
+        merchant_status: MERCHANT_STATUS.PENDING,
+        status_updated_by: admin.id,
+        status_updated_at: new Date()
+      });
+
+      await this.sendPasswordLink(merchant);
+
+      this.logAction('创建商户', { adminId: admin.id, merchantId: merchant.id, username: merchant.username });
+      return this.formatMerchant(merchant);
+
+    } catch (error) {
+      this.logError('创建商户失败', error, { adminId: admin.id, username: data.username });
+      throw error;
+    }
+  }
+
+  /**
+   * 编辑商户基本信息
+   * @param {Object} admin - 操作的管理员（req.principal）
+   * @param {number} id - 商户ID
+   * @param {Object} data - { username, email }
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 商户信息
+   */
+  async updateMerchant(admin, id, data, sequelize) {
+    try {
+      const merchant = await this.findMerchant(id, sequelize);
+      const changes = this.buildWhereCondition(data, ['username', 'email']);
+
+      await this.assertUnique(changes, sequelize, merchant.id);
+
+      await merchant.update({ ...changes, updated_at: new Date() });
+      await this.clearMerchantCache(merchant.id);
+
+      this.logAction('编辑商户', { adminId: admin.id, merchantId: merchant.id, fields: Object.keys(changes) });
+      return this.formatMerchant(merchant);
+
+    } catch (error) {
+      this.logError('编辑商户失败', error, { adminId: admin.id, merchantId: id });
+      throw error;
+    }
+  }
+
+  /**
+   * 变更商户状态：审核通过、审核拒绝、暂停营业、恢复营业
+   * 商户不再可以经营时（拒绝、暂停），主账号和全部子账号的会话立即下线
+   * @param {Object} admin - 操作的管理员（req.principal）
+   * @param {number} id - 商户ID
+   * @param {string} action - 操作（approve/reject/suspend/reactivate）
+   * @param {string} reason - 原因，拒绝和暂停时必填
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 商户信息
+   */
+  async changeMerchantStatus(admin, id, action, reason, sequelize) {
+    const transition = STATUS_TRANSITIONS[action];
+
+    try {
+      if (!transition) {
+        throw new Error('不支持的商户状态操作');
+      }
+      if (transition.reasonRequired && !reason) {
+        throw new Error(`${transition.label}必须填写原因`);
+      }
+
+      const merchant = await this.findMerchant(id, sequelize);
+      if (!transition.from.includes(merchant.merchant_status)) {
+        throw new Error(`商户当前状态不能${transition.label}`);
+      }
+
+      const previousStatus = merchant.merchant_status;
+      await merchant.update({
+        merchant_status: transition.to,
+        status_reason: reason || null,
+        status_updated_by: admin.id,
+        status_updated_at: new Date(),
+        updated_at: new Date()
+      });
+      await this.clearMerchantCache(merchant.id);
+
+      if (transition.to !== MERCHANT_STATUS.ACTIVE) {
+        await this.revokeMerchantSessions(merchant, sequelize, transition.label);
+      }
+
+      this.logAction(`商户${transition.label}`, {
+        adminId: admin.id,
+        merchantId: merchant.id,
+        from: previousStatus,
+        to: transition.to,
+        reason
+      });
+      return this.formatMerchant(merchant);
+
+    } catch (error) {
+      this.logError(`商户状态变更失败: ${action}`, error, { adminId: admin.id, merchantId: id });
+      throw error;
+    }
+  }
+
+  /**
+   * 下线商户主账号及其全部子账号的会话
+   * @param {Object} merchant - 商户主账号
+   * @param {Object} sequelize - 数据库实例
+   * @param {string} reason - 下线原因
+   */
+  async revokeMerchantSessions(merchant, sequelize, reason) {
+    const subAccounts = await sequelize.models.MerchantsUsers.findAll({
+      where: { merchant_id: merchant.id, role: USER_ROLE.MERCHANT },
+      attributes: ['id']
+    });
+
+    for (const userId of [merchant.id, ...subAccounts.map(account => account.id)]) {
+      await this.sessionService.revokeAllSessions(USER_ROLE.MERCHANT, userId, `商户${reason}`);
+    }
+  }
+
+  /**
+   * 重置商户密码：向商户邮箱发送设置新密码的链接，商户设置新密码后所有会话下线
+   * 管理员不接触商户的密码明文
+   * @param {Object} admin - 操作的管理员（req.principal）
+   * @param {number} id - 商户ID
+   * @param {Object} sequelize - 数据库实例
+   */
+  async resetMerchantPassword(admin, id, sequelize) {
+    try {
+      const merchant = await this.findMerchant(id, sequelize);
+
+      if (!merchant.email) {
+        throw new Error('商户未设置邮箱，无法发送重置邮件');
+      }
+      if (merchant.status !== USER_STATUS.ACTIVE) {
+        throw new Error('商户账号状态异常，无法重置密码');
+      }
+
+      if (!await this.sendPasswordLink(merchant)) {
+        throw new Error('重置邮件发送过于频繁，请稍后再试');
+      }
+
+      this.logAction('重置商户密码', { adminId: admin.id, merchantId: merchant.id });
+
+    } catch (error) {
+      this.logError('重置商户密码失败', error, { adminId: admin.id, merchantId: id });
+      throw error;
+    }
+  }
+}
+
+AdminMerchantService.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
+module.exports = AdminMerchantService;
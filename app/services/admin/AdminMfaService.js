@@ -0,0 +1,347 @@
+/**
+ * 总台二次验证服务
+ * 处理总台管理员TOTP绑定、验证码校验、恢复码和登录第二步的待验证令牌
+ */
+
+const crypto = require('crypto');
+const BaseService = require('../base/BaseService');
+const JwtKeyService = require('../common/JwtKeyService');
+const CacheManager = require('../../../common/redis/cache');
+const { redis, PREFIX, generateKey } = require('../../../common/redis');
+const { COMMON_STATUS } = require('../../../common/constants/status');
+const { AUTH_CONFIG } = require('../../../middleware/config');
+const totp = require('../../../common/utils/totp');
+
+class AdminMfaService extends BaseService {
+  constructor() {
+    super();
+    this.jwtKeyService = new JwtKeyService('admin');
+    this.issuer = process.env.ADMIN_MFA_ISSUER || 'Console Admin';
+    this.enforced = process.env.ADMIN_MFA_ENFORCED === 'true'; // 为所有总台管理员强制启用
+    this.pendingTokenTtl = 300; // 登录第二步令牌5分钟有效
+    this.setupTtl = 600; // 未确认的绑定密钥10分钟有效
+    this.maxVerifyAttempts = 5; // 每个待验证令牌最多尝试5次
+    this.recoveryCodeCount = 10;
+  }
+
+  /**
+   * 判断管理员是否必须使用二次验证
+   * @param {Object} user - 管理员对象
+   * @returns {boolean} 是否必须
+   */
+  isRequired(user) {
+    return this.enforced || user.mfa_required === COMMON_STATUS.YES;
+  }
+
+  /**
+   * 判断管理员是否已启用二次验证
+   * @param {Object} user - 管理员对象
+   * @returns {boolean} 是否已启用
+   */
+  isEnabled(user) {
+    return user.mfa_enabled === COMMON_STATUS.ENABLED && Boolean(user.mfa_secret);
+  }
+
+  /**
+   * 签发登录第二步的待验证令牌
+   * 令牌使用单独的受众，总台其他接口不接受，只能用于二次验证接口，验证成功后立即作废
+   * @param {Object} user - 管理员对象
+   * @returns {Promise<Object>} { mfaToken, enroll, expiresIn }
+   */
+  async createPendingToken(user) {
+    const jti = crypto.randomUUID();
+    const enroll = !this.isEnabled(user);
+
+    const mfaToken = this.jwtKeyService.sign(
+      { id: user.id, username: user.username, role: user.role, type: 'mfa_pending', enroll, jti },
+      { expiresIn: this.pendingTokenTtl, audience: AUTH_CONFIG.JWT.mfaPendingAudience }
+    );
+
+    await CacheManager.set(PREFIX.MFA, `pending:${jti}`, { userId: user.id, attempts: 0 }, this.pendingTokenTtl);
+
+    return { mfaToken, enroll, expiresIn: this.pendingTokenTtl };
+  }
+
+  /**
+   * 解析待验证令牌
+   * @param {string} mfaToken - 待验证令牌
+   * @returns {Promise<Object>} 令牌数据
+   */
+  async resolvePendingToken(mfaToken) {
+    let decoded;
+    try {
+      decoded = this.jwtKeyService.verify(mfaToken, { audience: AUTH_CONFIG.JWT.mfaPendingAudience });
+    } catch (error) {
+      throw new Error('二次验证令牌无效或已过期');
+    }
+
+    if (decoded.type !== 'mfa_pending') {
+      throw new Error('二次验证令牌无效或已过期');
+    }
+
+    const pending = await CacheManager.get(PREFIX.MFA, `pending:${decoded.jti}`);
+    if (!pending || pending.userId !== decoded.id) {
+      throw new Error('二次验证令牌无效或已过期');
+    }
+
+    return decoded;
+  }
+
+  /**
+   * 记录待验证令牌的一次失败尝试，超过次数后令牌作废
+   * @param {Object} decoded - 待验证令牌数据
+   * @returns {Promise<number>} 剩余尝试次数
+   */
+  async recordPendingFailure(decoded) {
+    const key = `pending:${decoded.jti}`;
+    const pending = await CacheManager.get(PREFIX.MFA, key);
+    if (!pending) {
+      return 0;
+    }
+
+    pending.attempts++;
+    const remaining = this.maxVerifyAttempts - pending.attempts;
+
+    if (remaining <= 0) {
+      await CacheManager.del(PREFIX.MFA, key);
+      return 0;
+    }
+
+    const ttl = decoded.exp - Math.floor(Date.now() / 1000);
+    await CacheManager.set(PREFIX.MFA, key, pending, ttl > 0 ? ttl : 1);
+    return remaining;
+  }
+
+  /**
+   * 作废待验证令牌
+   * @param {Object} decoded - 待验证令牌数据
+   * @returns {Promise<boolean>} 是否成功
+   */
+  async consumePendingToken(decoded) {
+    return await CacheManager.del(PREFIX.MFA, `pending:${decoded.jti}`);
+  }
+
+  /**
+   * 开始绑定验证器，生成密钥和 otpauth URI
+   * 密钥在确认前只保存在缓存中
+   * @param {Object} user - 管理员对象
+   * @returns {Promise<Object>} { secret, otpauthUri }
+   */
+  async beginSetup(user) {
+    if (this.isEnabled(user)) {
+      throw new Error('已启用二次验证，请勿重复绑定');
+    }
+
+    const secret = totp.generateSecret();
+    await CacheManager.set(PREFIX.MFA, `setup:${user.id}`, { secret }, this.setupTtl);
+
+    this.logAction('生成二次验证绑定密钥', { userId: user.id });
+
+    return {
+      secret,
+      otpauthUri: totp.buildOtpauthUri({ secret, account: user.username, issuer: this.issuer })
+    };
+  }
+
+  /**
+   * 确认绑定验证器并启用二次验证
+   * @param {Object} user - 管理员模型实例
+   * @param {string} code - 验证器生成的验证码
+   * @returns {Promise<Array<string>>} 恢复码明文，仅此一次返回
+   */
+  async confirmSetup(user, code) {
+    if (this.isEnabled(user)) {
+      throw new Error('已启用二次验证，请勿重复绑定');
+    }
+
+    const setup = await CacheManager.get(PREFIX.MFA, `setup:${user.id}`);
+    if (!setup) {
+      throw new Error('绑定密钥不存在或已过期，请重新获取');
+    }
+
+    if (!await this.checkTotp(user.id, setup.secret, code)) {
+      throw new Error('验证码错误');
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+
+    await user.update({
+      mfa_enabled: COMMON_STATUS.ENABLED,
+      mfa_secret: setup.secret,
+      mfa_recovery_codes: recoveryCodes.map(recoveryCode => this.hashRecoveryCode(recoveryCode)),
+      mfa_enabled_at: new Date()
+    });
+    await CacheManager.del(PREFIX.MFA, `setup:${user.id}`);
+
+    this.logAction('启用二次验证', { userId: user.id });
+    return recoveryCodes;
+  }
+
+  /**
+   * 校验第二因素（验证码或恢复码）
+   * @param {Object} user - 管理员模型实例
+   * @param {Object} factor - { code, recoveryCode }
+   * @returns {Promise<boolean>} 是否通过
+   */
+  async verifySecondFactor(user, { code, recoveryCode } = {}) {
+    if (!this.isEnabled(user)) {
+      return false;
+    }
+
+    if (code) {
+      return await this.checkTotp(user.id, user.mfa_secret, code);
+    }
+
+    if (recoveryCode) {
+      return await this.useRecoveryCode(user, recoveryCode);
+    }
+
+    return false;
+  }
+
+  /**
+   * 关闭二次验证
+   * @param {Object} user - 管理员模型实例
+   * @param {string} code - 验证器生成的验证码
+   * @returns {Promise<boolean>} 是否成功
+   */
+  async disable(user, code) {
+    if (this.isRequired(user)) {
+      throw new Error('当前账号必须启用二次验证，无法关闭');
+    }
+
+    if (!this.isEnabled(user)) {
+      throw new Error('未启用二次验证');
+    }
+
+    if (!await this.checkTotp(user.id, user.mfa_secret, code)) {
+      throw new Error('验证码错误');
+    }
+
+    await user.update({
+      mfa_enabled: COMMON_STATUS.DISABLED,
+      mfa_secret: null,
+      mfa_recovery_codes: null,
+      mfa_enabled_at: null
+    });
+
+    this.logAction('关闭二次验证', { userId: user.id });
+    return true;
+  }
+
+  /**
+   * 重新生成恢复码，旧恢复码全部作废
+   * @param {Object} user - 管理员模型实例
+   * @param {string} code - 验证器生成的验证码
+   * @returns {Promise<Array<string>>} 新的恢复码明文
+   */
+  async regenerateRecoveryCodes(user, code) {
+    if (!this.isEnabled(user)) {
+      throw new Error('未启用二次验证');
+    }
+
+    if (!await this.checkTotp(user.id, user.mfa_secret, code)) {
+      throw new Error('验证码错误');
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+    await user.update({
+      mfa_recovery_codes: recoveryCodes.map(recoveryCode => this.hashRecoveryCode(recoveryCode))
+    });
+
+    this.logAction('重新生成二次验证恢复码', { userId: user.id });
+    return recoveryCodes;
+  }
+
+  /**
+   * 校验TOTP验证码，同一时间步长的验证码只能使用一次
+   * 时间步长以 SET NX 占用，并发提交同一验证码时只有一个请求通过；已使用过更新的步长后，更早的步长也不再接受
+   * @param {number} userId - 管理员ID
+   * @param {string} secret - Base32密钥
+   * @param {string} code - 验证码
+   * @returns {Promise<boolean>} 是否通过
+   */
+  async checkTotp(userId, secret, code) {
+    const counter = totp.verifyCode(secret, code);
+    if (counter === null) {
+      return false;
+    }
+
+    const lastUsed = await CacheManager.get(PREFIX.MFA, `used:${userId}`);
+    if (lastUsed !== null && counter <= lastUsed) {
+      return false;
+    }
+
+    const ttl = totp.TOTP_DEFAULTS.period * (totp.TOTP_DEFAULTS.window * 2 + 1);
+    const claimed = await redis.set(generateKey(PREFIX.MFA, `used:${userId}:${counter}`), COMMON_STATUS.YES, 'EX', ttl, 'NX');
+    if (claimed !== 'OK') {
+      return false;
+    }
+
+    await CacheManager.set(PREFIX.MFA, `used:${userId}`, counter, ttl);
+    return true;
+  }
+
+  /**
+   * 使用恢复码，成功后该恢复码作废
+   * 在事务中锁定管理员记录后重新读取恢复码再删除，并发提交同一恢复码时只有一个请求通过，
+   * 同时使用不同恢复码也不会互相覆盖
+   * @param {Object} user - 管理员模型实例
+   * @param {string} recoveryCode - 恢复码
+   * @returns {Promise<boolean>} 是否通过
+   */
+  async useRecoveryCode(user, recoveryCode) {
+    const hash = this.hashRecoveryCode(recoveryCode);
+
+    if (!(user.mfa_recovery_codes || []).includes(hash)) {
+      return false;
+    }
+
+    const remaining = await this.executeTransaction(async (transaction) => {
+      const locked = await user.constructor.findByPk(user.id, {
+        attributes: ['id', 'mfa_recovery_codes'],
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+      const hashes = locked?.mfa_recovery_codes || [];
+      if (!hashes.includes(hash)) {
+        return null;
+      }
+
+      const rest = hashes.filter(item => item !== hash);
+      await locked.update({ mfa_recovery_codes: rest }, { transaction });
+      return rest;
+    }, user.sequelize);
+
+    if (!remaining) {
+      return false;
+    }
+
+    user.set('mfa_recovery_codes', remaining, { raw: true });
+    this.logAction('使用二次验证恢复码', { userId: user.id, remaining: remaining.length });
+    return true;
+  }
+
+  /**
+   * 生成一组恢复码
+   * @returns {Array<string>} 恢复码明文，格式 xxxxx-xxxxx
+   */
+  generateRecoveryCodes() {
+    return Array.from({ length: this.recoveryCodeCount }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.substring(0, 5)}-${raw.substring(5)}`;
+    });
+  }
+
+  /**
+   * 计算恢复码哈希，忽略大小写、空格和连字符
+   * @param {string} recoveryCode - 恢复码
+   * @returns {string} SHA-256哈希
+   */
+  hashRecoveryCode(recoveryCode) {
+    const normalized = String(recoveryCode).toLowerCase().replace(/[\s-]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+}
+
+module.exports = AdminMfaService;
@@ -0,0 +1,486 @@
+/**
+ * 总台角色权限管理服务
+ * 处理角色、权限的增删改查以及角色授权、账号分配角色，变更后清除相关权限缓存
+ */
+
+const { Op } = require('sequelize');
+const BaseService = require('../base/BaseService');
+const PermissionService = require('../common/PermissionService');
+const { USER_ROLE, PERMISSION_LEVEL } = require('../../../common/constants/status');
+
+class AdminRbacService extends BaseService {
+  constructor() {
+    super();
+    this.permissionService = new PermissionService();
+    this.roleFields = ['code', 'name', 'description', 'user_type', 'level', 'status'];
+    this.permissionFields = ['code', 'name', 'module', 'description', 'level', 'status'];
+  }
+
+  /**
+   * 从请求数据中挑选允许写入的字段
+   * @param {Object} data - 请求数据
+   * @param {Array<string>} fields - 允许的字段
+   * @returns {Object} 过滤后的数据
+   */
+  pickFields(data, fields) {
+    return fields.reduce((result, field) => {
+      if (data[field] !== undefined) {
+        result[field] = data[field];
+      }
+      return result;
+    }, {});
+  }
+
+  /**
+   * 获取权限列表
+   * @param {Object} filters - 过滤条件 { module, status }
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Array>} 权限列表
+   */
+  async listPermissions(filters, sequelize) {
+    const { Permission } = sequelize.models;
+    return await Permission.findAll({
+      where: this.buildWhereCondition(filters, ['module', 'status']),
+      order: [['module', 'ASC'], ['code', 'ASC']]
+    });
+  }
+
+  /**
+   * 创建权限
+   * @param {Object} data - 权限数据
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 新建的权限
+   */
+  async createPermission(data, sequelize) {
+    try {
+      const { Permission } = sequelize.models;
+
+      if (await Permission.findOne({ where: { code: data.code } })) {
+        throw new Error('权限编码已存在');
+      }
+
+      const permission = await Permission.create(this.pickFields(data, this.permissionFields));
+
+      this.logAction('创建权限', { permissionId: permission.id, code: permission.code });
+      return permission;
+
+    } catch (error) {
+      this.logError('创建权限失败', error, { code: data.code });
+      throw error;
+    }
+  }
+
+  /**
+   * 更新权限
+   * @param {number} id - 权限ID
+   * @param {Object} data - 更新数据
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 更新后的权限
+   */
+  async updatePermission(id, data, sequelize) {
+    try {
+      const { Permission } = sequelize.models;
+
+      const permission = await Permission.findByPk(id);
+      if (!permission) {
+        throw new Error('权限不存在');
+      }
+
+      if (data.code && data.code !== permission.code &&
+        await Permission.findOne({ where: { code: data.code, id: { [Op.ne]: id } } })) {
+        throw new Error('权限编码已存在');
+      }
+
+      await permission.update({ ...this.pickFields(data, this.permissionFields), updated_at: new Date() });
+      await this.permissionService.clearAllPermissions();
+
+      this.logAction('更新权限', { permissionId: id });
+      return permission;
+
+    } catch (error) {
+      this.logError('更新权限失败', error, { permissionId: id });
+      throw error;
+    }
+  }
+
+  /**
+   * 删除权限，同时解除所有角色对该权限的授权
+   * @param {number} id - 权限ID
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<boolean>} 是否成功
+   */
+  async deletePermission(id, sequelize) {
+    try {
+      const { Permission, RolePermission } = sequelize.models;
+
+      const permission = await Permission.findByPk(id);
+      if (!permission) {
+        throw new Error('权限不存在');
+      }
+
+      await this.executeTransaction(async (transaction) => {
+        await RolePermission.destroy({ where: { permission_id: id }, transaction });
+        await permission.destroy({ transaction });
+      }, sequelize);
+      await this.permissionService.clearAllPermissions();
+
+      this.logAction('删除权限', { permissionId: id, code: permission.code });
+      return true;
+
+    } catch (error) {
+      this.logError('删除权限失败', error, { permissionId: id });
+      throw error;
+    }
+  }
+
+  /**
+   * 分页获取角色列表
+   * @param {Object} filters - 过滤条件 { user_type, status, keyword }
+   * @param {Object} pagination - 分页参数 { limit, offset }
+   * @param {Object} sort - 排序参数 { sortBy, sortOrder }
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} { rows, total }
+   */
+  async listRoles(filters, pagination, sort, sequelize) {
+    const { Role } = sequelize.models;
+
+    const where = this.buildWhereCondition(filters, ['user_type', 'status']);
+    if (filters.keyword) {
+      where[Op.or] = [
+        { code: { [Op.like]: `%${filters.keyword}%` } },
+        { name: { [Op.like]: `%${filters.keyword}%` } }
+      ];
+    }
+
+    const sortBy = ['id', 'code', 'level', 'created_at'].includes(sort.sortBy) ? sort.sortBy : 'created_at';
+
+    const { rows, count } = await Role.findAndCountAll({
+      where,
+      order: [[sortBy, sort.sortOrder]],
+      limit: pagination.limit,
+      offset: pagination.offset
+    });
+
+    return { rows, total: count };
+  }
+
+  /**
+   * 获取角色详情（包含已授权的权限）
+   * @param {number} id - 角色ID
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 角色
+   */
+  async getRole(id, sequelize) {
+    const { Role, Permission } = sequelize.models;
+
+    const role = await Role.findByPk(id, {
+      include: [{ model: Permission, as: 'permissions', through: { attributes: [] } }]
+    });
+    if (!role) {
+      throw new Error('角色不存在');
+    }
+
+    return role;
+  }
+
+  /**
+   * 创建角色
+   * @param {Object} data - 角色数据，可附带 permissionIds
+   * @param {Object} operator - 操作人认证主体，角色的权限不能超出操作人自身的权限
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 新建的角色
+   */
+  async createRole(data, operator, sequelize) {
+    try {
+      const { Role, RolePermission } = sequelize.models;
+
+      if (await Role.findOne({ where: { code: data.code } })) {
+        throw new Error('角色编码已存在');
+      }
+
+      this.assertLevelGrantable(operator, data.level);
+      const permissionIds = await this.resolvePermissionIds(data.permissionIds, operator, sequelize);
+
+      const role = await this.executeTransaction(async (transaction) => {
+        const newRole = await Role.create(this.pickFields(data, this.roleFields), { transaction });
+        if (permissionIds.length > 0) {
+          await RolePermission.bulkCreate(
+            permissionIds.map(permissionId => ({ role_id: newRole.id, permission_id: permissionId })),
+            { transaction }
+          );
+        }
+        return newRole;
+      }, sequelize);
+
+      this.logAction('创建角色', { roleId: role.id, code: role.code });
+      return await this.getRole(role.id, sequelize);
+
+    } catch (error) {
+      this.logError('创建角色失败', error, { code: data.code });
+      throw error;
+    }
+  }
+
+  /**
+   * 更新角色
+   * @param {number} id - 角色ID
+   * @param {Object} data - 更新数据
+   * @param {Object} operator - 操作人认证主体，只有超级权限的操作人能设置超级角色等级
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 更新后的角色
+   */
+  async updateRole(id, data, operator, sequelize) {
+    try {
+      const { Role, UserRole } = sequelize.models;
+
+      const role = await Role.findByPk(id);
+      if (!role) {
+        throw new Error('角色不存在');
+      }
+
+      this.assertLevelGrantable(operator, data.level);
+
+      if (data.code && data.code !== role.code &&
+        await Role.findOne({ where: { code: data.code, id: { [Op.ne]: id } } })) {
+        throw new Error('角色编码已存在');
+      }
+
+      // 已分配给账号的角色不能改变适用的账号类型，否则已有分配会失效
+      if (data.user_type !== undefined && Number(data.user_type) !== role.user_type &&
+        await UserRole.count({ where: { role_id: id } }) > 0) {
+        throw new Error('角色已分配给账号，无法修改账号类型');
+      }
+
+      await role.update({ ...this.pickFields(data, this.roleFields), updated_at: new Date() });
+      await this.permissionService.clearAllPermissions();
+
+      this.logAction('更新角色', { roleId: id });
+      return role;
+
+    } catch (error) {
+      this.logError('更新角色失败', error, { roleId: id });
+      throw error;
+    }
+  }
+
+  /**
+   * 删除角色，已分配给账号的角色不能删除
+   * @param {number} id - 角色ID
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<boolean>} 是否成功
+   */
+  async deleteRole(id, sequelize) {
+    try {
+      const { Role, RolePermission, UserRole } = sequelize.models;
+
+      const role = await Role.findByPk(id);
+      if (!role) {
+        throw new Error('角色不存在');
+      }
+
+      if (await UserRole.count({ where: { role_id: id } }) > 0) {
+        throw new Error('角色已分配给账号，请先解除分配');
+      }
+
+      await this.executeTransaction(async (transaction) => {
+        await RolePermission.destroy({ where: { role_id: id }, transaction });
+        await role.destroy({ transaction });
+      }, sequelize);
+
+      this.logAction('删除角色', { roleId: id, code: role.code });
+      return true;
+
+    } catch (error) {
+      this.logError('删除角色失败', error, { roleId: id });
+      throw error;
+    }
+  }
+
+  /**
+   * 设置角色的权限（全量覆盖）
+   * @param {number} roleId - 角色ID
+   * @param {Array<number>} permissionIds - 权限ID列表
+   * @param {Object} operator - 操作人认证主体，设置的权限不能超出操作人自身的权限
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 更新后的角色
+   */
+  async setRolePermissions(roleId, permissionIds, operator, sequelize) {
+    try {
+      const { Role, RolePermission } = sequelize.models;
+
+      const role = await Role.findByPk(roleId);
+      if (!role) {
+        throw new Error('角色不存在');
+      }
+
+      const ids = await this.resolvePermissionIds(permissionIds, operator, sequelize);
+
+      await this.executeTransaction(async (transaction) => {
+        await RolePermission.destroy({ where: { role_id: roleId }, transaction });
+        if (ids.length > 0) {
+          await RolePermission.bulkCreate(
+            ids.map(permissionId => ({ role_id: roleId, permission_id: permissionId })),
+            { transaction }
+          );
+        }
+      }, sequelize);
+      await this.permissionService.clearAllPermissions();
+
+      this.logAction('设置角色权限', { roleId, permissionIds: ids });
+      return await this.getRole(roleId, sequelize);
+
+    } catch (error) {
+      this.logError('设置角色权限失败', error, { roleId });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取账号已分配的角色
+   * @param {number} userType - 账号类型 USER_ROLE
+   * @param {number} userId - 账号ID
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} { roles, permissions }
+   */
+  async getUserRoles(userType, userId, sequelize) {
+    const { UserRole, Role } = sequelize.models;
+
+    await this.findAccount(userType, userId, sequelize);
+
+    const userRoles = await UserRole.findAll({
+      where: { user_type: userType, user_id: userId },
+      include: [{ model: Role, as: 'role' }]
+    });
+
+    return {
+      roles: userRoles.map(userRole => userRole.role),
+      permissions: await this.permissionService.loadUserPermissions(userType, userId, sequelize)
+    };
+  }
+
+  /**
+   * 设置账号的角色（全量覆盖）
+   * @param {number} userType - 账号类型 USER_ROLE
+   * @param {number} userId - 账号ID
+   * @param {Array<number>} roleIds - 角色ID列表
+   * @param {Object} operator - 操作人认证主体，不能修改自己的角色，分配的角色权限不能超出操作人自身的权限
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} { roles, permissions }
+   */
+  async setUserRoles(userType, userId, roleIds, operator, sequelize) {
+    try {
+      const { UserRole, Role, Permission } = sequelize.models;
+
+      if (Number(userType) === operator.role && Number(userId) === operator.id) {
+        throw new Error('无权修改自己的角色');
+      }
+
+      await this.findAccount(userType, userId, sequelize);
+
+      const ids = [...new Set((roleIds || []).map(Number))];
+      if (ids.length > 0) {
+        const roles = await Role.findAll({
+          where: { id: ids, user_type: userType },
+          include: [{ model: Permission, as: 'permissions', attributes: ['code'], through: { attributes: [] } }]
+        });
+        if (roles.length !== ids.length) {
+          throw new Error('角色不存在或不适用于该账号类型');
+        }
+
+        // 超级等级的角色拥有全部权限，其余角色按绑定的权限计算
+        this.assertGrantable(operator, roles.flatMap(role => (role.level >= PERMISSION_LEVEL.SUPER
+          ? [PermissionService.SUPER_PERMISSION]
+          : role.permissions.map(permission => permission.code))));
+      }
+
+      await this.executeTransaction(async (transaction) => {
+        await UserRole.destroy({ where: { user_type: userType, user_id: userId }, transaction });
+        if (ids.length > 0) {
+          await UserRole.bulkCreate(
+            ids.map(roleId => ({ user_type: userType, user_id: userId, role_id: roleId })),
+            { transaction }
+          );
+        }
+      }, sequelize);
+      await this.permissionService.clearUserPermissions(userType, userId);
+
+      this.logAction('设置账号角色', { userType, userId, roleIds: ids });
+      return await this.getUserRoles(userType, userId, sequelize);
+
+    } catch (error) {
+      this.logError('设置账号角色失败', error, { userType, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * 校验授予的权限不超出操作人自身的权限
+   * @param {Object} operator - 操作人认证主体
+   * @param {Array<string>} codes - 授予的权限编码
+   */
+  assertGrantable(operator, codes) {
+    const unique = [...new Set(codes)];
+    if (PermissionService.filterGranted(operator.permissions, unique).length !== unique.length) {
+      throw new Error('无权授予超出自身的权限');
+    }
+  }
+
+  /**
+   * 校验角色等级：超级等级的角色拥有全部权限，只有拥有超级权限的操作人能设置
+   * @param {Object} operator - 操作人认证主体
+   * @param {number} [level] - 角色等级，未提供时不校验
+   */
+  assertLevelGrantable(operator, level) {
+    if (level !== undefined && Number(level) >= PERMISSION_LEVEL.SUPER) {
+      this.assertGrantable(operator, [PermissionService.SUPER_PERMISSION]);
+    }
+  }
+
+  /**
+   * 校验权限ID列表，全部存在且不超出操作人的权限时返回去重后的ID
+   * @param {Array<number>} permissionIds - 权限ID列表
+   * @param {Object} operator - 操作人认证主体
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Array<number>>} 权限ID列表
+   */
+  async resolvePermissionIds(permissionIds, operator, sequelize) {
+    const ids = [...new Set((permissionIds || []).map(Number))];
+    if (ids.length === 0) {
+      return ids;
+    }
+
+    const permissions = await sequelize.models.Permission.findAll({ where: { id: ids }, attributes: ['id', 'code'] });
+    if (permissions.length !== ids.length) {
+      throw new Error('部分权限不存在');
+    }
+
+    this.assertGrantable(operator, permissions.map(permission => permission.code));
+    return ids;
+  }
+
+  /**
+   * 按账号类型查找账号：H5用户在 users 表，商户和总台管理员在 merchants_users 表
+   * @param {number} userType - 账号类型 USER_ROLE
+   * @param {number} userId - 账号ID
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 账号
+   */
+  async findAccount(userType, userId, sequelize) {
+    const { User, MerchantsUsers } = sequelize.models;
+
+    let account = null;
+    if (userType === USER_ROLE.USER) {
+      account = await User.findByPk(userId);
+    } else if ([USER_ROLE.MERCHANT, USER_ROLE.CONSOLE_ADMIN].includes(userType)) {
+      account = await MerchantsUsers.findOne({ where: { id: userId, role: userType } });
+    }
+
+    if (!account) {
+      throw new Error('账号不存在');
+    }
+
+    return account;
+  }
+}
+
+module.exports = AdminRbacService;
@@ -0,0 +1,19 @@
+/**
+ * 总台系统运行状态服务
+ * 提供性能统计和API类型统计，集群模式下为所有工作进程的汇总
+ */
+
+const BaseService = require('../base/BaseService');
+const { getClusterStats } = require('../../../middleware/monitoring/clusterStats');
+
+class AdminSystemService extends BaseService {
+  /**
+   * 获取运行统计
+   * @returns {Promise<Object>} { workerCount, missingWorkers, combined: { performance, apiTypes }, workers }
+   */
+  async getRuntimeStats() {
+    return await getClusterStats();
+  }
+}
+
+module.exports = AdminSystemService;
@@ -95,7 +95,7 @@ class BaseMerchantService extends BaseService {
    * 为数据库查询添加店铺数据隔离条件
    * @param {number} merchantId - 商户ID
    * @param {Object} baseConditions - 基础查询条件
-   * @param {number|Array} shopIds - 店铺ID或店铺ID数组（可选）
+   * @param {number|Array} shopIds - 店铺ID或店铺ID数组（可选，为空数组时不匹配任何店铺）
    * @returns {Object} 包含店铺隔离的查询条件
    */
   buildShopQuery(merchantId, baseConditions = {}, shopIds = null) {
@@ -111,9 +111,7 @@ class BaseMerchantService extends BaseService {
     // 如果指定了店铺ID
     if (shopIds !== null) {
       if (Array.isArray(shopIds)) {
-        if (shopIds.length > 0) {
-          query.shopId = { $in: shopIds };
-        }
+        query.shopId = { $in: shopIds };
       } else {
         query.shopId = shopIds;
       }
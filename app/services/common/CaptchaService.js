@@ -0,0 +1,144 @@
+/**
+ * 验证码服务
+ * 实现 REGISTER_CONFIG 中的图形、数字和短信验证码。答案只以哈希形式保存在Redis中，校验一次后立即作废
+ */
+
+const crypto = require('crypto');
+const BaseService = require('../base/BaseService');
+const NotificationService = require('./NotificationService');
+const CacheManager = require('../../../common/redis/cache');
+const { redis, PREFIX, generateKey } = require('../../../common/redis');
+const { REGISTER_CONFIG } = require('../../../common/constants/status');
+const captcha = require('../../../common/utils/captcha');
+
+class CaptchaService extends BaseService {
+  constructor() {
+    super();
+    this.notificationService = new NotificationService();
+    this.captchaTtl = 300; // 验证码5分钟有效
+    this.smsResendInterval = 60; // 同一手机号两次发送短信的最小间隔（秒）
+    this.imageLength = 4; // 图形/数字验证码字符数
+    this.smsLength = 6; // 短信验证码位数
+  }
+
+  /**
+   * 判断是否为支持的验证码类型
+   * @param {number} type - 验证码类型
+   * @returns {boolean} 是否支持
+   */
+  isSupportedType(type) {
+    return [
+      REGISTER_CONFIG.CAPTCHA_IMAGE,
+      REGISTER_CONFIG.CAPTCHA_NUMERIC,
+      REGISTER_CONFIG.CAPTCHA_SMS
+    ].includes(type);
+  }
+
+  /**
+   * 计算答案哈希，按验证码ID加盐，忽略大小写和首尾空格
+   * @param {string} captchaId - 验证码ID
+   * @param {string} answer - 答案
+   * @returns {string} SHA-256哈希
+   */
+  hashAnswer(captchaId, answer) {
+    const normalized = String(answer).trim().toLowerCase();
+    return crypto.createHash('sha256').update(`${captchaId}:${normalized}`).digest('hex');
+  }
+
+  /**
+   * 生成验证码
+   * @param {number} type - 验证码类型 REGISTER_CONFIG.CAPTCHA_*
+   * @param {Object} options - { scene: 使用场景, recipient: 短信接收手机号 }
+   * @returns {Promise<Object>} { captchaId, type, image, expiresIn }，短信验证码不返回图片
+   */
+  async create(type, { scene, recipient = null } = {}) {
+    if (!this.isSupportedType(type)) {
+      throw new Error('不支持的验证码类型');
+    }
+
+    const captchaId = crypto.randomUUID();
+    const result = { captchaId, type, expiresIn: this.captchaTtl };
+    let answer;
+
+    if (type === REGISTER_CONFIG.CAPTCHA_SMS) {
+      if (!recipient) {
+        throw new Error('手机号不能为空');
+      }
+      answer = await this.sendSmsCode(recipient);
+    } else {
+      const charset = type === REGISTER_CONFIG.CAPTCHA_NUMERIC ? 'numeric' : 'alphanumeric';
+      answer = captcha.generateText(this.imageLength, charset);
+      result.image = captcha.toDataUri(captcha.renderSvg(answer));
+    }
+
+    await CacheManager.set(PREFIX.CAPTCHA, captchaId, {
+      type,
+      scene,
+      recipient,
+      hash: this.hashAnswer(captchaId, answer)
+    }, this.captchaTtl);
+
+    this.logAction('生成验证码', { type, scene });
+    return result;
+  }
+
+  /**
+   * 生成并发送短信验证码
+   * @param {string} recipient - 手机号
+   * @returns {Promise<string>} 验证码明文
+   */
+  async sendSmsCode(recipient) {
+    const throttleKey = `sms_throttle:${recipient}`;
+    if (await CacheManager.get(PREFIX.CAPTCHA, throttleKey)) {
+      throw new Error('短信发送过于频繁，请稍后再试');
+    }
+
+    const code = crypto.randomInt(0, 10 ** this.smsLength).toString().padStart(this.smsLength, '0');
+
+    await this.notificationService.sendNotification({
+      type: this.notificationService.notificationTypes.SMS,
+      recipient,
+      title: '验证码',
+      content: `您的验证码是${code}，${this.captchaTtl / 60}分钟内有效，请勿泄露给他人。`
+    });
+    await CacheManager.set(PREFIX.CAPTCHA, throttleKey, 1, this.smsResendInterval);
+
+    return code;
+  }
+
+  /**
+   * 校验验证码，无论是否通过，验证码都只能校验一次
+   * @param {string} captchaId - 验证码ID
+   * @param {string} answer - 用户输入的答案
+   * @param {Object} expected - { type, scene, recipient }，提供时必须与生成时一致
+   * @returns {Promise<boolean>} 是否通过
+   */
+  async verify(captchaId, answer, { type, scene, recipient } = {}) {
+    if (!captchaId || !answer) {
+      return false;
+    }
+
+    const record = await CacheManager.get(PREFIX.CAPTCHA, captchaId);
+    if (!record) {
+      return false;
+    }
+
+    // 以删除结果判断是否抢先使用，防止并发请求重复使用同一验证码
+    const removed = await redis.del(generateKey(PREFIX.CAPTCHA, captchaId));
+    if (!removed) {
+      return false;
+    }
+
+    if ((type !== undefined && record.type !== type) ||
+      (scene !== undefined && record.scene !== scene) ||
+      (recipient && record.recipient && record.recipient !== recipient)) {
+      return false;
+    }
+
+    const expectedHash = Buffer.from(record.hash);
+    const actualHash = Buffer.from(this.hashAnswer(captchaId, answer));
+    return crypto.timingSafeEqual(expectedHash, actualHash);
+  }
+}
+
+module.exports = CaptchaService;
@@ -75,14 +75,60 @@ class EmailService extends BaseService {
     return await this.sendEmail(emailData);
   }
 
+  /**
+   * 发送登录验证码邮件
+   * @param {string} email - 邮箱地址
+   * @param {string} code - 验证码
+   * @returns {Promise<Object>} 发送结果
+   */
+  async sendLoginCodeEmail(email, code) {
+    const emailData = {
+      to: email,
+      subject: '登录验证码',
+      html: `
+        <h2>登录验证码</h2>
+        <p>您的登录验证码是：<strong>${code}</strong></p>
+        <p>验证码有效期为5分钟。如果不是您本人操作，请忽略此邮件。</p>
+      `
+    };
+
+    return await this.sendEmail(emailData);
+  }
+
+  /**
+   * 发送登录链接邮件
+   * @param {string} email - 邮箱地址
+   * @param {Object} link - { token, expires, signature }
+   * @param {string} baseUrl - 登录页面所在前端地址，默认 FRONTEND_URL
+   * @returns {Promise<Object>} 发送结果
+   */
+  async sendMagicLinkEmail(email, link, baseUrl = process.env.FRONTEND_URL) {
+    const params = new URLSearchParams({ token: link.token, expires: link.expires, signature: link.signature });
+    const loginUrl = `${baseUrl}/magic-login?${params}`;
+
+    const emailData = {
+      to: email,
+      subject: '登录链接',
+      html: `
+        <h2>登录链接</h2>
+        <p>请点击下面的链接登录，链接只能使用一次：</p>
+        <a href="${loginUrl}">立即登录</a>
+        <p>此链接有效期为15分钟。如果不是您本人操作，请忽略此邮件。</p>
+      `
+    };
+
+    return await this.sendEmail(emailData);
+  }
+
   /**
    * 发送密码重置邮件
    * @param {string} email - 邮箱地址
    * @param {string} resetToken - 重置令牌
+   * @param {string} baseUrl - 重置页面所在前端地址，默认 FRONTEND_URL
    * @returns {Promise<Object>} 发送结果
    */
-  async sendPasswordResetEmail(email, resetToken) {
-    const resetUrl = `${process.env.FRONTEND_URL}/reset-password?token=${resetToken}`;
+  async sendPasswordResetEmail(email, resetToken, baseUrl = process.env.FRONTEND_URL) {
+    const resetUrl = `${baseUrl}/reset-password?token=${resetToken}`;
     
     const emailData = {
       to: email,
@@ -99,6 +145,31 @@ class EmailService extends BaseService {
     return await this.sendEmail(emailData);
   }
 
+  /**
+   * 发送子账号邀请邮件
+   * @param {string} email - 邮箱地址
+   * @param {string} inviteToken - 邀请令牌
+   * @param {string} inviterName - 邀请人（商户主账号）名称
+   * @param {string} baseUrl - 接受邀请页面所在前端地址，默认 FRONTEND_URL
+   * @returns {Promise<Object>} 发送结果
+   */
+  async sendInvitationEmail(email, inviteToken, inviterName, baseUrl = process.env.FRONTEND_URL) {
+    const inviteUrl = `${baseUrl}/accept-invitation?token=${inviteToken}`;
+
+    const emailData = {
+      to: email,
+      subject: '账号邀请',
+      html: `
+        <h2>账号邀请</h2>
+        <p>${inviterName} 邀请您加入商户后台，请点击下面的链接设置密码并激活账号：</p>
+        <a href="${inviteUrl}">接受邀请</a>
+        <p>此链接有效期为72小时。</p>
+      `
+    };
+
+    return await this.sendEmail(emailData);
+  }
+
   /**
    * 验证邮件数据
    * @param {Object} emailData - 邮件数据
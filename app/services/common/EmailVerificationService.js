@@ -0,0 +1,95 @@
+/**
+ * 邮箱验证码服务
+ * 签发和校验注册邮箱验证码。验证码只以哈希形式保存在Redis中，限制有效期、重发间隔和尝试次数
+ */
+
+const crypto = require('crypto');
+const BaseService = require('../base/BaseService');
+const CacheManager = require('../../../common/redis/cache');
+const { redis, PREFIX, generateKey } = require('../../../common/redis');
+
+class EmailVerificationService extends BaseService {
+  /**
+   * @param {string} scope - 验证码所属端（如user），用于隔离不同端的验证码
+   */
+  constructor(scope) {
+    super();
+    this.scope = scope;
+    this.codeTtl = 600; // 验证码10分钟有效，与邮件内容保持一致
+    this.resendInterval = 60; // 两次发送的最小间隔（秒）
+    this.maxAttempts = 5; // 统计窗口内每个用户最多尝试5次
+    this.attemptWindow = 900; // 尝试次数的统计窗口（秒），重新发送验证码不会重置
+  }
+
+  /**
+   * 计算验证码哈希，按用户加盐避免相同验证码得到相同哈希
+   * @param {number} userId - 用户ID
+   * @param {string} code - 验证码
+   * @returns {string} SHA-256哈希
+   */
+  hashCode(userId, code) {
+    return crypto.createHash('sha256').update(`${this.scope}:${userId}:${code}`).digest('hex');
+  }
+
+  /**
+   * 生成验证码，新验证码会覆盖旧验证码
+   * @param {number} userId - 用户ID
+   * @returns {Promise<string|null>} 6位数字验证码，发送过于频繁时返回null
+   */
+  async createCode(userId) {
+    // 用 SET NX 一步完成重发间隔的检查和登记，并发请求中只有一个能发送
+    const throttleKey = generateKey(PREFIX.EMAIL_VERIFICATION, `${this.scope}:throttle:${userId}`);
+    if (await redis.set(throttleKey, 1, 'EX', this.resendInterval, 'NX') !== 'OK') {
+      return null;
+    }
+
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+    await CacheManager.set(PREFIX.EMAIL_VERIFICATION, `${this.scope}:code:${userId}`, {
+      hash: this.hashCode(userId, code),
+      expiresAt: Math.floor(Date.now() / 1000) + this.codeTtl
+    }, this.codeTtl);
+
+    this.logAction('生成邮箱验证码', { scope: this.scope, userId });
+    return code;
+  }
+
+  /**
+   * 校验验证码，成功或尝试次数用尽后验证码作废
+   * 尝试次数按用户用Redis原子计数，有独立的统计窗口，并发猜测或重新发送验证码都不能绕过上限
+   * @param {number} userId - 用户ID
+   * @param {string} code - 用户输入的验证码
+   * @returns {Promise<boolean>} 是否通过
+   */
+  async verifyCode(userId, code) {
+    const key = `${this.scope}:code:${userId}`;
+    const record = await CacheManager.get(PREFIX.EMAIL_VERIFICATION, key);
+
+    if (!record) {
+      return false;
+    }
+
+    const attemptsKey = generateKey(PREFIX.EMAIL_VERIFICATION, `${this.scope}:attempts:${userId}`);
+    const attempts = await redis.incr(attemptsKey);
+    if (attempts === 1) {
+      await redis.expire(attemptsKey, this.attemptWindow);
+    }
+    if (attempts > this.maxAttempts) {
+      await CacheManager.del(PREFIX.EMAIL_VERIFICATION, key);
+      return false;
+    }
+
+    const expected = Buffer.from(record.hash);
+    const actual = Buffer.from(this.hashCode(userId, String(code).trim()));
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      return false;
+    }
+
+    // 以删除结果判断是否抢先消费，防止并发请求重复使用同一验证码
+    const removed = await redis.del(generateKey(PREFIX.EMAIL_VERIFICATION, key));
+    await redis.del(attemptsKey);
+    return removed > 0;
+  }
+}
+
+module.exports = EmailVerificationService;
@@ -0,0 +1,321 @@
+/**
+ * JWT签名密钥服务
+ * 统一签发和校验三端令牌：配置 RS256/ES256 时使用本地密钥集签名并在令牌头写入 kid，
+ * 未配置时沿用 JWT_SECRET 的 HS256 签名。公钥通过 /.well-known/jwks.json 公开，
+ * 其他内部服务可以直接验证令牌，无需共享密钥
+ *
+ * 密钥集目录结构（JWT_KEYS_DIR，默认 keys/jwt）：
+ *   manifest.json   { "active": "<kid>", "keys": [{ "kid", "alg", "created_at", "retired_at" }] }
+ *   <kid>.pem       PKCS#8 私钥
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const BaseService = require('../base/BaseService');
+const { logger } = require('../../../common/logger');
+const { AUTH_CONFIG } = require('../../../middleware/config');
+
+const PROJECT_ROOT = path.resolve(__dirname, '../../..');
+const MANIFEST_FILE = 'manifest.json';
+
+// 支持的非对称签名算法及对应的密钥生成参数
+const KEY_ALGORITHMS = {
+  RS256: { type: 'rsa', options: { modulusLength: 2048 } },
+  ES256: { type: 'ec', options: { namedCurve: 'P-256' } }
+};
+
+// 示例配置和历史代码中出现过的默认密钥，生产环境禁止使用
+const DEFAULT_SECRETS = ['default_secret', 'your_jwt_secret', 'your_development_jwt_secret_key'];
+const MIN_SECRET_LENGTH = 32;
+
+const KEY_SET_RELOAD_INTERVAL = 60 * 1000; // 定期重新读取密钥集，使各进程获取轮换后的密钥
+const KEY_SET_MISS_RELOAD_INTERVAL = 5 * 1000; // 遇到未知 kid 时立即重读，但限制频率，避免伪造 kid 反复读盘
+
+// 密钥集在进程内共享，所有服务实例使用同一份缓存
+let keySetCache = null;
+let keySetLoadedAt = 0;
+
+class JwtKeyService extends BaseService {
+  /**
+   * @param {string|null} apiType - 令牌所属端（API_TYPE_CONFIG.TYPES），指定后签发时写入该端受众，校验时只接受该端令牌
+   */
+  constructor(apiType = null) {
+    super();
+    this.apiType = apiType;
+    this.issuer = AUTH_CONFIG.JWT.issuer;
+    this.algorithm = (process.env.JWT_ALGORITHM || 'HS256').toUpperCase();
+    this.keysDir = path.resolve(PROJECT_ROOT, process.env.JWT_KEYS_DIR || 'keys/jwt');
+    this.secret = process.env.JWT_SECRET || 'your_jwt_secret';
+    // 切换到非对称签名后，在最长令牌有效期内继续接受切换前签发的 HS256 令牌
+    this.acceptLegacyHs256 = process.env.JWT_ACCEPT_HS256 === 'true';
+    // 退役密钥保留天数，需覆盖最长的刷新令牌有效期
+    this.retentionDays = parseInt(process.env.JWT_KEY_RETENTION_DAYS) || 8;
+  }
+
+  /**
+   * 获取指定端的令牌受众
+   * @param {string} apiType - API类型
+   * @returns {string|null} 受众，通用接口等未配置受众的类型返回null
+   */
+  static getAudience(apiType) {
+    return AUTH_CONFIG.JWT.audiences[apiType] || null;
+  }
+
+  /**
+   * 生成签发端的签名选项和校验选项：绑定端时加入签发方和受众
+   * @returns {Object} jsonwebtoken 选项
+   */
+  getClaimOptions() {
+    if (!this.apiType) {
+      return {};
+    }
+    return { issuer: this.issuer, audience: JwtKeyService.getAudience(this.apiType) };
+  }
+
+  /**
+   * 是否使用非对称密钥签名
+   * @returns {boolean} 是否为 RS256/ES256
+   */
+  isAsymmetric() {
+    return Boolean(KEY_ALGORITHMS[this.algorithm]);
+  }
+
+  /**
+   * 读取密钥集清单
+   * @returns {Object} 清单，目录或文件不存在时返回空清单
+   */
+  readManifest() {
+    const manifestPath = path.join(this.keysDir, MANIFEST_FILE);
+    if (!fs.existsSync(manifestPath)) {
+      return { active: null, keys: [] };
+    }
+    return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  }
+
+  /**
+   * 写入密钥集清单，先写临时文件再重命名，避免其他进程读到写了一半的文件
+   * @param {Object} manifest - 清单
+   */
+  writeManifest(manifest) {
+    const manifestPath = path.join(this.keysDir, MANIFEST_FILE);
+    const tempPath = `${manifestPath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(manifest, null, 2));
+    fs.renameSync(tempPath, manifestPath);
+  }
+
+  /**
+   * 加载密钥集，按间隔缓存
+   * @param {number} maxAge - 缓存最长使用时间（毫秒）
+   * @returns {Object} { active, keys: Map<kid, { kid, alg, privateKey, publicKey, retired_at }> }
+   */
+  loadKeySet(maxAge = KEY_SET_RELOAD_INTERVAL) {
+    if (keySetCache && Date.now() - keySetLoadedAt < maxAge) {
+      return keySetCache;
+    }
+
+    const manifest = this.readManifest();
+    const keys = new Map();
+
+    for (const entry of manifest.keys) {
+      const privateKey = crypto.createPrivateKey(fs.readFileSync(path.join(this.keysDir, `${entry.kid}.pem`)));
+      keys.set(entry.kid, {
+        kid: entry.kid,
+        alg: entry.alg,
+        privateKey,
+        publicKey: crypto.createPublicKey(privateKey),
+        retired_at: entry.retired_at || null
+      });
+    }
+
+    keySetCache = { active: manifest.active, keys };
+    keySetLoadedAt = Date.now();
+    return keySetCache;
+  }
+
+  /**
+   * 获取当前签名密钥
+   * @returns {Object} 密钥
+   */
+  getActiveKey() {
+    const { active, keys } = this.loadKeySet();
+    const key = keys.get(active);
+    if (!key) {
+      throw new Error('JWT签名密钥未配置，请先执行 node scripts/rotate-jwt-keys.js 生成密钥');
+    }
+    return key;
+  }
+
+  /**
+   * 按 kid 查找验证密钥，未命中时重读一次密钥集（可能是其他进程刚轮换）
+   * @param {string} kid - 密钥ID
+   * @returns {Object|null} 密钥
+   */
+  findVerificationKey(kid) {
+    return this.loadKeySet().keys.get(kid)
+      || this.loadKeySet(KEY_SET_MISS_RELOAD_INTERVAL).keys.get(kid)
+      || null;
+  }
+
+  /**
+   * 签发令牌
+   * @param {Object} payload - 令牌数据
+   * @param {Object} options - jsonwebtoken 签名选项，如 { expiresIn }
+   * @returns {string} 令牌
+   */
+  sign(payload, options = {}) {
+    const signOptions = { ...this.getClaimOptions(), ...options };
+
+    if (!this.isAsymmetric()) {
+      return jwt.sign(payload, this.secret, { ...signOptions, algorithm: 'HS256' });
+    }
+
+    const key = this.getActiveKey();
+    return jwt.sign(payload, key.privateKey, { ...signOptions, algorithm: key.alg, keyid: key.kid });
+  }
+
+  /**
+   * 校验令牌签名和有效期
+   * 按令牌头的 kid 选择公钥，并限定为该密钥的算法，防止算法混淆
+   * @param {string} token - 令牌
+   * @param {Object} options - jsonwebtoken 校验选项
+   * @returns {Object} 解码后的令牌数据，校验失败时抛出 jsonwebtoken 的错误
+   */
+  verify(token, options = {}) {
+    const verifyOptions = { ...this.getClaimOptions(), ...options };
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded) {
+      throw new jwt.JsonWebTokenError('jwt malformed');
+    }
+
+    const { kid } = decoded.header;
+    if (kid) {
+      const key = this.isAsymmetric() ? this.findVerificationKey(kid) : null;
+      if (!key) {
+        throw new jwt.JsonWebTokenError('unknown signing key');
+      }
+      return jwt.verify(token, key.publicKey, { ...verifyOptions, algorithms: [key.alg] });
+    }
+
+    if (this.isAsymmetric() && !this.acceptLegacyHs256) {
+      throw new jwt.JsonWebTokenError('unknown signing key');
+    }
+    return jwt.verify(token, this.secret, { ...verifyOptions, algorithms: ['HS256'] });
+  }
+
+  /**
+   * 获取公开的 JWKS，包含当前密钥和保留期内的退役密钥
+   * @returns {Object} { keys: [...] }
+   */
+  getJwks() {
+    if (!this.isAsymmetric()) {
+      return { keys: [] };
+    }
+
+    const { keys } = this.loadKeySet();
+    return {
+      keys: [...keys.values()].map(key => ({
+        ...key.publicKey.export({ format: 'jwk' }),
+        kid: key.kid,
+        alg: key.alg,
+        use: 'sig'
+      }))
+    };
+  }
+
+  /**
+   * 轮换签名密钥：生成新密钥并设为当前密钥，原密钥退役但继续用于验证，
+   * 超过保留期的退役密钥从密钥集中删除
+   * @param {string} algorithm - 新密钥的算法，默认使用 JWT_ALGORITHM
+   * @returns {Object} { kid, alg, retired, removed }
+   */
+  rotateKeys(algorithm = this.algorithm) {
+    const keyAlgorithm = KEY_ALGORITHMS[algorithm];
+    if (!keyAlgorithm) {
+      throw new Error(`不支持的签名算法: ${algorithm}，可选 ${Object.keys(KEY_ALGORITHMS).join('/')}`);
+    }
+
+    fs.mkdirSync(this.keysDir, { recursive: true, mode: 0o700 });
+    const manifest = this.readManifest();
+    const now = new Date();
+
+    const kid = `${now.toISOString().slice(0, 10).replace(/-/g, '')}-${crypto.randomBytes(4).toString('hex')}`;
+    const { privateKey } = crypto.generateKeyPairSync(keyAlgorithm.type, keyAlgorithm.options);
+    fs.writeFileSync(
+      path.join(this.keysDir, `${kid}.pem`),
+      privateKey.export({ type: 'pkcs8', format: 'pem' }),
+      { mode: 0o600 }
+    );
+
+    const retired = [];
+    const removed = [];
+    const expireBefore = now.getTime() - this.retentionDays * 24 * 3600 * 1000;
+    const keys = [];
+
+    for (const entry of manifest.keys) {
+      if (entry.kid === manifest.active) {
+        entry.retired_at = now.toISOString();
+        retired.push(entry.kid);
+      }
+      if (entry.retired_at && new Date(entry.retired_at).getTime() < expireBefore) {
+        fs.rmSync(path.join(this.keysDir, `${entry.kid}.pem`), { force: true });
+        removed.push(entry.kid);
+        continue;
+      }
+      keys.push(entry);
+    }
+
+    keys.push({ kid, alg: algorithm, created_at: now.toISOString(), retired_at: null });
+    this.writeManifest({ active: kid, keys });
+    keySetCache = null;
+
+    logger.security('JWT签名密钥已轮换', { kid, alg: algorithm, retired, removed });
+    return { kid, alg: algorithm, retired, removed };
+  }
+
+  /**
+   * 启动前检查签名配置
+   * 非对称模式下必须已生成密钥；生产环境拒绝使用默认或过短的密钥
+   * @returns {Array<string>} 配置问题列表，为空表示可以启动
+   */
+  validateConfig() {
+    const problems = [];
+    const isProduction = process.env.NODE_ENV === 'production';
+    const isWeakSecret = value => !value || DEFAULT_SECRETS.includes(value) || value.length < MIN_SECRET_LENGTH;
+
+    if (this.isAsymmetric()) {
+      try {
+        this.getActiveKey();
+      } catch (error) {
+        problems.push(error.message);
+      }
+    } else if (this.algorithm !== 'HS256') {
+      problems.push(`不支持的签名算法 JWT_ALGORITHM=${this.algorithm}，可选 HS256/${Object.keys(KEY_ALGORITHMS).join('/')}`);
+    }
+
+    if (isProduction) {
+      if ((!this.isAsymmetric() || this.acceptLegacyHs256) && isWeakSecret(process.env.JWT_SECRET)) {
+        problems.push(`生产环境 JWT_SECRET 未设置、使用了默认值或少于${MIN_SECRET_LENGTH}位`);
+      }
+      // 商户API签名密钥未单独配置时由 JWT_SECRET 派生
+      if (isWeakSecret(process.env.MERCHANT_API_SIGNING_SECRET || process.env.JWT_SECRET)) {
+        problems.push(`生产环境 MERCHANT_API_SIGNING_SECRET 未设置、使用了默认值或少于${MIN_SECRET_LENGTH}位`);
+      }
+      // 用户登录链接签名密钥未单独配置时使用 JWT_SECRET
+      if (isWeakSecret(process.env.USER_MAGIC_LINK_SECRET || process.env.JWT_SECRET)) {
+        problems.push(`生产环境 USER_MAGIC_LINK_SECRET 未设置、使用了默认值或少于${MIN_SECRET_LENGTH}位`);
+      }
+      // 审计日志检查点签名密钥必须单独配置，不使用 JWT_SECRET（非对称签名时通常不配置 JWT_SECRET，检查点会被关闭）
+      if (isWeakSecret(process.env.AUDIT_CHAIN_SECRET)) {
+        problems.push(`生产环境 AUDIT_CHAIN_SECRET 未设置、使用了默认值或少于${MIN_SECRET_LENGTH}位`);
+      }
+    }
+
+    return problems;
+  }
+}
+
+JwtKeyService.KEY_ALGORITHMS = KEY_ALGORITHMS;
+
+module.exports = JwtKeyService;
@@ -0,0 +1,180 @@
+/**
+ * 免密登录凭证服务
+ * 签发和校验一次性登录验证码与登录链接。验证码和链接令牌只以哈希形式保存在Redis中，
+ * 验证码限制有效期、发送间隔、每日发送次数和尝试次数；登录链接带有效期签名，只能使用一次
+ */
+
+const crypto = require('crypto');
+const BaseService = require('../base/BaseService');
+const CacheManager = require('../../../common/redis/cache');
+const { redis, PREFIX, generateKey } = require('../../../common/redis');
+
+class LoginOtpService extends BaseService {
+  /**
+   * @param {string} scope - 凭证所属端（如user），用于隔离不同端的验证码和链接
+   */
+  constructor(scope) {
+    super();
+    this.scope = scope;
+    this.codeTtl = 300; // 验证码5分钟有效，与短信和邮件内容保持一致
+    this.linkTtl = 900; // 登录链接15分钟有效
+    this.resendInterval = 60; // 同一接收方两次发送的最小间隔（秒）
+    this.maxAttempts = 5; // 统计窗口内每个接收方最多尝试5次
+    this.attemptWindow = 900; // 尝试次数的统计窗口（秒），重新发送验证码不会重置
+    this.dailySendLimit = 10; // 同一接收方24小时内最多发送10次
+    this.linkSecret = process.env.USER_MAGIC_LINK_SECRET || process.env.JWT_SECRET || 'your_jwt_secret';
+  }
+
+  /**
+   * 计算哈希，验证码按接收方加盐避免相同验证码得到相同哈希
+   * @param {string} value - 待哈希的内容
+   * @returns {string} SHA-256哈希
+   */
+  hash(value) {
+    return crypto.createHash('sha256').update(`${this.scope}:${value}`).digest('hex');
+  }
+
+  /**
+   * 检查并登记发送间隔和每日发送次数
+   * 用 SET NX 一步完成间隔的检查和登记，并发请求中只有一个能取得发送机会；
+   * 每日次数从当天第一次发送起计算24小时
+   * @param {string} recipient - 接收方（渠道:手机号或邮箱）
+   * @returns {Promise<boolean>} 是否允许发送
+   */
+  async acquireSendSlot(recipient) {
+    const throttleKey = generateKey(PREFIX.LOGIN_OTP, `${this.scope}:throttle:${recipient}`);
+    const acquired = await redis.set(throttleKey, 1, 'EX', this.resendInterval, 'NX');
+    if (acquired !== 'OK') {
+      return false;
+    }
+
+    const dailyKey = generateKey(PREFIX.LOGIN_OTP, `${this.scope}:daily:${recipient}`);
+    const sent = await redis.incr(dailyKey);
+    if (sent === 1) {
+      await redis.expire(dailyKey, 86400);
+    }
+    if (sent > this.dailySendLimit) {
+      this.logAction('登录凭证发送达到每日上限', { scope: this.scope });
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * 生成登录验证码，新验证码会覆盖旧验证码
+   * @param {string} recipient - 接收方（渠道:手机号或邮箱）
+   * @param {number} userId - 验证码对应的用户ID
+   * @returns {Promise<string|null>} 6位数字验证码，发送过于频繁时返回null
+   */
+  async createCode(recipient, userId) {
+    if (!await this.acquireSendSlot(recipient)) {
+      return null;
+    }
+
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+    await CacheManager.set(PREFIX.LOGIN_OTP, `${this.scope}:code:${recipient}`, {
+      hash: this.hash(`${recipient}:${code}`),
+      userId
+    }, this.codeTtl);
+
+    this.logAction('生成登录验证码', { scope: this.scope, userId });
+    return code;
+  }
+
+  /**
+   * 校验登录验证码，成功或尝试次数用尽后验证码作废
+   * 尝试次数按接收方用Redis原子计数，有独立的统计窗口，并发猜测或重新发送验证码都不能绕过上限
+   * @param {string} recipient - 接收方（渠道:手机号或邮箱）
+   * @param {string} code - 用户输入的验证码
+   * @returns {Promise<number|null>} 验证码对应的用户ID，未通过时返回null
+   */
+  async verifyCode(recipient, code) {
+    const key = `${this.scope}:code:${recipient}`;
+    const record = await CacheManager.get(PREFIX.LOGIN_OTP, key);
+
+    if (!record) {
+      return null;
+    }
+
+    const attemptsKey = generateKey(PREFIX.LOGIN_OTP, `${this.scope}:attempts:${recipient}`);
+    const attempts = await redis.incr(attemptsKey);
+    if (attempts === 1) {
+      await redis.expire(attemptsKey, this.attemptWindow);
+    }
+    if (attempts > this.maxAttempts) {
+      await CacheManager.del(PREFIX.LOGIN_OTP, key);
+      return null;
+    }
+
+    const expected = Buffer.from(record.hash);
+    const actual = Buffer.from(this.hash(`${recipient}:${String(code).trim()}`));
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    // 以删除结果判断是否抢先消费，防止并发请求重复使用同一验证码
+    const removed = await redis.del(generateKey(PREFIX.LOGIN_OTP, key));
+    await redis.del(attemptsKey);
+    return removed ? record.userId : null;
+  }
+
+  /**
+   * 计算登录链接签名
+   * @param {string} token - 链接令牌
+   * @param {number} expires - 过期时间戳（秒）
+   * @returns {string} 十六进制 HMAC-SHA256 签名
+   */
+  signLink(token, expires) {
+    return crypto.createHmac('sha256', this.linkSecret).update(`${this.scope}:${token}:${expires}`).digest('hex');
+  }
+
+  /**
+   * 签发一次性登录链接参数
+   * @param {string} recipient - 接收方（email:邮箱）
+   * @param {number} userId - 链接对应的用户ID
+   * @returns {Promise<Object|null>} { token, expires, signature }，发送过于频繁时返回null
+   */
+  async createLink(recipient, userId) {
+    if (!await this.acquireSendSlot(recipient)) {
+      return null;
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expires = Math.floor(Date.now() / 1000) + this.linkTtl;
+
+    await CacheManager.set(PREFIX.LOGIN_OTP, `${this.scope}:link:${this.hash(token)}`, { userId }, this.linkTtl);
+
+    this.logAction('签发登录链接', { scope: this.scope, userId });
+    return { token, expires, signature: this.signLink(token, expires) };
+  }
+
+  /**
+   * 消费登录链接：先校验签名和有效期，再消费Redis中的令牌，链接只能使用一次
+   * @param {Object} link - { token, expires, signature }
+   * @returns {Promise<number|null>} 链接对应的用户ID，无效、过期或已使用时返回null
+   */
+  async consumeLink({ token, expires, signature }) {
+    const expiresAt = Number(expires);
+    if (!token || !Number.isInteger(expiresAt) || expiresAt < Math.floor(Date.now() / 1000)) {
+      return null;
+    }
+
+    const expected = Buffer.from(this.signLink(String(token), expiresAt), 'hex');
+    const actual = Buffer.from(String(signature || ''), 'hex');
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    const key = `${this.scope}:link:${this.hash(token)}`;
+    const record = await CacheManager.get(PREFIX.LOGIN_OTP, key);
+    if (!record) {
+      return null;
+    }
+
+    const removed = await redis.del(generateKey(PREFIX.LOGIN_OTP, key));
+    return removed ? record.userId : null;
+  }
+}
+
+module.exports = LoginOtpService;
@@ -0,0 +1,327 @@
+/**
+ * 登录风险评估服务
+ * 综合IP请求频率、撞库特征、客户端特征、新设备和异地登录给出风险分，按阈值返回放行、验证或拒绝
+ *
+ * 地理位置来自离线IP库文件（LOGIN_RISK_GEOIP_FILE，CSV格式，每行：起始IP,结束IP,国家代码,纬度,经度），
+ * 文件不存在时不评估地理位置相关的风险
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const BaseService = require('../base/BaseService');
+const NotificationService = require('./NotificationService');
+const CacheManager = require('../../../common/redis/cache');
+const { redis, PREFIX, generateKey } = require('../../../common/redis');
+const { logger } = require('../../../common/logger');
+
+// 风险评估结果
+const RISK_ACTIONS = {
+  ALLOW: 'allow',
+  CHALLENGE: 'challenge',
+  DENY: 'deny'
+};
+
+// 常见脚本和自动化工具的用户代理特征
+const AUTOMATION_AGENT_PATTERN = /curl|wget|python|httpclient|okhttp|java\/|go-http|libwww|headless|phantomjs|selenium|puppeteer|scrapy/i;
+
+// 离线IP库按文件路径缓存在进程内
+const geoDatabases = new Map();
+
+/**
+ * IPv4地址转整数，IPv4映射的IPv6地址按IPv4处理
+ * @param {string} ip - IP地址
+ * @returns {number|null} 整数形式，非IPv4地址返回null
+ */
+function ipv4ToInt(ip) {
+  const match = /^(?:::ffff:)?(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/i.exec(String(ip || '').trim());
+  if (!match) {
+    return null;
+  }
+  const octets = match.slice(1).map(Number);
+  if (octets.some(octet => octet > 255)) {
+    return null;
+  }
+  return octets.reduce((value, octet) => value * 256 + octet, 0);
+}
+
+/**
+ * 计算两个坐标之间的球面距离
+ * @param {Object} from - { lat, lon }
+ * @param {Object} to - { lat, lon }
+ * @returns {number} 距离（公里）
+ */
+function distanceKm(from, to) {
+  const rad = degrees => degrees * Math.PI / 180;
+  const dLat = rad(to.lat - from.lat);
+  const dLon = rad(to.lon - from.lon);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(rad(from.lat)) * Math.cos(rad(to.lat)) * Math.sin(dLon / 2) ** 2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+class LoginRiskService extends BaseService {
+  /**
+   * @param {string} scope - 评估所属端（admin/merchant），用于隔离不同端的登录记录
+   */
+  constructor(scope) {
+    super();
+    this.scope = scope;
+    this.notificationService = new NotificationService();
+    this.challengeScore = parseInt(process.env.LOGIN_RISK_CHALLENGE_SCORE, 10) || 40; // 达到该分数需要验证码
+    this.denyScore = parseInt(process.env.LOGIN_RISK_DENY_SCORE, 10) || 80; // 达到该分数直接拒绝
+    this.geoipFile = path.resolve(__dirname, '../../..', process.env.LOGIN_RISK_GEOIP_FILE || 'data/geoip.csv');
+
+    this.velocityWindow = 600; // IP请求频率统计窗口（秒）
+    this.velocityLimits = [20, 50]; // 窗口内同一IP登录次数，超过时分别加30、60分
+    this.stuffingWindow = 3600; // 撞库统计窗口（秒）
+    this.stuffingLimits = [5, 10]; // 窗口内同一IP登录失败的不同账号数，达到时分别加50、100分
+    this.deviceTtl = 180 * 86400; // 已知设备保留180天
+    this.maxDevices = 20; // 每个账号最多记住的设备数
+    this.travelSpeedLimit = 1000; // 两次登录之间的移动速度超过该值（公里/小时）视为不可能的移动
+    this.travelMinDistance = 500; // 距离小于该值（公里）时不判断移动速度，避免IP库误差
+  }
+
+  /**
+   * 生成Redis键
+   * @param {string} name - 键名
+   * @returns {string} 带端前缀的完整键
+   */
+  key(name) {
+    return generateKey(PREFIX.LOGIN_RISK, `${this.scope}:${name}`);
+  }
+
+  /**
+   * 计算设备标识：用户代理去掉版本号后取哈希，浏览器升级不会被当作新设备
+   * @param {string} userAgent - 客户端用户代理
+   * @returns {string} 设备标识
+   */
+  getDeviceId(userAgent) {
+    const normalized = String(userAgent || '').replace(/[\d._]+/g, '').replace(/\s+/g, ' ').trim().toLowerCase();
+    return crypto.createHash('sha256').update(normalized).digest('hex').slice(0, 32);
+  }
+
+  /**
+   * 加载离线IP库，文件不存在或格式错误时返回null
+   * @returns {Array|null} 按起始IP排序的区间列表
+   */
+  loadGeoDatabase() {
+    if (geoDatabases.has(this.geoipFile)) {
+      return geoDatabases.get(this.geoipFile);
+    }
+
+    let ranges = null;
+    try {
+      ranges = fs.readFileSync(this.geoipFile, 'utf8')
+        .split(/\r?\n/)
+        .filter(line => line.trim() && !line.startsWith('#'))
+        .map(line => {
+          const [start, end, country, lat, lon] = line.split(',').map(field => field.trim());
+          return {
+            start: /^\d+$/.test(start) ? Number(start) : ipv4ToInt(start),
+            end: /^\d+$/.test(end) ? Number(end) : ipv4ToInt(end),
+            country,
+            lat: Number(lat),
+            lon: Number(lon)
+          };
+        })
+        .filter(range => range.start !== null && range.end !== null && Number.isFinite(range.lat) && Number.isFinite(range.lon))
+        .sort((a, b) => a.start - b.start);
+      this.logAction('加载离线IP库', { file: this.geoipFile, ranges: ranges.length });
+    } catch (error) {
+      logger.warn(`离线IP库不可用，不评估异地登录风险: ${this.geoipFile} (${error.code || error.message})`);
+    }
+
+    geoDatabases.set(this.geoipFile, ranges);
+    return ranges;
+  }
+
+  /**
+   * 查询IP的地理位置
+   * @param {string} ip - IP地址
+   * @returns {Object|null} { country, lat, lon }，未收录时返回null
+   */
+  lookupLocation(ip) {
+    const ranges = this.loadGeoDatabase();
+    const value = ipv4ToInt(ip);
+    if (!ranges || value === null) {
+      return null;
+    }
+
+    let low = 0;
+    let high = ranges.length - 1;
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (ranges[mid].start > value) {
+        high = mid - 1;
+      } else if (ranges[mid].end < value) {
+        low = mid + 1;
+      } else {
+        const { country, lat, lon } = ranges[mid];
+        return { country, lat, lon };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 评估登录风险，每次调用计入一次该IP的登录请求
+   * @param {Object} attempt - { username, ip, userAgent }
+   * @returns {Promise<Object>} { action, score, reasons, deviceId, newDevice, location }
+   */
+  async assess({ username, ip, userAgent }) {
+    const reasons = [];
+    let score = 0;
+    const add = (reason, points) => {
+      reasons.push(reason);
+      score += points;
+    };
+
+    // 1. IP请求频率
+    const velocityKey = this.key(`velocity:${ip}`);
+    const attempts = await redis.incr(velocityKey);
+    if (attempts === 1) {
+      await redis.expire(velocityKey, this.velocityWindow);
+    }
+    if (attempts > this.velocityLimits[1]) {
+      add('ip_velocity', 60);
+    } else if (attempts > this.velocityLimits[0]) {
+      add('ip_velocity', 30);
+    }
+
+    // 2. 撞库：同一IP登录失败的账号数
+    const failedUsernames = await redis.scard(this.key(`failed_usernames:${ip}`));
+    if (failedUsernames >= this.stuffingLimits[1]) {
+      add('credential_stuffing', 100);
+    } else if (failedUsernames >= this.stuffingLimits[0]) {
+      add('credential_stuffing', 50);
+    }
+
+    // 3. 客户端特征
+    if (!userAgent) {
+      add('missing_user_agent', 20);
+    } else if (AUTOMATION_AGENT_PATTERN.test(userAgent)) {
+      add('automation_user_agent', 30);
+    }
+
+    // 4. 新设备：账号已有登录记录且本设备不在其中
+    const deviceId = this.getDeviceId(userAgent);
+    const devices = username ? await CacheManager.get(PREFIX.LOGIN_RISK, `${this.scope}:devices:${username}`) : null;
+    const newDevice = Boolean(devices && Object.keys(devices).length > 0 && !devices[deviceId]);
+    if (newDevice) {
+      add('new_device', 20);
+    }
+
+    // 5. 异地登录：与上次成功登录的国家不同，或移动速度超出可能
+    const location = this.lookupLocation(ip);
+    const lastLocation = username && location
+      ? await CacheManager.get(PREFIX.LOGIN_RISK, `${this.scope}:location:${username}`)
+      : null;
+    if (location && lastLocation) {
+      if (lastLocation.country !== location.country) {
+        add('country_change', 15);
+      }
+      const distance = distanceKm(lastLocation, location);
+      const hours = Math.max((Date.now() - lastLocation.at) / 3600000, 1 / 60);
+      if (distance >= this.travelMinDistance && distance / hours > this.travelSpeedLimit) {
+        add('impossible_travel', 40);
+      }
+    }
+
+    let action = RISK_ACTIONS.ALLOW;
+    if (score >= this.denyScore) {
+      action = RISK_ACTIONS.DENY;
+    } else if (score >= this.challengeScore) {
+      action = RISK_ACTIONS.CHALLENGE;
+    }
+
+    if (action !== RISK_ACTIONS.ALLOW) {
+      logger.security('登录风险评估', { scope: this.scope, username, ip, action, score, reasons });
+    }
+
+    return { action, score, reasons, deviceId, newDevice, location };
+  }
+
+  /**
+   * 记录登录失败，用于识别同一IP尝试大量账号
+   * @param {Object} attempt - { username, ip }
+   */
+  async recordFailure({ username, ip }) {
+    try {
+      const key = this.key(`failed_usernames:${ip}`);
+      await redis.sadd(key, String(username).toLowerCase());
+      await redis.expire(key, this.stuffingWindow);
+    } catch (error) {
+      this.logError('记录登录失败风险数据失败', error, { scope: this.scope, ip });
+    }
+  }
+
+  /**
+   * 记录登录成功：记住设备和登录位置
+   * @param {Object} attempt - { username, ip, userAgent }
+   * @returns {Promise<Object>} { newDevice, deviceId, location }
+   */
+  async recordSuccess({ username, ip, userAgent }) {
+    try {
+      const deviceId = this.getDeviceId(userAgent);
+      const devicesKey = `${this.scope}:devices:${username}`;
+      const devices = await CacheManager.get(PREFIX.LOGIN_RISK, devicesKey) || {};
+      const newDevice = Object.keys(devices).length > 0 && !devices[deviceId];
+
+      // 只保留最近使用的设备
+      devices[deviceId] = Date.now();
+      const recent = Object.entries(devices)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, this.maxDevices);
+      await CacheManager.set(PREFIX.LOGIN_RISK, devicesKey, Object.fromEntries(recent), this.deviceTtl);
+
+      const location = this.lookupLocation(ip);
+      if (location) {
+        await CacheManager.set(PREFIX.LOGIN_RISK, `${this.scope}:location:${username}`, { ...location, at: Date.now() }, this.deviceTtl);
+      }
+
+      return { newDevice, deviceId, location };
+    } catch (error) {
+      this.logError('记录登录成功风险数据失败', error, { scope: this.scope, username });
+      return { newDevice: false, deviceId: null, location: null };
+    }
+  }
+
+  /**
+   * 新设备登录提醒：有邮箱时发送邮件，否则发送站内通知
+   * @param {Object} user - 账号 { id, username, email }
+   * @param {Object} details - { ip, userAgent, location }
+   */
+  async notifyNewDevice(user, { ip, userAgent, location }) {
+    const { notificationTypes } = this.notificationService;
+    const place = location ? `（${location.country}）` : '';
+
+    try {
+      await this.notificationService.sendNotification({
+        type: user.email ? notificationTypes.EMAIL : notificationTypes.IN_APP,
+        recipient: user.email || String(user.id),
+        title: '新设备登录提醒',
+        content: `您的账号 ${user.username} 于 ${new Date().toLocaleString('zh-CN')} 在新设备上登录，IP：${ip}${place}，设备：${String(userAgent || '未知').slice(0, 200)}。如非本人操作，请立即修改密码。`
+      });
+      logger.security('新设备登录', { scope: this.scope, userId: user.id, ip });
+    } catch (error) {
+      this.logError('发送新设备登录提醒失败', error, { scope: this.scope, userId: user.id });
+    }
+  }
+
+  /**
+   * 登录成功后的风险处理：记录设备和位置，新设备登录时发送提醒
+   * @param {Object} user - 账号 { id, username, email }
+   * @param {Object} context - { ip, userAgent }
+   */
+  async handleSuccessfulLogin(user, { ip, userAgent }) {
+    const { newDevice, location } = await this.recordSuccess({ username: user.username, ip, userAgent });
+    if (newDevice) {
+      // 不等待通知发送完成，避免拖慢登录
+      this.notifyNewDevice(user, { ip, userAgent, location });
+    }
+  }
+}
+
+LoginRiskService.RISK_ACTIONS = RISK_ACTIONS;
+
+module.exports = LoginRiskService;
@@ -0,0 +1,354 @@
+/**
+ * OpenID Connect 客户端服务
+ * 按配置接入任意符合 OIDC 规范的身份提供方，使用带 PKCE 的授权码流程登录并校验 ID 令牌
+ *
+ * 身份提供方通过环境变量配置，OIDC_PROVIDERS 列出启用的名称，每个名称对应一组配置：
+ *   OIDC_<NAME>_ISSUER / OIDC_<NAME>_CLIENT_ID / OIDC_<NAME>_CLIENT_SECRET / OIDC_<NAME>_REDIRECT_URI
+ *   OIDC_<NAME>_SCOPE（默认 openid email profile）/ OIDC_<NAME>_DISPLAY_NAME / OIDC_<NAME>_LINK_BY_EMAIL
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const BaseService = require('../base/BaseService');
+const CacheManager = require('../../../common/redis/cache');
+const { redis, PREFIX, generateKey } = require('../../../common/redis');
+
+// ID 令牌只接受非对称签名，拒绝 none 和以客户端密钥签名的 HS 系列
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+// 提供方元数据和公钥按签发方缓存在进程内
+const metadataCache = new Map();
+const jwksCache = new Map();
+
+// 浏览器绑定值的 Cookie 名称：授权请求只能由发起它的浏览器完成回调
+const BINDING_COOKIE = 'oidc_binding';
+
+class OidcClientService extends BaseService {
+  constructor() {
+    super();
+    this.stateTtl = 600; // 授权请求10分钟内有效
+    this.metadataTtl = 3600 * 1000; // 提供方元数据和公钥缓存1小时
+    this.jwksRefreshInterval = 30 * 1000; // 遇到未知 kid 时重新拉取公钥的最小间隔
+    this.requestTimeout = parseInt(process.env.OIDC_REQUEST_TIMEOUT) || 5000;
+    this.clockTolerance = 60; // 与提供方的时钟偏差容忍（秒）
+    this.providers = this.loadProviders();
+  }
+
+  /**
+   * 从环境变量读取身份提供方配置，缺少必填项的提供方不启用
+   * @returns {Map<string, Object>} 提供方名称到配置的映射
+   */
+  loadProviders() {
+    const providers = new Map();
+    const names = (process.env.OIDC_PROVIDERS || '').split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+
+    for (const name of names) {
+      const env = key => process.env[`OIDC_${name.toUpperCase()}_${key}`];
+      const provider = {
+        name,
+        displayName: env('DISPLAY_NAME') || name,
+        issuer: (env('ISSUER') || '').replace(/\/+$/, ''),
+        clientId: env('CLIENT_ID'),
+        clientSecret: env('CLIENT_SECRET') || null,
+        redirectUri: env('REDIRECT_URI'),
+        scope: env('SCOPE') || 'openid email profile',
+        linkByEmail: env('LINK_BY_EMAIL') === 'true'
+      };
+
+      const missing = ['issuer', 'clientId', 'redirectUri'].filter(key => !provider[key]);
+      if (missing.length > 0) {
+        this.logger.warn(`OIDC提供方 ${name} 缺少配置: ${missing.join(', ')}，已忽略`);
+        continue;
+      }
+      if (!provider.issuer.startsWith('https://') && process.env.NODE_ENV === 'production') {
+        this.logger.warn(`OIDC提供方 ${name} 的签发方不是HTTPS地址，生产环境已忽略`);
+        continue;
+      }
+
+      providers.set(name, provider);
+    }
+
+    return providers;
+  }
+
+  /**
+   * 获取已启用的提供方
+   * @param {string} name - 提供方名称
+   * @returns {Object} 提供方配置
+   */
+  getProvider(name) {
+    const provider = this.providers.get(String(name || '').toLowerCase());
+    if (!provider) {
+      throw new Error('不支持的第三方登录方式');
+    }
+    return provider;
+  }
+
+  /**
+   * 获取已启用的提供方列表（不含密钥等配置）
+   * @returns {Array<Object>} [{ name, displayName }]
+   */
+  listProviders() {
+    return [...this.providers.values()].map(({ name, displayName }) => ({ name, displayName }));
+  }
+
+  /**
+   * 请求提供方接口
+   * @param {string} url - 请求地址
+   * @param {Object} options - fetch 选项
+   * @returns {Promise<Object>} 响应JSON
+   */
+  async requestJson(url, options = {}) {
+    const response = await fetch(url, {
+      ...options,
+      headers: { Accept: 'application/json', ...options.headers },
+      signal: AbortSignal.timeout(this.requestTimeout)
+    });
+    const body = await response.json().catch(() => null);
+
+    if (!response.ok || !body) {
+      const reason = body && (body.error_description || body.error);
+      throw new Error(`第三方登录服务请求失败: ${response.status}${reason ? ` ${reason}` : ''}`);
+    }
+    return body;
+  }
+
+  /**
+   * 获取提供方元数据（OpenID Connect Discovery）
+   * @param {Object} provider - 提供方配置
+   * @returns {Promise<Object>} 元数据
+   */
+  async getMetadata(provider) {
+    const cached = metadataCache.get(provider.issuer);
+    if (cached && Date.now() - cached.loadedAt < this.metadataTtl) {
+      return cached.metadata;
+    }
+
+    const metadata = await this.requestJson(`${provider.issuer}/.well-known/openid-configuration`);
+    if (metadata.issuer !== provider.issuer) {
+      throw new Error('第三方登录服务元数据签发方不匹配');
+    }
+
+    metadataCache.set(provider.issuer, { metadata, loadedAt: Date.now() });
+    return metadata;
+  }
+
+  /**
+   * 查找 ID 令牌的验证公钥，未知 kid 时按间隔重新拉取，以支持提供方轮换密钥
+   * @param {Object} provider - 提供方配置
+   * @param {Object} header - ID 令牌头
+   * @returns {Promise<crypto.KeyObject|null>} 公钥
+   */
+  async findSigningKey(provider, header) {
+    const metadata = await this.getMetadata(provider);
+    const cached = jwksCache.get(provider.issuer);
+
+    const pick = keys => {
+      const candidates = keys.filter(key => (!key.use || key.use === 'sig') && (!header.kid || key.kid === header.kid));
+      return candidates.length === 1 ? candidates[0] : null;
+    };
+
+    let jwk = cached && Date.now() - cached.loadedAt < this.metadataTtl ? pick(cached.keys) : null;
+    if (!jwk && (!cached || Date.now() - cached.loadedAt >= this.jwksRefreshInterval)) {
+      const { keys = [] } = await this.requestJson(metadata.jwks_uri);
+      jwksCache.set(provider.issuer, { keys, loadedAt: Date.now() });
+      jwk = pick(keys);
+    }
+
+    return jwk ? crypto.createPublicKey({ key: jwk, format: 'jwk' }) : null;
+  }
+
+  /**
+   * 计算浏览器绑定值的哈希，登记中只保存哈希
+   * @param {string} binding - 绑定值
+   * @returns {string} 哈希
+   */
+  hashBinding(binding) {
+    return crypto.createHash('sha256').update(String(binding)).digest('hex');
+  }
+
+  /**
+   * 创建授权请求：生成 state、nonce、PKCE 校验码和浏览器绑定值，登记后返回提供方授权地址
+   * 绑定值由调用方写入发起请求的浏览器（HttpOnly Cookie），回调时必须提交相同的值
+   * @param {string} providerName - 提供方名称
+   * @param {Object} context - 回调时需要取回的附加信息（如绑定账号的用户ID）
+   * @returns {Promise<Object>} { authorizationUrl, state, binding, expiresIn }
+   */
+  async createAuthorizationRequest(providerName, context = {}) {
+    const provider = this.getProvider(providerName);
+    const metadata = await this.getMetadata(provider);
+
+    const state = crypto.randomBytes(32).toString('base64url');
+    const nonce = crypto.randomBytes(32).toString('base64url');
+    const codeVerifier = crypto.randomBytes(48).toString('base64url');
+    const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+    const binding = crypto.randomBytes(32).toString('base64url');
+
+    await CacheManager.set(PREFIX.OIDC, `state:${state}`, {
+      provider: provider.name,
+      nonce,
+      codeVerifier,
+      bindingHash: this.hashBinding(binding),
+      context
+    }, this.stateTtl);
+
+    const url = new URL(metadata.authorization_endpoint);
+    url.search = new URLSearchParams({
+      response_type: 'code',
+      client_id: provider.clientId,
+      redirect_uri: provider.redirectUri,
+      scope: provider.scope,
+      state,
+      nonce,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256'
+    }).toString();
+
+    return { authorizationUrl: url.toString(), state, binding, expiresIn: this.stateTtl };
+  }
+
+  /**
+   * 消费授权请求登记，每个 state 只能使用一次
+   * @param {string} state - 回调携带的 state
+   * @returns {Promise<Object|null>} 登记信息，无效或已使用时返回null
+   */
+  async consumeState(state) {
+    const key = `state:${state}`;
+    const record = await CacheManager.get(PREFIX.OIDC, key);
+    if (!record) {
+      return null;
+    }
+
+    // 以删除结果判断是否抢先消费，防止同一授权码被并发回调重复使用
+    const removed = await redis.del(generateKey(PREFIX.OIDC, key));
+    return removed ? record : null;
+  }
+
+  /**
+   * 用授权码换取令牌
+   * @param {Object} provider - 提供方配置
+   * @param {string} code - 授权码
+   * @param {string} codeVerifier - PKCE 校验码
+   * @returns {Promise<Object>} 令牌响应
+   */
+  async exchangeCode(provider, code, codeVerifier) {
+    const metadata = await this.getMetadata(provider);
+    const params = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: provider.redirectUri,
+      client_id: provider.clientId,
+      code_verifier: codeVerifier
+    });
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+    // 优先 client_secret_post，提供方只支持 client_secret_basic 时改用 Basic 认证
+    if (provider.clientSecret) {
+      const methods = metadata.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+      if (methods.includes('client_secret_post')) {
+        params.set('client_secret', provider.clientSecret);
+      } else {
+        const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`;
+        headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+      }
+    }
+
+    const tokens = await this.requestJson(metadata.token_endpoint, { method: 'POST', headers, body: params.toString() });
+    if (!tokens.id_token) {
+      throw new Error('第三方登录服务未返回ID令牌');
+    }
+    return tokens;
+  }
+
+  /**
+   * 校验 ID 令牌：签名、签发方、受众、有效期和 nonce
+   * @param {Object} provider - 提供方配置
+   * @param {string} idToken - ID 令牌
+   * @param {string} nonce - 授权请求时生成的 nonce
+   * @returns {Promise<Object>} 令牌声明
+   */
+  async validateIdToken(provider, idToken, nonce) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded || !ID_TOKEN_ALGORITHMS.includes(decoded.header.alg)) {
+      throw new Error('ID令牌校验失败: 签名算法不受支持');
+    }
+
+    const key = await this.findSigningKey(provider, decoded.header);
+    if (!key) {
+      throw new Error('ID令牌校验失败: 未找到签名公钥');
+    }
+
+    let claims;
+    try {
+      claims = jwt.verify(idToken, key, {
+        algorithms: [decoded.header.alg],
+        issuer: provider.issuer,
+        audience: provider.clientId,
+        clockTolerance: this.clockTolerance
+      });
+    } catch (error) {
+      throw new Error(`ID令牌校验失败: ${error.message}`);
+    }
+
+    if (!claims.sub) {
+      throw new Error('ID令牌校验失败: 缺少用户标识');
+    }
+    if (claims.nonce !== nonce) {
+      throw new Error('ID令牌校验失败: nonce不匹配');
+    }
+    if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== provider.clientId) {
+      throw new Error('ID令牌校验失败: 授权方不匹配');
+    }
+
+    return claims;
+  }
+
+  /**
+   * 校验回调提交的浏览器绑定值与授权请求登记的是否一致
+   * @param {Object} record - 授权请求登记
+   * @param {string} binding - 回调提交的绑定值
+   * @returns {boolean} 是否一致
+   */
+  isBindingValid(record, binding) {
+    if (!record.bindingHash || !binding) {
+      return false;
+    }
+    const expected = Buffer.from(record.bindingHash, 'hex');
+    const actual = Buffer.from(this.hashBinding(binding), 'hex');
+    return crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * 处理授权回调：校验 state、浏览器绑定值和发起账号，换取并校验 ID 令牌
+   * @param {string} providerName - 提供方名称
+   * @param {string} code - 授权码
+   * @param {string} state - 回调携带的 state
+   * @param {Object} options - 回调方信息
+   * @param {string} options.binding - 浏览器提交的绑定值
+   * @param {number|null} [options.userId] - 完成回调的已登录用户ID，登录流程为空；需与发起时登记的一致
+   * @returns {Promise<Object>} { provider, claims, context }
+   */
+  async handleCallback(providerName, code, state, { binding, userId = null } = {}) {
+    const provider = this.getProvider(providerName);
+
+    const record = await this.consumeState(state);
+    if (!record || record.provider !== provider.name || !this.isBindingValid(record, binding)) {
+      throw new Error('第三方登录请求无效或已过期');
+    }
+    // 登录流程的 state 不能用于绑定，绑定流程的 state 只能由发起绑定的账号完成
+    if ((record.context?.userId || null) !== userId) {
+      throw new Error('第三方登录请求无效或已过期');
+    }
+
+    const tokens = await this.exchangeCode(provider, code, record.codeVerifier);
+    const claims = await this.validateIdToken(provider, tokens.id_token, record.nonce);
+
+    this.logAction('OIDC登录回调校验成功', { provider: provider.name, subject: claims.sub });
+    return { provider, claims, context: record.context || {} };
+  }
+}
+
+OidcClientService.ID_TOKEN_ALGORITHMS = ID_TOKEN_ALGORITHMS;
+OidcClientService.BINDING_COOKIE = BINDING_COOKIE;
+
+module.exports = OidcClientService;
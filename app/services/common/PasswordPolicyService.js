@@ -0,0 +1,315 @@
+/**
+ * 密码策略服务
+ * 统一校验各端账号密码：长度、字符类型、常见及泄露密码黑名单、近期使用过的密码，
+ * 并按 password_updated_at 判断密码是否过期，过期后登录需先修改密码
+ *
+ * 黑名单文件（PASSWORD_BLOCKLIST_FILE）每行一个密码，不区分大小写；
+ * 也可以是40位SHA-1哈希（可带 ":出现次数" 后缀，兼容常见泄露密码库格式），按原密码精确匹配
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const BaseService = require('../base/BaseService');
+const CacheManager = require('../../../common/redis/cache');
+const { redis, PREFIX, generateKey } = require('../../../common/redis');
+const { logger } = require('../../../common/logger');
+
+// 可要求的字符类型
+const CHARACTER_CLASSES = {
+  lower: { pattern: /[a-z]/, label: '小写字母' },
+  upper: { pattern: /[A-Z]/, label: '大写字母' },
+  digit: { pattern: /\d/, label: '数字' },
+  symbol: { pattern: /[^A-Za-z0-9]/, label: '特殊字符' }
+};
+
+// 黑名单按文件路径缓存在进程内
+const blocklists = new Map();
+
+class PasswordPolicyService extends BaseService {
+  /**
+   * @param {number} userType - 账号类型（USER_ROLE），用于区分密码历史和改密令牌，只做格式校验时可不传
+   */
+  constructor(userType = null) {
+    super();
+    this.userType = userType;
+    this.minLength = parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 8;
+    this.maxLength = 64; // bcrypt只使用前72字节，限制长度避免超出部分被忽略
+    this.requiredClasses = (process.env.PASSWORD_REQUIRED_CLASSES || 'lower,upper,digit')
+      .split(',')
+      .map(name => name.trim())
+      .filter(name => CHARACTER_CLASSES[name]);
+    const historyCount = parseInt(process.env.PASSWORD_HISTORY_COUNT, 10);
+    this.historyCount = Number.isNaN(historyCount) ? 5 : historyCount; // 不能与最近N次使用过的密码相同，0表示只禁止与当前密码相同
+    this.maxAgeDays = parseInt(process.env.PASSWORD_MAX_AGE_DAYS, 10) || 0; // 密码有效天数，0表示不过期
+    this.blocklistFile = path.resolve(__dirname, '../../..', process.env.PASSWORD_BLOCKLIST_FILE || 'data/password-blocklist.txt');
+    this.saltRounds = 12;
+    this.rotationTokenTtl = 600; // 过期改密令牌10分钟有效
+  }
+
+  /**
+   * 加载密码黑名单，文件不存在时返回空集合
+   * @returns {Object} { plain: Set, sha1: Set }
+   */
+  loadBlocklist() {
+    if (blocklists.has(this.blocklistFile)) {
+      return blocklists.get(this.blocklistFile);
+    }
+
+    const blocklist = { plain: new Set(), sha1: new Set() };
+    try {
+      fs.readFileSync(this.blocklistFile, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#'))
+        .forEach(line => {
+          const hash = /^([0-9a-f]{40})(?::\d+)?$/i.exec(line);
+          if (hash) {
+            blocklist.sha1.add(hash[1].toUpperCase());
+          } else {
+            blocklist.plain.add(line.toLowerCase());
+          }
+        });
+      this.logAction('加载密码黑名单', { file: this.blocklistFile, plain: blocklist.plain.size, sha1: blocklist.sha1.size });
+    } catch (error) {
+      logger.warn(`密码黑名单不可用，不校验常见密码: ${this.blocklistFile} (${error.code || error.message})`);
+    }
+
+    blocklists.set(this.blocklistFile, blocklist);
+    return blocklist;
+  }
+
+  /**
+   * 判断密码是否在黑名单中
+   * @param {string} password - 密码明文
+   * @returns {boolean} 是否被禁用
+   */
+  isBlocked(password) {
+    const { plain, sha1 } = this.loadBlocklist();
+    if (plain.has(password.toLowerCase())) {
+      return true;
+    }
+    return sha1.size > 0 && sha1.has(crypto.createHash('sha1').update(password).digest('hex').toUpperCase());
+  }
+
+  /**
+   * 校验密码格式，不涉及密码历史
+   * @param {string} password - 密码明文
+   * @param {Object} account - 账号信息 { username, email }，密码不能包含用户名或邮箱名
+   * @returns {string[]} 不满足的规则说明，全部满足时为空数组
+   */
+  check(password, account = {}) {
+    if (typeof password !== 'string' || !password) {
+      return ['密码不能为空'];
+    }
+
+    const errors = [];
+
+    if (password.length < this.minLength || password.length > this.maxLength) {
+      errors.push(`密码长度应为${this.minLength}-${this.maxLength}个字符`);
+    }
+
+    const missing = this.requiredClasses.filter(name => !CHARACTER_CLASSES[name].pattern.test(password));
+    if (missing.length > 0) {
+      errors.push(`密码必须包含${this.requiredClasses.map(name => CHARACTER_CLASSES[name].label).join('、')}`);
+    }
+
+    const lowered = password.toLowerCase();
+    const identifiers = [account.username, String(account.email || '').split('@')[0]]
+      .filter(value => value && value.length >= 3)
+      .map(value => value.toLowerCase());
+    if (identifiers.some(value => lowered.includes(value))) {
+      errors.push('密码不能包含用户名或邮箱');
+    }
+
+    if (this.isBlocked(password)) {
+      errors.push('密码过于常见或已在泄露密码库中，请更换');
+    }
+
+    return errors;
+  }
+
+  /**
+   * 校验密码格式，不满足时抛出错误
+   * @param {string} password - 密码明文
+   * @param {Object} account - 账号信息 { username, email }
+   */
+  assertValid(password, account = {}) {
+    const errors = this.check(password, account);
+    if (errors.length > 0) {
+      throw new Error(`密码不符合安全要求: ${errors.join('，')}`);
+    }
+  }
+
+  /**
+   * 校验新密码未在最近使用过
+   * @param {Object} user - 账号模型实例
+   * @param {string} password - 新密码明文
+   * @param {Object} sequelize - 数据库实例
+   */
+  async assertNotReused(user, password, sequelize) {
+    if (user.password && await bcrypt.compare(password, user.password)) {
+      throw new Error('新密码不能与当前密码相同');
+    }
+
+    if (this.historyCount <= 0) {
+      return;
+    }
+
+    const history = await sequelize.models.PasswordHistory.findAll({
+      where: { user_type: this.userType, user_id: user.id },
+      order: [['id', 'DESC']],
+      limit: this.historyCount
+    });
+
+    for (const record of history) {
+      if (await bcrypt.compare(password, record.password_hash)) {
+        throw new Error(`新密码不能与最近${this.historyCount}次使用过的密码相同`);
+      }
+    }
+  }
+
+  /**
+   * 完整校验新密码：格式和密码历史
+   * @param {Object} user - 账号模型实例
+   * @param {string} password - 新密码明文
+   * @param {Object} sequelize - 数据库实例
+   */
+  async assertAcceptable(user, password, sequelize) {
+    this.assertValid(password, user);
+    await this.assertNotReused(user, password, sequelize);
+  }
+
+  /**
+   * 计算密码哈希
+   * @param {string} password - 密码明文
+   * @returns {Promise<string>} bcrypt哈希
+   */
+  async hash(password) {
+    return await bcrypt.hash(password, this.saltRounds);
+  }
+
+  /**
+   * 设置新密码：校验策略后写入
+   * @param {Object} user - 账号模型实例
+   * @param {string} password - 新密码明文
+   * @param {Object} sequelize - 数据库实例
+   * @param {Object} extra - 同时更新的其他字段
+   * @returns {Promise<Object>} 更新后的账号
+   */
+  async setPassword(user, password, sequelize, extra = {}) {
+    await this.assertAcceptable(user, password, sequelize);
+    return await this.applyPassword(user, password, sequelize, extra);
+  }
+
+  /**
+   * 写入已通过校验的新密码：更新密码和修改时间，并记入密码历史
+   * 用于需要在消费一次性令牌之前完成校验的流程（重置密码、接受邀请等）
+   * @param {Object} user - 账号模型实例
+   * @param {string} password - 已通过 assertAcceptable 校验的新密码明文
+   * @param {Object} sequelize - 数据库实例
+   * @param {Object} extra - 同时更新的其他字段
+   * @returns {Promise<Object>} 更新后的账号
+   */
+  async applyPassword(user, password, sequelize, extra = {}) {
+    const passwordHash = await this.hash(password);
+    await user.update({
+      ...extra,
+      password: passwordHash,
+      password_updated_at: new Date()
+    });
+    await this.recordHistory(user.id, passwordHash, sequelize);
+
+    this.logAction('密码已更新', { userType: this.userType, userId: user.id });
+    return user;
+  }
+
+  /**
+   * 记录密码历史，只保留最近N条
+   * @param {number} userId - 账号ID
+   * @param {string} passwordHash - 密码哈希
+   * @param {Object} sequelize - 数据库实例
+   */
+  async recordHistory(userId, passwordHash, sequelize) {
+    if (this.historyCount <= 0) {
+      return;
+    }
+
+    const { PasswordHistory } = sequelize.models;
+    await PasswordHistory.create({
+      user_type: this.userType,
+      user_id: userId,
+      password_hash: passwordHash,
+      created_at: new Date()
+    });
+
+    const expired = await PasswordHistory.findAll({
+      where: { user_type: this.userType, user_id: userId },
+      order: [['id', 'DESC']],
+      offset: this.historyCount,
+      attributes: ['id']
+    });
+    if (expired.length > 0) {
+      await PasswordHistory.destroy({ where: { id: expired.map(record => record.id) } });
+    }
+  }
+
+  /**
+   * 判断密码是否已过期，从未修改过密码的账号按创建时间计算
+   * @param {Object} user - 账号模型实例
+   * @returns {boolean} 是否过期
+   */
+  isExpired(user) {
+    if (this.maxAgeDays <= 0) {
+      return false;
+    }
+
+    const updatedAt = new Date(user.password_updated_at || user.created_at);
+    if (Number.isNaN(updatedAt.getTime())) {
+      return false;
+    }
+    return Date.now() - updatedAt.getTime() > this.maxAgeDays * 86400 * 1000;
+  }
+
+  /**
+   * 签发过期改密令牌：密码已验证但已过期时代替访问令牌返回，凭此令牌设置新密码后完成登录
+   * @param {Object} user - 账号模型实例
+   * @returns {Promise<Object>} { passwordExpired, passwordToken, expiresIn }
+   */
+  async createRotationToken(user) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
+
+    await CacheManager.set(PREFIX.PASSWORD_ROTATION, `${this.userType}:${tokenHash}`, { userId: user.id }, this.rotationTokenTtl);
+
+    this.logAction('密码已过期，签发改密令牌', { userType: this.userType, userId: user.id });
+    return { passwordExpired: true, passwordToken: token, expiresIn: this.rotationTokenTtl };
+  }
+
+  /**
+   * 查询改密令牌对应的账号，不消费令牌
+   * @param {string} token - 改密令牌
+   * @returns {Promise<number|null>} 账号ID，无效或过期时返回null
+   */
+  async peekRotationToken(token) {
+    const tokenHash = crypto.createHash('sha256').update(String(token)).digest('hex');
+    const record = await CacheManager.get(PREFIX.PASSWORD_ROTATION, `${this.userType}:${tokenHash}`);
+    return record ? record.userId : null;
+  }
+
+  /**
+   * 消费改密令牌，令牌只能使用一次
+   * @param {string} token - 改密令牌
+   * @returns {Promise<boolean>} 是否抢先消费成功
+   */
+  async consumeRotationToken(token) {
+    const tokenHash = crypto.createHash('sha256').update(String(token)).digest('hex');
+    const removed = await redis.del(generateKey(PREFIX.PASSWORD_ROTATION, `${this.userType}:${tokenHash}`));
+    return removed > 0;
+  }
+}
+
+PasswordPolicyService.CHARACTER_CLASSES = CHARACTER_CLASSES;
+
+module.exports = PasswordPolicyService;
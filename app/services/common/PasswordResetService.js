@@ -0,0 +1,95 @@
+/**
+ * 密码重置令牌服务
+ * 签发和消费一次性密码重置令牌。令牌只以哈希形式保存在Redis中，并带有过期时间
+ */
+
+const crypto = require('crypto');
+const BaseService = require('../base/BaseService');
+const CacheManager = require('../../../common/redis/cache');
+const { redis, PREFIX, generateKey } = require('../../../common/redis');
+
+class PasswordResetService extends BaseService {
+  /**
+   * @param {string} scope - 令牌所属端（user/merchant），用于隔离不同端的令牌
+   */
+  constructor(scope) {
+    super();
+    this.scope = scope;
+    this.tokenTtl = 3600; // 重置链接1小时有效，与邮件内容保持一致
+    this.requestInterval = 60; // 同一账号两次申请的最小间隔（秒）
+  }
+
+  /**
+   * 计算令牌哈希
+   * @param {string} token - 令牌明文
+   * @returns {string} SHA-256哈希
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  /**
+   * 签发重置令牌
+   * 同一账号只保留最新的一个令牌，旧令牌立即作废
+   * @param {number} userId - 用户ID
+   * @returns {Promise<string|null>} 令牌明文，申请过于频繁时返回null
+   */
+  async createToken(userId) {
+    const throttleKey = `${this.scope}:throttle:${userId}`;
+    if (await CacheManager.get(PREFIX.PASSWORD_RESET, throttleKey)) {
+      return null;
+    }
+
+    const userKey = `${this.scope}:user:${userId}`;
+    const previousHash = await CacheManager.get(PREFIX.PASSWORD_RESET, userKey);
+    if (previousHash) {
+      await CacheManager.del(PREFIX.PASSWORD_RESET, `${this.scope}:token:${previousHash}`);
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const tokenHash = this.hashToken(token);
+
+    await CacheManager.set(PREFIX.PASSWORD_RESET, `${this.scope}:token:${tokenHash}`, { userId }, this.tokenTtl);
+    await CacheManager.set(PREFIX.PASSWORD_RESET, userKey, tokenHash, this.tokenTtl);
+    await CacheManager.set(PREFIX.PASSWORD_RESET, throttleKey, 1, this.requestInterval);
+
+    this.logAction('签发密码重置令牌', { scope: this.scope, userId });
+    return token;
+  }
+
+  /**
+   * 查询重置令牌对应的用户，不消费令牌
+   * @param {string} token - 令牌明文
+   * @returns {Promise<number|null>} 令牌对应的用户ID，无效或已使用时返回null
+   */
+  async peekToken(token) {
+    const record = await CacheManager.get(PREFIX.PASSWORD_RESET, `${this.scope}:token:${this.hashToken(token)}`);
+    return record ? record.userId : null;
+  }
+
+  /**
+   * 消费重置令牌，令牌使用后立即作废
+   * @param {string} token - 令牌明文
+   * @returns {Promise<number|null>} 令牌对应的用户ID，无效或已使用时返回null
+   */
+  async consumeToken(token) {
+    const tokenKey = `${this.scope}:token:${this.hashToken(token)}`;
+    const record = await CacheManager.get(PREFIX.PASSWORD_RESET, tokenKey);
+
+    if (!record) {
+      return null;
+    }
+
+    // 以删除结果判断是否抢先消费，防止并发请求重复使用同一令牌
+    const removed = await redis.del(generateKey(PREFIX.PASSWORD_RESET, tokenKey));
+    if (!removed) {
+      return null;
+    }
+
+    await CacheManager.del(PREFIX.PASSWORD_RESET, `${this.scope}:user:${record.userId}`);
+
+    return record.userId;
+  }
+}
+
+module.exports = PasswordResetService;
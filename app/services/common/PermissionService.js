@@ -0,0 +1,135 @@
+/**
+ * 权限加载服务
+ * 根据账号绑定的角色汇总权限编码并缓存，供认证中间件填充 req.user.permissions
+ */
+
+const BaseService = require('../base/BaseService');
+const CacheManager = require('../../../common/redis/cache');
+const { PREFIX, TTL } = require('../../../common/redis');
+const { COMMON_STATUS, PERMISSION_LEVEL } = require('../../../common/constants/status');
+
+// 超级权限标记，拥有该标记的账号通过所有权限检查
+const SUPER_PERMISSION = '*';
+
+class PermissionService extends BaseService {
+  constructor() {
+    super();
+    this.cacheTtl = TTL.MEDIUM;
+  }
+
+  /**
+   * 获取权限缓存键
+   * @param {number} userType - 账号类型 USER_ROLE
+   * @param {number} userId - 账号ID
+   * @returns {string} 缓存键
+   */
+  getCacheKey(userType, userId) {
+    return `${userType}:${userId}`;
+  }
+
+  /**
+   * 获取账号的权限编码列表（优先读取缓存）
+   * @param {number} userType - 账号类型 USER_ROLE
+   * @param {number} userId - 账号ID
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Array<string>>} 权限编码列表
+   */
+  async getUserPermissions(userType, userId, sequelize) {
+    return await CacheManager.getOrFetch(
+      PREFIX.PERMISSION,
+      this.getCacheKey(userType, userId),
+      () => this.loadUserPermissions(userType, userId, sequelize),
+      this.cacheTtl
+    );
+  }
+
+  /**
+   * 从数据库汇总账号的权限编码，只统计启用的角色和权限
+   * @param {number} userType - 账号类型 USER_ROLE
+   * @param {number} userId - 账号ID
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Array<string>>} 权限编码列表，超级角色返回 ['*']
+   */
+  async loadUserPermissions(userType, userId, sequelize) {
+    const { UserRole, Role, Permission } = sequelize.models;
+
+    const userRoles = await UserRole.findAll({
+      where: { user_type: userType, user_id: userId },
+      include: [{
+        model: Role,
+        as: 'role',
+        where: { status: COMMON_STATUS.ENABLED, user_type: userType },
+        include: [{
+          model: Permission,
+          as: 'permissions',
+          where: { status: COMMON_STATUS.ENABLED },
+          required: false,
+          through: { attributes: [] }
+        }]
+      }]
+    });
+
+    if (userRoles.some(userRole => userRole.role.level >= PERMISSION_LEVEL.SUPER)) {
+      return [SUPER_PERMISSION];
+    }
+
+    const codes = new Set();
+    userRoles.forEach(userRole => {
+      (userRole.role.permissions || []).forEach(permission => codes.add(permission.code));
+    });
+
+    return [...codes].sort();
+  }
+
+  /**
+   * 判断权限列表是否包含指定权限
+   * 支持超级权限 * 和模块通配 模块:*
+   * @param {Array<string>} userPermissions - 账号拥有的权限编码
+   * @param {string} permission - 需要的权限编码
+   * @returns {boolean} 是否拥有
+   */
+  static hasPermission(userPermissions, permission) {
+    if (!Array.isArray(userPermissions)) {
+      return false;
+    }
+
+    if (userPermissions.includes(SUPER_PERMISSION) || userPermissions.includes(permission)) {
+      return true;
+    }
+
+    const [module] = String(permission).split(':');
+    return userPermissions.includes(`${module}:*`);
+  }
+
+  /**
+   * 从权限编码列表中筛选出已被授予的部分，用于限制子账号权限不超过主账号
+   * @param {Array<string>} grantedPermissions - 已授予的权限编码（可包含通配）
+   * @param {Array<string>} codes - 待筛选的权限编码
+   * @returns {Array<string>} 已被授予的权限编码
+   */
+  static filterGranted(grantedPermissions, codes) {
+    return (codes || []).filter(code => PermissionService.hasPermission(grantedPermissions, code));
+  }
+
+  /**
+   * 清除单个账号的权限缓存（账号角色变更后调用）
+   * @param {number} userType - 账号类型 USER_ROLE
+   * @param {number} userId - 账号ID
+   * @returns {Promise<boolean>} 是否成功
+   */
+  async clearUserPermissions(userType, userId) {
+    return await CacheManager.del(PREFIX.PERMISSION, this.getCacheKey(userType, userId));
+  }
+
+  /**
+   * 清除所有账号的权限缓存（角色或权限定义变更后调用）
+   * @returns {Promise<boolean>} 是否成功
+   */
+  async clearAllPermissions() {
+    return await CacheManager.clearByType(PREFIX.PERMISSION);
+  }
+}
+
+PermissionService.SUPER_PERMISSION = SUPER_PERMISSION;
+
+module.exports = PermissionService;
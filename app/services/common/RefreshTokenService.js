@@ -0,0 +1,206 @@
+/**
+ * 刷新令牌族服务
+ * 以"令牌族"为单位在Redis中记录刷新令牌，每次刷新轮换令牌，并检测已使用令牌的重放
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const BaseService = require('../base/BaseService');
+const CacheManager = require('../../../common/redis/cache');
+const { redis, PREFIX, generateKey } = require('../../../common/redis');
+const { logger } = require('../../../common/logger');
+const { COMMON_STATUS } = require('../../../common/constants/status');
+
+// 令牌族未被吊销时写入新的令牌族记录，保留原创建时间；已吊销时不写入
+// KEYS[1] 令牌族键；ARGV[1] 令牌族记录（JSON），ARGV[2] 有效期（秒），ARGV[3] 吊销标记值
+const SAVE_FAMILY_SCRIPT = `
+local existing = redis.call('GET', KEYS[1])
+local family = cjson.decode(ARGV[1])
+if existing then
+  local current = cjson.decode(existing)
+  if current.revoked == tonumber(ARGV[3]) then
+    return 0
+  end
+  family.createdAt = current.createdAt or family.createdAt
+end
+redis.call('SET', KEYS[1], cjson.encode(family), 'EX', ARGV[2])
+return 1
+`;
+
+class RefreshTokenService extends BaseService {
+  /**
+   * @param {string} scope - 令牌所属端（user/admin/merchant），用于隔离不同端的令牌族
+   */
+  constructor(scope) {
+    super();
+    this.scope = scope;
+  }
+
+  /**
+   * 生成令牌族键
+   * @param {string} familyId - 令牌族ID
+   * @returns {string} 缓存键
+   */
+  getFamilyKey(familyId) {
+    return `${this.scope}:${familyId}`;
+  }
+
+  /**
+   * 生成刷新令牌已使用标记的键
+   * @param {string} familyId - 令牌族ID
+   * @param {string} jti - 令牌ID
+   * @returns {string} 缓存键
+   */
+  getUsedKey(familyId, jti) {
+    return `${this.scope}:${familyId}:used:${jti}`;
+  }
+
+  /**
+   * 生成刷新令牌标识
+   * 未传入令牌族ID时视为新登录，创建新的令牌族
+   * @param {string|null} familyId - 已有令牌族ID
+   * @returns {Object} 包含fid（令牌族ID）和jti（令牌ID）的对象
+   */
+  createTokenIds(familyId = null) {
+    return {
+      fid: familyId || crypto.randomUUID(),
+      jti: crypto.randomUUID()
+    };
+  }
+
+  /**
+   * 获取会话服务
+   * 延迟加载，SessionService 依赖本服务，避免循环引用
+   * @returns {Object} SessionService 实例
+   */
+  getSessionService() {
+    if (!this.sessionService) {
+      const SessionService = require('./SessionService');
+      this.sessionService = new SessionService();
+    }
+    return this.sessionService;
+  }
+
+  /**
+   * 保存令牌族，将刚签发的刷新令牌记为该族当前有效的令牌
+   * 检查吊销状态和写入在同一个Lua脚本中完成：轮换期间令牌族已被吊销（如并发刷新判定为重放）时保持吊销状态，
+   * 新令牌不予签发
+   * @param {number} userId - 用户ID
+   * @param {string} refreshToken - 刚签发的刷新令牌
+   * @returns {Promise<void>}
+   */
+  async saveFamily(userId, refreshToken) {
+    const { fid, jti, exp } = jwt.decode(refreshToken);
+    const ttl = exp - Math.floor(Date.now() / 1000);
+    const now = new Date().toISOString();
+
+    const saved = await redis.eval(
+      SAVE_FAMILY_SCRIPT,
+      1,
+      generateKey(PREFIX.REFRESH_TOKEN, this.getFamilyKey(fid)),
+      JSON.stringify({
+        userId,
+        currentJti: jti,
+        revoked: COMMON_STATUS.NO,
+        expiresAt: exp,
+        createdAt: now,
+        rotatedAt: now
+      }),
+      ttl,
+      COMMON_STATUS.YES
+    );
+
+    if (!saved) {
+      throw new Error('刷新令牌无效或已被吊销');
+    }
+  }
+
+  /**
+   * 消费刷新令牌
+   * 只有令牌族当前的令牌可以被使用；旧令牌被再次提交说明令牌可能已泄露，整族吊销。
+   * 令牌以 SET NX 写入已使用标记，同一令牌的并发刷新只有一个能成功，其余按重放处理
+   * @param {Object} decoded - 已验签的刷新令牌数据
+   * @param {Object} context - 请求上下文（如ip），用于安全日志
+   * @returns {Promise<string>} 令牌族ID，供签发下一枚令牌使用
+   */
+  async consume(decoded, context = {}) {
+    const { fid, jti, exp, id: userId } = decoded;
+
+    if (!fid || !jti) {
+      throw new Error('无效的刷新令牌');
+    }
+
+    const family = await CacheManager.get(PREFIX.REFRESH_TOKEN, this.getFamilyKey(fid));
+
+    if (!family || family.revoked) {
+      throw new Error('刷新令牌无效或已被吊销');
+    }
+
+    if (family.userId !== userId || family.currentJti !== jti) {
+      return await this.rejectReuse(decoded, context);
+    }
+
+    const ttl = exp - Math.floor(Date.now() / 1000);
+    const claimed = await redis.set(generateKey(PREFIX.REFRESH_TOKEN, this.getUsedKey(fid, jti)), COMMON_STATUS.YES, 'EX', ttl > 0 ? ttl : 1, 'NX');
+    if (!claimed) {
+      return await this.rejectReuse(decoded, context);
+    }
+
+    return fid;
+  }
+
+  /**
+   * 处理刷新令牌重放：吊销对应会话（同时整族吊销），使该令牌族的访问令牌立即失效，并记录安全日志
+   * @param {Object} decoded - 已验签的刷新令牌数据
+   * @param {Object} context - 请求上下文（如ip）
+   * @returns {Promise<never>} 始终抛出错误
+   */
+  async rejectReuse(decoded, context = {}) {
+    const { fid, jti, id: userId, role } = decoded;
+    const sessionRevoked = await this.getSessionService().revokeSession(role, userId, fid, '刷新令牌重放');
+    if (!sessionRevoked) {
+      await this.revokeFamily(fid, '刷新令牌重放');
+    }
+
+    logger.security('检测到刷新令牌重放，令牌族已吊销', {
+      scope: this.scope,
+      userId,
+      familyId: fid,
+      jti,
+      ...context
+    });
+
+    throw new Error('刷新令牌无效或已被吊销');
+  }
+
+  /**
+   * 吊销令牌族
+   * 记录保留到原过期时间，以便后续重放仍能被识别
+   * @param {string} familyId - 令牌族ID
+   * @param {string} reason - 吊销原因
+   * @returns {Promise<boolean>} 是否吊销成功
+   */
+  async revokeFamily(familyId, reason = '主动吊销') {
+    if (!familyId) {
+      return false;
+    }
+
+    const key = this.getFamilyKey(familyId);
+    const family = await CacheManager.get(PREFIX.REFRESH_TOKEN, key);
+    if (!family) {
+      return false;
+    }
+
+    this.logAction('吊销刷新令牌族', { scope: this.scope, familyId, reason });
+
+    const ttl = family.expiresAt - Math.floor(Date.now() / 1000);
+    return await CacheManager.set(PREFIX.REFRESH_TOKEN, key, {
+      ...family,
+      revoked: COMMON_STATUS.YES,
+      revokedAt: new Date().toISOString(),
+      revokeReason: reason
+    }, ttl > 0 ? ttl : 1);
+  }
+}
+
+module.exports = RefreshTokenService;
@@ -0,0 +1,290 @@
+/**
+ * 会话注册服务
+ * 按角色和用户在Redis中登记登录会话（设备、IP、用户代理、创建时间、最后活跃时间），
+ * 支持查看在线设备和远程下线。会话ID即刷新令牌族ID
+ *
+ * 每个用户的会话保存在一个Redis哈希中，字段为会话ID，值为会话信息（JSON）。
+ * 登记、吊销和刷新活跃时间都只操作单个字段，并发请求不会覆盖彼此的修改
+ */
+
+const BaseService = require('../base/BaseService');
+const RefreshTokenService = require('./RefreshTokenService');
+const { redis, PREFIX, generateKey } = require('../../../common/redis');
+const { USER_ROLE } = require('../../../common/constants/status');
+
+// 登记会话并延长登记表的过期时间，登记表的过期时间不短于其中最晚过期的会话
+// KEYS[1] 登记表键；ARGV[1] 会话ID，ARGV[2] 会话信息，ARGV[3] 会话剩余有效期（秒）
+const CREATE_SESSION_SCRIPT = `
+redis.call('HSET', KEYS[1], ARGV[1], ARGV[2])
+if redis.call('TTL', KEYS[1]) < tonumber(ARGV[3]) then
+  redis.call('EXPIRE', KEYS[1], ARGV[3])
+end
+return 1
+`;
+
+// 仅当会话仍然存在时更新，避免刷新活跃时间时恢复刚被吊销的会话
+// KEYS[1] 登记表键；ARGV[1] 会话ID，ARGV[2] 会话信息
+const TOUCH_SESSION_SCRIPT = `
+if redis.call('HEXISTS', KEYS[1], ARGV[1]) == 1 then
+  redis.call('HSET', KEYS[1], ARGV[1], ARGV[2])
+  return 1
+end
+return 0
+`;
+
+class SessionService extends BaseService {
+  constructor() {
+    super();
+    // 最后活跃时间的最小刷新间隔（秒），避免每个请求都写Redis
+    this.touchInterval = 60;
+    this.refreshTokenServices = {};
+  }
+
+  /**
+   * 获取角色对应的令牌作用域
+   * @param {number} role - 用户角色
+   * @returns {string} 作用域（user/admin/merchant）
+   */
+  getScope(role) {
+    switch (Number(role)) {
+      case USER_ROLE.CONSOLE_ADMIN:
+        return 'admin';
+      case USER_ROLE.MERCHANT:
+        return 'merchant';
+      default:
+        return 'user';
+    }
+  }
+
+  /**
+   * 获取角色对应的刷新令牌服务
+   * @param {number} role - 用户角色
+   * @returns {RefreshTokenService} 刷新令牌服务实例
+   */
+  getRefreshTokenService(role) {
+    const scope = this.getScope(role);
+    if (!this.refreshTokenServices[scope]) {
+      this.refreshTokenServices[scope] = new RefreshTokenService(scope);
+    }
+    return this.refreshTokenServices[scope];
+  }
+
+  /**
+   * 生成会话登记表键（Redis哈希）
+   * @param {number} role - 用户角色
+   * @param {number} userId - 用户ID
+   * @returns {string} 完整的缓存键
+   */
+  getRegistryKey(role, userId) {
+    return generateKey(PREFIX.SESSION, `registry:${role}:${userId}`);
+  }
+
+  /**
+   * 读取用户的会话登记表，同时清理已过期的会话
+   * @param {number} role - 用户角色
+   * @param {number} userId - 用户ID
+   * @returns {Promise<Object>} 以会话ID为键的会话集合
+   */
+  async getSessions(role, userId) {
+    const key = this.getRegistryKey(role, userId);
+    const entries = await redis.hgetall(key);
+    const now = Math.floor(Date.now() / 1000);
+
+    const sessions = {};
+    const expiredIds = [];
+    for (const [sessionId, value] of Object.entries(entries)) {
+      const session = JSON.parse(value);
+      if (session.expiresAt <= now) {
+        expiredIds.push(sessionId);
+      } else {
+        sessions[sessionId] = session;
+      }
+    }
+
+    if (expiredIds.length > 0) {
+      await redis.hdel(key, ...expiredIds);
+    }
+    return sessions;
+  }
+
+  /**
+   * 登记新会话
+   * @param {number} role - 用户角色
+   * @param {number} userId - 用户ID
+   * @param {string} sessionId - 会话ID（刷新令牌族ID）
+   * @param {number} expiresAt - 会话过期时间（秒级时间戳，与刷新令牌一致）
+   * @param {Object} context - 登录上下文 { ip, userAgent }
+   * @returns {Promise<Object>} 会话信息
+   */
+  async createSession(role, userId, sessionId, expiresAt, context = {}) {
+    const { ip = null, userAgent = null } = context;
+    const now = new Date().toISOString();
+
+    const session = {
+      sessionId,
+      device: this.parseDevice(userAgent),
+      ip,
+      userAgent,
+      createdAt: now,
+      lastSeen: now,
+      expiresAt
+    };
+
+    const ttl = Math.max(expiresAt - Math.floor(Date.now() / 1000), 1);
+    await redis.eval(CREATE_SESSION_SCRIPT, 1, this.getRegistryKey(role, userId), sessionId, JSON.stringify(session), ttl);
+
+    this.logAction('登记会话', { role, userId, sessionId, ip });
+    return session;
+  }
+
+  /**
+   * 校验会话并刷新最后活跃时间
+   * @param {number} role - 用户角色
+   * @param {number} userId - 用户ID
+   * @param {string} sessionId - 会话ID
+   * @param {string} ip - 当前请求IP
+   * @returns {Promise<Object|null>} 会话信息，已吊销、已过期或不存在时返回null
+   */
+  async touchSession(role, userId, sessionId, ip = null) {
+    const key = this.getRegistryKey(role, userId);
+    const value = await redis.hget(key, sessionId);
+    if (!value) {
+      return null;
+    }
+
+    const session = JSON.parse(value);
+    if (session.expiresAt <= Math.floor(Date.now() / 1000)) {
+      return null;
+    }
+
+    const elapsed = (Date.now() - new Date(session.lastSeen).getTime()) / 1000;
+    if (elapsed >= this.touchInterval || (ip && ip !== session.ip)) {
+      session.lastSeen = new Date().toISOString();
+      if (ip) {
+        session.ip = ip;
+      }
+      // 读取后会话被吊销时不再写回，按已吊销处理
+      const updated = await redis.eval(TOUCH_SESSION_SCRIPT, 1, key, sessionId, JSON.stringify(session));
+      if (!updated) {
+        return null;
+      }
+    }
+
+    return session;
+  }
+
+  /**
+   * 获取用户的有效会话列表
+   * @param {number} role - 用户角色
+   * @param {number} userId - 用户ID
+   * @param {string} currentSessionId - 当前请求所属的会话ID
+   * @returns {Promise<Array>} 按最后活跃时间倒序排列的会话列表
+   */
+  async listSessions(role, userId, currentSessionId = null) {
+    const sessions = await this.getSessions(role, userId);
+
+    return Object.values(sessions)
+      .map(({ expiresAt, ...session }) => ({
+        ...session,
+        current: session.sessionId === currentSessionId
+      }))
+      .sort((a, b) => new Date(b.lastSeen) - new Date(a.lastSeen));
+  }
+
+  /**
+   * 吊销单个会话
+   * 同时吊销对应的刷新令牌族，该会话的访问令牌随即在认证中间件中失效
+   * @param {number} role - 用户角色
+   * @param {number} userId - 用户ID
+   * @param {string} sessionId - 会话ID
+   * @param {string} reason - 吊销原因
+   * @returns {Promise<boolean>} 会话存在并被吊销时返回true
+   */
+  async revokeSession(role, userId, sessionId, reason = '主动下线') {
+    const removed = await redis.hdel(this.getRegistryKey(role, userId), sessionId);
+    if (!removed) {
+      return false;
+    }
+
+    await this.getRefreshTokenService(role).revokeFamily(sessionId, reason);
+
+    this.logAction('吊销会话', { role, userId, sessionId, reason });
+    return true;
+  }
+
+  /**
+   * 吊销除当前会话外的所有会话
+   * @param {number} role - 用户角色
+   * @param {number} userId - 用户ID
+   * @param {string} currentSessionId - 需要保留的当前会话ID
+   * @param {string} reason - 吊销原因
+   * @returns {Promise<number>} 被吊销的会话数量
+   */
+  async revokeOtherSessions(role, userId, currentSessionId, reason = '下线其他设备') {
+    const key = this.getRegistryKey(role, userId);
+    const sessionIds = await redis.hkeys(key);
+    const revokedIds = sessionIds.filter(sessionId => sessionId !== currentSessionId);
+
+    if (revokedIds.length === 0) {
+      return 0;
+    }
+
+    await redis.hdel(key, ...revokedIds);
+
+    const refreshTokenService = this.getRefreshTokenService(role);
+    for (const sessionId of revokedIds) {
+      await refreshTokenService.revokeFamily(sessionId, reason);
+    }
+
+    this.logAction('吊销其他会话', { role, userId, currentSessionId, count: revokedIds.length });
+    return revokedIds.length;
+  }
+
+  /**
+   * 吊销用户的全部会话，用于重置密码等需要强制重新登录的场景
+   * @param {number} role - 用户角色
+   * @param {number} userId - 用户ID
+   * @param {string} reason - 吊销原因
+   * @returns {Promise<number>} 被吊销的会话数量
+   */
+  async revokeAllSessions(role, userId, reason = '全部下线') {
+    return await this.revokeOtherSessions(role, userId, null, reason);
+  }
+
+  /**
+   * 从用户代理中识别设备描述
+   * @param {string} userAgent - 用户代理字符串
+   * @returns {string} 设备描述，如 "iOS / Safari"
+   */
+  parseDevice(userAgent) {
+    if (!userAgent) {
+      return 'unknown';
+    }
+
+    const osRules = [
+      [/iPhone|iPad|iPod/i, 'iOS'],
+      [/Android/i, 'Android'],
+      [/Windows/i, 'Windows'],
+      [/Mac OS X|Macintosh/i, 'macOS'],
+      [/Linux/i, 'Linux']
+    ];
+    const browserRules = [
+      [/MicroMessenger/i, 'WeChat'],
+      [/Edg\//i, 'Edge'],
+      [/Chrome\//i, 'Chrome'],
+      [/Firefox\//i, 'Firefox'],
+      [/Safari\//i, 'Safari']
+    ];
+
+    const match = (rules) => (rules.find(([pattern]) => pattern.test(userAgent)) || [])[1];
+    const os = match(osRules);
+    const browser = match(browserRules);
+
+    if (!os && !browser) {
+      return userAgent.substring(0, 50);
+    }
+    return [os, browser].filter(Boolean).join(' / ');
+  }
+}
+
+module.exports = SessionService;
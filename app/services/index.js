@@ -7,12 +7,20 @@
 
 // 引入用户端服务：处理面向普通用户的业务逻辑
 const UserAuthService = require('./user/UserAuthService');         // 用户认证服务
+const UserOidcService = require('./user/UserOidcService');         // 用户第三方登录服务
 
 // 引入管理端服务：处理面向管理员的业务逻辑
 const AdminUserService = require('./admin/AdminUserService');       // 管理端用户管理服务
+const AdminRbacService = require('./admin/AdminRbacService');       // 管理端角色权限服务
+const AdminImpersonationService = require('./admin/AdminImpersonationService'); // 管理端模拟登录服务
+const AdminMerchantService = require('./admin/AdminMerchantService');   // 管理端商户管理服务
+const AdminAuditService = require('./admin/AdminAuditService');         // 管理端审计日志服务
+const AdminSystemService = require('./admin/AdminSystemService');       // 管理端系统运行状态服务
 
 // 引入商户端服务：处理面向商户用户的业务逻辑
 const MerchantAuthService = require('./merchant/MerchantAuthService');         // 商户认证服务
+const MerchantSubAccountService = require('./merchant/MerchantSubAccountService'); // 商户子账号服务
+const MerchantApiKeyService = require('./merchant/MerchantApiKeyService');     // 商户API密钥服务
 
 // 引入基础服务：提供通用的服务基类和公共方法
 const BaseService = require('./base/BaseService');
@@ -22,6 +30,17 @@ const BaseMerchantService = require('./base/BaseMerchantService');
 const EmailService = require('./common/EmailService');             // 邮件发送服务
 const FileService = require('./common/FileService');               // 文件处理服务
 const NotificationService = require('./common/NotificationService'); // 通知推送服务
+const RefreshTokenService = require('./common/RefreshTokenService'); // 刷新令牌族服务
+const SessionService = require('./common/SessionService');         // 会话注册服务
+const PasswordResetService = require('./common/PasswordResetService'); // 密码重置令牌服务
+const PasswordPolicyService = require('./common/PasswordPolicyService'); // 密码策略服务
+const EmailVerificationService = require('./common/EmailVerificationService'); // 邮箱验证码服务
+const LoginOtpService = require('./common/LoginOtpService'); // 免密登录凭证服务
+const LoginRiskService = require('./common/LoginRiskService'); // 登录风险评估服务
+const CaptchaService = require('./common/CaptchaService'); // 验证码服务
+const PermissionService = require('./common/PermissionService'); // 权限加载服务
+const JwtKeyService = require('./common/JwtKeyService'); // JWT签名密钥服务
+const OidcClientService = require('./common/OidcClientService'); // OIDC客户端服务
 
 // 导出所有服务，使用对象结构便于按需引入
 module.exports = {
@@ -31,15 +50,34 @@ module.exports = {
 
   // 用户端服务：处理用户相关的业务逻辑
   UserAuthService,      // 用户认证：登录验证、令牌管理、密码处理
+  UserOidcService,      // 第三方登录：OIDC登录回调、账号创建与绑定
 
   // 管理端服务：处理管理员相关的业务逻辑
   AdminUserService,     // 用户管理：用户CRUD、状态管理、权限分配
+  AdminRbacService,     // 角色权限：角色、权限定义及账号角色分配
+  AdminImpersonationService, // 模拟登录：以商户或用户身份签发短期访问令牌
+  AdminMerchantService, // 商户管理：商户增改查、入驻审核、暂停恢复营业、密码重置
+  AdminAuditService,    // 审计日志：按操作人、操作类型、时间范围和结果查询
+  AdminSystemService,   // 系统运行状态：性能统计和API类型统计（集群汇总）
 
   // 商户端服务：处理商户相关的业务逻辑
   MerchantAuthService,     // 商户认证：登录、注册、令牌管理、密码重置
+  MerchantSubAccountService, // 商户子账号：邀请、店铺与权限授权、停用和移除
+  MerchantApiKeyService,   // 商户API密钥：签发、轮换、吊销与请求认证
 
   // 通用服务：提供跨模块的公共功能
   EmailService,         // 邮件服务：发送验证邮件、通知邮件、模板渲染
   FileService,          // 文件服务：文件上传、存储、压缩、格式转换
-  NotificationService   // 通知服务：消息推送、短信发送、站内通知
+  NotificationService,  // 通知服务：消息推送、短信发送、站内通知
+  RefreshTokenService,  // 刷新令牌：令牌族轮换、重放检测、吊销
+  SessionService,       // 会话注册：登录设备列表、远程下线
+  PasswordResetService, // 密码重置：一次性重置令牌签发与消费
+  PasswordPolicyService, // 密码策略：复杂度、黑名单、历史密码与有效期校验
+  EmailVerificationService, // 邮箱验证：注册验证码签发与校验
+  LoginOtpService,      // 免密登录：一次性登录验证码与登录链接签发与校验
+  LoginRiskService,     // 登录风险：IP频率、撞库、新设备和异地登录评估
+  CaptchaService,       // 验证码：图形、数字、短信验证码签发与一次性校验
+  PermissionService,    // 权限加载：按账号角色汇总权限编码并缓存
+  JwtKeyService,        // JWT签名：令牌签发校验、密钥轮换与公钥集发布
+  OidcClientService     // OIDC客户端：授权码+PKCE流程、ID令牌校验
 };
@@ -0,0 +1,309 @@
+/**
+ * 商户API密钥服务
+ * 签发、轮换、吊销商户服务端集成使用的API密钥，并在认证时校验密钥
+ * 密钥和签名密钥只在签发和轮换时返回一次明文，数据库仅保存前缀和SHA-256哈希
+ */
+
+const crypto = require('crypto');
+const BaseMerchantService = require('../base/BaseMerchantService');
+const PermissionService = require('../common/PermissionService');
+const CacheManager = require('../../../common/redis/cache');
+const { PREFIX, TTL } = require('../../../common/redis');
+const { COMMON_STATUS } = require('../../../common/constants/status');
+
+// 密钥明文格式：mk_<12位十六进制前缀>_<43位base64url密文>
+const API_KEY_PREFIX = 'mk_';
+const API_KEY_PATTERN = /^(mk_[0-9a-f]{12})_[A-Za-z0-9_-]{43}$/;
+
+class MerchantApiKeyService extends BaseMerchantService {
+  constructor() {
+    super();
+    this.maxKeysPerMerchant = 20;
+    this.cacheTtl = TTL.SHORT;
+    this.lastUsedInterval = 60; // 最后使用时间的最小更新间隔（秒），避免每次请求都写库
+    this.signingPepper = process.env.MERCHANT_API_SIGNING_SECRET || process.env.JWT_SECRET || 'your_jwt_secret';
+  }
+
+  /**
+   * 判断凭证是否为API密钥格式
+   * @param {string} value - 请求中携带的凭证
+   * @returns {boolean} 是否为API密钥
+   */
+  static isApiKey(value) {
+    return typeof value === 'string' && value.startsWith(API_KEY_PREFIX);
+  }
+
+  /**
+   * 计算密钥哈希
+   * @param {string} rawKey - 密钥明文
+   * @returns {string} SHA-256哈希
+   */
+  hashKey(rawKey) {
+    return crypto.createHash('sha256').update(String(rawKey)).digest('hex');
+  }
+
+  /**
+   * 由密钥哈希派生请求签名密钥
+   * 签名密钥不落库，服务端凭密钥哈希和服务端密钥即可重新计算，仅数据库泄露无法伪造签名
+   * @param {string} keyHash - 密钥哈希
+   * @returns {string} 签名密钥
+   */
+  deriveSigningSecret(keyHash) {
+    return crypto.createHmac('sha256', this.signingPepper).update(keyHash).digest('hex');
+  }
+
+  /**
+   * 生成新的密钥明文
+   * @param {string} keyPrefix - 沿用的前缀，轮换时保持前缀不变
+   * @returns {Object} { keyPrefix, rawKey }
+   */
+  generateKey(keyPrefix = null) {
+    const prefix = keyPrefix || `${API_KEY_PREFIX}${crypto.randomBytes(6).toString('hex')}`;
+    const secret = crypto.randomBytes(32).toString('base64url');
+    return { keyPrefix: prefix, rawKey: `${prefix}_${secret}` };
+  }
+
+  /**
+   * 格式化密钥信息（不包含哈希）
+   * @param {Object} apiKey - 密钥记录
+   * @returns {Object} 密钥信息
+   */
+  formatApiKey(apiKey) {
+    return {
+      id: apiKey.id,
+      name: apiKey.name,
+      key_prefix: apiKey.key_prefix,
+      scopes: apiKey.scopes || [],
+      status: apiKey.status,
+      expires_at: apiKey.expires_at,
+      last_used_at: apiKey.last_used_at,
+      last_used_ip: apiKey.last_used_ip,
+      rotated_at: apiKey.rotated_at,
+      revoked_at: apiKey.revoked_at,
+      created_at: apiKey.created_at
+    };
+  }
+
+  /**
+   * 校验密钥权限范围不超过商户权限
+   * @param {Array<string>} merchantPermissions - 商户拥有的权限编码
+   * @param {Array<string>} scopes - 待分配的权限编码
+   * @returns {Array<string>} 去重后的权限编码
+   */
+  validateScopes(merchantPermissions, scopes) {
+    const codes = [...new Set(scopes || [])];
+    if (PermissionService.filterGranted(merchantPermissions, codes).length !== codes.length) {
+      throw new Error('不能分配超出商户的权限');
+    }
+    return codes;
+  }
+
+  /**
+   * 获取商户的密钥列表
+   * @param {number} merchantId - 商户ID
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Array>} 密钥列表
+   */
+  async listApiKeys(merchantId, sequelize) {
+    const { MerchantApiKey } = sequelize.models;
+
+    const apiKeys = await MerchantApiKey.findAll({
+      where: { merchant_id: merchantId },
+      order: [['created_at', 'DESC']]
+    });
+
+    return apiKeys.map(apiKey => this.formatApiKey(apiKey));
+  }
+
+  /**
+   * 获取属于指定商户的密钥
+   * @param {number} merchantId - 商户ID
+   * @param {number} id - 密钥ID
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 密钥记录
+   */
+  async findApiKey(merchantId, id, sequelize) {
+    const { MerchantApiKey } = sequelize.models;
+
+    const apiKey = await MerchantApiKey.findOne({ where: { id, merchant_id: merchantId } });
+    if (!apiKey) {
+      throw new Error('API密钥不存在');
+    }
+
+    return apiKey;
+  }
+
+  /**
+   * 创建密钥，明文只在本次返回
+   * @param {Object} owner - 商户主账号（当前登录用户）
+   * @param {Object} data - { name, scopes, expiresAt }
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 密钥信息，包含明文 key 和签名密钥 signing_secret
+   */
+  async createApiKey(owner, data, sequelize) {
+    try {
+      const { MerchantApiKey } = sequelize.models;
+
+      const scopes = this.validateScopes(owner.permissions, data.scopes);
+
+      const activeCount = await MerchantApiKey.count({
+        where: { merchant_id: owner.id, status: COMMON_STATUS.ENABLED }
+      });
+      if (activeCount >= this.maxKeysPerMerchant) {
+        throw new Error(`API密钥数量已达上限(${this.maxKeysPerMerchant}个)`);
+      }
+
+      const { keyPrefix, rawKey } = this.generateKey();
+      const apiKey = await MerchantApiKey.create({
+        merchant_id: owner.id,
+        name: data.name,
+        key_prefix: keyPrefix,
+        key_hash: this.hashKey(rawKey),
+        scopes,
+        expires_at: data.expiresAt || null
+      });
+
+      this.logAction('创建商户API密钥', { merchantId: owner.id, apiKeyId: apiKey.id, keyPrefix });
+      return {
+        ...this.formatApiKey(apiKey),
+        key: rawKey,
+        signing_secret: this.deriveSigningSecret(apiKey.key_hash)
+      };
+
+    } catch (error) {
+      this.logError('创建商户API密钥失败', error, { merchantId: owner.id });
+      throw error;
+    }
+  }
+
+  /**
+   * 轮换密钥：保留前缀生成新密文，旧密文立即失效
+   * @param {Object} owner - 商户主账号
+   * @param {number} id - 密钥ID
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 密钥信息，包含新的明文 key 和签名密钥 signing_secret
+   */
+  async rotateApiKey(owner, id, sequelize) {
+    try {
+      const apiKey = await this.findApiKey(owner.id, id, sequelize);
+
+      if (apiKey.status !== COMMON_STATUS.ENABLED) {
+        throw new Error('API密钥已吊销，无法轮换');
+      }
+
+      const { rawKey } = this.generateKey(apiKey.key_prefix);
+      await apiKey.update({
+        key_hash: this.hashKey(rawKey),
+        rotated_at: new Date(),
+        updated_at: new Date()
+      });
+      await CacheManager.del(PREFIX.API_KEY, apiKey.key_prefix);
+
+      this.logAction('轮换商户API密钥', { merchantId: owner.id, apiKeyId: apiKey.id });
+      return {
+        ...this.formatApiKey(apiKey),
+        key: rawKey,
+        signing_secret: this.deriveSigningSecret(apiKey.key_hash)
+      };
+
+    } catch (error) {
+      this.logError('轮换商户API密钥失败', error, { merchantId: owner.id, apiKeyId: id });
+      throw error;
+    }
+  }
+
+  /**
+   * 吊销密钥，吊销后不可恢复
+   * @param {Object} owner - 商户主账号
+   * @param {number} id - 密钥ID
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 密钥信息
+   */
+  async revokeApiKey(owner, id, sequelize) {
+    try {
+      const apiKey = await this.findApiKey(owner.id, id, sequelize);
+
+      if (apiKey.status === COMMON_STATUS.ENABLED) {
+        await apiKey.update({
+          status: COMMON_STATUS.DISABLED,
+          revoked_at: new Date(),
+          updated_at: new Date()
+        });
+        await CacheManager.del(PREFIX.API_KEY, apiKey.key_prefix);
+      }
+
+      this.logAction('吊销商户API密钥', { merchantId: owner.id, apiKeyId: apiKey.id });
+      return this.formatApiKey(apiKey);
+
+    } catch (error) {
+      this.logError('吊销商户API密钥失败', error, { merchantId: owner.id, apiKeyId: id });
+      throw error;
+    }
+  }
+
+  /**
+   * 校验请求携带的密钥
+   * @param {string} rawKey - 密钥明文
+   * @param {string} ip - 客户端IP地址
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object|null>} 密钥记录，无效、已吊销或已过期时返回null
+   */
+  async authenticate(rawKey, ip, sequelize) {
+    const match = API_KEY_PATTERN.exec(String(rawKey));
+    if (!match) {
+      return null;
+    }
+
+    const keyPrefix = match[1];
+    const apiKey = await CacheManager.getOrFetch(
+      PREFIX.API_KEY,
+      keyPrefix,
+      () => sequelize.models.MerchantApiKey.findOne({
+        where: { key_prefix: keyPrefix, status: COMMON_STATUS.ENABLED },
+        raw: true
+      }),
+      this.cacheTtl
+    );
+
+    if (!apiKey) {
+      return null;
+    }
+
+    const expected = Buffer.from(apiKey.key_hash, 'hex');
+    const actual = Buffer.from(this.hashKey(rawKey), 'hex');
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    if (apiKey.expires_at && new Date(apiKey.expires_at) <= new Date()) {
+      return null;
+    }
+
+    await this.touchLastUsed(apiKey, ip, sequelize);
+    return apiKey;
+  }
+
+  /**
+   * 记录密钥最后使用时间和IP，按间隔节流
+   * @param {Object} apiKey - 密钥记录
+   * @param {string} ip - 客户端IP地址
+   * @param {Object} sequelize - 数据库实例
+   */
+  async touchLastUsed(apiKey, ip, sequelize) {
+    const throttleKey = `touch:${apiKey.id}`;
+    if (await CacheManager.get(PREFIX.API_KEY, throttleKey)) {
+      return;
+    }
+    await CacheManager.set(PREFIX.API_KEY, throttleKey, 1, this.lastUsedInterval);
+
+    // 不等待写库完成，避免拖慢请求
+    sequelize.models.MerchantApiKey.update(
+      { last_used_at: new Date(), last_used_ip: ip },
+      { where: { id: apiKey.id } }
+    ).catch(error => this.logError('更新API密钥使用时间失败', error, { apiKeyId: apiKey.id }));
+  }
+}
+
+MerchantApiKeyService.API_KEY_PREFIX = API_KEY_PREFIX;
+
+module.exports = MerchantApiKeyService;
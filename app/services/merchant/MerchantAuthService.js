@@ -4,20 +4,75 @@
  */
 
 const BaseService = require('../base/BaseService');
+const RefreshTokenService = require('../common/RefreshTokenService');
+const SessionService = require('../common/SessionService');
+const JwtKeyService = require('../common/JwtKeyService');
+const PasswordResetService = require('../common/PasswordResetService');
+const PasswordPolicyService = require('../common/PasswordPolicyService');
+const EmailService = require('../common/EmailService');
 const MerchantLoginTracker = require('./MerchantAuthUtils');
+const LoginRiskService = require('../common/LoginRiskService');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const { Op } = require('sequelize');
-const { USER_STATUS, USER_ROLE } = require('../../../common/constants/status');
+const { USER_STATUS, USER_ROLE, MERCHANT_STATUS } = require('../../../common/constants/status');
 const { StatusHelper } = require('../../../common/utils/statusHelper');
 
+// 商户主账号因商户状态不能登录时的提示
+const MERCHANT_STATUS_MESSAGES = {
+  [MERCHANT_STATUS.PENDING]: '商户入驻申请审核中，审核通过后才能登录',
+  [MERCHANT_STATUS.REJECTED]: '商户入驻申请未通过审核，请联系平台',
+  [MERCHANT_STATUS.SUSPENDED]: '商户已暂停营业，请联系平台'
+};
+
 class MerchantAuthService extends BaseService {
   constructor() {
     super();
     this.merchantLoginTracker = new MerchantLoginTracker();
-    this.jwtSecret = process.env.JWT_SECRET || 'your_jwt_secret';
+    this.riskService = new LoginRiskService('merchant');
+    this.jwtKeyService = new JwtKeyService('merchant');
     this.jwtExpiresIn = process.env.JWT_EXPIRES_IN || '8h'; // 商户令牌8小时有效期
     this.refreshTokenExpiresIn = process.env.REFRESH_TOKEN_EXPIRES_IN || '24h';
+    this.refreshTokenService = new RefreshTokenService('merchant');
+    this.sessionService = new SessionService();
+    this.passwordResetService = new PasswordResetService('merchant');
+    this.passwordPolicy = new PasswordPolicyService(USER_ROLE.MERCHANT);
+    this.emailService = new EmailService();
+  }
+
+  /**
+   * 检查商户是否可以经营：主账号检查自身的商户状态，子账号检查所属主账号
+   * @param {Object} user - 商户账号
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<boolean>} 是否可用
+   */
+  async isMerchantAvailable(user, sequelize) {
+    if (!user.merchant_id) {
+      return StatusHelper.isMerchantActive(user.merchant_status);
+    }
+
+    const merchant = await sequelize.models.MerchantsUsers.findOne({
+      where: {
+        id: user.merchant_id,
+        role: USER_ROLE.MERCHANT,
+        status: USER_STATUS.ACTIVE,
+        merchant_status: MERCHANT_STATUS.ACTIVE
+      }
+    });
+
+    return !!merchant;
+  }
+
+  /**
+   * 商户不可用时返回给登录用户的提示
+   * @param {Object} user - 商户账号
+   * @returns {string} 提示信息
+   */
+  getUnavailableMessage(user) {
+    if (!user.merchant_id && MERCHANT_STATUS_MESSAGES[user.merchant_status]) {
+      return MERCHANT_STATUS_MESSAGES[user.merchant_status];
+    }
+    return '商户账号不可用，请联系管理员';
   }
 
   /**
@@ -26,9 +81,10 @@ class MerchantAuthService extends BaseService {
    * @param {string} password - 密码
    * @param {string} ip - 客户端IP地址
    * @param {Object} sequelize - 数据库实例
+   * @param {string} userAgent - 客户端用户代理，用于会话登记
    * @returns {Promise<Object>} 登录结果
    */
-  async login(username, password, ip, sequelize) {
+  async login(username, password, ip, sequelize, userAgent = null) {
     try {
 
       // 1. 检查账号是否被锁定
@@ -50,6 +106,7 @@ class MerchantAuthService extends BaseService {
       if (!user) {
         // 记录失败尝试
         await this.merchantLoginTracker.recordFailedAttempt(username, ip);
+        await this.riskService.recordFailure({ username, ip });
         throw new Error('商户账号不存在或无权限');
       }
 
@@ -58,38 +115,234 @@ class MerchantAuthService extends BaseService {
       if (!isPasswordValid) {
         // 记录登录失败
         const failResult = await this.merchantLoginTracker.recordFailedAttempt(username, ip);
+        await this.riskService.recordFailure({ username, ip });
         throw new Error(failResult.message);
       }
 
-      // 5. 登录成功，清除失败计数
+      // 5. 商户未审核通过、已暂停营业或子账号所属主账号不可用时不允许登录（密码正确后才提示原因）
+      if (!await this.isMerchantAvailable(user, sequelize)) {
+        throw new Error(this.getUnavailableMessage(user));
+      }
+
+      // 6. 登录成功，清除失败计数，记录登录设备和位置，新设备登录时提醒
       await this.merchantLoginTracker.recordSuccessfulLogin(username, ip);
+      await this.riskService.handleSuccessfulLogin(user, { ip, userAgent });
+
+      // 7. 密码已过期时只签发改密令牌，设置新密码后再发放正式令牌
+      if (this.passwordPolicy.isExpired(user)) {
+        return await this.passwordPolicy.createRotationToken(user);
+      }
+
+      // 8. 签发令牌
+      return await this.completeLogin(user, ip, userAgent);
+
+    } catch (error) {
+      this.logError(`商户登录失败: ${username}, IP: ${ip}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * 完成登录：签发令牌并更新登录信息
+   * @param {Object} user - 商户账号模型实例
+   * @param {string} ip - 客户端IP地址
+   * @param {string} userAgent - 客户端用户代理
+   * @returns {Promise<Object>} 登录结果
+   */
+  async completeLogin(user, ip, userAgent = null) {
+    // 1. 生成令牌并登记会话
+    const tokens = await this.generateTokens(user, null, { ip, userAgent });
+
+    // 2. 更新最后登录时间
+    await user.update({
+      last_login: new Date(),
+      login_count: (user.login_count || 0) + 1
+    });
+
+    // 3. 返回登录结果（不包含密码）
+    const userInfo = {
+      id: user.id,
+      username: user.username,
+      email: user.email,
+      role: user.role,
+      status: user.status,
+      merchant_id: user.merchant_id || user.id,
+      shop_ids: user.merchant_id ? (user.shop_ids || []) : null,
+      last_login: user.last_login,
+    };
 
-      // 6. 生成令牌
-      const tokens = await this.generateTokens(user);
+    return {
+      user: userInfo,
+      tokens,
+    };
+  }
 
-      // 7. 更新最后登录时间
-      await user.update({
-        last_login: new Date(),
-        login_count: (user.login_count || 0) + 1
+  /**
+   * 密码过期后设置新密码并完成登录
+   * @param {string} passwordToken - 登录时返回的改密令牌
+   * @param {string} newPassword - 新密码
+   * @param {string} ip - 客户端IP地址
+   * @param {Object} sequelize - 数据库实例
+   * @param {string} userAgent - 客户端用户代理
+   * @returns {Promise<Object>} 登录结果
+   */
+  async rotateExpiredPassword(passwordToken, newPassword, ip, sequelize, userAgent = null) {
+    try {
+      const userId = await this.passwordPolicy.peekRotationToken(passwordToken);
+      const user = userId ? await sequelize.models.MerchantsUsers.findOne({
+        where: {
+          id: userId,
+          role: USER_ROLE.MERCHANT,
+          status: USER_STATUS.ACTIVE
+        }
+      }) : null;
+
+      if (!user || !await this.isMerchantAvailable(user, sequelize)) {
+        throw new Error('改密令牌无效或已过期');
+      }
+
+      await this.passwordPolicy.assertAcceptable(user, newPassword, sequelize);
+      if (!await this.passwordPolicy.consumeRotationToken(passwordToken)) {
+        throw new Error('改密令牌无效或已过期');
+      }
+      await this.passwordPolicy.applyPassword(user, newPassword, sequelize);
+
+      this.logAction(`商户过期密码已更新: ${user.username}, ID: ${user.id}`);
+      return await this.completeLogin(user, ip, userAgent);
+
+    } catch (error) {
+      this.logError(`商户过期密码更新失败, IP: ${ip}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * 刷新商户令牌
+   * 每个刷新令牌只能使用一次，使用后轮换为同一令牌族的新令牌
+   * @param {string} refreshToken - 刷新令牌
+   * @param {string} ip - 客户端IP地址
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 新令牌
+   */
+  async refreshToken(refreshToken, ip, sequelize) {
+    try {
+      // 1. 验证刷新令牌
+      const decoded = this.jwtKeyService.verify(refreshToken);
+
+      if (decoded.type !== 'refresh' || decoded.role !== USER_ROLE.MERCHANT) {
+        throw new Error('无效的刷新令牌');
+      }
+
+      // 2. 校验令牌族，旧令牌重放时整族吊销
+      const familyId = await this.refreshTokenService.consume(decoded, { ip });
+
+      // 3. 确认账号仍然有效
+      const MerchantsUsers = sequelize.models.MerchantsUsers;
+      const user = await MerchantsUsers.findOne({
+        where: {
+          id: decoded.id,
+          role: USER_ROLE.MERCHANT,
+          status: USER_STATUS.ACTIVE
+        }
       });
 
-      // 8. 返回登录结果（不包含密码）
-      const userInfo = {
-        id: user.id,
-        username: user.username,
-        email: user.email,
-        role: user.role,
-        status: user.status,
-        last_login: user.last_login,
-      };
+      if (!user || !await this.isMerchantAvailable(user, sequelize)) {
+        throw new Error('商户账号不存在或状态异常');
+      }
 
-      return {
-        user: userInfo,
-        tokens,
-      };
+      // 4. 签发同一令牌族的新令牌
+      return await this.generateTokens(user, familyId);
 
     } catch (error) {
-      this.logError(`商户登录失败: ${username}, IP: ${ip}`, error);
+      this.logError(`商户令牌刷新失败, IP: ${ip}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * 商户忘记密码：向账号邮箱发送重置链接
+   * 无论账号是否存在都正常返回，避免被用来探测已注册邮箱
+   * @param {string} email - 账号邮箱
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 处理结果
+   */
+  async forgotPassword(email, sequelize) {
+    try {
+      const MerchantsUsers = sequelize.models.MerchantsUsers;
+      const user = await MerchantsUsers.findOne({
+        where: {
+          email,
+          role: USER_ROLE.MERCHANT,
+          status: USER_STATUS.ACTIVE
+        }
+      });
+
+      if (!user) {
+        this.logAction(`商户忘记密码：账号不存在或状态异常: ${email}`);
+        return { message: '如果该邮箱已注册，重置邮件将很快送达' };
+      }
+
+      const resetToken = await this.passwordResetService.createToken(user.id);
+      if (resetToken) {
+        // 不等待邮件发送完成，避免响应时间暴露账号是否存在
+        const baseUrl = process.env.MERCHANT_FRONTEND_URL || process.env.FRONTEND_URL;
+        this.emailService.sendPasswordResetEmail(user.email, resetToken, baseUrl)
+          .catch(error => this.logError(`商户密码重置邮件发送失败: ${user.username}`, error));
+      }
+
+      return { message: '如果该邮箱已注册，重置邮件将很快送达' };
+
+    } catch (error) {
+      this.logError(`商户忘记密码处理失败: ${email}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * 商户重置密码：消费重置令牌并设置新密码，成功后所有会话下线
+   * @param {string} resetToken - 邮件中的重置令牌
+   * @param {string} newPassword - 新密码
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 重置结果
+   */
+  async resetPassword(resetToken, newPassword, sequelize) {
+    try {
+      // 1. 查询重置令牌
+      const userId = await this.passwordResetService.peekToken(resetToken);
+      if (!userId) {
+        throw new Error('重置令牌无效或已过期');
+      }
+
+      // 2. 确认账号仍然有效
+      const MerchantsUsers = sequelize.models.MerchantsUsers;
+      const user = await MerchantsUsers.findOne({
+        where: {
+          id: userId,
+          role: USER_ROLE.MERCHANT,
+          status: USER_STATUS.ACTIVE
+        }
+      });
+
+      if (!user) {
+        throw new Error('重置令牌无效或已过期');
+      }
+
+      // 3. 先校验新密码再消费令牌，新密码不符合要求时令牌仍可继续使用
+      await this.passwordPolicy.assertAcceptable(user, newPassword, sequelize);
+      if (await this.passwordResetService.consumeToken(resetToken) !== user.id) {
+        throw new Error('重置令牌无效或已过期');
+      }
+      await this.passwordPolicy.applyPassword(user, newPassword, sequelize);
+
+      // 4. 所有已登录设备必须重新登录，同时清除登录失败计数
+      await this.sessionService.revokeAllSessions(USER_ROLE.MERCHANT, user.id, '重置密码');
+      await this.merchantLoginTracker.clearLockAndFailCount(user.username);
+
+      this.logAction(`商户密码重置成功: ${user.username}, ID: ${user.id}`);
+      return { message: '密码重置成功，请重新登录' };
+
+    } catch (error) {
+      this.logError('商户密码重置失败', error);
       throw error;
     }
   }
@@ -105,7 +358,11 @@ class MerchantAuthService extends BaseService {
       this.logAction(`商户登出: ${user.username}, ID: ${user.id}`);
       
       // 这里可以实现令牌黑名单机制
-      // 暂时只记录日志
+      // 暂时只吊销本次登录对应的会话及刷新令牌族
+      const decoded = jwt.decode(token);
+      if (decoded && decoded.fid) {
+        await this.sessionService.revokeSession(USER_ROLE.MERCHANT, decoded.id, decoded.fid, '商户登出');
+      }
       
       return {
         message: '商户登出成功',
@@ -121,29 +378,39 @@ class MerchantAuthService extends BaseService {
   /**
    * 生成商户访问令牌和刷新令牌
    * @param {Object} user - 用户对象
+   * @param {string|null} familyId - 令牌族ID，刷新时沿用，登录时为空则新建
+   * @param {Object} context - 登录上下文 { ip, userAgent }，新建令牌族时用于会话登记
    * @returns {Promise<Object>} 令牌对象
    */
-  async generateTokens(user) {
+  async generateTokens(user, familyId = null, context = {}) {
+    const { fid, jti } = this.refreshTokenService.createTokenIds(familyId);
     const payload = {
       id: user.id,
       username: user.username,
       email: user.email,
       role: user.role,
-      userType: 'console_admin'
+      userType: 'console_admin',
+      fid
     };
 
-    const accessToken = jwt.sign(
+    const accessToken = this.jwtKeyService.sign(
       { ...payload, type: 'access' },
-      this.jwtSecret,
       { expiresIn: this.jwtExpiresIn }
     );
 
-    const refreshToken = jwt.sign(
-      { ...payload, type: 'refresh' },
-      this.jwtSecret,
+    const refreshToken = this.jwtKeyService.sign(
+      { ...payload, type: 'refresh', jti },
       { expiresIn: this.refreshTokenExpiresIn }
     );
 
+    await this.refreshTokenService.saveFamily(user.id, refreshToken);
+
+    // 新登录时登记会话，会话与刷新令牌同时过期
+    if (!familyId) {
+      const { exp } = jwt.decode(refreshToken);
+      await this.sessionService.createSession(USER_ROLE.MERCHANT, user.id, fid, exp, context);
+    }
+
     return {
       accessToken,
       refreshToken,
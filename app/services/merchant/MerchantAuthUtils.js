@@ -11,6 +11,7 @@ class MerchantAuthUtils extends BaseService {
   constructor() {
     super();
     this.maxFailedAttempts = 10; // 最大失败次数
+    this.captchaThreshold = parseInt(process.env.LOGIN_CAPTCHA_THRESHOLD, 10) || 3; // 失败多少次后登录需要验证码
     this.lockPrefix = 'console_login_locked'; // 锁定状态缓存前缀
     this.failCountPrefix = 'console_login_fails'; // 失败次数缓存前缀
   }
@@ -198,6 +199,19 @@ class MerchantAuthUtils extends BaseService {
       return 0;
     }
   }
+
+  /**
+   * 判断登录是否需要验证码
+   * @param {string} username - 用户名
+   * @returns {Promise<boolean>} 失败次数达到阈值时返回true
+   */
+  async isCaptchaRequired(username) {
+    if (!username) {
+      return false;
+    }
+    const failCount = await this.getFailedAttempts(username);
+    return failCount >= this.captchaThreshold;
+  }
 }
 
 module.exports = MerchantAuthUtils;
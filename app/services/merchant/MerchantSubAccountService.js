@@ -0,0 +1,363 @@
+/**
+ * 商户子账号服务
+ * 处理商户主账号邀请、授权、停用和移除员工子账号的业务逻辑
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { Op } = require('sequelize');
+const BaseMerchantService = require('../base/BaseMerchantService');
+const PasswordResetService = require('../common/PasswordResetService');
+const PasswordPolicyService = require('../common/PasswordPolicyService');
+const SessionService = require('../common/SessionService');
+const PermissionService = require('../common/PermissionService');
+const EmailService = require('../common/EmailService');
+const CacheManager = require('../../../common/redis/cache');
+const { PREFIX } = require('../../../common/redis');
+const { USER_STATUS, USER_ROLE } = require('../../../common/constants/status');
+
+class MerchantSubAccountService extends BaseMerchantService {
+  constructor() {
+    super();
+    // 邀请令牌复用一次性令牌机制，按独立的 scope 与密码重置令牌隔离
+    this.inviteTokenService = new PasswordResetService('merchant_invite');
+    this.inviteTokenService.tokenTtl = 72 * 3600; // 邀请链接72小时有效，与邮件内容保持一致
+    this.sessionService = new SessionService();
+    this.passwordPolicy = new PasswordPolicyService(USER_ROLE.MERCHANT);
+    this.emailService = new EmailService();
+    this.saltRounds = 12;
+  }
+
+  /**
+   * 格式化子账号信息（不包含密码等敏感字段）
+   * @param {Object} user - 子账号
+   * @returns {Object} 子账号信息
+   */
+  formatSubAccount(user) {
+    return {
+      id: user.id,
+      username: user.username,
+      email: user.email,
+      status: user.status,
+      shop_ids: user.shop_ids || [],
+      permission_codes: user.permission_codes || [],
+      last_login: user.last_login,
+      created_at: user.created_at
+    };
+  }
+
+  /**
+   * 整理店铺ID列表（去重并转为数字）
+   * 空列表表示子账号不能访问任何店铺；店铺数据尚无模型，暂不校验店铺是否属于当前商户，
+   * 商户端查询始终带主账号的 merchantId 条件，其他商户的店铺数据不会被查出
+   * @param {Array<number>} shopIds - 店铺ID列表
+   * @returns {Array<number>} 店铺ID列表
+   */
+  normalizeShopIds(shopIds) {
+    return [...new Set((shopIds || []).map(Number))];
+  }
+
+  /**
+   * 校验子账号权限不超过主账号权限
+   * @param {Array<string>} ownerPermissions - 主账号拥有的权限编码
+   * @param {Array<string>} permissionCodes - 待分配的权限编码
+   * @returns {Array<string>} 去重后的权限编码
+   */
+  validatePermissionCodes(ownerPermissions, permissionCodes) {
+    const codes = [...new Set(permissionCodes || [])];
+    if (PermissionService.filterGranted(ownerPermissions, codes).length !== codes.length) {
+      throw new Error('不能分配超出主账号的权限');
+    }
+    return codes;
+  }
+
+  /**
+   * 子账号信息变更后清除缓存，使认证中间件读取最新的店铺和权限
+   * @param {number} userId - 子账号ID
+   */
+  async clearSubAccountCache(userId) {
+    await CacheManager.del(PREFIX.MERCHANT_USER, userId);
+  }
+
+  /**
+   * 分页获取子账号列表
+   * @param {number} merchantId - 商户ID
+   * @param {Object} filters - 过滤条件 { status, keyword }
+   * @param {Object} pagination - 分页参数 { limit, offset }
+   * @param {Object} sort - 排序参数 { sortBy, sortOrder }
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} { rows, total }
+   */
+  async listSubAccounts(merchantId, filters, pagination, sort, sequelize) {
+    const { MerchantsUsers } = sequelize.models;
+
+    const where = {
+      ...this.buildWhereCondition(filters, ['status']),
+      merchant_id: merchantId
+    };
+    if (filters.keyword) {
+      where[Op.or] = [
+        { username: { [Op.like]: `%${filters.keyword}%` } },
+        { email: { [Op.like]: `%${filters.keyword}%` } }
+      ];
+    }
+
+    const sortBy = ['id', 'username', 'last_login', 'created_at'].includes(sort.sortBy) ? sort.sortBy : 'created_at';
+
+    const { rows, count } = await MerchantsUsers.findAndCountAll({
+      where,
+      order: [[sortBy, sort.sortOrder]],
+      limit: pagination.limit,
+      offset: pagination.offset
+    });
+
+    return { rows: rows.map(user => this.formatSubAccount(user)), total: count };
+  }
+
+  /**
+   * 获取属于指定商户的子账号
+   * @param {number} merchantId - 商户ID
+   * @param {number} id - 子账号ID
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 子账号
+   */
+  async findSubAccount(merchantId, id, sequelize) {
+    const { MerchantsUsers } = sequelize.models;
+
+    const user = await MerchantsUsers.findOne({
+      where: { id, merchant_id: merchantId, role: USER_ROLE.MERCHANT }
+    });
+
+    if (!user) {
+      throw new Error('子账号不存在');
+    }
+
+    return user;
+  }
+
+  /**
+   * 签发邀请令牌并发送邀请邮件
+   * @param {Object} owner - 商户主账号
+   * @param {Object} user - 子账号
+   * @returns {Promise<boolean>} 是否已发送，发送过于频繁时返回false
+   */
+  async sendInvitation(owner, user) {
+    const inviteToken = await this.inviteTokenService.createToken(user.id);
+    if (!inviteToken) {
+      return false;
+    }
+
+    const baseUrl = process.env.MERCHANT_FRONTEND_URL || process.env.FRONTEND_URL;
+    this.emailService.sendInvitationEmail(user.email, inviteToken, owner.username, baseUrl)
+      .catch(error => this.logError(`子账号邀请邮件发送失败: ${user.username}`, error));
+
+    return true;
+  }
+
+  /**
+   * 邀请子账号：创建未激活的子账号并发送邀请邮件，子账号通过邮件设置密码后激活
+   * @param {Object} owner - 商户主账号（当前登录用户）
+   * @param {Object} data - { username, email, shopIds, permissionCodes }
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 子账号信息
+   */
+  async inviteSubAccount(owner, data, sequelize) {
+    try {
+      const { MerchantsUsers } = sequelize.models;
+
+      const permissionCodes = this.validatePermissionCodes(owner.permissions, data.permissionCodes);
+      const shopIds = this.normalizeShopIds(data.shopIds);
+
+      if (await MerchantsUsers.findOne({ where: { username: data.username } })) {
+        throw new Error('用户名已存在');
+      }
+
+      if (await MerchantsUsers.findOne({ where: { email: data.email, role: USER_ROLE.MERCHANT } })) {
+        throw new Error('邮箱已被使用');
+      }
+
+      // 子账号在接受邀请前没有可用密码，先写入随机密码哈希
+      const placeholderPassword = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), this.saltRounds);
+
+      const user = await MerchantsUsers.create({
+        username: data.username,
+        email: data.email,
+        password: placeholderPassword,
+        role: USER_ROLE.MERCHANT,
+        status: USER_STATUS.INACTIVE,
+        merchant_id: owner.id,
+        shop_ids: shopIds,
+        permission_codes: permissionCodes
+      });
+
+      await this.sendInvitation(owner, user);
+
+      this.logAction('邀请商户子账号', { merchantId: owner.id, subAccountId: user.id, username: user.username });
+      return this.formatSubAccount(user);
+
+    } catch (error) {
+      this.logError('邀请商户子账号失败', error, { merchantId: owner.id, username: data.username });
+      throw error;
+    }
+  }
+
+  /**
+   * 重新发送邀请邮件，只适用于尚未接受邀请的子账号
+   * @param {Object} owner - 商户主账号
+   * @param {number} id - 子账号ID
+   * @param {Object} sequelize - 数据库实例
+   */
+  async resendInvitation(owner, id, sequelize) {
+    const user = await this.findSubAccount(owner.id, id, sequelize);
+
+    if (user.status !== USER_STATUS.INACTIVE) {
+      throw new Error('子账号已接受邀请，无需重新发送');
+    }
+
+    if (!await this.sendInvitation(owner, user)) {
+      throw new Error('邀请发送过于频繁，请稍后再试');
+    }
+
+    this.logAction('重新发送子账号邀请', { merchantId: owner.id, subAccountId: user.id });
+  }
+
+  /**
+   * 接受邀请：消费邀请令牌，设置密码并激活子账号
+   * @param {string} inviteToken - 邮件中的邀请令牌
+   * @param {string} password - 新密码
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 子账号信息
+   */
+  async acceptInvitation(inviteToken, password, sequelize) {
+    try {
+      const userId = await this.inviteTokenService.peekToken(inviteToken);
+      if (!userId) {
+        throw new Error('邀请链接无效或已过期');
+      }
+
+      const { MerchantsUsers } = sequelize.models;
+      const user = await MerchantsUsers.findOne({
+        where: {
+          id: userId,
+          role: USER_ROLE.MERCHANT,
+          status: USER_STATUS.INACTIVE,
+          merchant_id: { [Op.ne]: null }
+        }
+      });
+
+      if (!user) {
+        throw new Error('邀请链接无效或已过期');
+      }
+
+      // 先校验密码再消费邀请令牌，密码不符合要求时邀请链接仍可继续使用
+      await this.passwordPolicy.assertAcceptable(user, password, sequelize);
+      if (await this.inviteTokenService.consumeToken(inviteToken) !== user.id) {
+        throw new Error('邀请链接无效或已过期');
+      }
+
+      await this.passwordPolicy.applyPassword(user, password, sequelize, {
+        status: USER_STATUS.ACTIVE,
+        updated_at: new Date()
+      });
+      await this.clearSubAccountCache(user.id);
+
+      this.logAction(`商户子账号接受邀请: ${user.username}, ID: ${user.id}`);
+      return this.formatSubAccount(user);
+
+    } catch (error) {
+      this.logError('接受子账号邀请失败', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 更新子账号可访问的店铺和权限
+   * @param {Object} owner - 商户主账号
+   * @param {number} id - 子账号ID
+   * @param {Object} data - { shopIds, permissionCodes }，未提供的字段保持不变
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 子账号信息
+   */
+  async updateSubAccount(owner, id, data, sequelize) {
+    try {
+      const user = await this.findSubAccount(owner.id, id, sequelize);
+
+      const updateData = { updated_at: new Date() };
+      if (data.shopIds !== undefined) {
+        updateData.shop_ids = this.normalizeShopIds(data.shopIds);
+      }
+      if (data.permissionCodes !== undefined) {
+        updateData.permission_codes = this.validatePermissionCodes(owner.permissions, data.permissionCodes);
+      }
+
+      await user.update(updateData);
+      await this.clearSubAccountCache(user.id);
+
+      this.logAction('更新商户子账号授权', { merchantId: owner.id, subAccountId: user.id });
+      return this.formatSubAccount(user);
+
+    } catch (error) {
+      this.logError('更新商户子账号失败', error, { merchantId: owner.id, subAccountId: id });
+      throw error;
+    }
+  }
+
+  /**
+   * 启用或停用子账号，停用后该子账号所有会话立即下线
+   * @param {Object} owner - 商户主账号
+   * @param {number} id - 子账号ID
+   * @param {boolean} enabled - 是否启用
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 子账号信息
+   */
+  async setSubAccountStatus(owner, id, enabled, sequelize) {
+    try {
+      const user = await this.findSubAccount(owner.id, id, sequelize);
+
+      if (user.status === USER_STATUS.INACTIVE) {
+        throw new Error('子账号尚未接受邀请，无法修改状态');
+      }
+
+      await user.update({
+        status: enabled ? USER_STATUS.ACTIVE : USER_STATUS.SUSPENDED,
+        updated_at: new Date()
+      });
+      await this.clearSubAccountCache(user.id);
+
+      if (!enabled) {
+        await this.sessionService.revokeAllSessions(USER_ROLE.MERCHANT, user.id, '子账号已停用');
+      }
+
+      this.logAction(enabled ? '启用商户子账号' : '停用商户子账号', { merchantId: owner.id, subAccountId: user.id });
+      return this.formatSubAccount(user);
+
+    } catch (error) {
+      this.logError('修改商户子账号状态失败', error, { merchantId: owner.id, subAccountId: id });
+      throw error;
+    }
+  }
+
+  /**
+   * 移除子账号，同时下线其所有会话
+   * @param {Object} owner - 商户主账号
+   * @param {number} id - 子账号ID
+   * @param {Object} sequelize - 数据库实例
+   */
+  async removeSubAccount(owner, id, sequelize) {
+    try {
+      const user = await this.findSubAccount(owner.id, id, sequelize);
+
+      await this.sessionService.revokeAllSessions(USER_ROLE.MERCHANT, user.id, '子账号已移除');
+      await user.destroy();
+      await this.clearSubAccountCache(user.id);
+
+      this.logAction('移除商户子账号', { merchantId: owner.id, subAccountId: user.id, username: user.username });
+
+    } catch (error) {
+      this.logError('移除商户子账号失败', error, { merchantId: owner.id, subAccountId: id });
+      throw error;
+    }
+  }
+}
+
+module.exports = MerchantSubAccountService;
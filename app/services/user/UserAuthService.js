@@ -4,29 +4,58 @@
  */
 
 const BaseService = require('../base/BaseService');
+const RefreshTokenService = require('../common/RefreshTokenService');
+const SessionService = require('../common/SessionService');
+const JwtKeyService = require('../common/JwtKeyService');
+const PasswordResetService = require('../common/PasswordResetService');
+const PasswordPolicyService = require('../common/PasswordPolicyService');
+const EmailService = require('../common/EmailService');
+const EmailVerificationService = require('../common/EmailVerificationService');
+const LoginOtpService = require('../common/LoginOtpService');
+const NotificationService = require('../common/NotificationService');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const { Op } = require('sequelize');
-const { USER_STATUS, USER_ROLE, COMMON_STATUS } = require('../../../common/constants/status');
+const { USER_STATUS, USER_ROLE, COMMON_STATUS, REGISTER_CONFIG } = require('../../../common/constants/status');
 const { StatusHelper } = require('../../../common/utils/statusHelper');
 
+// 免密登录渠道，对应 users 表中用于查找账号的字段
+const OTP_CHANNELS = {
+  sms: 'phone',
+  email: 'email'
+};
+
 class UserAuthService extends BaseService {
   constructor() {
     super();
     this.saltRounds = 12;
-    this.jwtSecret = process.env.JWT_SECRET || 'your_jwt_secret';
+    this.jwtKeyService = new JwtKeyService('user');
     this.jwtExpiresIn = process.env.JWT_EXPIRES_IN || '1d';
     this.refreshTokenExpiresIn = process.env.REFRESH_TOKEN_EXPIRES_IN || '7d';
+    this.refreshTokenService = new RefreshTokenService('user');
+    this.sessionService = new SessionService();
+    this.passwordResetService = new PasswordResetService('user');
+    this.passwordPolicy = new PasswordPolicyService(USER_ROLE.USER);
+    this.emailService = new EmailService();
+    this.emailVerificationService = new EmailVerificationService('user');
+    this.loginOtpService = new LoginOtpService('user');
+    this.notificationService = new NotificationService();
+    // 注册邮箱验证开关：开启后新账号为未激活状态，完成邮箱验证后才能登录
+    this.registerVerification = parseInt(process.env.USER_REGISTER_VERIFICATION, 10) === REGISTER_CONFIG.VERIFICATION_ON
+      ? REGISTER_CONFIG.VERIFICATION_ON
+      : REGISTER_CONFIG.VERIFICATION_OFF;
   }
 
   /**
    * 用户登录
    * @param {string} username - 用户名或邮箱
    * @param {string} password - 密码
+   * @param {string} ip - 客户端IP地址
    * @param {Object} sequelize - 数据库实例
+   * @param {string} userAgent - 客户端用户代理，用于会话登记
    * @returns {Promise<Object>} 登录结果
    */
-  async login(username, password, sequelize) {
+  async login(username, password, ip, sequelize, userAgent = null) {
     try {
 
       // 验证输入参数
@@ -39,13 +68,13 @@ class UserAuthService extends BaseService {
         throw new Error('登录参数验证失败: ' + validation.errors.map(e => e.message).join(', '));
       }
 
-      // 查找用户
+      // 查找用户（未激活账号也参与查找，以便在密码正确时提示完成邮箱验证）
       const User = sequelize.models.User;
       const user = await User.findOne({
         where: {
           username: username,
           role: USER_ROLE.USER,
-          status: USER_STATUS.ACTIVE
+          status: { [Op.in]: [USER_STATUS.ACTIVE, USER_STATUS.INACTIVE] }
         }
       });
 
@@ -53,11 +82,6 @@ class UserAuthService extends BaseService {
         throw new Error('用户不存在');
       }
 
-      // 检查用户状态
-      if (!StatusHelper.isUserActive(user.status)) {
-        throw new Error(`用户状态异常: ${StatusHelper.getDescription('USER_STATUS', user.status)}`);
-      }
-
       // 验证密码
       const isPasswordValid = await bcrypt.compare(password, user.password);
       if (!isPasswordValid) {
@@ -66,8 +90,21 @@ class UserAuthService extends BaseService {
         throw new Error('密码错误');
       }
 
+      // 检查用户状态
+      if (user.status === USER_STATUS.INACTIVE) {
+        throw new Error('账号未激活，请先完成邮箱验证');
+      }
+      if (!StatusHelper.isUserActive(user.status)) {
+        throw new Error(`用户状态异常: ${StatusHelper.getDescription('USER_STATUS', user.status)}`);
+      }
+
+      // 密码已过期时只签发改密令牌，设置新密码后再发放正式令牌
+      if (this.passwordPolicy.isExpired(user)) {
+        return await this.passwordPolicy.createRotationToken(user);
+      }
+
       // 生成令牌
-      const tokens = await this.generateTokens(user);
+      const tokens = await this.generateTokens(user, null, { ip, userAgent });
 
       // 更新最后登录时间
       await user.update({
@@ -89,7 +126,7 @@ class UserAuthService extends BaseService {
       };
 
     } catch (error) {
-      this.logError('用户登录失败', error, { username });
+      this.logError('用户登录失败', error, { username, ip });
       throw error;
     }
   }
@@ -98,9 +135,10 @@ class UserAuthService extends BaseService {
    * 用户注册
    * @param {Object} userData - 用户数据
    * @param {Object} sequelize - 数据库实例
+   * @param {Object} context - 请求上下文 { ip, userAgent }，用于会话登记
    * @returns {Promise<Object>} 注册结果
    */
-  async register(userData, sequelize) {
+  async register(userData, sequelize, context = {}) {
     try {
       this.logAction('用户注册尝试', { username: userData.username, email: userData.email });
 
@@ -122,10 +160,7 @@ class UserAuthService extends BaseService {
         },
         password: { 
           required: true, 
-          type: 'string', 
-          minLength: 8,
-          pattern: /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/,
-          patternMessage: '密码必须包含大小写字母和数字'
+          type: 'string'
         }
       });
 
@@ -133,6 +168,8 @@ class UserAuthService extends BaseService {
         throw new Error('注册数据验证失败: ' + validation.errors.map(e => e.message).join(', '));
       }
 
+      this.passwordPolicy.assertValid(userData.password, userData);
+
       const User = sequelize.models.User;
 
       // 检查用户名是否已存在
@@ -155,63 +192,81 @@ class UserAuthService extends BaseService {
       }
 
       // 加密密码
-      const hashedPassword = await bcrypt.hash(userData.password, this.saltRounds);
+      const hashedPassword = await this.passwordPolicy.hash(userData.password);
 
-      // 创建用户
+      // 创建用户，开启邮箱验证时账号先处于未激活状态
+      const verificationRequired = this.registerVerification === REGISTER_CONFIG.VERIFICATION_ON;
       const newUser = await User.create({
         username: userData.username,
         email: userData.email,
         password: hashedPassword,
-        status: 'active',
+        password_updated_at: new Date(),
+        status: verificationRequired ? USER_STATUS.INACTIVE : USER_STATUS.ACTIVE,
         created_at: new Date()
       });
-
-      // 生成令牌
-      const tokens = await this.generateTokens(newUser);
+      await this.passwordPolicy.recordHistory(newUser.id, hashedPassword, sequelize);
 
       // 清除敏感信息
       const userInfo = this.sanitizeUserInfo(newUser);
 
-      this.logAction('用户注册成功', { userId: newUser.id, username: newUser.username });
+      this.logAction('用户注册成功', { userId: newUser.id, username: newUser.username, verificationRequired });
+
+      // 需要邮箱验证时不签发令牌，发送验证码后等待验证
+      if (verificationRequired) {
+        await this.sendVerificationCode(newUser);
+        return {
+          user: userInfo,
+          verificationRequired
+        };
+      }
+
+      // 生成令牌
+      const tokens = await this.generateTokens(newUser, null, context);
 
       return {
         user: userInfo,
-        tokens
+        tokens,
+        verificationRequired
       };
 
     } catch (error) {
-      this.logError('用户注册失败', error, userData);
+      this.logError('用户注册失败', error, { username: userData.username, email: userData.email });
       throw error;
     }
   }
 
   /**
    * 刷新令牌
+   * 每个刷新令牌只能使用一次，使用后轮换为同一令牌族的新令牌
    * @param {string} refreshToken - 刷新令牌
    * @param {Object} sequelize - 数据库实例
+   * @param {string} ip - 客户端IP地址
    * @returns {Promise<Object>} 新令牌
    */
-  async refreshToken(refreshToken, sequelize) {
+  async refreshToken(refreshToken, sequelize, ip = null) {
     try {
       this.logAction('令牌刷新尝试');
 
       // 验证刷新令牌
-      const decoded = jwt.verify(refreshToken, this.jwtSecret);
+      const decoded = this.jwtKeyService.verify(refreshToken);
       
       if (decoded.type !== 'refresh') {
         throw new Error('无效的刷新令牌');
       }
 
+      // 校验令牌族，旧令牌重放时整族吊销
+      const familyId = await this.refreshTokenService.consume(decoded, { ip });
+
       // 查找用户
       const User = sequelize.models.User;
       const user = await User.findByPk(decoded.id);
 
-      if (!user || user.status !== 'active') {
+      if (!user || !StatusHelper.isUserActive(user.status)) {
         throw new Error('用户不存在或状态异常');
       }
 
       // 生成新令牌
-      const tokens = await this.generateTokens(user);
+      const tokens = await this.generateTokens(user, familyId);
 
       this.logAction('令牌刷新成功', { userId: user.id });
 
@@ -241,6 +296,11 @@ class UserAuthService extends BaseService {
         }
       }
 
+      // 吊销本次登录对应的会话及刷新令牌族
+      if (decoded && decoded.fid) {
+        await this.sessionService.revokeSession(USER_ROLE.USER, decoded.id, decoded.fid, '用户登出');
+      }
+
       this.logAction('用户登出成功');
       return COMMON_STATUS.SUCCESS;
 
@@ -253,28 +313,39 @@ class UserAuthService extends BaseService {
   /**
    * 生成访问令牌和刷新令牌
    * @param {Object} user - 用户对象
+   * @param {string|null} familyId - 令牌族ID，刷新时沿用，登录时为空则新建
+   * @param {Object} context - 登录上下文 { ip, userAgent }，新建令牌族时用于会话登记
    * @returns {Promise<Object>} 令牌对象
    */
-  async generateTokens(user) {
+  async generateTokens(user, familyId = null, context = {}) {
+    const { fid, jti } = this.refreshTokenService.createTokenIds(familyId);
     const payload = {
       id: user.id,
       username: user.username,
       email: user.email,
-      status: user.status
+      status: user.status,
+      role: USER_ROLE.USER,
+      fid
     };
 
-    const accessToken = jwt.sign(
+    const accessToken = this.jwtKeyService.sign(
       { ...payload, type: 'access' },
-      this.jwtSecret,
       { expiresIn: this.jwtExpiresIn }
     );
 
-    const refreshToken = jwt.sign(
-      { ...payload, type: 'refresh' },
-      this.jwtSecret,
+    const refreshToken = this.jwtKeyService.sign(
+      { ...payload, type: 'refresh', jti },
       { expiresIn: this.refreshTokenExpiresIn }
     );
 
+    await this.refreshTokenService.saveFamily(user.id, refreshToken);
+
+    // 新登录时登记会话，会话与刷新令牌同时过期
+    if (!familyId) {
+      const { exp } = jwt.decode(refreshToken);
+      await this.sessionService.createSession(USER_ROLE.USER, user.id, fid, exp, context);
+    }
+
     return {
       accessToken,
       refreshToken,
@@ -296,7 +367,7 @@ class UserAuthService extends BaseService {
       }
 
       // 验证令牌
-      const decoded = jwt.verify(token, this.jwtSecret);
+      const decoded = this.jwtKeyService.verify(token);
       
       if (decoded.type !== 'access') {
         throw new Error('无效的访问令牌');
@@ -342,21 +413,6 @@ class UserAuthService extends BaseService {
     try {
       this.logAction('修改密码尝试', { userId });
 
-      // 验证新密码格式
-      const validation = this.validateData({ newPassword }, {
-        newPassword: {
-          required: true,
-          type: 'string',
-          minLength: 8,
-          pattern: /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/,
-          patternMessage: '新密码必须包含大小写字母和数字'
-        }
-      });
-
-      if (!validation.isValid) {
-        throw new Error('新密码格式验证失败: ' + validation.errors.map(e => e.message).join(', '));
-      }
-
       // 查找用户
       const User = sequelize.models.User;
       const user = await User.findByPk(userId);
@@ -371,30 +427,376 @@ class UserAuthService extends BaseService {
         throw new Error('当前密码错误');
       }
 
-      // 检查新密码是否与当前密码相同
-      const isSamePassword = await bcrypt.compare(newPassword, user.password);
-      if (isSamePassword) {
-        throw new Error('新密码不能与当前密码相同');
+      // 按密码策略校验并更新密码
+      await this.passwordPolicy.setPassword(user, newPassword, sequelize);
+
+      this.logAction('密码修改成功', { userId });
+      return COMMON_STATUS.SUCCESS;
+
+    } catch (error) {
+      this.logError('密码修改失败', error, { userId });
+      throw error;
+    }
+  }
+
+  /**
+   * 验证注册邮箱，验证通过后激活账号并签发令牌
+   * @param {string} email - 注册邮箱
+   * @param {string} code - 邮件中的验证码
+   * @param {Object} sequelize - 数据库实例
+   * @param {Object} context - 请求上下文 { ip, userAgent }，用于会话登记
+   * @returns {Promise<Object>} 激活结果
+   */
+  async verifyEmail(email, code, sequelize, context = {}) {
+    try {
+      const User = sequelize.models.User;
+      const user = await User.findOne({
+        where: {
+          email,
+          role: USER_ROLE.USER,
+          status: USER_STATUS.INACTIVE
+        }
+      });
+
+      if (!user || !await this.emailVerificationService.verifyCode(user.id, code)) {
+        throw new Error('验证码无效或已过期');
       }
 
-      // 加密新密码
-      const hashedNewPassword = await bcrypt.hash(newPassword, this.saltRounds);
+      await user.update({ status: USER_STATUS.ACTIVE });
 
-      // 更新密码
-      await user.update({
-        password: hashedNewPassword,
-        password_updated_at: new Date()
+      const tokens = await this.generateTokens(user, null, context);
+
+      this.logAction('邮箱验证成功', { userId: user.id });
+
+      return {
+        user: this.sanitizeUserInfo(user),
+        tokens
+      };
+
+    } catch (error) {
+      this.logError('邮箱验证失败', error, { email });
+      throw error;
+    }
+  }
+
+  /**
+   * 重新发送邮箱验证码
+   * 无论账号是否存在或是否已激活都正常返回，避免被用来探测已注册邮箱
+   * @param {string} email - 注册邮箱
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<boolean>} 处理结果
+   */
+  async resendVerification(email, sequelize) {
+    try {
+      const User = sequelize.models.User;
+      const user = await User.findOne({
+        where: {
+          email,
+          role: USER_ROLE.USER,
+          status: USER_STATUS.INACTIVE
+        }
       });
 
-      this.logAction('密码修改成功', { userId });
+      if (!user) {
+        this.logAction('重发验证码：账号不存在或无需验证', { email });
+        return COMMON_STATUS.SUCCESS;
+      }
+
+      await this.sendVerificationCode(user);
       return COMMON_STATUS.SUCCESS;
 
     } catch (error) {
-      this.logError('密码修改失败', error, { userId });
+      this.logError('重发验证码失败', error, { email });
+      throw error;
+    }
+  }
+
+  /**
+   * 生成并发送邮箱验证码，发送过于频繁时静默跳过
+   * @param {Object} user - 用户对象
+   */
+  async sendVerificationCode(user) {
+    const code = await this.emailVerificationService.createCode(user.id);
+    if (!code) {
+      return;
+    }
+
+    // 不等待邮件发送完成，避免响应时间暴露账号状态
+    this.emailService.sendVerificationEmail(user.email, code)
+      .catch(error => this.logError('验证邮件发送失败', error, { userId: user.id }));
+  }
+
+  /**
+   * 忘记密码：向注册邮箱发送重置链接
+   * 无论账号是否存在都正常返回，避免被用来探测已注册邮箱
+   * @param {string} email - 注册邮箱
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<boolean>} 处理结果
+   */
+  async forgotPassword(email, sequelize) {
+    try {
+      const User = sequelize.models.User;
+      const user = await User.findOne({
+        where: {
+          email,
+          role: USER_ROLE.USER
+        }
+      });
+
+      if (!user || !StatusHelper.isUserActive(user.status)) {
+        this.logAction('忘记密码：账号不存在或状态异常', { email });
+        return COMMON_STATUS.SUCCESS;
+      }
+
+      const resetToken = await this.passwordResetService.createToken(user.id);
+      if (resetToken) {
+        // 不等待邮件发送完成，避免响应时间暴露账号是否存在
+        this.emailService.sendPasswordResetEmail(user.email, resetToken)
+          .catch(error => this.logError('密码重置邮件发送失败', error, { userId: user.id }));
+      }
+
+      return COMMON_STATUS.SUCCESS;
+
+    } catch (error) {
+      this.logError('忘记密码处理失败', error, { email });
+      throw error;
+    }
+  }
+
+  /**
+   * 重置密码：消费重置令牌并设置新密码，成功后所有会话下线
+   * @param {string} resetToken - 邮件中的重置令牌
+   * @param {string} newPassword - 新密码
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<boolean>} 重置结果
+   */
+  async resetPassword(resetToken, newPassword, sequelize) {
+    try {
+      const userId = await this.passwordResetService.peekToken(resetToken);
+      if (!userId) {
+        throw new Error('重置令牌无效或已过期');
+      }
+
+      const User = sequelize.models.User;
+      const user = await User.findByPk(userId);
+
+      if (!user || !StatusHelper.isUserActive(user.status)) {
+        throw new Error('重置令牌无效或已过期');
+      }
+
+      // 先校验新密码再消费令牌，新密码不符合要求时令牌仍可继续使用
+      await this.passwordPolicy.assertAcceptable(user, newPassword, sequelize);
+      if (await this.passwordResetService.consumeToken(resetToken) !== user.id) {
+        throw new Error('重置令牌无效或已过期');
+      }
+
+      await this.passwordPolicy.applyPassword(user, newPassword, sequelize);
+
+      // 密码已变更，所有已登录设备必须重新登录
+      await this.sessionService.revokeAllSessions(USER_ROLE.USER, user.id, '重置密码');
+
+      this.logAction('密码重置成功', { userId: user.id });
+      return COMMON_STATUS.SUCCESS;
+
+    } catch (error) {
+      this.logError('密码重置失败', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 密码过期后设置新密码并完成登录
+   * @param {string} passwordToken - 登录时返回的改密令牌
+   * @param {string} newPassword - 新密码
+   * @param {Object} sequelize - 数据库实例
+   * @param {Object} context - 请求上下文 { ip, userAgent }，用于会话登记
+   * @returns {Promise<Object>} 登录结果
+   */
+  async rotateExpiredPassword(passwordToken, newPassword, sequelize, context = {}) {
+    try {
+      const userId = await this.passwordPolicy.peekRotationToken(passwordToken);
+      const user = userId ? await sequelize.models.User.findByPk(userId) : null;
+
+      if (!user || !StatusHelper.isUserActive(user.status)) {
+        throw new Error('改密令牌无效或已过期');
+      }
+
+      await this.passwordPolicy.assertAcceptable(user, newPassword, sequelize);
+      if (!await this.passwordPolicy.consumeRotationToken(passwordToken)) {
+        throw new Error('改密令牌无效或已过期');
+      }
+
+      await this.passwordPolicy.applyPassword(user, newPassword, sequelize, {
+        last_login: new Date(),
+        login_count: (user.login_count || 0) + 1
+      });
+
+      const tokens = await this.generateTokens(user, null, context);
+
+      this.logAction('过期密码已更新', { userId: user.id });
+      return {
+        user: this.sanitizeUserInfo(user),
+        tokens
+      };
+
+    } catch (error) {
+      this.logError('过期密码更新失败', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 规范化免密登录接收方
+   * @param {string} channel - 渠道（sms/email）
+   * @param {string} recipient - 手机号或邮箱
+   * @returns {string} 规范化后的接收方
+   */
+  normalizeRecipient(channel, recipient) {
+    if (!OTP_CHANNELS[channel]) {
+      throw new Error('不支持的验证码渠道');
+    }
+    const value = String(recipient || '').trim();
+    return channel === 'email' ? value.toLowerCase() : value;
+  }
+
+  /**
+   * 申请免密登录：向手机号或邮箱发送6位验证码，邮箱也可以选择发送一次性登录链接
+   * 无论账号是否存在或发送是否过于频繁都正常返回，避免被用来探测已注册的手机号和邮箱
+   * @param {Object} data - { channel, recipient, type }，type 为 code（默认）或 link
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<boolean>} 处理结果
+   */
+  async requestLoginOtp({ channel, recipient, type = 'code' }, sequelize) {
+    try {
+      const normalized = this.normalizeRecipient(channel, recipient);
+      if (type === 'link' && channel !== 'email') {
+        throw new Error('登录链接只支持邮箱');
+      }
+
+      const User = sequelize.models.User;
+      const user = await User.findOne({
+        where: {
+          [OTP_CHANNELS[channel]]: normalized,
+          role: USER_ROLE.USER
+        }
+      });
+
+      if (!user || !StatusHelper.isUserActive(user.status)) {
+        this.logAction('免密登录：账号不存在或状态异常', { channel });
+        return COMMON_STATUS.SUCCESS;
+      }
+
+      const otpRecipient = `${channel}:${normalized}`;
+
+      // 不等待短信和邮件发送完成，避免响应时间暴露账号是否存在
+      if (type === 'link') {
+        const link = await this.loginOtpService.createLink(otpRecipient, user.id);
+        if (link) {
+          this.emailService.sendMagicLinkEmail(user.email, link)
+            .catch(error => this.logError('登录链接邮件发送失败', error, { userId: user.id }));
+        }
+        return COMMON_STATUS.SUCCESS;
+      }
+
+      const code = await this.loginOtpService.createCode(otpRecipient, user.id);
+      if (!code) {
+        return COMMON_STATUS.SUCCESS;
+      }
+
+      const delivery = channel === 'email'
+        ? this.emailService.sendLoginCodeEmail(user.email, code)
+        : this.notificationService.sendNotification({
+          type: this.notificationService.notificationTypes.SMS,
+          recipient: user.phone,
+          title: '登录验证码',
+          content: `您的登录验证码是${code}，${this.loginOtpService.codeTtl / 60}分钟内有效，请勿泄露给他人。`
+        });
+      delivery.catch(error => this.logError('登录验证码发送失败', error, { userId: user.id, channel }));
+
+      return COMMON_STATUS.SUCCESS;
+
+    } catch (error) {
+      this.logError('申请免密登录失败', error, { channel });
+      throw error;
+    }
+  }
+
+  /**
+   * 验证码登录
+   * @param {string} channel - 渠道（sms/email）
+   * @param {string} recipient - 手机号或邮箱
+   * @param {string} code - 验证码
+   * @param {Object} sequelize - 数据库实例
+   * @param {Object} context - 请求上下文 { ip, userAgent }，用于会话登记
+   * @returns {Promise<Object>} 登录结果
+   */
+  async loginWithOtp(channel, recipient, code, sequelize, context = {}) {
+    try {
+      const userId = await this.loginOtpService.verifyCode(`${channel}:${this.normalizeRecipient(channel, recipient)}`, code);
+      if (!userId) {
+        throw new Error('验证码无效或已过期');
+      }
+
+      return await this.completePasswordlessLogin(userId, sequelize, context);
+
+    } catch (error) {
+      this.logError('验证码登录失败', error, { channel, ip: context.ip });
       throw error;
     }
   }
 
+  /**
+   * 登录链接登录
+   * @param {Object} link - 链接参数 { token, expires, signature }
+   * @param {Object} sequelize - 数据库实例
+   * @param {Object} context - 请求上下文 { ip, userAgent }，用于会话登记
+   * @returns {Promise<Object>} 登录结果
+   */
+  async loginWithMagicLink(link, sequelize, context = {}) {
+    try {
+      const userId = await this.loginOtpService.consumeLink(link);
+      if (!userId) {
+        throw new Error('登录链接无效或已过期');
+      }
+
+      return await this.completePasswordlessLogin(userId, sequelize, context);
+
+    } catch (error) {
+      this.logError('登录链接登录失败', error, { ip: context.ip });
+      throw error;
+    }
+  }
+
+  /**
+   * 免密登录通过后签发令牌并更新登录信息
+   * @param {number} userId - 用户ID
+   * @param {Object} sequelize - 数据库实例
+   * @param {Object} context - 请求上下文 { ip, userAgent }
+   * @returns {Promise<Object>} 登录结果
+   */
+  async completePasswordlessLogin(userId, sequelize, context) {
+    const User = sequelize.models.User;
+    const user = await User.findByPk(userId);
+
+    if (!user || user.role !== USER_ROLE.USER || !StatusHelper.isUserActive(user.status)) {
+      throw new Error('用户不存在或状态异常');
+    }
+
+    const tokens = await this.generateTokens(user, null, context);
+
+    await user.update({
+      last_login: new Date(),
+      login_count: (user.login_count || 0) + 1
+    });
+
+    this.logAction('免密登录成功', { userId: user.id });
+
+    return {
+      user: this.sanitizeUserInfo(user),
+      tokens
+    };
+  }
+
   /**
    * 清理用户敏感信息
    * @param {Object} user - 用户对象
@@ -407,4 +809,6 @@ class UserAuthService extends BaseService {
   }
 }
 
+UserAuthService.OTP_CHANNELS = OTP_CHANNELS;
+
 module.exports = UserAuthService;
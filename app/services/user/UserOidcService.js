@@ -0,0 +1,234 @@
+/**
+ * H5第三方登录服务
+ * 通过 OIDC 提供方登录H5账号，第三方身份绑定到 users 表，登录后签发与账号密码登录相同的令牌
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const BaseService = require('../base/BaseService');
+const OidcClientService = require('../common/OidcClientService');
+const UserAuthService = require('./UserAuthService');
+const { USER_STATUS, USER_ROLE } = require('../../../common/constants/status');
+const { StatusHelper } = require('../../../common/utils/statusHelper');
+
+class UserOidcService extends BaseService {
+  constructor() {
+    super();
+    this.oidcClient = new OidcClientService();
+    this.userAuthService = new UserAuthService();
+  }
+
+  /**
+   * 获取可用的第三方登录方式
+   * @returns {Array<Object>} [{ name, displayName }]
+   */
+  listProviders() {
+    return this.oidcClient.listProviders();
+  }
+
+  /**
+   * 发起第三方登录或绑定
+   * @param {string} providerName - 提供方名称
+   * @param {number|null} userId - 绑定到已登录账号时的用户ID，登录时为空
+   * @returns {Promise<Object>} { authorizationUrl, state, binding, expiresIn }，binding 需写入发起请求的浏览器
+   */
+  async authorize(providerName, userId = null) {
+    return await this.oidcClient.createAuthorizationRequest(providerName, userId ? { userId } : {});
+  }
+
+  /**
+   * 处理登录回调：按身份找到或创建账号，然后签发令牌
+   * 新账号和第三方身份在同一事务中创建，任一步失败都不会留下未绑定身份的账号
+   * @param {string} providerName - 提供方名称
+   * @param {string} code - 授权码
+   * @param {string} state - 回调携带的 state
+   * @param {string} binding - 浏览器提交的绑定值
+   * @param {Object} sequelize - 数据库实例
+   * @param {Object} context - 请求上下文 { ip, userAgent }，用于会话登记
+   * @returns {Promise<Object>} { user, tokens, created, linked }
+   */
+  async callback(providerName, code, state, binding, sequelize, context = {}) {
+    try {
+      const { provider, claims } = await this.oidcClient.handleCallback(providerName, code, state, { binding });
+      const { User, UserIdentity } = sequelize.models;
+
+      const identity = await UserIdentity.findOne({ where: { provider: provider.name, subject: claims.sub } });
+      let user = null;
+      let created = false;
+      let linked = false;
+
+      if (identity) {
+        user = await User.findByPk(identity.user_id);
+      } else {
+        ({ user, created } = await this.executeTransaction(async (transaction) => {
+          const result = await this.findOrCreateUser(provider, claims, sequelize, transaction);
+          this.assertUserActive(result.user);
+          await this.createIdentity(result.user, provider, claims, sequelize, transaction);
+          return result;
+        }, sequelize));
+        linked = !created;
+      }
+
+      this.assertUserActive(user);
+
+      if (identity) {
+        await identity.update({ last_login_at: new Date(), updated_at: new Date() });
+      }
+
+      const tokens = await this.userAuthService.generateTokens(user, null, context);
+      await user.update({
+        last_login: new Date(),
+        login_count: (user.login_count || 0) + 1
+      });
+
+      this.logAction('第三方登录成功', { userId: user.id, provider: provider.name, created, linked });
+
+      return {
+        user: this.userAuthService.sanitizeUserInfo(user),
+        tokens,
+        created,
+        linked
+      };
+
+    } catch (error) {
+      this.logError('第三方登录失败', error, { provider: providerName, ip: context.ip });
+      throw error;
+    }
+  }
+
+  /**
+   * 处理绑定回调：只能由发起绑定的已登录账号完成，第三方身份绑定到该账号
+   * @param {string} providerName - 提供方名称
+   * @param {string} code - 授权码
+   * @param {string} state - 回调携带的 state
+   * @param {string} binding - 浏览器提交的绑定值
+   * @param {number} userId - 当前登录用户ID
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} { identity, linked }
+   */
+  async linkCallback(providerName, code, state, binding, userId, sequelize) {
+    try {
+      const { provider, claims } = await this.oidcClient.handleCallback(providerName, code, state, { binding, userId });
+      const { User, UserIdentity } = sequelize.models;
+
+      const user = await User.findByPk(userId);
+      this.assertUserActive(user);
+
+      let identity = await UserIdentity.findOne({ where: { provider: provider.name, subject: claims.sub } });
+      if (identity && identity.user_id !== user.id) {
+        throw new Error('该第三方账号已绑定其他用户');
+      }
+
+      const linked = !identity;
+      if (!identity) {
+        identity = await this.createIdentity(user, provider, claims, sequelize);
+      }
+
+      this.logAction('第三方账号绑定成功', { userId: user.id, provider: provider.name, linked });
+
+      return {
+        identity: {
+          id: identity.id,
+          provider: identity.provider,
+          email: identity.email,
+          last_login_at: identity.last_login_at,
+          created_at: identity.created_at
+        },
+        linked
+      };
+
+    } catch (error) {
+      this.logError('第三方账号绑定失败', error, { provider: providerName, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * 检查账号是否为可登录的H5用户
+   * @param {Object|null} user - 用户对象
+   */
+  assertUserActive(user) {
+    if (!user || user.role !== USER_ROLE.USER || !StatusHelper.isUserActive(user.status)) {
+      throw new Error('用户不存在或状态异常');
+    }
+  }
+
+  /**
+   * 创建第三方身份记录
+   * @param {Object} user - 用户对象
+   * @param {Object} provider - 提供方配置
+   * @param {Object} claims - ID 令牌声明
+   * @param {Object} sequelize - 数据库实例
+   * @param {Object} [transaction] - 事务
+   * @returns {Promise<Object>} 身份记录
+   */
+  async createIdentity(user, provider, claims, sequelize, transaction = null) {
+    return await sequelize.models.UserIdentity.create({
+      user_id: user.id,
+      provider: provider.name,
+      subject: claims.sub,
+      email: claims.email || null,
+      last_login_at: new Date()
+    }, { transaction });
+  }
+
+  /**
+   * 为首次登录的第三方身份找到或创建账号
+   * 仅当提供方开启 LINK_BY_EMAIL 且邮箱已被提供方验证时，才按邮箱绑定已有账号，避免通过未验证邮箱接管他人账号
+   * @param {Object} provider - 提供方配置
+   * @param {Object} claims - ID 令牌声明
+   * @param {Object} sequelize - 数据库实例
+   * @param {Object} [transaction] - 事务
+   * @returns {Promise<Object>} { user, created }
+   */
+  async findOrCreateUser(provider, claims, sequelize, transaction = null) {
+    const User = sequelize.models.User;
+    const emailVerified = claims.email_verified === true || claims.email_verified === 'true';
+    const email = claims.email && emailVerified ? String(claims.email).toLowerCase() : null;
+
+    if (email) {
+      const existingUser = await User.findOne({ where: { email, role: USER_ROLE.USER }, transaction });
+      if (existingUser) {
+        if (!provider.linkByEmail) {
+          throw new Error('该邮箱已注册，请使用原账号登录后绑定第三方账号');
+        }
+        return { user: existingUser, created: false };
+      }
+    }
+
+    // 第三方账号不设置可用密码，需要时可通过忘记密码设置
+    const password = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), this.userAuthService.saltRounds);
+    const user = await User.create({
+      username: `u_${crypto.randomBytes(8).toString('hex')}`,
+      email,
+      password,
+      status: USER_STATUS.ACTIVE,
+      created_at: new Date()
+    }, { transaction });
+
+    return { user, created: true };
+  }
+
+  /**
+   * 获取账号已绑定的第三方身份
+   * @param {number} userId - 用户ID
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Array>} 身份列表
+   */
+  async listIdentities(userId, sequelize) {
+    const identities = await sequelize.models.UserIdentity.findAll({
+      where: { user_id: userId },
+      order: [['created_at', 'ASC']]
+    });
+
+    return identities.map(identity => ({
+      id: identity.id,
+      provider: identity.provider,
+      email: identity.email,
+      last_login_at: identity.last_login_at,
+      created_at: identity.created_at
+    }));
+  }
+}
+
+module.exports = UserOidcService;
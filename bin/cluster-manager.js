@@ -5,6 +5,7 @@
 
 const cluster = require('cluster');
 const os = require('os');
+const { CLUSTER_MESSAGES } = require('../common/cluster');
 
 // 简单的日志记录器，避免依赖外部模块
 const clusterLogger = {
@@ -19,6 +20,8 @@ class ClusterManager {
     this.numCPUs = os.cpus().length;
     this.workerCount = 0;
     this.isShuttingDown = false;
+    // 进行中的快照收集请求：requestId -> { requester, snapshots, waiting, timer }
+    this.snapshotRequests = new Map();
   }
 
   /**
@@ -37,6 +40,9 @@ class ClusterManager {
     
     // 设置事件监听器
     this.setupEventListeners();
+
+    // 设置工作进程快照收集（监控指标、性能统计汇总）
+    this.setupSnapshotCollection();
     
     // 设置优雅退出处理
     this.setupGracefulShutdown();
@@ -92,6 +98,79 @@ class ClusterManager {
     });
   }
 
+  /**
+   * 设置工作进程快照收集
+   * 工作进程需要汇总数据时（如 /metrics、集群性能统计），由主进程向所有工作进程收集快照，再交给该工作进程合并
+   */
+  setupSnapshotCollection() {
+    cluster.on('message', (worker, message) => {
+      if (message?.type === CLUSTER_MESSAGES.COLLECT) {
+        this.collectWorkerSnapshots(worker, message);
+      } else if (message?.type === CLUSTER_MESSAGES.SNAPSHOT) {
+        this.receiveWorkerSnapshot(worker, message);
+      }
+    });
+  }
+
+  /**
+   * 向所有工作进程请求快照
+   * @param {Worker} requester - 发起请求的工作进程
+   * @param {Object} message - 请求消息 { requestId, kind, timeout }
+   */
+  collectWorkerSnapshots(requester, { requestId, kind, timeout }) {
+    const workers = Object.values(cluster.workers).filter(worker => worker && worker.isConnected());
+    const request = {
+      requester,
+      snapshots: [],
+      waiting: new Set(workers.map(worker => worker.id)),
+      timer: setTimeout(() => this.finishSnapshotRequest(requestId), timeout)
+    };
+    this.snapshotRequests.set(requestId, request);
+
+    workers.forEach(worker => worker.send({ type: CLUSTER_MESSAGES.REQUEST, requestId, kind }));
+  }
+
+  /**
+   * 接收工作进程返回的快照，全部返回后结束收集
+   * @param {Worker} worker - 工作进程
+   * @param {Object} message - 快照消息 { requestId, snapshot }
+   */
+  receiveWorkerSnapshot(worker, { requestId, snapshot }) {
+    const request = this.snapshotRequests.get(requestId);
+    if (!request) {
+      return;
+    }
+
+    request.snapshots.push(snapshot);
+    request.waiting.delete(worker.id);
+    if (request.waiting.size === 0) {
+      this.finishSnapshotRequest(requestId);
+    }
+  }
+
+  /**
+   * 结束快照收集，把已收到的快照和未响应的工作进程发给发起请求的工作进程
+   * @param {string} requestId - 请求ID
+   */
+  finishSnapshotRequest(requestId) {
+    const request = this.snapshotRequests.get(requestId);
+    if (!request) {
+      return;
+    }
+
+    clearTimeout(request.timer);
+    this.snapshotRequests.delete(requestId);
+
+    const missingWorkers = [...request.waiting].map(String);
+    if (missingWorkers.length > 0) {
+      clusterLogger.warn('部分工作进程未在超时前返回快照', { workerIds: missingWorkers });
+    }
+
+    if (request.requester.isConnected()) {
+      request.requester.send({ type: CLUSTER_MESSAGES.RESULT, requestId, snapshots: request.snapshots, missingWorkers });
+    }
+  }
+
   /**
    * 设置优雅退出处理
    */
@@ -15,6 +15,15 @@ class GracefulShutdown {
   constructor(options = {}) {
     this.shutdownTimeout = options.shutdownTimeout || 3000;
     this.isShuttingDown = false;
+    this.cleanupTasks = [];
+  }
+
+  /**
+   * 添加退出前执行的清理任务
+   * @param {Function} task - 清理函数，可返回Promise
+   */
+  addCleanupTask(task) {
+    this.cleanupTasks.push(task);
   }
 
   /**
@@ -72,9 +81,8 @@ class GracefulShutdown {
         logger.error('关闭服务器时发生错误:', err);
       }
 
-      if (onSuccess) {
-        onSuccess();
-      }
+      // 连接关闭后执行清理任务，超时仍由下方的强制退出兜底
+      this.cleanup(onSuccess);
     });
     
     // 设置超时强制退出
@@ -153,16 +161,19 @@ class GracefulShutdown {
    * @param {Function} callback - 清理完成回调
    */
   cleanup(callback) {
-    // 这里可以添加清理逻辑，比如关闭数据库连接、清理临时文件等
     logger.info('正在清理资源...');
 
-    // 模拟异步清理操作
-    setTimeout(() => {
-      logger.info('资源清理完成');
-      if (callback) {
-        callback();
-      }
-    }, 100);
+    Promise.allSettled(this.cleanupTasks.map(task => Promise.resolve().then(task)))
+      .then(results => {
+        results
+          .filter(result => result.status === 'rejected')
+          .forEach(result => logger.error('清理任务失败:', result.reason));
+
+        logger.info('资源清理完成');
+        if (callback) {
+          callback();
+        }
+      });
   }
 }
 
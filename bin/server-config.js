@@ -72,6 +72,16 @@ class ServerConfig {
     this.server.on('listening', () => this.onListening());
   }
 
+  /**
+   * 注册退出前执行的清理任务
+   * @param {Function} task - 清理函数，可返回Promise
+   * @returns {ServerConfig} 当前实例，便于链式调用
+   */
+  onShutdown(task) {
+    this.gracefulShutdown.addCleanupTask(task);
+    return this;
+  }
+
   /**
    * 设置优雅退出处理
    */
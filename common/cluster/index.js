@@ -0,0 +1,114 @@
+/**
+ * 集群快照收集
+ * 集群模式下各工作进程的统计数据互相独立，需要汇总时由收到请求的工作进程通过主进程向所有工作进程收集快照：
+ * 工作进程按类型注册快照提供函数，主进程（bin/cluster-manager.js）只负责转发请求和收集结果，不关心快照内容。
+ * 单进程模式下只返回当前进程的快照
+ */
+
+const cluster = require('cluster');
+const crypto = require('crypto');
+
+// 进程间消息类型
+const CLUSTER_MESSAGES = {
+  // 工作进程 → 主进程：请求收集所有工作进程的快照 { requestId, kind, timeout }
+  COLLECT: 'snapshot:collect',
+  // 主进程 → 各工作进程：请求当前进程的快照 { requestId, kind }
+  REQUEST: 'snapshot:request',
+  // 工作进程 → 主进程：返回快照 { requestId, snapshot }
+  SNAPSHOT: 'snapshot:snapshot',
+  // 主进程 → 发起请求的工作进程：返回收集结果 { requestId, snapshots, missingWorkers }
+  RESULT: 'snapshot:result'
+};
+
+// 快照提供函数：kind -> () => 可序列化的快照
+const providers = new Map();
+
+// 等待主进程返回收集结果的请求
+const pendingRequests = new Map();
+
+/**
+ * 当前工作进程标识
+ * @returns {string|null} 集群内的工作进程ID，单进程模式为 null
+ */
+function getWorkerId() {
+  return cluster.isWorker ? String(cluster.worker.id) : null;
+}
+
+/**
+ * 注册快照提供函数
+ * @param {string} kind - 快照类型，如 metrics、stats
+ * @param {Function} provider - 返回当前进程快照的函数（结果需可 JSON 序列化）
+ */
+function registerSnapshotProvider(kind, provider) {
+  providers.set(kind, provider);
+}
+
+/**
+ * 生成当前进程的快照
+ * @param {string} kind - 快照类型
+ * @returns {*} 快照
+ */
+function collectLocalSnapshot(kind) {
+  const provider = providers.get(kind);
+  if (!provider) {
+    throw new Error(`未注册的快照类型: ${kind}`);
+  }
+  return provider();
+}
+
+/**
+ * 收集所有进程的快照
+ * 主进程在 timeout 内未收到的工作进程列入 missingWorkers；主进程本身未响应时只返回当前进程的快照，missingWorkers 为 null
+ * @param {string} kind - 快照类型
+ * @param {number} timeout - 等待各工作进程返回的最长时间（毫秒）
+ * @returns {Promise<{snapshots: Array, missingWorkers: Array<string>|null}>} 收集结果
+ */
+function collectClusterSnapshots(kind, timeout) {
+  if (!cluster.isWorker) {
+    return Promise.resolve({ snapshots: [collectLocalSnapshot(kind)], missingWorkers: [] });
+  }
+
+  return new Promise((resolve) => {
+    const requestId = crypto.randomUUID();
+
+    // 主进程按 timeout 结束收集，这里多等待一段时间用于传输
+    const timer = setTimeout(() => {
+      pendingRequests.delete(requestId);
+      resolve({ snapshots: [collectLocalSnapshot(kind)], missingWorkers: null });
+    }, timeout + 1000);
+
+    pendingRequests.set(requestId, { resolve, timer });
+    process.send({ type: CLUSTER_MESSAGES.COLLECT, requestId, kind, timeout });
+  });
+}
+
+// 工作进程响应主进程的快照请求，并接收收集结果
+if (cluster.isWorker) {
+  process.on('message', (message) => {
+    if (message?.type === CLUSTER_MESSAGES.REQUEST) {
+      // 未注册的类型返回 null，主进程照常计为已响应
+      const snapshot = providers.has(message.kind) ? collectLocalSnapshot(message.kind) : null;
+      process.send({ type: CLUSTER_MESSAGES.SNAPSHOT, requestId: message.requestId, snapshot });
+      return;
+    }
+
+    if (message?.type === CLUSTER_MESSAGES.RESULT) {
+      const pending = pendingRequests.get(message.requestId);
+      if (pending) {
+        clearTimeout(pending.timer);
+        pendingRequests.delete(message.requestId);
+        pending.resolve({
+          snapshots: message.snapshots.filter(snapshot => snapshot !== null),
+          missingWorkers: message.missingWorkers
+        });
+      }
+    }
+  });
+}
+
+module.exports = {
+  CLUSTER_MESSAGES,
+  getWorkerId,
+  registerSnapshotProvider,
+  collectClusterSnapshots
+};
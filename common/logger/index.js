@@ -7,6 +7,7 @@ const { createLogger, format, transports } = winston;
 const DailyRotateFile = require('winston-daily-rotate-file');
 const path = require('path');
 const fs = require('fs');
+const { metrics } = require('../metrics');
 
 // 确保日志目录存在
 const logDir = path.resolve(process.cwd(), 'logs');
@@ -28,7 +29,8 @@ const LOG_CATEGORIES = {
   CACHE: 'cache',
   AUTH: 'auth',
   REQUEST: 'request',
-  SYSTEM: 'system'
+  SYSTEM: 'system',
+  SECURITY: 'security'
 };
 
 // 自定义日志格式
@@ -106,11 +108,11 @@ const errorFileTransport = new DailyRotateFile({
   )
 });
 
-// 创建数据库日志文件传输器（按日期轮转）
+// 创建数据库日志文件传输器（按日期轮转，只记录警告及以上）
 const dbFileTransport = new DailyRotateFile({
   filename: path.join(logDir, '%DATE%-database.log'),
   datePattern: 'YYYY-MM-DD',
-  level: 'debug',
+  level: 'warn',
   maxSize: '20m',
   maxFiles: '7d',
   format: format.combine(
@@ -123,6 +125,11 @@ const dbFilter = format((info) => {
   return info.category === LOG_CATEGORIES.DATABASE ? info : false;
 });
 
+// 筛选安全相关日志
+const securityFilter = format((info) => {
+  return info.category === LOG_CATEGORIES.SECURITY ? info : false;
+});
+
 // 创建Winston日志记录器实例
 const logger = createLogger({
   format: customFormat,
@@ -130,16 +137,28 @@ const logger = createLogger({
     consoleTransport,
     fileTransport,
     errorFileTransport,
+    // 数据库日志只记录慢查询等警告，不记录每条查询
     new DailyRotateFile({
       filename: path.join(logDir, '%DATE%-database.log'),
       datePattern: 'YYYY-MM-DD',
-      level: 'debug',
+      level: 'warn',
       maxSize: '20m',
       maxFiles: '7d',
       format: format.combine(
         format.uncolorize(),
         dbFilter()
       )
+    }),
+    new DailyRotateFile({
+      filename: path.join(logDir, '%DATE%-security.log'),
+      datePattern: 'YYYY-MM-DD',
+      level: 'info',
+      maxSize: '20m',
+      maxFiles: '90d',
+      format: format.combine(
+        format.uncolorize(),
+        securityFilter()
+      )
     })
   ],
   exceptionHandlers: [
@@ -202,13 +221,16 @@ function logDatabasePerformance(operation, duration, query, params = null) {
 }
 
 /**
- * 记录缓存性能日志
+ * 记录缓存性能日志，同时计入 cache_operation_duration_seconds 指标
  * @param {string} operation - 缓存操作类型
  * @param {number} duration - 操作耗时（毫秒）
  * @param {string} key - 缓存键
  * @param {boolean} hit - 是否命中缓存
  */
 function logCachePerformance(operation, duration, key, hit = null) {
+  const result = hit === null ? 'none' : (hit ? 'hit' : 'miss');
+  metrics.cacheOperationDuration.observe({ operation, result }, duration / 1000);
+
   // 对耗时较长的缓存操作进行警告
   const level = duration > 200 ? LOG_LEVELS.WARN : LOG_LEVELS.DEBUG;
   
@@ -250,6 +272,19 @@ function logError(category, message, error) {
   log(LOG_LEVELS.ERROR, category, message, error);
 }
 
+/**
+ * 记录安全事件日志
+ * 安全事件单独写入security日志文件，便于审计和告警
+ * @param {string} message - 事件描述
+ * @param {Object} [data] - 事件数据
+ */
+function logSecurityEvent(message, data = null) {
+  log(LOG_LEVELS.WARN, LOG_CATEGORIES.SECURITY, message, data);
+}
+
+// 挂载到logger实例上，供 logger.security(...) 调用
+logger.security = logSecurityEvent;
+
 /**
  * 创建Express中间件，用于记录请求日志
  * @returns {Function} Express中间件函数
@@ -276,6 +311,7 @@ module.exports = {
   logCachePerformance,
   logRequestPerformance,
   logError,
+  logSecurityEvent,
   requestLogger,
   logger
 };
\ No newline at end of file
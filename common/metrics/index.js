@@ -0,0 +1,341 @@
+/**
+ * 监控指标模块
+ * 维护当前进程的计数器、仪表和直方图，生成可跨进程传递的快照，并按 Prometheus 文本格式输出；
+ * 集群模式下各工作进程的快照经主进程收集（见 common/cluster）后合并，计数器和直方图按标签累加，
+ * 进程级仪表（内存、CPU等）附加 worker 标签分别输出
+ */
+
+// 请求耗时直方图分桶（秒）
+const HTTP_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// 缓存、数据库操作耗时直方图分桶（秒）
+const STORAGE_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5];
+
+/**
+ * 生成标签组合的唯一键
+ * @param {Array<string>} labelNames - 标签名
+ * @param {Object} labels - 标签值
+ * @returns {string} 标签键
+ */
+function labelKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+}
+
+/**
+ * 指标基类
+ */
+class Metric {
+  /**
+   * @param {string} type - 指标类型（counter/gauge/histogram）
+   * @param {Object} options - 指标定义
+   * @param {string} options.name - 指标名称
+   * @param {string} options.help - 指标说明
+   * @param {Array<string>} [options.labelNames] - 标签名
+   * @param {boolean} [options.perWorker] - 集群汇总时是否按工作进程分别输出（不累加）
+   */
+  constructor(type, options) {
+    this.type = type;
+    this.name = options.name;
+    this.help = options.help;
+    this.labelNames = options.labelNames || [];
+    this.perWorker = options.perWorker || false;
+    this.series = new Map();
+  }
+
+  /**
+   * 获取标签组合对应的序列，不存在时创建
+   * @param {Object} labels - 标签值
+   * @param {Function} create - 创建序列初始值
+   * @returns {Object} 序列
+   */
+  getSeries(labels, create) {
+    const key = labelKey(this.labelNames, labels);
+    let series = this.series.get(key);
+    if (!series) {
+      const normalized = {};
+      this.labelNames.forEach(name => {
+        normalized[name] = String(labels[name] ?? '');
+      });
+      series = { labels: normalized, ...create() };
+      this.series.set(key, series);
+    }
+    return series;
+  }
+
+  /**
+   * 生成可序列化的快照
+   * @returns {Object} 指标快照
+   */
+  snapshot() {
+    return {
+      name: this.name,
+      help: this.help,
+      type: this.type,
+      labelNames: this.labelNames,
+      perWorker: this.perWorker,
+      series: [...this.series.values()].map(series => JSON.parse(JSON.stringify(series)))
+    };
+  }
+}
+
+/**
+ * 计数器：只增不减
+ */
+class Counter extends Metric {
+  constructor(options) {
+    super('counter', options);
+  }
+
+  /**
+   * 增加计数
+   * @param {Object} [labels] - 标签值
+   * @param {number} [value=1] - 增加量
+   */
+  inc(labels = {}, value = 1) {
+    this.getSeries(labels, () => ({ value: 0 })).value += value;
+  }
+}
+
+/**
+ * 仪表：可设置为任意值
+ */
+class Gauge extends Metric {
+  constructor(options) {
+    super('gauge', options);
+  }
+
+  /**
+   * 设置当前值
+   * @param {Object} labels - 标签值
+   * @param {number} value - 当前值
+   */
+  set(labels, value) {
+    this.getSeries(labels, () => ({ value: 0 })).value = value;
+  }
+}
+
+/**
+ * 直方图：按分桶统计观测值分布
+ */
+class Histogram extends Metric {
+  /**
+   * @param {Object} options - 指标定义（同 Metric）
+   * @param {Array<number>} options.buckets - 分桶上限（升序）
+   */
+  constructor(options) {
+    super('histogram', options);
+    this.buckets = options.buckets;
+  }
+
+  /**
+   * 记录一次观测值
+   * @param {Object} labels - 标签值
+   * @param {number} value - 观测值
+   */
+  observe(labels, value) {
+    const series = this.getSeries(labels, () => ({
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0
+    }));
+
+    const index = this.buckets.findIndex(bound => value <= bound);
+    if (index !== -1) {
+      series.counts[index] += 1;
+    }
+    series.sum += value;
+    series.count += 1;
+  }
+
+  snapshot() {
+    return { ...super.snapshot(), buckets: this.buckets };
+  }
+}
+
+/**
+ * 指标注册表
+ */
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  /**
+   * 注册指标，同名指标只注册一次
+   * @param {Metric} metric - 指标
+   * @returns {Metric} 已注册的指标
+   */
+  register(metric) {
+    if (!this.metrics.has(metric.name)) {
+      this.metrics.set(metric.name, metric);
+    }
+    return this.metrics.get(metric.name);
+  }
+
+  counter(options) {
+    return this.register(new Counter(options));
+  }
+
+  gauge(options) {
+    return this.register(new Gauge(options));
+  }
+
+  histogram(options) {
+    return this.register(new Histogram(options));
+  }
+
+  /**
+   * 生成当前进程的指标快照
+   * @param {string|null} [worker] - 工作进程标识，单进程模式为 null
+   * @returns {Object} 快照 { worker, metrics }
+   */
+  snapshot(worker = null) {
+    return {
+      worker,
+      metrics: [...this.metrics.values()].map(metric => metric.snapshot())
+    };
+  }
+}
+
+/**
+ * 合并多个进程的指标快照
+ * @param {Array<Object>} snapshots - 快照列表
+ * @returns {Array<Object>} 合并后的指标列表
+ */
+function mergeSnapshots(snapshots) {
+  const merged = new Map();
+
+  for (const { worker, metrics } of snapshots) {
+    for (const metric of metrics) {
+      const addWorker = metric.perWorker && worker !== null && worker !== undefined;
+      const labelNames = addWorker ? [...metric.labelNames, 'worker'] : metric.labelNames;
+
+      if (!merged.has(metric.name)) {
+        merged.set(metric.name, { ...metric, labelNames, series: new Map() });
+      }
+      const target = merged.get(metric.name);
+
+      for (const series of metric.series) {
+        const labels = addWorker ? { ...series.labels, worker: String(worker) } : series.labels;
+        const key = labelKey(labelNames, labels);
+        const existing = target.series.get(key);
+
+        if (!existing) {
+          target.series.set(key, { ...series, labels, counts: series.counts && [...series.counts] });
+        } else if (metric.type === 'histogram') {
+          series.counts.forEach((count, index) => {
+            existing.counts[index] += count;
+          });
+          existing.sum += series.sum;
+          existing.count += series.count;
+        } else {
+          existing.value += series.value;
+        }
+      }
+    }
+  }
+
+  return [...merged.values()].map(metric => ({ ...metric, series: [...metric.series.values()] }));
+}
+
+/**
+ * 转义标签值
+ * @param {string} value - 标签值
+ * @returns {string} 转义后的值
+ */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * 格式化标签
+ * @param {Object} labels - 标签
+ * @returns {string} 如 {method="GET",status="200"}，无标签时为空字符串
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * 格式化数值
+ * @param {number} value - 数值
+ * @returns {string} Prometheus 数值表示
+ */
+function formatValue(value) {
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  if (value === -Infinity) {
+    return '-Inf';
+  }
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+/**
+ * 按 Prometheus 文本格式（0.0.4）输出指标
+ * @param {Array<Object>} metrics - 指标列表（快照中的 metrics 或 mergeSnapshots 的结果）
+ * @returns {string} 文本格式的指标
+ */
+function renderMetrics(metrics) {
+  const lines = [];
+
+  for (const metric of metrics) {
+    lines.push(`# HELP ${metric.name} ${metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+
+    for (const series of metric.series) {
+      if (metric.type !== 'histogram') {
+        lines.push(`${metric.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+        continue;
+      }
+
+      let cumulative = 0;
+      metric.buckets.forEach((bound, index) => {
+        cumulative += series.counts[index];
+        lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${cumulative}`);
+      });
+      lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${metric.name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}`);
+      lines.push(`${metric.name}_count${formatLabels(series.labels)} ${series.count}`);
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+const registry = new MetricsRegistry();
+
+// 应用指标，各模块直接记录到这些指标上
+const metrics = {
+  httpRequestDuration: registry.histogram({
+    name: 'http_request_duration_seconds',
+    help: 'HTTP请求处理耗时（秒）',
+    labelNames: ['route', 'method', 'status', 'api_type'],
+    buckets: HTTP_BUCKETS
+  }),
+  httpErrors: registry.counter({
+    name: 'http_errors_total',
+    help: '请求处理中捕获的错误数',
+    labelNames: ['type']
+  }),
+  cacheOperationDuration: registry.histogram({
+    name: 'cache_operation_duration_seconds',
+    help: 'Redis缓存操作耗时（秒）',
+    labelNames: ['operation', 'result'],
+    buckets: STORAGE_BUCKETS
+  }),
+  databaseQueryDuration: registry.histogram({
+    name: 'db_query_duration_seconds',
+    help: '数据库查询耗时（秒）',
+    labelNames: ['operation'],
+    buckets: STORAGE_BUCKETS
+  })
+};
+
+module.exports = {
+  registry,
+  metrics,
+  mergeSnapshots,
+  renderMetrics
+};
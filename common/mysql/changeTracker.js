@@ -0,0 +1,182 @@
+/**
+ * 数据变更跟踪
+ * 为选择接入的 Sequelize 模型注册钩子，在审计上下文中记录每次写入的字段级前后值，
+ * 审计中间件把记录到的变更附加到同一操作ID的审计日志中；不在审计上下文中的写入不做任何处理
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+// 当前请求的审计上下文 { operationId, changes: [] }
+const changeContext = new AsyncLocalStorage();
+
+// 默认脱敏的字段：名称包含这些关键词的字段只记录“已变更”，不记录值
+const SENSITIVE_FIELD_PATTERN = /password|secret|token|hash|otp/i;
+
+// 默认不记录的字段
+const DEFAULT_EXCLUDED_FIELDS = ['updated_at', 'updatedAt'];
+
+// 脱敏后的值
+const MASKED_VALUE = '******';
+
+// 保存更新前取值的实例属性
+const BEFORE_VALUES = Symbol('changeTrackerBeforeValues');
+
+/**
+ * 在审计上下文中执行函数，函数内（含异步）对已接入模型的写入都会记录到 context.changes
+ * @param {Object} context - 审计上下文 { operationId, changes }
+ * @param {Function} fn - 要执行的函数
+ * @returns {*} 函数返回值
+ */
+function runWithChangeContext(context, fn) {
+  return changeContext.run(context, fn);
+}
+
+/**
+ * 序列化字段值，使日期等类型与存储后的审计日志一致
+ * @param {*} value - 字段值
+ * @returns {*} 可序列化的值
+ */
+function serializeValue(value) {
+  return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * 生成枚举值到名称的映射
+ * @param {Object} enumObject - 枚举常量，如 MERCHANT_STATUS
+ * @returns {Map<*, string>} 值到名称的映射（同值多个名称时取第一个）
+ */
+function invertEnum(enumObject) {
+  const labels = new Map();
+  for (const [name, value] of Object.entries(enumObject)) {
+    if (!labels.has(value)) {
+      labels.set(value, name);
+    }
+  }
+  return labels;
+}
+
+/**
+ * 为模型注册变更跟踪钩子
+ * @param {Object} model - Sequelize 模型
+ * @param {Object} [options] - 跟踪选项
+ * @param {Array<string>} [options.exclude] - 不记录的字段（默认不记录 updated_at）
+ * @param {Array<string>} [options.mask] - 额外需要脱敏的字段（名称含 password/secret/token/hash/otp 的字段总是脱敏）
+ * @param {Object} [options.enums] - 字段对应的枚举常量，如 { merchant_status: MERCHANT_STATUS }，变更中附带取值名称
+ * @returns {Object} 模型
+ */
+function trackChanges(model, options = {}) {
+  const excluded = new Set([...DEFAULT_EXCLUDED_FIELDS, ...(options.exclude || [])]);
+  const masked = new Set(options.mask || []);
+  const enums = Object.entries(options.enums || {}).reduce((result, [field, enumObject]) => {
+    result[field] = invertEnum(enumObject);
+    return result;
+  }, {});
+
+  const isMasked = field => masked.has(field) || SENSITIVE_FIELD_PATTERN.test(field);
+
+  /**
+   * 计算字段级变更
+   * @param {Object} before - 写入前的值（新建时为空对象）
+   * @param {Object} after - 写入后的值（删除时为空对象）
+   * @returns {Object} { 字段: { before, after, beforeLabel?, afterLabel? } }
+   */
+  const diff = (before, after) => {
+    const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+    const changes = {};
+
+    for (const field of fields) {
+      if (excluded.has(field) || !model.rawAttributes[field]) {
+        continue;
+      }
+
+      const beforeValue = serializeValue(before[field]);
+      const afterValue = serializeValue(after[field]);
+      if (JSON.stringify(beforeValue) === JSON.stringify(afterValue)) {
+        continue;
+      }
+
+      if (isMasked(field)) {
+        changes[field] = { before: MASKED_VALUE, after: MASKED_VALUE, masked: true };
+        continue;
+      }
+
+      changes[field] = { before: beforeValue, after: afterValue };
+      if (enums[field]) {
+        changes[field].beforeLabel = enums[field].get(beforeValue) ?? null;
+        changes[field].afterLabel = enums[field].get(afterValue) ?? null;
+      }
+    }
+    return changes;
+  };
+
+  /**
+   * 记录一次写入，事务中的写入在提交后记录，回滚则不记录
+   * @param {string} action - 操作（create/update/delete）
+   * @param {Object} instance - 模型实例
+   * @param {Object} changes - 字段级变更
+   * @param {Object} hookOptions - 钩子参数
+   */
+  const record = (action, instance, changes, hookOptions) => {
+    const context = changeContext.getStore();
+    if (!context || Object.keys(changes).length === 0) {
+      return;
+    }
+
+    const change = {
+      model: model.name,
+      table: model.getTableName().toString(),
+      recordId: String(instance.get(model.primaryKeyAttribute)),
+      action,
+      changes,
+      changedAt: new Date().toISOString()
+    };
+
+    if (hookOptions.transaction) {
+      hookOptions.transaction.afterCommit(() => context.changes.push(change));
+    } else {
+      context.changes.push(change);
+    }
+  };
+
+  // 批量写入在审计上下文中改为逐条执行钩子，以便取得每条记录的前后值
+  const enableIndividualHooks = (hookOptions) => {
+    if (changeContext.getStore()) {
+      hookOptions.individualHooks = true;
+    }
+  };
+  model.addHook('beforeBulkCreate', 'changeTracker', (instances, hookOptions) => enableIndividualHooks(hookOptions));
+  model.addHook('beforeBulkUpdate', 'changeTracker', enableIndividualHooks);
+  model.addHook('beforeBulkDestroy', 'changeTracker', enableIndividualHooks);
+
+  model.addHook('afterCreate', 'changeTracker', (instance, hookOptions) => {
+    record('create', instance, diff({}, instance.get({ plain: true })), hookOptions);
+  });
+
+  // 更新前保存原值：批量更新逐条保存时钩子执行前原值已被覆盖
+  model.addHook('beforeUpdate', 'changeTracker', (instance) => {
+    if (changeContext.getStore()) {
+      instance[BEFORE_VALUES] = { ...instance._previousDataValues };
+    }
+  });
+
+  model.addHook('afterUpdate', 'changeTracker', (instance, hookOptions) => {
+    const before = instance[BEFORE_VALUES];
+    if (!before) {
+      return;
+    }
+    delete instance[BEFORE_VALUES];
+    record('update', instance, diff(before, instance.get({ plain: true })), hookOptions);
+  });
+
+  model.addHook('afterDestroy', 'changeTracker', (instance, hookOptions) => {
+    record('delete', instance, diff(instance.get({ plain: true }), {}), hookOptions);
+  });
+
+  return model;
+}
+
+module.exports = {
+  changeContext,
+  runWithChangeContext,
+  trackChanges
+};
@@ -2,7 +2,11 @@ const { Sequelize } = require('sequelize');
 const dotenv = require('dotenv');
 const path = require('path');
 const { getEnvPath } = require('../util');
-const { logger } = require('../logger');
+const { logger, log, LOG_LEVELS, LOG_CATEGORIES } = require('../logger');
+const { metrics } = require('../metrics');
+
+// 慢查询阈值（毫秒）
+const SLOW_QUERY_THRESHOLD = 500;
 
 // 加载环境变量
 dotenv.config({
@@ -43,8 +47,20 @@ const config = {
         freezeTableName: true, // 表名与模型名保持一致
         paranoid: false     // 软删除功能，设为true时会增加deletedAt字段
     },
-    // 日志配置
-    logging: false,
+    // 日志配置：不记录SQL语句（语句中含查询条件的实际值），只把耗时计入 db_query_duration_seconds 指标，慢查询记录警告
+    logging: (sql, duration, options) => {
+        if (typeof duration !== 'number') {
+            return;
+        }
+        const operation = options?.type || 'RAW';
+        metrics.databaseQueryDuration.observe({ operation }, duration / 1000);
+        if (duration > SLOW_QUERY_THRESHOLD) {
+            log(LOG_LEVELS.WARN, LOG_CATEGORIES.DATABASE, `${operation} 慢查询 耗时 ${duration}ms`, {
+                model: options?.model?.name,
+                duration
+            });
+        }
+    },
     // 查询选项
     query: {
         raw: false,         // 默认不使用原始查询结果
@@ -73,7 +89,7 @@ const config = {
         // 禁用预处理语句缓存
         dateStrings: true   // 日期返回为字符串
     },
-    benchmark: process.env.NODE_ENV === 'dev', // 开发环境下记录查询时间
+    benchmark: true, // 记录查询时间，供日志配置中的耗时指标使用
     isolationLevel: Sequelize.Transaction.ISOLATION_LEVELS.READ_COMMITTED // 事务隔离级别
 };
 
@@ -6,6 +6,19 @@
 const { redis, TTL, PREFIX, generateKey } = require('./index');
 const logger = require('../logger');
 const { LOG_CATEGORIES } = logger;
+const { metrics } = require('../metrics');
+
+/**
+ * 记录缓存操作耗时指标
+ * 成功路径只计入 cache_operation_duration_seconds，不写日志（缓存键可能包含 state、收件人等敏感信息）
+ * @param {string} operation - 缓存操作类型
+ * @param {number} startTime - 操作开始时间（毫秒时间戳）
+ * @param {boolean|null} hit - 是否命中缓存，非读取操作为null
+ */
+function observeCacheDuration(operation, startTime, hit = null) {
+  const result = hit === null ? 'none' : (hit ? 'hit' : 'miss');
+  metrics.cacheOperationDuration.observe({ operation, result }, (Date.now() - startTime) / 1000);
+}
 
 /**
  * 缓存类，提供通用的缓存操作方法
@@ -29,6 +42,7 @@ class CacheManager {
         // 记录缓存未命中日志
         // const duration = Date.now() - startTime;
         // logger.logCachePerformance('GET', duration, key, false);
+        observeCacheDuration('GET', startTime, false);
         return null;
       }
 
@@ -38,6 +52,7 @@ class CacheManager {
       // 记录缓存命中日志
       // const duration = Date.now() - startTime;
       // logger.logCachePerformance('GET', duration, key, true);
+      observeCacheDuration('GET', startTime, true);
 
       return result;
     } catch (error) {
@@ -76,6 +91,7 @@ class CacheManager {
       // 记录缓存设置日志
       // const duration = Date.now() - startTime;
       // logger.logCachePerformance('SET', duration, key);
+      observeCacheDuration('SET', startTime);
 
       return true;
     } catch (error) {
@@ -104,6 +120,7 @@ class CacheManager {
       // 记录缓存删除日志
       // const duration = Date.now() - startTime;
       // logger.logCachePerformance('DEL', duration, key);
+      observeCacheDuration('DEL', startTime);
 
       return true;
     } catch (error) {
@@ -132,6 +149,7 @@ class CacheManager {
         // 记录缓存清除日志
         // const duration = Date.now() - startTime;
         // logger.logCachePerformance('CLEAR', duration, type);
+        observeCacheDuration('CLEAR', startTime);
         return true;
       }
 
@@ -142,6 +160,7 @@ class CacheManager {
       // const duration = Date.now() - startTime;
       // logger.log(logger.LOG_LEVELS.INFO, LOG_CATEGORIES.CACHE, `清除缓存类型: ${type}, 删除了 ${keys.length} 个键`);
       // logger.logCachePerformance('CLEAR', duration, type);
+      observeCacheDuration('CLEAR', startTime);
 
       return true;
     } catch (error) {
@@ -329,6 +348,7 @@ class CacheManager {
       if (allKeys.length === 0) {
         // const duration = Date.now() - startTime;
         // logger.logCachePerformance('CLEAR_PATTERN', duration, `${type}:${pattern}`);
+        observeCacheDuration('CLEAR_PATTERN', startTime);
         return [];
       }
 
@@ -348,6 +368,7 @@ class CacheManager {
       if (keys.length === 0) {
         // const duration = Date.now() - startTime;
         // logger.logCachePerformance('CLEAR_PATTERN', duration, `${type}:${pattern}`);
+        observeCacheDuration('CLEAR_PATTERN', startTime);
         return [];
       }
 
@@ -363,6 +384,7 @@ class CacheManager {
       //   { matchedKeys: keys.length, totalKeys: allKeys.length }
       // );
       // logger.logCachePerformance('CLEAR_PATTERN', duration, `${type}:${pattern}`);
+      observeCacheDuration('CLEAR_PATTERN', startTime);
 
       return keys;
     } catch (error) {
@@ -57,9 +57,25 @@ const TTL = {
 // 缓存键前缀，用于区分不同类型的缓存数据
 const PREFIX = {
   USER: 'user:',
+  MERCHANT_USER: 'merchant_user:',
+  CONSOLE_ADMIN: 'console_admin:',
   CONFIG: 'config:',
   STATS: 'stats:',
-  TOKEN: 'token:'
+  TOKEN: 'token:',
+  REFRESH_TOKEN: 'refresh_token:',
+  SESSION: 'session:',
+  MFA: 'mfa:',
+  PASSWORD_RESET: 'password_reset:',
+  PASSWORD_ROTATION: 'password_rotation:',
+  EMAIL_VERIFICATION: 'email_verification:',
+  CAPTCHA: 'captcha:',
+  PERMISSION: 'permission:',
+  API_KEY: 'api_key:',
+  NONCE: 'nonce:',
+  OIDC: 'oidc:',
+  LOGIN_OTP: 'login_otp:',
+  LOGIN_RISK: 'login_risk:',
+  IMPERSONATION: 'impersonation:'
 };
 
 /**
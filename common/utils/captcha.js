@@ -0,0 +1,117 @@
+/**
+ * 图形验证码工具函数
+ * 功能：在进程内生成验证码文本并渲染为SVG图片，不依赖画布或字体文件
+ * 说明：字符逐个随机旋转、偏移并叠加干扰线和噪点，增加机器识别难度
+ */
+
+const crypto = require('crypto');
+
+// 去掉易混淆字符（0/O、1/I/l 等）的字符集
+const CAPTCHA_CHARSETS = {
+  alphanumeric: 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghjkmnpqrstuvwxyz23456789',
+  numeric: '0123456789'
+};
+
+// 默认渲染参数
+const CAPTCHA_DEFAULTS = {
+  width: 120,
+  height: 40,
+  fontSize: 28,
+  noiseLines: 4,
+  noiseDots: 30
+};
+
+/**
+ * 生成指定范围内的随机整数
+ * @param {number} min - 最小值（含）
+ * @param {number} max - 最大值（含）
+ * @returns {number} 随机整数
+ */
+function randomInt(min, max) {
+  return crypto.randomInt(min, max + 1);
+}
+
+/**
+ * 生成随机颜色，亮度限定在较深的范围内以保证可读性
+ * @returns {string} rgb颜色字符串
+ */
+function randomColor() {
+  return `rgb(${randomInt(20, 150)},${randomInt(20, 150)},${randomInt(20, 150)})`;
+}
+
+/**
+ * 生成验证码文本
+ * @param {number} length - 字符个数
+ * @param {string} charset - 字符集名称 alphanumeric | numeric
+ * @returns {string} 验证码文本
+ */
+function generateText(length = 4, charset = 'alphanumeric') {
+  const chars = CAPTCHA_CHARSETS[charset] || CAPTCHA_CHARSETS.alphanumeric;
+  let text = '';
+  for (let i = 0; i < length; i++) {
+    text += chars[crypto.randomInt(chars.length)];
+  }
+  return text;
+}
+
+/**
+ * 转义SVG文本节点中的特殊字符
+ * @param {string} char - 字符
+ * @returns {string} 转义后的字符
+ */
+function escapeXml(char) {
+  return char.replace(/[<>&'"]/g, c => `&#${c.charCodeAt(0)};`);
+}
+
+/**
+ * 将验证码文本渲染为SVG
+ * @param {string} text - 验证码文本
+ * @param {Object} options - 渲染参数，参见 CAPTCHA_DEFAULTS
+ * @returns {string} SVG字符串
+ */
+function renderSvg(text, options = {}) {
+  const { width, height, fontSize, noiseLines, noiseDots } = { ...CAPTCHA_DEFAULTS, ...options };
+  const parts = [];
+
+  // 干扰线
+  for (let i = 0; i < noiseLines; i++) {
+    const x1 = randomInt(0, width / 4);
+    const x2 = randomInt(width * 3 / 4, width);
+    const cy = randomInt(0, height);
+    parts.push(`<path d="M${x1} ${randomInt(0, height)} Q${width / 2} ${cy} ${x2} ${randomInt(0, height)}" stroke="${randomColor()}" stroke-width="${randomInt(1, 2)}" fill="none"/>`);
+  }
+
+  // 字符：均匀分布后随机偏移和旋转
+  const step = width / (text.length + 1);
+  [...text].forEach((char, index) => {
+    const x = Math.round(step * (index + 1) + randomInt(-4, 4));
+    const y = Math.round(height / 2 + fontSize / 3 + randomInt(-4, 4));
+    const rotate = randomInt(-30, 30);
+    const size = fontSize + randomInt(-4, 2);
+    parts.push(`<text x="${x}" y="${y}" fill="${randomColor()}" font-size="${size}" font-family="Arial, sans-serif" font-weight="bold" text-anchor="middle" transform="rotate(${rotate} ${x} ${y})">${escapeXml(char)}</text>`);
+  });
+
+  // 噪点
+  for (let i = 0; i < noiseDots; i++) {
+    parts.push(`<circle cx="${randomInt(0, width)}" cy="${randomInt(0, height)}" r="1" fill="${randomColor()}"/>`);
+  }
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}"><rect width="100%" height="100%" fill="#f5f5f5"/>${parts.join('')}</svg>`;
+}
+
+/**
+ * 将SVG转换为可直接用于 img 标签的 data URI
+ * @param {string} svg - SVG字符串
+ * @returns {string} data URI
+ */
+function toDataUri(svg) {
+  return `data:image/svg+xml;base64,${Buffer.from(svg).toString('base64')}`;
+}
+
+module.exports = {
+  CAPTCHA_CHARSETS,
+  CAPTCHA_DEFAULTS,
+  generateText,
+  renderSvg,
+  toDataUri
+};
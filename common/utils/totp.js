@@ -0,0 +1,159 @@
+/**
+ * TOTP工具函数
+ * 功能：实现 RFC 6238 基于时间的一次性密码（HMAC-SHA1，30秒步长，6位数字）
+ * 说明：与 Google Authenticator、Microsoft Authenticator 等常见验证器应用兼容
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// 默认参数，验证器应用普遍只支持这一组配置
+const TOTP_DEFAULTS = {
+  digits: 6,
+  period: 30,
+  algorithm: 'SHA1',
+  window: 1 // 允许前后各一个步长的时钟偏差
+};
+
+/**
+ * Base32编码（RFC 4648，无填充）
+ * @param {Buffer} buffer - 原始字节
+ * @returns {string} Base32字符串
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Base32解码，忽略大小写、空格和填充符
+ * @param {string} input - Base32字符串
+ * @returns {Buffer} 原始字节
+ */
+function base32Decode(input) {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('无效的Base32字符');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * 生成TOTP密钥
+ * @param {number} size - 密钥字节数，默认20字节（160位，RFC 4226推荐）
+ * @returns {string} Base32编码的密钥
+ */
+function generateSecret(size = 20) {
+  return base32Encode(crypto.randomBytes(size));
+}
+
+/**
+ * 计算指定时间步长的一次性密码
+ * @param {string} secret - Base32编码的密钥
+ * @param {number} counter - 时间步长计数
+ * @returns {string} 一次性密码
+ */
+function generateCode(secret, counter) {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % (10 ** TOTP_DEFAULTS.digits);
+
+  return binary.toString().padStart(TOTP_DEFAULTS.digits, '0');
+}
+
+/**
+ * 获取当前时间步长计数
+ * @param {number} timestamp - 毫秒时间戳，默认当前时间
+ * @returns {number} 时间步长计数
+ */
+function getCounter(timestamp = Date.now()) {
+  return Math.floor(timestamp / 1000 / TOTP_DEFAULTS.period);
+}
+
+/**
+ * 校验一次性密码
+ * @param {string} secret - Base32编码的密钥
+ * @param {string} code - 用户输入的一次性密码
+ * @param {number} window - 允许的时钟偏差步数
+ * @returns {number|null} 匹配的时间步长计数，不匹配时返回null
+ */
+function verifyCode(secret, code, window = TOTP_DEFAULTS.window) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_DEFAULTS.digits) {
+    return null;
+  }
+
+  const current = getCounter();
+  for (let offset = -window; offset <= window; offset++) {
+    const expected = generateCode(secret, current + offset);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return current + offset;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * 生成验证器应用可识别的 otpauth URI
+ * @param {Object} options - 参数 { secret, account, issuer }
+ * @returns {string} otpauth://totp/... 格式的URI
+ */
+function buildOtpauthUri({ secret, account, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: TOTP_DEFAULTS.algorithm,
+    digits: String(TOTP_DEFAULTS.digits),
+    period: String(TOTP_DEFAULTS.period)
+  });
+
+  // URLSearchParams 会把空格编码为 +，部分验证器应用无法识别
+  return `otpauth://totp/${label}?${params.toString().replace(/\+/g, '%20')}`;
+}
+
+module.exports = {
+  TOTP_DEFAULTS,
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateCode,
+  getCounter,
+  verifyCode,
+  buildOtpauthUri
+};
@@ -11,6 +11,11 @@ const { basicAudit, adminOperationAudit, sensitiveOperationAudit } = require('..
 const { performanceMonitor } = require('../monitoring/performance');
 const { logger } = require('../../common/logger');
 const { createMiddlewareChain } = require('../utils/helpers');
+const { createCaptchaGuard } = require('../core/captcha');
+const { createLoginRiskGuard, isRiskChallenged } = require('../core/loginRisk');
+const AdminLoginTracker = require('../../app/services/admin/AdminAuthUtils');
+
+const adminLoginTracker = new AdminLoginTracker();
 
 /**
  * 管理端认证中间件配置
@@ -28,7 +33,9 @@ const adminAuth = {
    * @returns {Function} 中间件函数
    */
   withPermissions: (permissions, options = {}) => {
-    return requirePermissions(permissions, { ...options, requireAuth: true });
+    const checkPermissions = requirePermissions(permissions, { ...options, requireAuth: true });
+    // 先确认是总台管理员，避免其他端账号凭借同名权限访问管理接口
+    return (req, res, next) => requireAdmin(req, res, () => checkPermissions(req, res, next));
   },
 };
 
@@ -74,6 +81,29 @@ const adminLimiting = {
   })
 };
 
+/**
+ * 管理端验证码配置
+ */
+const adminCaptcha = {
+  /**
+   * 登录验证码，登录风险评估要求验证或同一账号登录失败达到阈值后才需要
+   */
+  login: createCaptchaGuard({
+    scene: 'admin_login',
+    isRequired: (req) => isRiskChallenged(req) || adminLoginTracker.isCaptchaRequired(req.body?.username?.trim())
+  })
+};
+
+/**
+ * 管理端登录风险评估配置
+ */
+const adminRisk = {
+  /**
+   * 登录风险评估，需放在登录验证码中间件之前
+   */
+  login: createLoginRiskGuard({ scope: 'admin' })
+};
+
 /**
  * 管理端缓存配置
  */
@@ -380,6 +410,8 @@ const adminMiddleware = {
   // 组件
   auth: adminAuth,
   limiting: adminLimiting,
+  captcha: adminCaptcha,
+  risk: adminRisk,
   caching: adminCaching,
   auditing: adminAuditing
 };
@@ -11,6 +11,13 @@ const { basicAudit, sensitiveOperationAudit } = require('../monitoring/audit');
 const { performanceMonitor } = require('../monitoring/performance');
 const { logger } = require('../../common/logger');
 const { createMiddlewareChain } = require('../utils/helpers');
+const { createCaptchaGuard } = require('../core/captcha');
+const { createLoginRiskGuard, isRiskChallenged } = require('../core/loginRisk');
+const { createSignatureVerifier } = require('../core/signature');
+const { RATE_LIMIT_CONFIG } = require('../config');
+const MerchantLoginTracker = require('../../app/services/merchant/MerchantAuthUtils');
+
+const merchantLoginTracker = new MerchantLoginTracker();
 
 /**
  * 商户端API类型标识中间件
@@ -45,6 +52,11 @@ const merchantAuth = {
       
       // 将商户ID添加到请求对象
       req.merchantId = req.user.merchantId;
+
+      // API密钥请求在认证后按密钥单独限流
+      if (req.apiKey) {
+        return merchantLimiting.apiKey(req, res, next);
+      }
       next();
     });
   },
@@ -86,6 +98,35 @@ const merchantAuth = {
     };
   },
   
+  /**
+   * 商户主账号认证
+   * 子账号管理等操作只允许商户主账号执行
+   */
+  owner: (req, res, next) => {
+    merchantAuth.required(req, res, (err) => {
+      if (err) return next(err);
+
+      if (req.user.merchant_id) {
+        return res.status(403).json({
+          success: 0,
+          message: '子账号无权执行此操作',
+          code: 'MERCHANT_OWNER_REQUIRED'
+        });
+      }
+
+      // 账号管理类操作不允许通过API密钥执行，避免密钥越权签发新密钥
+      if (req.apiKey) {
+        return res.status(403).json({
+          success: 0,
+          message: 'API密钥无权执行此操作',
+          code: 'MERCHANT_LOGIN_REQUIRED'
+        });
+      }
+
+      next();
+    });
+  },
+
   /**
    * 商户店铺权限验证
    * 确保商户只能访问自己的店铺数据
@@ -109,6 +150,29 @@ const merchantAuth = {
   }
 };
 
+/**
+ * 商户端验证码配置
+ */
+const merchantCaptcha = {
+  /**
+   * 登录验证码，登录风险评估要求验证或同一账号登录失败达到阈值后才需要
+   */
+  login: createCaptchaGuard({
+    scene: 'merchant_login',
+    isRequired: (req) => isRiskChallenged(req) || merchantLoginTracker.isCaptchaRequired(req.body?.username?.trim())
+  })
+};
+
+/**
+ * 商户端登录风险评估配置
+ */
+const merchantRisk = {
+  /**
+   * 登录风险评估，需放在登录验证码中间件之前
+   */
+  login: createLoginRiskGuard({ scope: 'merchant' })
+};
+
 /**
  * 商户端限流配置
  */
@@ -162,6 +226,32 @@ const merchantLimiting = {
     }
   }),
   
+  /**
+   * 忘记密码限流（防止探测账号和邮件轰炸）
+   */
+  forgotPassword: createCustomRateLimit({
+    windowMs: 60 * 60 * 1000, // 1小时
+    max: 5, // 每小时5次
+    message: {
+      success: 0,
+      message: '密码重置请求过于频繁，请稍后再试',
+      code: 'MERCHANT_RATE_LIMIT_EXCEEDED'
+    },
+    type: 'merchant_forgot_password'
+  }),
+  
+  /**
+   * API密钥限流（每个密钥独立计数，在认证后执行）
+   */
+  apiKey: createCustomRateLimit({
+    ...RATE_LIMIT_CONFIG.MERCHANT_API_KEY,
+    type: 'merchant_api_key',
+    keyGenerator: (req) => {
+      return `merchant_api_key_${req.apiKey.id}`;
+    },
+    skip: (req) => !req.apiKey
+  }),
+  
   /**
    * 商品操作限流
    */
@@ -259,6 +349,7 @@ const merchantAuditing = {
       req.auditData = {
         ...req.auditData,
         merchantId: req.merchantId,
+        apiKeyId: req.apiKey?.id,
         userType: 'merchant'
       };
     }
@@ -361,6 +452,17 @@ const loginStack = createMiddlewareChain()
   .use(merchantAuditing.basic)
   .build();
 
+/**
+ * 商户端忘记密码中间件栈
+ * 专门用于忘记密码接口，使用独立的限流
+ */
+const forgotPasswordStack = createMiddlewareChain()
+  .use(merchantApiType)
+  .use(merchantLimiting.forgotPassword)
+  .use(performanceMonitor)
+  .use(merchantAuditing.basic)
+  .build();
+
 /**
  * 商户端商品操作中间件栈
  * 专门用于商品相关操作
@@ -386,6 +488,18 @@ const shopAccessStack = createMiddlewareChain()
   .use(merchantAuditing.operation)
   .build();
 
+/**
+ * 商户端主账号中间件栈
+ * 只允许商户主账号访问的接口（如子账号管理）
+ */
+const ownerStack = createMiddlewareChain()
+  .use(merchantApiType)
+  .use(merchantLimiting.standard)
+  .use(merchantAuth.owner)
+  .use(performanceMonitor)
+  .use(merchantAuditing.sensitive('MERCHANT_SUB_ACCOUNT_OPERATION'))
+  .build();
+
 /**
  * 创建带权限的商户端中间件栈
  * @param {Array|string} permissions - 需要的权限
@@ -424,10 +538,11 @@ function createPermissionStack(permissions, options = {}) {
  */
 function createCustomMerchantStack(config = {}) {
   const {
-    auth = 'required',        // 'none', 'optional', 'required', 'permissions', 'shopAccess'
+    auth = 'required',        // 'none', 'optional', 'required', 'owner', 'permissions', 'shopAccess'
     permissions = [],
     limiting = 'standard',    // 'relaxed', 'standard', 'strict', 'login', 'product'
     caching = false,         // false, 'short', 'medium', 'long', 'merchantData', 'productList'
+    signature = false,       // false, true, 或签名校验选项 { tolerance, apiKeyOnly }
     audit = true,
     performance = true
   } = config;
@@ -460,6 +575,9 @@ function createCustomMerchantStack(config = {}) {
     case 'required':
       chain.use(merchantAuth.required);
       break;
+    case 'owner':
+      chain.use(merchantAuth.owner);
+      break;
     case 'permissions':
       chain.use(merchantAuth.withPermissions(permissions));
       break;
@@ -469,6 +587,11 @@ function createCustomMerchantStack(config = {}) {
     // 'none' 不添加认证中间件
   }
 
+  // 添加请求签名校验（依赖认证中间件识别出的API密钥）
+  if (signature) {
+    chain.use(createSignatureVerifier(typeof signature === 'object' ? signature : {}));
+  }
+
   // 添加缓存
   if (caching) {
     switch (caching) {
@@ -523,8 +646,10 @@ const merchantMiddleware = {
   cached: cachedStack,
   sensitive: sensitiveStack,
   login: loginStack,
+  forgotPassword: forgotPasswordStack,
   product: productStack,
   shopAccess: shopAccessStack,
+  owner: ownerStack,
 
   // 工厂函数
   withPermissions: createPermissionStack,
@@ -533,6 +658,8 @@ const merchantMiddleware = {
   // 组件
   auth: merchantAuth,
   limiting: merchantLimiting,
+  captcha: merchantCaptcha,
+  risk: merchantRisk,
   caching: merchantCaching,
   auditing: merchantAuditing
 };
@@ -4,13 +4,14 @@
  */
 
 const { baseAuth, requireAuth, requirePermissions } = require('../core/auth');
-const { userRateLimit, createUserRateLimit } = require('../core/rateLimit');
+const { userRateLimit, createUserRateLimit, createCustomRateLimit } = require('../core/rateLimit');
 const { userDataCache, createCacheMiddleware } = require('../core/cache');
 const { userApiType } = require('../utils/apiType');
 const { basicAudit, userDataAudit } = require('../monitoring/audit');
 const { performanceMonitor } = require('../monitoring/performance');
 const { logger } = require('../../common/logger');
 const { createMiddlewareChain } = require('../utils/helpers');
+const { createCaptchaGuard } = require('../core/captcha');
 
 /**
  * 用户端认证中间件配置
@@ -69,9 +70,61 @@ const userLimiting = {
   login: createUserRateLimit({
     windowMs: 15 * 60 * 1000, // 15分钟
     max: 10 // 每15分钟10次登录尝试
+  }),
+  
+  /**
+   * 忘记密码限流（防止探测账号和邮件轰炸）
+   */
+  forgotPassword: createCustomRateLimit({
+    windowMs: 60 * 60 * 1000, // 1小时
+    max: 5, // 每小时5次
+    message: {
+      success: 0,
+      message: '密码重置请求过于频繁，请稍后再试',
+      error: 'Too many password reset requests'
+    },
+    type: 'user_forgot_password'
+  }),
+
+  /**
+   * 邮箱验证码重发限流（防止邮件轰炸）
+   */
+  verificationEmail: createCustomRateLimit({
+    windowMs: 60 * 60 * 1000, // 1小时
+    max: 5, // 每小时5次
+    message: {
+      success: 0,
+      message: '验证邮件发送过于频繁，请稍后再试',
+      error: 'Too many verification email requests'
+    },
+    type: 'user_verification_email'
+  }),
+
+  /**
+   * 免密登录申请限流（防止短信和邮件轰炸）
+   */
+  otpRequest: createCustomRateLimit({
+    windowMs: 60 * 60 * 1000, // 1小时
+    max: 10, // 每小时10次
+    message: {
+      success: 0,
+      message: '验证码发送过于频繁，请稍后再试',
+      error: 'Too many login code requests'
+    },
+    type: 'user_otp_request'
   })
 };
 
+/**
+ * 用户端验证码配置
+ */
+const userCaptcha = {
+  /**
+   * 注册验证码，类型由 USER_REGISTER_CAPTCHA 配置，默认不需要
+   */
+  register: createCaptchaGuard({ scene: 'user_register' })
+};
+
 /**
  * 用户端缓存配置
  */
@@ -190,6 +243,39 @@ const loginStack = createMiddlewareChain()
   .use(basicAudit)
   .build();
 
+/**
+ * 用户端忘记密码中间件栈
+ * 专门用于忘记密码接口，使用独立的限流
+ */
+const forgotPasswordStack = createMiddlewareChain()
+  .use(userApiType)
+  .use(userLimiting.forgotPassword)
+  .use(performanceMonitor)
+  .use(basicAudit)
+  .build();
+
+/**
+ * 用户端邮箱验证码重发中间件栈
+ * 专门用于重发验证邮件接口，使用独立的限流
+ */
+const verificationEmailStack = createMiddlewareChain()
+  .use(userApiType)
+  .use(userLimiting.verificationEmail)
+  .use(performanceMonitor)
+  .use(basicAudit)
+  .build();
+
+/**
+ * 用户端免密登录申请中间件栈
+ * 专门用于发送登录验证码和登录链接的接口，使用独立的限流
+ */
+const otpRequestStack = createMiddlewareChain()
+  .use(userApiType)
+  .use(userLimiting.otpRequest)
+  .use(performanceMonitor)
+  .use(basicAudit)
+  .build();
+
 /**
  * 创建带权限的用户端中间件栈
  * @param {Array|string} permissions - 需要的权限
@@ -318,6 +404,9 @@ const userMiddleware = {
   cached: cachedStack,
   sensitive: sensitiveStack,
   login: loginStack,
+  forgotPassword: forgotPasswordStack,
+  verificationEmail: verificationEmailStack,
+  otpRequest: otpRequestStack,
   
   // 工厂函数
   withPermissions: createPermissionStack,
@@ -326,6 +415,7 @@ const userMiddleware = {
   // 组件
   auth: userAuth,
   limiting: userLimiting,
+  captcha: userCaptcha,
   caching: userCaching
 };
 
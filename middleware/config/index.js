@@ -3,6 +3,8 @@
  * 统一管理所有中间件的配置参数
  */
 
+const { REGISTER_CONFIG } = require('../../common/constants/status');
+
 // 限流配置
 const RATE_LIMIT_CONFIG = {
   // 用户端限流配置
@@ -45,6 +47,20 @@ const RATE_LIMIT_CONFIG = {
     standardHeaders: true,
     legacyHeaders: false,
     skipPaths: ['/health', '/', '/favicon.ico']
+  },
+  
+  // 商户API密钥限流配置（每个密钥独立计数）
+  MERCHANT_API_KEY: {
+    windowMs: 60 * 1000, // 1分钟
+    max: parseInt(process.env.MERCHANT_API_KEY_RATE_LIMIT) || 600, // 每个密钥每分钟最多600次请求
+    message: {
+      success: false,
+      message: 'API密钥请求过于频繁，请稍后再试',
+      error: 'Too many requests for this API key, please try again later'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+    skipPaths: []
   }
 };
 
@@ -82,11 +98,19 @@ const CACHE_CONFIG = {
 // 认证配置
 const AUTH_CONFIG = {
   // JWT配置
+  // 签名密钥和算法由 JwtKeyService 统一管理（JWT_ALGORITHM、JWT_KEYS_DIR、JWT_SECRET）
   JWT: {
-    secret: process.env.JWT_SECRET || 'default_secret',
     expiresIn: process.env.JWT_EXPIRES_IN || '24h',
     issuer: process.env.JWT_ISSUER || 'aa-admin-api',
-    audience: process.env.JWT_AUDIENCE || 'aa-admin-users'
+    // 各端令牌的受众，按 API_TYPE_CONFIG.TYPES 区分，令牌只能在签发端的接口使用
+    audiences: {
+      user: process.env.JWT_AUDIENCE_USER || 'aa-user',
+      admin: process.env.JWT_AUDIENCE_ADMIN || 'aa-admin',
+      merchant: process.env.JWT_AUDIENCE_MERCHANT || 'aa-merchant',
+      console: process.env.JWT_AUDIENCE_CONSOLE || 'aa-console'
+    },
+    // 总台登录第二步待验证令牌的受众，与总台访问令牌分开，只能用于二次验证接口
+    mfaPendingAudience: process.env.JWT_AUDIENCE_ADMIN_MFA || 'aa-admin-mfa'
   },
   
   // Token缓存配置
@@ -138,14 +162,19 @@ const API_TYPE_CONFIG = {
 
 // 性能监控配置
 const PERFORMANCE_CONFIG = {
-  // 是否启用性能监控
-  enabled: process.env.NODE_ENV !== 'production' || process.env.ENABLE_PERFORMANCE_MONITORING === 'true',
+  // 是否启用性能监控（启用监控指标时同时启用，请求耗时指标由性能监控中间件记录）
+  enabled: process.env.NODE_ENV !== 'production'
+    || process.env.ENABLE_PERFORMANCE_MONITORING === 'true'
+    || process.env.METRICS_ENABLED === 'true',
   
   // 慢请求阈值（毫秒）
   slowRequestThreshold: 1000,
   
   // 统计数据保留时间（毫秒）
   statsRetentionTime: 24 * 60 * 60 * 1000, // 24小时
+
+  // 集群模式下汇总运行统计时等待各工作进程返回的最长时间（毫秒）
+  clusterTimeout: parseInt(process.env.CLUSTER_STATS_TIMEOUT) || 2000,
   
   // 是否记录请求详情
   logRequestDetails: process.env.NODE_ENV === 'development',
@@ -157,6 +186,18 @@ const PERFORMANCE_CONFIG = {
   }
 };
 
+// 监控指标配置
+const METRICS_CONFIG = {
+  // 是否提供 /metrics 接口
+  enabled: process.env.METRICS_ENABLED === 'true',
+
+  // 访问令牌，配置后请求需携带 Authorization: Bearer <令牌>
+  token: process.env.METRICS_TOKEN || '',
+
+  // 集群模式下等待各工作进程返回指标的最长时间（毫秒），超时的工作进程不计入本次结果
+  clusterTimeout: parseInt(process.env.METRICS_CLUSTER_TIMEOUT) || 2000
+};
+
 // 审计配置
 const AUDIT_CONFIG = {
   // 是否启用审计
@@ -171,12 +212,40 @@ const AUDIT_CONFIG = {
     'ADMIN_LOGOUT',
     'DATA_EXPORT',
     'SYSTEM_CONFIG_UPDATE',
-    'PERMISSION_CHANGE'
+    'PERMISSION_CHANGE',
+    'ADMIN_OPERATION',
+    'TOKEN_AUDIENCE_MISMATCH',
+    'IMPERSONATION_START',
+    'IMPERSONATION_END',
+    'IMPERSONATED_REQUEST',
+    'ACCOUNT_LOCKED'
   ],
   
   // 审计日志保留时间（天）
-  retentionDays: 90,
-  
+  retentionDays: parseInt(process.env.AUDIT_RETENTION_DAYS) || 90,
+
+  // 审计日志存储配置
+  storage: {
+    // 存储方式：file（按天写入JSONL文件）、mysql（audit_logs表）、mongo（audit_logs集合）
+    sink: process.env.AUDIT_SINK || 'file',
+    // 每批写入的最大条数，缓冲区达到该数量时立即写入
+    batchSize: parseInt(process.env.AUDIT_BATCH_SIZE) || 100,
+    // 定时写入间隔（毫秒）
+    flushInterval: parseInt(process.env.AUDIT_FLUSH_INTERVAL) || 2000,
+    // 写入失败时缓冲区最多保留的条数，超出后丢弃最早的记录
+    maxBufferSize: parseInt(process.env.AUDIT_MAX_BUFFER_SIZE) || 10000,
+    // JSONL文件目录
+    fileDir: process.env.AUDIT_FILE_DIR || 'logs/audit'
+  },
+
+  // 哈希链配置（检查点签名密钥为 AUDIT_CHAIN_SECRET，生产环境必须配置，其他环境未配置时使用 JWT_SECRET）
+  chain: {
+    // 每隔多少条记录生成一个签名检查点
+    checkpointEvery: parseInt(process.env.AUDIT_CHECKPOINT_EVERY) || 1000,
+    // 有新记录时最长多久生成一个检查点（毫秒）
+    checkpointInterval: parseInt(process.env.AUDIT_CHECKPOINT_INTERVAL) || 10 * 60 * 1000
+  },
+
   // 是否记录请求体
   logRequestBody: true,
   
@@ -184,6 +253,50 @@ const AUDIT_CONFIG = {
   logResponseBody: false
 };
 
+/**
+ * 读取验证码类型配置，未配置时使用默认类型
+ * @param {string} value - 环境变量值
+ * @param {number} defaultType - 默认验证码类型
+ * @returns {number} 验证码类型
+ */
+const parseCaptchaType = (value, defaultType) => {
+  const type = parseInt(value, 10);
+  return Number.isNaN(type) ? defaultType : type;
+};
+
+// 验证码配置
+const CAPTCHA_CONFIG = {
+  // 各使用场景采用的验证码类型（REGISTER_CONFIG.CAPTCHA_*），CAPTCHA_NONE 表示该场景不需要验证码
+  scenes: {
+    user_register: parseCaptchaType(process.env.USER_REGISTER_CAPTCHA, REGISTER_CONFIG.CAPTCHA_NONE),
+    admin_login: parseCaptchaType(process.env.LOGIN_CAPTCHA_TYPE, REGISTER_CONFIG.CAPTCHA_IMAGE),
+    merchant_login: parseCaptchaType(process.env.LOGIN_CAPTCHA_TYPE, REGISTER_CONFIG.CAPTCHA_IMAGE)
+  },
+  
+  // 请求体中的验证码字段
+  fields: {
+    id: 'captchaId',
+    code: 'captchaCode',
+    recipient: 'phone'
+  }
+};
+
+// 商户请求签名配置
+const SIGNATURE_CONFIG = {
+  // 请求时间戳允许的最大偏差（秒），超出视为过期请求
+  tolerance: parseInt(process.env.MERCHANT_SIGNATURE_TOLERANCE) || 300,
+  
+  // 签名相关请求头
+  headers: {
+    timestamp: 'x-timestamp',
+    nonce: 'x-nonce',
+    signature: 'x-signature'
+  },
+  
+  // 随机串格式
+  noncePattern: /^[A-Za-z0-9_-]{16,64}$/
+};
+
 // 错误处理配置
 const ERROR_CONFIG = {
   // 是否在响应中包含错误堆栈
@@ -213,6 +326,9 @@ module.exports = {
   AUTH_CONFIG,
   API_TYPE_CONFIG,
   PERFORMANCE_CONFIG,
+  METRICS_CONFIG,
   AUDIT_CONFIG,
+  CAPTCHA_CONFIG,
+  SIGNATURE_CONFIG,
   ERROR_CONFIG
 };
@@ -3,45 +3,205 @@
  * 提供统一的认证功能，支持用户和管理员认证
  */
 
-const jwt = require('jsonwebtoken');
-const { merchantUserModel } = require('../../app/models');
+const crypto = require('crypto');
+const { userModel, merchantUserModel, sequelize } = require('../../app/models');
 const CacheManager = require('../../common/redis/cache');
 const { PREFIX, TTL } = require('../../common/redis');
 const { sendUnauthorized, sendBadRequest } = require('../../common/routeHandler');
-const { AUTH_CONFIG } = require('../config');
+const { AUTH_CONFIG, API_TYPE_CONFIG } = require('../config');
+const { detectApiTypeFromPath } = require('../utils/apiType');
+const { recordAuthRejection, auditImpersonatedRequest, continueWithChangeTracking } = require('../monitoring/audit');
 const { logger } = require('../../common/logger');
 const { USER_STATUS, USER_ROLE, AUTH_STATUS, COMMON_STATUS } = require('../../common/constants/status');
 const { StatusHelper } = require('../../common/utils/statusHelper');
+const SessionService = require('../../app/services/common/SessionService');
+const PermissionService = require('../../app/services/common/PermissionService');
+const MerchantApiKeyService = require('../../app/services/merchant/MerchantApiKeyService');
+const JwtKeyService = require('../../app/services/common/JwtKeyService');
+const AdminImpersonationService = require('../../app/services/admin/AdminImpersonationService');
+
+const sessionService = new SessionService();
+const permissionService = new PermissionService();
+const apiKeyService = new MerchantApiKeyService();
+const jwtKeyService = new JwtKeyService();
+const impersonationService = new AdminImpersonationService();
 
 /**
- * 验证JWT token
+ * 验证JWT token（签名、有效期和签发方，受众由调用方按接口类型检查）
  * @param {string} token - JWT令牌
- * @param {string} secret - JWT密钥
  * @returns {Object|null} - 解析后的token数据或null
  */
-const verifyToken = (token, secret = AUTH_CONFIG.JWT.secret) => {
+const verifyToken = (token) => {
   try {
-    return jwt.verify(token, secret);
+    return jwtKeyService.verify(token, { issuer: AUTH_CONFIG.JWT.issuer });
   } catch (error) {
     logger.debug('Token验证失败:', error.message);
     return null;
   }
 };
 
+// 令牌角色对应的身份来源：数据模型、缓存前缀和主体类型
+// 商户和总台管理员同在 merchants_users 表，按 role 字段区分，分别缓存
+const IDENTITY_SOURCES = {
+  [USER_ROLE.USER]: { model: userModel, prefix: PREFIX.USER, type: 'user', checkRole: false },
+  [USER_ROLE.MERCHANT]: { model: merchantUserModel, prefix: PREFIX.MERCHANT_USER, type: 'merchant', checkRole: true },
+  [USER_ROLE.CONSOLE_ADMIN]: { model: merchantUserModel, prefix: PREFIX.CONSOLE_ADMIN, type: 'admin', checkRole: true }
+};
+
+// 未携带角色的令牌按受众对应的端确定角色
+const API_TYPE_ROLES = {
+  [API_TYPE_CONFIG.TYPES.USER]: USER_ROLE.USER,
+  [API_TYPE_CONFIG.TYPES.MERCHANT]: USER_ROLE.MERCHANT,
+  [API_TYPE_CONFIG.TYPES.ADMIN]: USER_ROLE.CONSOLE_ADMIN,
+  [API_TYPE_CONFIG.TYPES.CONSOLE]: USER_ROLE.CONSOLE_ADMIN
+};
+
 /**
  * 从数据库获取用户信息
+ * users 表的 role 字段与令牌角色含义不同，统一改写为身份来源对应的角色
  * @param {number} userId - 用户ID
- * @returns {Promise<Object|null>} - 用户对象或null
+ * @param {number} role - 令牌角色，决定从哪张表加载
+ * @returns {Promise<Object|null>} - 用户对象或null，角色与来源不符时返回null
  */
-async function getUserById(userId) {
+async function getUserById(userId, role = USER_ROLE.MERCHANT) {
+  const source = IDENTITY_SOURCES[role];
+  if (!source) {
+    return null;
+  }
+
   try {
-    return await merchantUserModel.findByPk(userId);
+    const user = await source.model.findByPk(userId);
+    if (!user || (source.checkRole && user.role !== role)) {
+      return null;
+    }
+    return { ...user.get({ plain: true }), role };
   } catch (error) {
     logger.error(`通过ID获取用户失败: ${userId}`, error);
     return null;
   }
 }
 
+/**
+ * 获取缓存中的用户信息，各身份来源使用独立的缓存前缀
+ * @param {number} userId - 用户ID
+ * @param {number} role - 令牌角色
+ * @returns {Promise<Object|null>} - 用户对象或null
+ */
+async function getCachedUser(userId, role = USER_ROLE.MERCHANT) {
+  const source = IDENTITY_SOURCES[role];
+  if (!source) {
+    return null;
+  }
+
+  return await CacheManager.getOrFetch(
+    source.prefix,
+    userId,
+    () => getUserById(userId, role),
+    AUTH_CONFIG.USER_CACHE.ttl
+  );
+}
+
+/**
+ * 确定令牌对应的身份角色：优先使用令牌中的角色，未携带时按受众推断
+ * @param {Object} decoded - 解析后的令牌数据
+ * @returns {number|null} 角色，无法确定时返回null
+ */
+function resolveIdentityRole(decoded) {
+  if (IDENTITY_SOURCES[decoded.role]) {
+    return decoded.role;
+  }
+
+  const audiences = Array.isArray(decoded.aud) ? decoded.aud : [decoded.aud];
+  const apiType = Object.keys(API_TYPE_ROLES).find(type => audiences.includes(JwtKeyService.getAudience(type)));
+  return apiType ? API_TYPE_ROLES[apiType] : null;
+}
+
+/**
+ * 构造认证主体，控制器通过 req.principal 读取统一结构的当前身份，不需要关心来自哪张表
+ * @param {Object} user - 已补充商户归属和权限的用户对象
+ * @param {Object} context - { sessionId, apiKey, impersonation }
+ * @returns {Object} 只读的认证主体，模拟登录时 impersonator 为发起模拟的管理员
+ */
+function buildPrincipal(user, { sessionId = null, apiKey = null, impersonation = null } = {}) {
+  return Object.freeze({
+    id: user.id,
+    type: IDENTITY_SOURCES[user.role].type,
+    role: user.role,
+    username: user.username,
+    email: user.email || null,
+    status: user.status,
+    merchantId: user.merchantId || null,
+    shopIds: user.shopIds || null,
+    permissions: Object.freeze([...(user.permissions || [])]),
+    authMethod: apiKey ? 'api_key' : 'token',
+    sessionId,
+    apiKeyId: apiKey ? apiKey.id : null,
+    impersonator: impersonation ? Object.freeze({ id: impersonation.adminId, username: impersonation.adminUsername }) : null
+  });
+}
+
+/**
+ * 标记请求未通过认证
+ * @param {Object} req - 请求对象
+ * @param {number} status - 认证状态
+ * @param {Function} next - 下一个中间件
+ * @returns {void}
+ */
+function rejectAuthentication(req, status, next) {
+  req.user = null;
+  req.principal = null;
+  req.impersonation = null;
+  req.isAuthenticated = status;
+  return next();
+}
+
+/**
+ * 加载用户权限编码，加载失败时返回空列表（按无权限处理）
+ * 商户子账号的权限为自身权限编码中主账号仍拥有的部分
+ * @param {Object} user - 用户对象
+ * @returns {Promise<Array<string>>} 权限编码列表
+ */
+async function getUserPermissions(user) {
+  try {
+    if (user.role === USER_ROLE.MERCHANT && user.merchant_id) {
+      const merchantPermissions = await permissionService.getUserPermissions(user.role, user.merchant_id, sequelize);
+      return PermissionService.filterGranted(merchantPermissions, user.permission_codes);
+    }
+    return await permissionService.getUserPermissions(user.role, user.id, sequelize);
+  } catch (error) {
+    logger.error(`加载用户权限失败: ${user.id}`, error);
+    return [];
+  }
+}
+
+/**
+ * 解析商户账号的商户归属
+ * 主账号的商户ID为自身ID且不限店铺；子账号归属主账号，只能访问分配的店铺，主账号停用后子账号同时失效
+ * 商户状态（审核、暂停营业）取自主账号，由商户端控制器按 merchantStatus 拦截
+ * @param {Object} user - 用户对象
+ * @returns {Promise<Object|null>} - { merchantId, merchantStatus, shopIds }，非商户账号返回空对象，子账号所属主账号不可用时返回null
+ */
+async function getMerchantContext(user) {
+  if (user.role !== USER_ROLE.MERCHANT) {
+    return {};
+  }
+
+  if (!user.merchant_id) {
+    return { merchantId: user.id, merchantStatus: user.merchant_status };
+  }
+
+  const merchant = await getCachedUser(user.merchant_id, USER_ROLE.MERCHANT);
+  if (!merchant || !StatusHelper.isUserActive(merchant.status)) {
+    return null;
+  }
+
+  return {
+    merchantId: merchant.id,
+    merchantStatus: merchant.merchant_status,
+    shopIds: (user.shop_ids || []).map(Number)
+  };
+}
+
 /**
  * 从请求中提取token
  * @param {Object} req - 请求对象
@@ -62,6 +222,105 @@ function extractToken(req) {
   return null;
 }
 
+/**
+ * 从请求中提取商户API密钥
+ * 支持 X-API-Key 请求头，或以API密钥代替JWT放在 Authorization: Bearer 中
+ * @param {Object} req - 请求对象
+ * @returns {string|null} - API密钥或null
+ */
+function extractApiKey(req) {
+  const headerKey = req.headers['x-api-key'];
+  if (headerKey) {
+    return headerKey;
+  }
+
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ') && MerchantApiKeyService.isApiKey(authHeader.substring(7))) {
+    return authHeader.substring(7);
+  }
+
+  return null;
+}
+
+/**
+ * API密钥认证
+ * 密钥以所属商户主账号身份访问，权限为密钥范围中商户仍拥有的部分
+ * @param {Object} req - 请求对象
+ * @param {string} rawKey - API密钥
+ * @param {Function} next - 下一个中间件
+ * @returns {Promise<void>}
+ */
+async function authenticateApiKey(req, rawKey, next) {
+  const apiKey = await apiKeyService.authenticate(rawKey, req.ip, sequelize);
+  if (!apiKey) {
+    return rejectAuthentication(req, AUTH_STATUS.TOKEN_INVALID, next);
+  }
+
+  const user = await getCachedUser(apiKey.merchant_id, USER_ROLE.MERCHANT);
+  // 商户未审核通过或已暂停营业时API密钥不可用
+  if (!user || user.merchant_id || !StatusHelper.isUserActive(user.status) || !StatusHelper.isMerchantActive(user.merchant_status)) {
+    return rejectAuthentication(req, AUTH_STATUS.NOT_AUTHENTICATED, next);
+  }
+
+  const merchantPermissions = await getUserPermissions(user);
+
+  req.user = user;
+  req.user.merchantId = user.id;
+  req.user.merchantStatus = user.merchant_status;
+  req.user.permissions = PermissionService.filterGranted(merchantPermissions, apiKey.scopes);
+  req.apiKey = { id: apiKey.id, prefix: apiKey.key_prefix, name: apiKey.name };
+  // 签名密钥供请求签名校验使用，设为不可枚举，避免随请求信息被序列化到日志
+  Object.defineProperty(req.apiKey, 'signingSecret', {
+    value: apiKeyService.deriveSigningSecret(apiKey.key_hash)
+  });
+  req.principal = buildPrincipal(req.user, { apiKey: req.apiKey });
+  req.isAuthenticated = AUTH_STATUS.AUTHENTICATED;
+  next();
+}
+
+/**
+ * 获取请求所属端，未经API类型中间件标识的路由按路径推断
+ * @param {Object} req - 请求对象
+ * @returns {string} API类型
+ */
+function getRequestApiType(req) {
+  return req.apiType || detectApiTypeFromPath(req.originalUrl || req.path);
+}
+
+/**
+ * 检查令牌受众是否与接口所属端一致
+ * 通用接口不限定受众，其他端只接受本端签发的令牌
+ * @param {Object} decoded - 解析后的令牌数据
+ * @param {string} apiType - 接口所属端
+ * @returns {boolean} 是否允许
+ */
+function isAudienceAllowed(decoded, apiType) {
+  const expected = JwtKeyService.getAudience(apiType);
+  if (!expected) {
+    return true;
+  }
+  const audiences = Array.isArray(decoded.aud) ? decoded.aud : [decoded.aud];
+  return audiences.includes(expected);
+}
+
+/**
+ * 校验模拟登录令牌：模拟未被结束，且发起模拟的管理员仍然有效
+ * @param {Object} decoded - 解析后的令牌数据
+ * @returns {Promise<Object|null>} 模拟记录，无效时返回null
+ */
+async function verifyImpersonation(decoded) {
+  const impersonation = await impersonationService.verifyImpersonation(decoded);
+  if (!impersonation) {
+    return null;
+  }
+
+  const admin = await getCachedUser(impersonation.adminId, USER_ROLE.CONSOLE_ADMIN);
+  if (!admin || !StatusHelper.isUserActive(admin.status)) {
+    return null;
+  }
+  return impersonation;
+}
+
 /**
  * 基础认证中间件
  * 验证token并获取用户信息，但不强制要求认证
@@ -72,16 +331,26 @@ function extractToken(req) {
  */
 const baseAuth = async (req, res, next) => {
   try {
+    const apiType = getRequestApiType(req);
+
+    const apiKey = extractApiKey(req);
+    if (apiKey) {
+      // API密钥只用于商户端接口
+      if (apiType !== API_TYPE_CONFIG.TYPES.MERCHANT) {
+        recordAuthRejection(req, 'TOKEN_AUDIENCE_MISMATCH', { reason: 'API密钥不能访问非商户端接口', apiType });
+        return rejectAuthentication(req, AUTH_STATUS.TOKEN_INVALID, next);
+      }
+      return await authenticateApiKey(req, apiKey, next);
+    }
+
     const token = extractToken(req);
 
     if (!token) {
-      req.user = null;
-      req.isAuthenticated = AUTH_STATUS.NOT_AUTHENTICATED;
-      return next();
+      return rejectAuthentication(req, AUTH_STATUS.NOT_AUTHENTICATED, next);
     }
     
-    // 检查token缓存
-    const tokenKey = `${token.substring(0, 10)}`;
+    // 检查token缓存（JWT头部对所有令牌都相同，需按完整令牌生成键）
+    const tokenKey = crypto.createHash('sha256').update(token).digest('hex');
     const cachedTokenData = await CacheManager.get(PREFIX.TOKEN, tokenKey);
 
     let decoded;
@@ -90,44 +359,87 @@ const baseAuth = async (req, res, next) => {
     } else {
       decoded = verifyToken(token);
       if (!decoded) {
-        req.user = null;
-        req.isAuthenticated = AUTH_STATUS.TOKEN_INVALID;
-        return next();
+        return rejectAuthentication(req, AUTH_STATUS.TOKEN_INVALID, next);
       }
 
       // 缓存token解析结果
       await CacheManager.set(PREFIX.TOKEN, tokenKey, decoded, AUTH_CONFIG.TOKEN_CACHE.ttl);
     }
 
-    // 使用缓存获取用户信息
-    const user = await CacheManager.getOrFetch(
-      PREFIX.USER,
-      decoded.id,
-      () => getUserById(decoded.id),
-      AUTH_CONFIG.USER_CACHE.ttl
-    );
+    // 只接受访问令牌，刷新令牌、二次验证待验证令牌等不能用于访问接口
+    if (decoded.type !== 'access') {
+      return rejectAuthentication(req, AUTH_STATUS.TOKEN_INVALID, next);
+    }
+
+    // 令牌只能在签发端的接口使用，其他端签发的令牌按无效令牌处理
+    if (!isAudienceAllowed(decoded, apiType)) {
+      recordAuthRejection(req, 'TOKEN_AUDIENCE_MISMATCH', {
+        reason: '令牌受众与接口类型不匹配',
+        userId: decoded.id,
+        userRole: decoded.role,
+        apiType,
+        audience: decoded.aud
+      });
+      return rejectAuthentication(req, AUTH_STATUS.TOKEN_INVALID, next);
+    }
+
+    const role = resolveIdentityRole(decoded);
+    if (!role) {
+      return rejectAuthentication(req, AUTH_STATUS.TOKEN_INVALID, next);
+    }
+
+    // 模拟登录令牌不登记会话，按模拟记录校验，模拟结束或管理员停用后立即失效
+    let impersonation = null;
+    if (decoded.imp) {
+      impersonation = await verifyImpersonation(decoded);
+      if (!impersonation) {
+        return rejectAuthentication(req, AUTH_STATUS.TOKEN_INVALID, next);
+      }
+    }
+
+    // 检查会话是否已被吊销（未携带会话ID的旧令牌不做会话校验）
+    if (decoded.fid) {
+      const session = await sessionService.touchSession(role, decoded.id, decoded.fid, req.ip);
+      if (!session) {
+        return rejectAuthentication(req, AUTH_STATUS.TOKEN_INVALID, next);
+      }
+      req.sessionId = decoded.fid;
+    }
+
+    // 按令牌角色从对应的表加载身份（使用缓存）
+    const user = await getCachedUser(decoded.id, role);
 
     if (!user) {
-      req.user = null;
-      req.isAuthenticated = AUTH_STATUS.NOT_AUTHENTICATED;
-      return next();
+      return rejectAuthentication(req, AUTH_STATUS.NOT_AUTHENTICATED, next);
     }
 
     // 检查用户状态
     if (!StatusHelper.isUserActive(user.status)) {
-      req.user = null;
-      req.isAuthenticated = AUTH_STATUS.NOT_AUTHENTICATED;
-      return next();
+      return rejectAuthentication(req, AUTH_STATUS.NOT_AUTHENTICATED, next);
+    }
+
+    // 商户账号补充商户归属，子账号所属主账号不可用时按未认证处理
+    const merchantContext = await getMerchantContext(user);
+    if (!merchantContext) {
+      return rejectAuthentication(req, AUTH_STATUS.NOT_AUTHENTICATED, next);
     }
 
     req.user = user;
+    Object.assign(req.user, merchantContext);
+    req.user.permissions = await getUserPermissions(user);
+    req.impersonation = impersonation;
+    req.principal = buildPrincipal(req.user, { sessionId: req.sessionId, impersonation });
     req.isAuthenticated = AUTH_STATUS.AUTHENTICATED;
+
+    // 模拟登录状态下的每个请求都以实际操作的管理员记入审计日志，并记录数据变更
+    if (impersonation) {
+      auditImpersonatedRequest(req, res);
+      return continueWithChangeTracking(req, next);
+    }
     next();
   } catch (error) {
     logger.error('基础认证中间件错误:', error);
-    req.user = null;
-    req.isAuthenticated = AUTH_STATUS.NOT_AUTHENTICATED;
-    next();
+    rejectAuthentication(req, AUTH_STATUS.NOT_AUTHENTICATED, next);
   }
 };
 
@@ -173,7 +485,7 @@ const requireAuth = async (req, res, next) => {
 const requireAdmin = async (req, res, next) => {
   try {
     await requireAuth(req, res, () => {
-      if (req.user.role !== 30) {
+      if (req.user.role !== USER_ROLE.CONSOLE_ADMIN) {
         return res.sendUnauthorized('权限不足，需要管理员权限');
       }
       next();
@@ -199,7 +511,9 @@ function requirePermissions(permissions, options = {}) {
 
   return async (req, res, next) => {
     try {
-      const authMiddleware = needAuth ? requireAuth : baseAuth;
+      // 前置中间件已完成认证时不重复认证
+      const authenticated = req.user && req.isAuthenticated === AUTH_STATUS.AUTHENTICATED;
+      const authMiddleware = authenticated ? (request, response, done) => done() : (needAuth ? requireAuth : baseAuth);
 
       await authMiddleware(req, res, () => {
         if (needAuth && (!req.isAuthenticated || !req.user)) {
@@ -215,18 +529,18 @@ function requirePermissions(permissions, options = {}) {
           return res.sendUnauthorized('用户状态异常，无法访问');
         }
 
-        // 检查权限
-        if (permissionArray.length > 0 && req.user.permissions) {
+        // 检查权限（权限由 baseAuth 按角色加载，未绑定角色的账号权限为空）
+        if (permissionArray.length > 0) {
           const userPermissions = req.user.permissions || [];
 
           let hasPermission;
           if (requireAll) {
             hasPermission = permissionArray.every(permission =>
-              userPermissions.includes(permission)
+              PermissionService.hasPermission(userPermissions, permission)
             );
           } else {
             hasPermission = permissionArray.some(permission =>
-              userPermissions.includes(permission)
+              PermissionService.hasPermission(userPermissions, permission)
             );
           }
 
@@ -248,12 +562,38 @@ function requirePermissions(permissions, options = {}) {
   };
 }
 
+/**
+ * 禁止模拟登录状态访问的中间件
+ * 用于修改密码、API密钥、第三方账号绑定等账号凭据变更和资金提现类接口，需放在认证中间件之后
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ * @param {Function} next - 下一个中间件
+ * @returns {void}
+ */
+const forbidImpersonation = (req, res, next) => {
+  if (req.impersonation) {
+    logger.security('模拟登录状态下的受限操作被拒绝', {
+      adminId: req.impersonation.adminId,
+      impersonationId: req.impersonation.jti,
+      userId: req.user?.id,
+      method: req.method,
+      path: req.originalUrl
+    });
+    return res.sendResponse(403, false, '模拟登录状态下不能执行此操作');
+  }
+  next();
+};
+
 module.exports = {
   baseAuth,
   requireAuth,
   requireAdmin,
   requirePermissions,
+  forbidImpersonation,
   verifyToken,
   extractToken,
-  getUserById
+  extractApiKey,
+  getUserById,
+  getUserPermissions,
+  getMerchantContext
 };
\ No newline at end of file
@@ -0,0 +1,68 @@
+/**
+ * 核心验证码中间件
+ * 在登录、注册等接口前校验验证码，支持按失败次数等条件动态要求验证码
+ */
+
+const CaptchaService = require('../../app/services/common/CaptchaService');
+const { logger } = require('../../common/logger');
+const { COMMON_STATUS, REGISTER_CONFIG } = require('../../common/constants/status');
+const { CAPTCHA_CONFIG } = require('../config');
+
+const captchaService = new CaptchaService();
+
+/**
+ * 创建验证码校验中间件
+ * @param {Object} options - 配置选项
+ * @param {string} options.scene - 使用场景，对应 CAPTCHA_CONFIG.scenes 的键
+ * @param {number} options.type - 验证码类型，默认取场景配置
+ * @param {Function} options.isRequired - 判断本次请求是否需要验证码 (req) => Promise<boolean>，不提供时始终需要
+ * @returns {Function} Express中间件
+ */
+const createCaptchaGuard = (options = {}) => {
+  const { scene, isRequired = null } = options;
+  const type = options.type ?? CAPTCHA_CONFIG.scenes[scene] ?? REGISTER_CONFIG.CAPTCHA_NONE;
+  const { fields } = CAPTCHA_CONFIG;
+
+  return async (req, res, next) => {
+    try {
+      if (type === REGISTER_CONFIG.CAPTCHA_NONE) {
+        return next();
+      }
+
+      if (isRequired && !await isRequired(req)) {
+        return next();
+      }
+
+      const body = req.body || {};
+      const captchaInfo = { captchaRequired: true, captchaType: type, scene };
+
+      if (!body[fields.id] || !body[fields.code]) {
+        return res.sendResponse(428, false, '请输入验证码', captchaInfo);
+      }
+
+      const passed = await captchaService.verify(body[fields.id], body[fields.code], {
+        type,
+        scene,
+        recipient: body[fields.recipient]
+      });
+
+      if (!passed) {
+        logger.warn('验证码校验失败', { scene, path: req.path, ip: req.ip });
+        return res.sendBadRequest('验证码错误或已过期', captchaInfo);
+      }
+
+      next();
+    } catch (error) {
+      logger.error('验证码中间件错误:', error);
+      res.status(500).json({
+        success: COMMON_STATUS.FAILED,
+        message: '验证码服务异常'
+      });
+    }
+  };
+};
+
+module.exports = {
+  createCaptchaGuard,
+  captchaService
+};
@@ -28,6 +28,10 @@ const ERROR_CODES = {
   INVALID_CREDENTIALS: 40101,
   TOKEN_EXPIRED: 40102,
   TOKEN_INVALID: 40103,
+  SIGNATURE_MISSING: 40104,
+  SIGNATURE_INVALID: 40105,
+  SIGNATURE_EXPIRED: 40106,
+  NONCE_REPLAYED: 40107,
   INSUFFICIENT_PERMISSIONS: 40301,
   RESOURCE_NOT_FOUND: 40401,
   METHOD_NOT_ALLOWED: 40501,
@@ -74,6 +78,13 @@ class AuthenticationError extends AppError {
   }
 }
 
+// 请求签名错误类
+class SignatureError extends AppError {
+  constructor(message = '请求签名无效', errorCode = ERROR_CODES.SIGNATURE_INVALID) {
+    super(message, 401, errorCode, ERROR_TYPES.AUTHENTICATION);
+  }
+}
+
 // 授权错误类
 class AuthorizationError extends AppError {
   constructor(message = '权限不足') {
@@ -321,6 +332,7 @@ module.exports = {
   AppError,
   ValidationError,
   AuthenticationError,
+  SignatureError,
   AuthorizationError,
   NotFoundError,
   ConflictError,
@@ -0,0 +1,61 @@
+/**
+ * 核心登录风险中间件
+ * 在登录接口前评估登录风险，高风险请求直接拒绝，中风险请求交由后续验证码中间件要求验证码
+ */
+
+const LoginRiskService = require('../../app/services/common/LoginRiskService');
+const { logger } = require('../../common/logger');
+
+const { RISK_ACTIONS } = LoginRiskService;
+
+/**
+ * 创建登录风险评估中间件
+ * 评估结果挂载到 req.loginRisk，评估服务异常时放行，不影响正常登录
+ * @param {Object} options - 配置选项
+ * @param {string} options.scope - 评估所属端（admin/merchant）
+ * @param {LoginRiskService} options.service - 风险评估服务实例，不提供时按 scope 创建
+ * @returns {Function} Express中间件
+ */
+const createLoginRiskGuard = (options = {}) => {
+  const { scope } = options;
+  const service = options.service || new LoginRiskService(scope);
+
+  return async (req, res, next) => {
+    try {
+      req.loginRisk = await service.assess({
+        username: req.body?.username?.trim(),
+        ip: req.ip,
+        userAgent: req.get('user-agent')
+      });
+
+      if (req.loginRisk.action === RISK_ACTIONS.DENY) {
+        logger.security('登录请求因风险过高被拒绝', {
+          scope,
+          username: req.body?.username,
+          ip: req.ip,
+          score: req.loginRisk.score,
+          reasons: req.loginRisk.reasons
+        });
+        return res.sendResponse(403, false, '登录存在安全风险，请稍后再试');
+      }
+
+      next();
+    } catch (error) {
+      logger.error('登录风险评估中间件错误:', error);
+      req.loginRisk = null;
+      next();
+    }
+  };
+};
+
+/**
+ * 判断本次登录是否被风险评估要求验证码
+ * @param {Object} req - Express请求对象
+ * @returns {boolean} 是否需要验证码
+ */
+const isRiskChallenged = (req) => req.loginRisk?.action === RISK_ACTIONS.CHALLENGE;
+
+module.exports = {
+  createLoginRiskGuard,
+  isRiskChallenged
+};
@@ -21,17 +21,17 @@ function createRateLimiter(config, type = 'general') {
     standardHeaders: config.standardHeaders,
     legacyHeaders: config.legacyHeaders,
     
-    // 自定义键生成器
-    keyGenerator: (req) => {
+    // 键生成器：优先使用配置中的键生成器
+    keyGenerator: config.keyGenerator || ((req) => {
       // 根据类型和用户状态生成不同的限流键
       if (req.user && req.user.id) {
         return `${type}:user:${req.user.id}`;
       }
       return `${type}:ip:${req.ip}`;
-    },
+    }),
     
     // 跳过某些请求的限流
-    skip: (req) => {
+    skip: (req, res) => {
       // 跳过配置中指定的路径
       if (config.skipPaths && config.skipPaths.includes(req.path)) {
         return true;
@@ -42,6 +42,11 @@ function createRateLimiter(config, type = 'general') {
         return true;
       }
       
+      // 配置中的自定义跳过条件
+      if (config.skip) {
+        return config.skip(req, res);
+      }
+      
       return false;
     },
     
@@ -134,6 +139,22 @@ const loginRateLimit = createRateLimiter({
   skipPaths: []
 }, 'login');
 
+/**
+ * 验证码生成限流中间件（防止刷图形验证码和短信轰炸）
+ */
+const captchaRateLimit = createRateLimiter({
+  windowMs: 15 * 60 * 1000, // 15分钟
+  max: 30, // 每15分钟最多30次
+  message: {
+    success: false,
+    message: '验证码请求过于频繁，请稍后再试',
+    error: 'Too many captcha requests'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipPaths: []
+}, 'captcha');
+
 /**
  * 基于IP的限流中间件
  * @param {Object} options - 限流选项
@@ -224,6 +245,7 @@ module.exports = {
   generalRateLimit,
   strictRateLimit,
   loginRateLimit,
+  captchaRateLimit,
   dynamicRateLimit,
   createCustomRateLimit,
   createIPRateLimit,
@@ -0,0 +1,144 @@
+/**
+ * 请求签名校验中间件
+ * 校验API密钥请求的 HMAC-SHA256 签名，拒绝过期时间戳和重放的随机串
+ *
+ * 待签名字符串（各部分以换行分隔）：
+ *   请求方法（大写）\n请求路径（含查询串）\n时间戳（秒）\n随机串\n请求体SHA-256（十六进制）
+ */
+
+const crypto = require('crypto');
+const { redis, PREFIX, generateKey } = require('../../common/redis');
+const { SIGNATURE_CONFIG } = require('../config');
+const { logger } = require('../../common/logger');
+const { SignatureError, CacheError, ERROR_CODES } = require('./errorHandler');
+
+/**
+ * 计算请求体哈希
+ * @param {Buffer|string} rawBody - 原始请求体
+ * @returns {string} SHA-256十六进制哈希，空请求体为空串的哈希
+ */
+function hashBody(rawBody) {
+  return crypto.createHash('sha256').update(rawBody || '').digest('hex');
+}
+
+/**
+ * 构造待签名字符串
+ * @param {Object} parts - { method, path, timestamp, nonce, bodyHash }
+ * @returns {string} 待签名字符串
+ */
+function buildStringToSign({ method, path, timestamp, nonce, bodyHash }) {
+  return [String(method).toUpperCase(), path, timestamp, nonce, bodyHash].join('\n');
+}
+
+/**
+ * 计算签名，商户端可按相同方法签名请求
+ * @param {string} secret - 签名密钥
+ * @param {Object} parts - { method, path, timestamp, nonce, bodyHash }
+ * @returns {string} 十六进制签名
+ */
+function computeSignature(secret, parts) {
+  return crypto.createHmac('sha256', secret).update(buildStringToSign(parts)).digest('hex');
+}
+
+/**
+ * 常量时间比较签名
+ * @param {string} expected - 期望的签名
+ * @param {string} actual - 请求中的签名
+ * @returns {boolean} 是否一致
+ */
+function isSignatureEqual(expected, actual) {
+  const expectedBuffer = Buffer.from(expected, 'hex');
+  const actualBuffer = Buffer.from(String(actual), 'hex');
+  return expectedBuffer.length === actualBuffer.length && crypto.timingSafeEqual(expectedBuffer, actualBuffer);
+}
+
+/**
+ * 登记随机串，同一密钥的随机串在有效期内只能使用一次
+ * @param {number} apiKeyId - 密钥ID
+ * @param {string} nonce - 随机串
+ * @param {number} ttl - 保留时间（秒）
+ * @returns {Promise<boolean>} 是否首次使用
+ */
+async function registerNonce(apiKeyId, nonce, ttl) {
+  const result = await redis.set(generateKey(PREFIX.NONCE, `${apiKeyId}:${nonce}`), 1, 'EX', ttl, 'NX');
+  return result === 'OK';
+}
+
+/**
+ * 创建请求签名校验中间件，需放在认证中间件之后
+ * @param {Object} options - 配置选项
+ * @param {number} options.tolerance - 时间戳允许的最大偏差（秒）
+ * @param {boolean} options.apiKeyOnly - 是否只校验API密钥请求，登录令牌请求直接通过
+ * @returns {Function} Express中间件
+ */
+function createSignatureVerifier(options = {}) {
+  const {
+    tolerance = SIGNATURE_CONFIG.tolerance,
+    apiKeyOnly = true
+  } = options;
+  const { headers } = SIGNATURE_CONFIG;
+
+  return async (req, res, next) => {
+    if (!req.apiKey) {
+      return apiKeyOnly ? next() : next(new SignatureError('该接口只允许使用API密钥签名访问', ERROR_CODES.SIGNATURE_MISSING));
+    }
+
+    const timestamp = req.get(headers.timestamp);
+    const nonce = req.get(headers.nonce);
+    const signature = req.get(headers.signature);
+
+    if (!timestamp || !nonce || !signature) {
+      return next(new SignatureError('缺少请求签名', ERROR_CODES.SIGNATURE_MISSING));
+    }
+
+    const requestTime = Number(timestamp);
+    if (!/^\d+$/.test(timestamp) || Math.abs(Date.now() / 1000 - requestTime) > tolerance) {
+      return next(new SignatureError('请求时间戳已过期', ERROR_CODES.SIGNATURE_EXPIRED));
+    }
+
+    if (!SIGNATURE_CONFIG.noncePattern.test(nonce)) {
+      return next(new SignatureError('随机串格式不正确', ERROR_CODES.SIGNATURE_INVALID));
+    }
+
+    const expected = computeSignature(req.apiKey.signingSecret, {
+      method: req.method,
+      path: req.originalUrl,
+      timestamp,
+      nonce,
+      bodyHash: hashBody(req.rawBody)
+    });
+
+    if (!isSignatureEqual(expected, signature)) {
+      logger.security('商户请求签名校验失败', {
+        apiKeyId: req.apiKey.id,
+        ip: req.ip,
+        path: req.originalUrl
+      });
+      return next(new SignatureError('请求签名无效', ERROR_CODES.SIGNATURE_INVALID));
+    }
+
+    // 签名通过后再登记随机串，避免伪造请求占用合法随机串；保留时间覆盖时间戳前后的整个有效窗口
+    try {
+      if (!await registerNonce(req.apiKey.id, nonce, tolerance * 2)) {
+        logger.security('商户请求随机串重放', {
+          apiKeyId: req.apiKey.id,
+          ip: req.ip,
+          path: req.originalUrl
+        });
+        return next(new SignatureError('请求已被处理，请勿重复提交', ERROR_CODES.NONCE_REPLAYED));
+      }
+    } catch (error) {
+      logger.error('登记请求随机串失败:', error);
+      return next(new CacheError('签名校验服务异常'));
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  createSignatureVerifier,
+  computeSignature,
+  buildStringToSign,
+  hashBody
+};
@@ -6,7 +6,15 @@
 const { validationResult, body, query, param, header } = require('express-validator');
 const { getI18n } = require('../../common/i18n');
 const { logger } = require('../../common/logger');
-const { COMMON_STATUS } = require('../../common/constants/status');
+const { COMMON_STATUS, USER_ROLE, USER_STATUS, MERCHANT_STATUS, PERMISSION_LEVEL } = require('../../common/constants/status');
+const { CAPTCHA_CONFIG } = require('../config');
+const PasswordPolicyService = require('../../app/services/common/PasswordPolicyService');
+
+// 密码格式规则与服务层共用同一份密码策略
+const passwordPolicy = new PasswordPolicyService();
+
+// 权限编码格式：模块:操作，操作可为 * 表示模块全部权限
+const PERMISSION_CODE_PATTERN = /^[a-z][a-z0-9_]*:([a-z0-9_]+|\*)$/;
 
 /**
  * 处理验证结果的中间件
@@ -54,14 +62,53 @@ const rules = {
   
   password: () => body('password')
     .notEmpty().withMessage('密码不能为空')
-    .isLength({ min: 6, max: 20 }).withMessage('密码长度应为6-20个字符')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/).withMessage('密码必须包含大小写字母和数字'),
+    .custom((value, { req }) => {
+      passwordPolicy.assertValid(value, req.body);
+      return true;
+    }),
   
   email: () => body('email')
     .optional({ checkFalsy: true })
     .isEmail().withMessage('邮箱格式不正确')
     .normalizeEmail(),
   
+  requiredEmail: () => body('email')
+    .trim()
+    .notEmpty().withMessage('邮箱不能为空')
+    .isEmail().withMessage('邮箱格式不正确')
+    .normalizeEmail(),
+  
+  newPassword: () => body('newPassword')
+    .notEmpty().withMessage('新密码不能为空')
+    .custom(value => {
+      passwordPolicy.assertValid(value);
+      return true;
+    }),
+  
+  refreshToken: () => body('refreshToken')
+    .notEmpty().withMessage('刷新令牌不能为空')
+    .isJWT().withMessage('刷新令牌格式不正确'),
+  
+  mfaToken: () => body('mfaToken')
+    .notEmpty().withMessage('二次验证令牌不能为空')
+    .isJWT().withMessage('二次验证令牌格式不正确'),
+  
+  verificationCode: () => body('code')
+    .trim()
+    .notEmpty().withMessage('验证码不能为空')
+    .matches(/^\d{6}$/).withMessage('验证码必须是6位数字'),
+  
+  otpChannel: () => body('channel')
+    .trim()
+    .notEmpty().withMessage('验证码渠道不能为空')
+    .isIn(['sms', 'email']).withMessage('不支持的验证码渠道'),
+  
+  otpRecipient: () => body('recipient')
+    .trim()
+    .notEmpty().withMessage('手机号或邮箱不能为空')
+    .custom((value, { req }) => (req.body.channel === 'sms' ? /^1[3-9]\d{9}$/ : /^[^\s@]+@[^\s@]+\.[^\s@]+$/).test(value))
+    .withMessage('手机号或邮箱格式不正确'),
+  
   phone: () => body('phone')
     .optional({ checkFalsy: true })
     .matches(/^1[3-9]\d{9}$/).withMessage('手机号格式不正确'),
@@ -147,6 +194,37 @@ const rules = {
       }
     }),
   
+  // 角色权限验证
+  accountType: (location = 'body', fieldName = 'user_type') => ({ body, query, param })[location](fieldName)
+    .isIn(Object.values(USER_ROLE)).withMessage('账号类型不正确')
+    .toInt(),
+  
+  permissionLevel: () => body('level')
+    .optional()
+    .isIn(Object.values(PERMISSION_LEVEL)).withMessage('权限级别不正确')
+    .toInt(),
+  
+  enableStatus: () => body('status')
+    .optional()
+    .isIn([COMMON_STATUS.DISABLED, COMMON_STATUS.ENABLED]).withMessage('状态值不正确')
+    .toInt(),
+  
+  idList: (fieldName) => [
+    body(fieldName)
+      .isArray().withMessage('ID列表必须是数组'),
+    body(`${fieldName}.*`)
+      .isInt({ min: 1 }).withMessage('ID必须是正整数')
+      .toInt()
+  ],
+  
+  permissionCodes: (fieldName) => [
+    body(fieldName)
+      .isArray().withMessage('权限编码列表必须是数组'),
+    body(`${fieldName}.*`)
+      .isString().withMessage('权限编码格式应为 模块:操作')
+      .matches(PERMISSION_CODE_PATTERN).withMessage('权限编码格式应为 模块:操作')
+  ],
+  
   // 数组验证
   arrayField: (fieldName, itemValidator) => body(fieldName)
     .isArray().withMessage(`${fieldName}必须是数组`)
@@ -237,7 +315,7 @@ const commonValidations = {
   // 登录验证
   login: validate([
     rules.username(),
-    rules.password()
+    body('password').notEmpty().withMessage('密码不能为空') // 登录不校验密码策略，策略调整前设置的密码仍可登录
   ]),
   
   // 注册验证
@@ -247,6 +325,365 @@ const commonValidations = {
     rules.email()
   ]),
   
+  // H5用户注册验证（邮箱必填）
+  userRegister: validate([
+    rules.username(),
+    rules.password(),
+    rules.requiredEmail()
+  ]),
+  
+  // 刷新令牌验证
+  refreshToken: validate([
+    rules.refreshToken()
+  ]),
+  
+  // 忘记密码验证
+  forgotPassword: validate([
+    rules.requiredEmail()
+  ]),
+  
+  // 申请免密登录
+  otpRequest: validate([
+    rules.otpChannel(),
+    rules.otpRecipient(),
+    body('type')
+      .optional()
+      .isIn(['code', 'link']).withMessage('免密登录方式不正确')
+  ]),
+  
+  // 验证码登录
+  otpVerify: validate([
+    rules.otpChannel(),
+    rules.otpRecipient(),
+    rules.verificationCode()
+  ]),
+  
+  // 登录链接登录
+  magicLinkVerify: validate([
+    body('token')
+      .trim()
+      .notEmpty().withMessage('登录链接无效或已过期')
+      .isLength({ max: 64 }).withMessage('登录链接无效或已过期'),
+    body('expires')
+      .isInt({ min: 0 }).withMessage('登录链接无效或已过期'),
+    body('signature')
+      .matches(/^[0-9a-f]{64}$/).withMessage('登录链接无效或已过期')
+  ]),
+  
+  // 第三方登录回调
+  oidcCallback: validate([
+    body('code')
+      .trim()
+      .notEmpty().withMessage('授权码不能为空')
+      .isLength({ max: 2048 }).withMessage('授权码格式不正确'),
+    body('state')
+      .trim()
+      .notEmpty().withMessage('登录状态参数不能为空')
+      .isLength({ max: 128 }).withMessage('登录状态参数格式不正确')
+  ]),
+  
+  // 邮箱验证码校验
+  verifyEmail: validate([
+    rules.requiredEmail(),
+    rules.verificationCode()
+  ]),
+  
+  // 获取验证码
+  captcha: validate([
+    body('scene')
+      .trim()
+      .notEmpty().withMessage('验证码场景不能为空')
+      .isIn(Object.keys(CAPTCHA_CONFIG.scenes)).withMessage('验证码场景不正确'),
+    rules.phone()
+  ]),
+  
+  // 重置密码验证
+  resetPassword: validate([
+    body('token')
+      .trim()
+      .notEmpty().withMessage('重置令牌不能为空')
+      .isHexadecimal().withMessage('重置令牌格式不正确'),
+    rules.newPassword()
+  ]),
+  
+  // 密码过期后设置新密码验证
+  passwordRotate: validate([
+    body('passwordToken')
+      .trim()
+      .notEmpty().withMessage('改密令牌不能为空')
+      .isHexadecimal().withMessage('改密令牌格式不正确'),
+    rules.newPassword()
+  ]),
+
+  // 修改密码验证
+  changePassword: validate([
+    body('currentPassword').notEmpty().withMessage('当前密码不能为空'),
+    rules.newPassword()
+  ]),
+  
+  // 二次验证码校验（已登录状态下的绑定确认、关闭等操作）
+  mfaCode: validate([
+    rules.verificationCode()
+  ]),
+  
+  // 二次验证令牌校验（登录第二步获取绑定密钥）
+  mfaToken: validate([
+    rules.mfaToken()
+  ]),
+  
+  // 登录第二步：验证码或恢复码二选一
+  mfaVerify: validate([
+    rules.mfaToken(),
+    body('code')
+      .optional({ checkFalsy: true })
+      .trim()
+      .matches(/^\d{6}$/).withMessage('验证码必须是6位数字'),
+    body('recoveryCode')
+      .optional({ checkFalsy: true })
+      .trim(),
+    body().custom(value => Boolean(value && (value.code || value.recoveryCode)))
+      .withMessage('验证码和恢复码不能同时为空')
+  ]),
+  
+  // 登录第二步：强制绑定时确认验证器
+  mfaEnrollConfirm: validate([
+    rules.mfaToken(),
+    rules.verificationCode()
+  ]),
+  
+  // 角色列表查询
+  roleList: validate([
+    ...rules.pagination(),
+    rules.accountType('query').optional(),
+    query('keyword').optional().trim().isLength({ max: 50 }).withMessage('搜索关键词长度应为1-50个字符')
+  ]),
+  
+  // 创建角色
+  roleCreate: validate([
+    body('code')
+      .trim()
+      .notEmpty().withMessage('角色编码不能为空')
+      .matches(/^[a-z][a-z0-9_]{1,49}$/).withMessage('角色编码只能包含小写字母、数字和下划线，且以字母开头'),
+    body('name')
+      .trim()
+      .notEmpty().withMessage('角色名称不能为空')
+      .isLength({ max: 50 }).withMessage('角色名称不能超过50个字符'),
+    body('description').optional({ nullable: true }).trim().isLength({ max: 255 }).withMessage('描述不能超过255个字符'),
+    rules.accountType(),
+    rules.permissionLevel(),
+    rules.enableStatus(),
+    ...rules.idList('permissionIds').map(rule => rule.optional())
+  ]),
+  
+  // 更新角色
+  roleUpdate: validate([
+    rules.id(),
+    body('code')
+      .optional()
+      .trim()
+      .matches(/^[a-z][a-z0-9_]{1,49}$/).withMessage('角色编码只能包含小写字母、数字和下划线，且以字母开头'),
+    body('name')
+      .optional()
+      .trim()
+      .notEmpty().withMessage('角色名称不能为空')
+      .isLength({ max: 50 }).withMessage('角色名称不能超过50个字符'),
+    body('description').optional({ nullable: true }).trim().isLength({ max: 255 }).withMessage('描述不能超过255个字符'),
+    rules.accountType().optional(),
+    rules.permissionLevel(),
+    rules.enableStatus()
+  ]),
+  
+  // 设置角色权限
+  rolePermissions: validate([
+    rules.id(),
+    ...rules.idList('permissionIds')
+  ]),
+  
+  // 创建权限
+  permissionCreate: validate([
+    body('code')
+      .trim()
+      .notEmpty().withMessage('权限编码不能为空')
+      .matches(PERMISSION_CODE_PATTERN).withMessage('权限编码格式应为 模块:操作'),
+    body('name')
+      .trim()
+      .notEmpty().withMessage('权限名称不能为空')
+      .isLength({ max: 50 }).withMessage('权限名称不能超过50个字符'),
+    body('module')
+      .trim()
+      .notEmpty().withMessage('所属模块不能为空')
+      .isLength({ max: 50 }).withMessage('所属模块不能超过50个字符'),
+    body('description').optional({ nullable: true }).trim().isLength({ max: 255 }).withMessage('描述不能超过255个字符'),
+    rules.permissionLevel(),
+    rules.enableStatus()
+  ]),
+  
+  // 更新权限
+  permissionUpdate: validate([
+    rules.id(),
+    body('code')
+      .optional()
+      .trim()
+      .matches(PERMISSION_CODE_PATTERN).withMessage('权限编码格式应为 模块:操作'),
+    body('name')
+      .optional()
+      .trim()
+      .notEmpty().withMessage('权限名称不能为空')
+      .isLength({ max: 50 }).withMessage('权限名称不能超过50个字符'),
+    body('module')
+      .optional()
+      .trim()
+      .notEmpty().withMessage('所属模块不能为空')
+      .isLength({ max: 50 }).withMessage('所属模块不能超过50个字符'),
+    body('description').optional({ nullable: true }).trim().isLength({ max: 255 }).withMessage('描述不能超过255个字符'),
+    rules.permissionLevel(),
+    rules.enableStatus()
+  ]),
+  
+  // 账号角色查询
+  accountRoles: validate([
+    rules.accountType('param', 'userType'),
+    param('userId').isInt({ min: 1 }).withMessage('ID必须是正整数').toInt()
+  ]),
+  
+  // 设置账号角色
+  accountRolesUpdate: validate([
+    rules.accountType('param', 'userType'),
+    param('userId').isInt({ min: 1 }).withMessage('ID必须是正整数').toInt(),
+    ...rules.idList('roleIds')
+  ]),
+  
+  // 商户子账号列表查询
+  subAccountList: validate([
+    ...rules.pagination(),
+    query('status').optional().isIn(Object.values(USER_STATUS)).withMessage('状态值不正确').toInt(),
+    query('keyword').optional().trim().isLength({ max: 50 }).withMessage('搜索关键词长度应为1-50个字符')
+  ]),
+  
+  // 邀请商户子账号
+  subAccountInvite: validate([
+    rules.username(),
+    rules.requiredEmail(),
+    ...rules.idList('shopIds').map(rule => rule.optional()),
+    ...rules.permissionCodes('permissionCodes').map(rule => rule.optional())
+  ]),
+  
+  // 更新商户子账号授权
+  subAccountUpdate: validate([
+    rules.id(),
+    ...rules.idList('shopIds').map(rule => rule.optional()),
+    ...rules.permissionCodes('permissionCodes').map(rule => rule.optional())
+  ]),
+  
+  // 启用或停用商户子账号
+  subAccountStatus: validate([
+    rules.id(),
+    body('status')
+      .isIn([COMMON_STATUS.DISABLED, COMMON_STATUS.ENABLED]).withMessage('状态值不正确')
+      .toInt()
+  ]),
+  
+  // 创建商户API密钥
+  apiKeyCreate: validate([
+    body('name')
+      .trim()
+      .notEmpty().withMessage('密钥名称不能为空')
+      .isLength({ max: 50 }).withMessage('密钥名称不能超过50个字符'),
+    ...rules.permissionCodes('scopes').map(rule => rule.optional()),
+    body('expiresAt')
+      .optional({ nullable: true })
+      .isISO8601().withMessage('过期时间格式不正确')
+      .custom(value => new Date(value) > new Date()).withMessage('过期时间必须晚于当前时间')
+      .toDate()
+  ]),
+  
+  // 接受子账号邀请
+  acceptInvitation: validate([
+    body('token')
+      .trim()
+      .notEmpty().withMessage('邀请令牌不能为空')
+      .isHexadecimal().withMessage('邀请令牌格式不正确'),
+    rules.newPassword()
+  ]),
+  
+  // 商户列表查询（总台）
+  merchantList: validate([
+    ...rules.pagination(),
+    query('status').optional().isIn(Object.values(USER_STATUS)).withMessage('状态值不正确').toInt(),
+    query('merchant_status').optional().isIn(Object.values(MERCHANT_STATUS)).withMessage('商户状态值不正确').toInt(),
+    query('keyword').optional().trim().isLength({ max: 50 }).withMessage('搜索关键词长度应为1-50个字符')
+  ]),
+  
+  // 创建商户（总台）
+  merchantCreate: validate([
+    rules.username(),
+    rules.requiredEmail()
+  ]),
+  
+  // 编辑商户（总台）
+  merchantUpdate: validate([
+    rules.id(),
+    rules.username().optional(),
+    rules.requiredEmail().optional()
+  ]),
+  
+  // 商户审核拒绝、暂停营业（总台），原因必填
+  merchantStatusReason: validate([
+    rules.id(),
+    body('reason')
+      .trim()
+      .notEmpty().withMessage('原因不能为空')
+      .isLength({ max: 500 }).withMessage('原因不能超过500个字符')
+  ]),
+  
+  // 商户审核通过、恢复营业（总台），原因可选
+  merchantStatusChange: validate([
+    rules.id(),
+    body('reason')
+      .optional()
+      .trim()
+      .isLength({ max: 500 }).withMessage('原因不能超过500个字符')
+  ]),
+  
+  // 开始模拟登录
+  impersonationStart: validate([
+    body('targetType')
+      .isIn(['merchant', 'user']).withMessage('目标账号类型必须是merchant或user'),
+    body('targetId')
+      .isInt({ min: 1 }).withMessage('目标账号ID必须是正整数')
+      .toInt(),
+    body('reason')
+      .trim()
+      .notEmpty().withMessage('模拟登录原因不能为空')
+      .isLength({ max: 200 }).withMessage('模拟登录原因不能超过200个字符')
+  ]),
+
+  // 结束模拟登录
+  impersonationEnd: validate([
+    param('id').isUUID().withMessage('模拟ID格式不正确')
+  ]),
+
+  // 审计日志查询（总台）
+  auditLogSearch: validate([
+    ...rules.pagination(),
+    ...rules.dateRange(),
+    query('actorId').optional().isInt({ min: 1 }).withMessage('操作人ID必须是正整数').toInt(),
+    query('userId').optional().isInt({ min: 1 }).withMessage('账号ID必须是正整数').toInt(),
+    query('operationType').optional().matches(/^[A-Z_]{1,64}$/).withMessage('操作类型格式不正确'),
+    query('success').optional().isBoolean().withMessage('结果必须是true或false').toBoolean(),
+    query('statusCode').optional().isInt({ min: 100, max: 599 }).withMessage('状态码不正确').toInt(),
+    query('entityType').optional().matches(/^[a-z_]{1,64}$/).withMessage('数据表名格式不正确'),
+    query('entityId')
+      .optional()
+      .isLength({ min: 1, max: 64 }).withMessage('数据记录ID格式不正确')
+      .custom((value, { req }) => {
+        if (!req.query.entityType) {
+          throw new Error('按数据记录ID查询时必须指定数据表名');
+        }
+        return true;
+      })
+  ]),
+
   // 用户更新验证
   updateUser: validate([
     rules.id(),
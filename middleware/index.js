@@ -9,10 +9,15 @@ const rateLimit = require('./core/rateLimit');
 const cache = require('./core/cache');
 const validator = require('./core/validator');
 const errorHandler = require('./core/errorHandler');
+const captcha = require('./core/captcha');
+const signature = require('./core/signature');
+const loginRisk = require('./core/loginRisk');
 
 // 监控中间件
 const performance = require('./monitoring/performance');
 const audit = require('./monitoring/audit');
+const metrics = require('./monitoring/metrics');
+const clusterStats = require('./monitoring/clusterStats');
 
 // 工具函数
 const apiType = require('./utils/apiType');
@@ -34,7 +39,10 @@ const core = {
   rateLimit,
   cache,
   validator,
-  errorHandler
+  errorHandler,
+  captcha,
+  signature,
+  loginRisk
 };
 
 /**
@@ -42,7 +50,9 @@ const core = {
  */
 const monitoring = {
   performance,
-  audit
+  audit,
+  metrics,
+  clusterStats
 };
 
 /**
@@ -70,6 +80,7 @@ const quick = {
   requireAuth: auth.requireAuth,
   requireAdmin: auth.requireAdmin,
   requirePermissions: auth.requirePermissions,
+  forbidImpersonation: auth.forbidImpersonation,
   baseAuth: auth.baseAuth,
   
   // 限流相关
@@ -78,6 +89,7 @@ const quick = {
   generalRateLimit: rateLimit.generalRateLimit,
   strictRateLimit: rateLimit.strictRateLimit,
   loginRateLimit: rateLimit.loginRateLimit,
+  captchaRateLimit: rateLimit.captchaRateLimit,
   
   // 缓存相关
   userDataCache: cache.userDataCache,
@@ -106,9 +118,11 @@ const quick = {
   generalApiType: apiType.generalApiType,
   getApiType: apiType.getApiType,
   isApiType: apiType.isApiType,
+  apiTypeStats: apiType.apiTypeStatsMiddleware,
   
   // 监控
   performanceMonitor: performance.performanceMonitor,
+  metricsEndpoint: metrics.metricsEndpoint,
   basicAudit: audit.basicAudit,
   adminOperationAudit: audit.adminOperationAudit,
   
@@ -129,7 +143,11 @@ const stacks = {
     optionalAuth: userMiddleware.optionalAuth,
     cached: userMiddleware.cached,
     sensitive: userMiddleware.sensitive,
-    login: userMiddleware.login
+    login: userMiddleware.login,
+    forgotPassword: userMiddleware.forgotPassword,
+    verificationEmail: userMiddleware.verificationEmail,
+    otpRequest: userMiddleware.otpRequest,
+    registerCaptcha: userMiddleware.captcha.register
   },
   
   // 管理端栈
@@ -140,7 +158,9 @@ const stacks = {
     batch: adminMiddleware.batch,
     export: adminMiddleware.export,
     cachedQuery: adminMiddleware.cachedQuery,
-    stats: adminMiddleware.stats
+    stats: adminMiddleware.stats,
+    loginRisk: adminMiddleware.risk.login,
+    loginCaptcha: adminMiddleware.captcha.login
   },
 
   // 商户端栈
@@ -151,8 +171,12 @@ const stacks = {
     cached: merchantMiddleware.cached,
     sensitive: merchantMiddleware.sensitive,
     login: merchantMiddleware.login,
+    forgotPassword: merchantMiddleware.forgotPassword,
+    loginRisk: merchantMiddleware.risk.login,
+    loginCaptcha: merchantMiddleware.captcha.login,
     product: merchantMiddleware.product,
-    shopAccess: merchantMiddleware.shopAccess
+    shopAccess: merchantMiddleware.shopAccess,
+    owner: merchantMiddleware.owner
   },
 };
 
@@ -178,7 +202,10 @@ const factories = {
   createValidator: validator.validate,
   createErrorHandler: errorHandler.createErrorHandler,
   createApiType: apiType.createApiTypeMiddleware,
-  createAudit: audit.sensitiveOperationAudit
+  createAudit: audit.sensitiveOperationAudit,
+  createCaptchaGuard: captcha.createCaptchaGuard,
+  createLoginRiskGuard: loginRisk.createLoginRiskGuard,
+  createSignatureVerifier: signature.createSignatureVerifier
 };
 
 /**
@@ -189,9 +216,16 @@ const management = {
   getPerformanceStats: performance.getPerformanceStats,
   resetPerformanceStats: performance.resetPerformanceStats,
   generatePerformanceReport: performance.generatePerformanceReport,
+
+  // 集群运行统计（集群模式下汇总所有工作进程）
+  getClusterStats: clusterStats.getClusterStats,
+
+  // 监控指标（Prometheus 文本格式）
+  getMetrics: metrics.getMetrics,
   
   // 审计日志
   getAuditLogs: audit.getAuditLogs,
+  flushAuditLogs: audit.flushAuditLogs,
   cleanupExpiredLogs: audit.cleanupExpiredLogs,
   
   // API类型统计
@@ -211,7 +245,9 @@ const {
   AUTH_CONFIG, 
   API_TYPE_CONFIG, 
   PERFORMANCE_CONFIG, 
+  METRICS_CONFIG,
   AUDIT_CONFIG, 
+  CAPTCHA_CONFIG,
   ERROR_CONFIG 
 } = config;
 
@@ -248,7 +284,9 @@ module.exports = {
     AUTH_CONFIG,
     API_TYPE_CONFIG,
     PERFORMANCE_CONFIG,
+    METRICS_CONFIG,
     AUDIT_CONFIG,
+    CAPTCHA_CONFIG,
     ERROR_CONFIG
   },
   
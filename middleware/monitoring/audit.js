@@ -5,10 +5,17 @@
 
 const { logger } = require('../../common/logger');
 const { AUDIT_CONFIG } = require('../config');
+const { USER_ROLE } = require('../../common/constants/status');
+const { auditStore } = require('./auditStore');
+const { auditChain } = require('./auditChain');
+const { runWithChangeContext } = require('../../common/mysql/changeTracker');
 const crypto = require('crypto');
 
-// 审计日志存储（内存中临时存储，实际应用中应存储到数据库）
-const auditLogs = [];
+// 请求体等内容中需要脱敏的字段：名称包含这些关键词的字段只记录脱敏值（审计日志有哈希链，写入后不能再删改）
+const SENSITIVE_FIELD_PATTERN = /password|secret|token|hash|otp|code|signature/i;
+
+// 脱敏后的值
+const MASKED_VALUE = '******';
 
 /**
  * 生成操作ID
@@ -67,6 +74,45 @@ function isSensitiveOperation(req, operationType) {
   return false;
 }
 
+/**
+ * 脱敏对象中的敏感字段（递归处理嵌套对象和数组），返回新对象
+ * @param {*} value - 请求体、查询参数等
+ * @returns {*} 脱敏后的值
+ */
+function maskSensitiveFields(value) {
+  if (Array.isArray(value)) {
+    return value.map(maskSensitiveFields);
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    SENSITIVE_FIELD_PATTERN.test(key) ? MASKED_VALUE : maskSensitiveFields(item)
+  ]));
+}
+
+/**
+ * 脱敏URL查询字符串中的敏感参数
+ * @param {string} url - 请求URL（含查询字符串）
+ * @returns {string} 脱敏后的URL
+ */
+function maskSensitiveUrl(url) {
+  const index = url.indexOf('?');
+  if (index === -1) {
+    return url;
+  }
+
+  const params = new URLSearchParams(url.slice(index + 1));
+  for (const key of new Set(params.keys())) {
+    if (SENSITIVE_FIELD_PATTERN.test(key)) {
+      params.set(key, MASKED_VALUE);
+    }
+  }
+  return `${url.slice(0, index)}?${params}`;
+}
+
 /**
  * 提取请求关键信息
  * @param {Object} req - 请求对象
@@ -76,8 +122,8 @@ function extractRequestInfo(req) {
   return {
     method: req.method,
     path: req.path,
-    originalUrl: req.originalUrl,
-    query: req.query,
+    originalUrl: maskSensitiveUrl(req.originalUrl),
+    query: maskSensitiveFields(req.query),
     params: req.params,
     headers: {
       'user-agent': req.get('User-Agent'),
@@ -103,7 +149,7 @@ function extractResponseInfo(res, responseData) {
       'content-length': res.get('Content-Length')
     },
     // 只在配置允许时记录响应体
-    body: AUDIT_CONFIG.logResponseBody ? responseData : undefined
+    body: AUDIT_CONFIG.logResponseBody ? maskSensitiveFields(responseData) : undefined
   };
 }
 
@@ -123,7 +169,9 @@ function createAuditLog(options) {
     duration,
     success,
     error,
-    metadata
+    metadata,
+    impersonation,
+    changes
   } = options;
   
   return {
@@ -133,8 +181,27 @@ function createAuditLog(options) {
       id: userId,
       role: userRole
     },
+    // 实际操作人：模拟登录时为发起模拟的管理员，user 为被模拟的账号
+    actor: impersonation ? {
+      id: impersonation.adminId,
+      role: USER_ROLE.CONSOLE_ADMIN,
+      username: impersonation.adminUsername,
+      impersonating: true
+    } : {
+      id: userId,
+      role: userRole,
+      impersonating: false
+    },
+    impersonation: impersonation ? {
+      id: impersonation.jti,
+      targetType: impersonation.targetType,
+      reason: impersonation.reason,
+      startedAt: impersonation.startedAt
+    } : undefined,
     request,
     response,
+    // 本次操作中已接入变更跟踪的模型的字段级前后值
+    changes: changes && changes.length > 0 ? changes : undefined,
     timing: {
       timestamp: new Date().toISOString(),
       duration
@@ -151,31 +218,69 @@ function createAuditLog(options) {
   };
 }
 
+/**
+ * 将审计日志接入哈希链并写入存储和日志系统
+ * 存储缓冲区已满时记录不入链，只写入 security 日志，存储中的哈希链不会出现缺口
+ * @param {Object} auditLog - 审计日志记录
+ */
+function persistAuditLog(auditLog) {
+  if (!auditStore.hasCapacity()) {
+    logger.security('审计日志（缓冲区已满，未写入存储）', auditLog);
+    return;
+  }
+
+  const chained = auditChain.append(auditLog);
+  
+  // 加入存储缓冲区，按 AUDIT_CONFIG.storage 批量写入持久化存储
+  auditStore.add(chained);
+  
+  // 记录到日志系统
+  logger.security('审计日志', chained);
+}
+
+/**
+ * 为当前链尾生成签名检查点，检查点作为 AUDIT_CHECKPOINT 记录入链，并单独写入 security 日志
+ */
+function writeCheckpoint() {
+  const checkpoint = auditChain.createCheckpoint();
+  if (!checkpoint) {
+    return;
+  }
+  
+  persistAuditLog(createAuditLog({
+    operationId: generateOperationId(),
+    operationType: 'AUDIT_CHECKPOINT',
+    duration: 0,
+    success: true,
+    metadata: { checkpoint }
+  }));
+  logger.security('审计日志检查点', checkpoint);
+}
+
 /**
  * 保存审计日志
  * @param {Object} auditLog - 审计日志记录
  */
 async function saveAuditLog(auditLog) {
   try {
-    // 添加到内存存储（实际应用中应保存到数据库）
-    auditLogs.push(auditLog);
+    persistAuditLog(auditLog);
     
-    // 保持最近1000条记录
-    if (auditLogs.length > 1000) {
-      auditLogs.shift();
+    if (auditChain.isCheckpointDue()) {
+      writeCheckpoint();
     }
     
-    // 记录到日志系统
-    logger.security('审计日志', auditLog);
-    
-    // TODO: 这里应该保存到数据库
-    // await AuditLogModel.create(auditLog);
-    
   } catch (error) {
     logger.error('保存审计日志失败', error);
   }
 }
 
+// 定时检查是否需要生成检查点，不阻止进程退出
+setInterval(() => {
+  if (auditChain.isCheckpointDue()) {
+    writeCheckpoint();
+  }
+}, 60 * 1000).unref();
+
 /**
  * 基础审计中间件
  * @param {Object} req - 请求对象
@@ -198,7 +303,7 @@ const basicAudit = (req, res, next) => {
   
   // 如果配置允许，记录请求体
   if (AUDIT_CONFIG.logRequestBody && req.body) {
-    requestInfo.body = req.body;
+    requestInfo.body = maskSensitiveFields(req.body);
   }
   
   // 拦截响应
@@ -222,7 +327,8 @@ const basicAudit = (req, res, next) => {
       response: responseInfo,
       duration,
       success: res.statusCode < 400,
-      error: res.statusCode >= 400 ? { message: '请求失败', code: res.statusCode } : undefined
+      error: res.statusCode >= 400 ? { message: '请求失败', code: res.statusCode } : undefined,
+      impersonation: req.impersonation
     });
     
     // 异步保存审计日志
@@ -245,99 +351,224 @@ const basicAudit = (req, res, next) => {
 };
 
 /**
- * 敏感操作审计中间件
+ * 拦截响应并在响应时记录敏感操作审计日志
+ * 操作人在响应时读取，认证中间件在其后执行时也能记录到实际身份
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
  * @param {string} operationType - 操作类型
  * @param {Object} options - 审计选项
- * @returns {Function} - 中间件函数
  */
-const sensitiveOperationAudit = (operationType, options = {}) => {
-  return (req, res, next) => {
-    if (!AUDIT_CONFIG.enabled) {
-      return next();
+function installSensitiveAudit(req, res, operationType, options = {}) {
+  const startTime = Date.now();
+  const operationId = req.operationId || generateOperationId();
+  req.operationId = operationId;
+  
+  // 数据变更跟踪上下文，同一请求的多个敏感操作审计共用
+  req.changeContext = req.changeContext || { operationId, changes: [] };
+  
+  // 记录操作开始
+  logger.security('敏感操作开始', {
+    operationId,
+    operationType,
+    userId: req.user?.id,
+    userRole: req.user?.role,
+    impersonatorId: req.impersonation?.adminId,
+    path: req.path,
+    method: req.method,
+    ip: req.ip
+  });
+  
+  // 提取详细的请求信息
+  const requestInfo = {
+    ...extractRequestInfo(req),
+    body: maskSensitiveFields(req.body), // 敏感操作总是记录请求体（已脱敏）
+    timestamp: new Date().toISOString()
+  };
+  
+  // 拦截响应
+  const originalSend = res.send;
+  const originalJson = res.json;
+  
+  // res.json 内部会调用 res.send，每个响应只记录一次
+  let logged = false;
+  
+  const interceptSensitiveResponse = async (data) => {
+    if (logged) {
+      return;
     }
+    logged = true;
     
-    const startTime = Date.now();
-    const operationId = req.operationId || generateOperationId();
+    const endTime = Date.now();
+    const duration = endTime - startTime;
     
-    // 检查是否为敏感操作
-    if (!isSensitiveOperation(req, operationType)) {
-      return next();
-    }
+    const responseInfo = extractResponseInfo(res, data);
+    const success = res.statusCode < 400;
     
-    // 记录操作开始
-    logger.security('敏感操作开始', {
+    // 创建详细的敏感操作审计日志
+    const auditLog = createAuditLog({
       operationId,
       operationType,
       userId: req.user?.id,
       userRole: req.user?.role,
-      path: req.path,
-      method: req.method,
-      ip: req.ip
+      request: requestInfo,
+      response: responseInfo,
+      duration,
+      success,
+      error: !success ? { message: '操作失败', code: res.statusCode } : undefined,
+      metadata: {
+        ...options.metadata,
+        sensitive: true,
+        riskLevel: options.riskLevel || 'medium'
+      },
+      impersonation: req.impersonation,
+      changes: [...req.changeContext.changes]
     });
     
-    // 提取详细的请求信息
-    const requestInfo = {
-      ...extractRequestInfo(req),
-      body: req.body, // 敏感操作总是记录请求体
-      timestamp: new Date().toISOString()
-    };
-    
-    // 拦截响应
-    const originalSend = res.send;
-    const originalJson = res.json;
-    
-    const interceptSensitiveResponse = async (data) => {
-      const endTime = Date.now();
-      const duration = endTime - startTime;
-      
-      const responseInfo = extractResponseInfo(res, data);
-      const success = res.statusCode < 400;
-      
-      // 创建详细的敏感操作审计日志
-      const auditLog = createAuditLog({
-        operationId,
-        operationType,
-        userId: req.user?.id,
-        userRole: req.user?.role,
-        request: requestInfo,
-        response: responseInfo,
-        duration,
-        success,
-        error: !success ? { message: '操作失败', code: res.statusCode } : undefined,
-        metadata: {
-          ...options.metadata,
-          sensitive: true,
-          riskLevel: options.riskLevel || 'medium'
-        }
-      });
-      
-      // 保存审计日志
-      await saveAuditLog(auditLog);
-      
-      // 记录操作完成
-      logger.security('敏感操作完成', {
-        operationId,
-        operationType,
-        success,
-        duration,
-        statusCode: res.statusCode
-      });
-    };
+    // 保存审计日志
+    await saveAuditLog(auditLog);
     
-    res.send = function(data) {
-      interceptSensitiveResponse(data);
-      originalSend.call(this, data);
-    };
+    // 记录操作完成
+    logger.security('敏感操作完成', {
+      operationId,
+      operationType,
+      success,
+      duration,
+      statusCode: res.statusCode
+    });
+  };
+  
+  res.send = function(data) {
+    interceptSensitiveResponse(data);
+    originalSend.call(this, data);
+  };
+  
+  res.json = function(data) {
+    interceptSensitiveResponse(data);
+    originalJson.call(this, data);
+  };
+}
+
+/**
+ * 在数据变更跟踪上下文中继续执行后续中间件，已接入的模型在本请求中的写入会记入敏感操作审计日志
+ * @param {Object} req - 请求对象（已安装敏感操作审计）
+ * @param {Function} next - 下一个中间件
+ */
+const continueWithChangeTracking = (req, next) => {
+  if (!req.changeContext) {
+    return next();
+  }
+  return runWithChangeContext(req.changeContext, next);
+};
+
+/**
+ * 敏感操作审计中间件
+ * @param {string} operationType - 操作类型
+ * @param {Object} options - 审计选项
+ * @returns {Function} - 中间件函数
+ */
+const sensitiveOperationAudit = (operationType, options = {}) => {
+  return (req, res, next) => {
+    if (!AUDIT_CONFIG.enabled) {
+      return next();
+    }
     
-    res.json = function(data) {
-      interceptSensitiveResponse(data);
-      originalJson.call(this, data);
-    };
+    // 检查是否为敏感操作
+    if (!isSensitiveOperation(req, operationType)) {
+      return next();
+    }
     
-    next();
+    installSensitiveAudit(req, res, operationType, options);
+    continueWithChangeTracking(req, next);
   };
 };
 
+/**
+ * 审计模拟登录状态下的请求
+ * 模拟令牌的每个请求都按敏感操作记录，日志中的 actor 为发起模拟的管理员；由认证中间件在识别出模拟令牌后调用，同一请求只记录一次
+ * @param {Object} req - 请求对象（已设置 req.impersonation）
+ * @param {Object} res - 响应对象
+ */
+const auditImpersonatedRequest = (req, res) => {
+  if (!AUDIT_CONFIG.enabled || req.impersonationAudited) {
+    return;
+  }
+
+  req.impersonationAudited = true;
+  installSensitiveAudit(req, res, 'IMPERSONATED_REQUEST', {
+    riskLevel: 'high',
+    metadata: { category: 'impersonation' }
+  });
+};
+
+/**
+ * 记录认证拒绝事件
+ * 认证失败的请求在认证中间件处即被拒绝，不会进入后续的审计中间件，由认证中间件直接调用记录
+ * @param {Object} req - 请求对象
+ * @param {string} operationType - 操作类型
+ * @param {Object} details - 事件详情 { reason, userId, userRole, ... }
+ */
+const recordAuthRejection = (req, operationType, details = {}) => {
+  if (!AUDIT_CONFIG.enabled) {
+    return;
+  }
+
+  const { reason, userId, userRole, ...metadata } = details;
+
+  const auditLog = createAuditLog({
+    operationId: req.operationId || generateOperationId(),
+    operationType,
+    userId,
+    userRole,
+    request: extractRequestInfo(req),
+    response: { statusCode: 401 },
+    duration: 0,
+    success: false,
+    error: { message: reason || '认证被拒绝', code: 401 },
+    metadata: {
+      ...metadata,
+      sensitive: isSensitiveOperation(req, operationType),
+      riskLevel: 'high'
+    },
+    impersonation: req.impersonation
+  });
+
+  saveAuditLog(auditLog).catch(error => {
+    logger.error('异步保存审计日志失败', error);
+  });
+};
+
+/**
+ * 记录不经过HTTP审计中间件的安全事件（如账号锁定），与其他审计日志一样入链保存
+ * @param {string} operationType - 操作类型
+ * @param {Object} details - 事件详情 { userId, userRole, ip, riskLevel, ... }
+ */
+const recordSecurityEvent = (operationType, details = {}) => {
+  if (!AUDIT_CONFIG.enabled) {
+    return;
+  }
+
+  const { userId, userRole, ip, riskLevel, ...metadata } = details;
+
+  const auditLog = createAuditLog({
+    operationId: generateOperationId(),
+    operationType,
+    userId,
+    userRole,
+    request: ip ? { ip } : undefined,
+    duration: 0,
+    success: true,
+    metadata: {
+      ...metadata,
+      sensitive: true,
+      riskLevel: riskLevel || 'high'
+    }
+  });
+
+  saveAuditLog(auditLog).catch(error => {
+    logger.error('异步保存审计日志失败', error);
+  });
+};
+
 /**
  * 管理员操作审计中间件
  */
@@ -355,53 +586,44 @@ const userDataAudit = sensitiveOperationAudit('USER_DATA_OPERATION', {
 });
 
 /**
- * 获取审计日志
- * @param {Object} filters - 过滤条件
- * @returns {Array} - 审计日志列表
+ * 查询审计日志
+ * @param {Object} filters - 过滤条件 { actorId, userId, operationType, startDate, endDate, success, statusCode, entityType, entityId }
+ * @param {Object} pagination - 分页参数 { offset, limit }
+ * @returns {Promise<{rows: Array, total: number}>} - 按时间倒序的审计日志及总数
  */
-const getAuditLogs = (filters = {}) => {
-  let logs = [...auditLogs];
-  
-  // 应用过滤条件
-  if (filters.userId) {
-    logs = logs.filter(log => log.user.id === filters.userId);
-  }
-  
-  if (filters.operationType) {
-    logs = logs.filter(log => log.operationType === filters.operationType);
-  }
-  
-  if (filters.startDate) {
-    logs = logs.filter(log => new Date(log.timing.timestamp) >= new Date(filters.startDate));
-  }
-  
-  if (filters.endDate) {
-    logs = logs.filter(log => new Date(log.timing.timestamp) <= new Date(filters.endDate));
-  }
-  
-  // 按时间倒序排列
-  return logs.sort((a, b) => new Date(b.timing.timestamp) - new Date(a.timing.timestamp));
+const getAuditLogs = async (filters = {}, pagination = { offset: 0, limit: 20 }) => {
+  return await auditStore.query(filters, pagination);
 };
 
+/**
+ * 写入缓冲区中尚未保存的审计日志，进程退出前调用
+ * 先为链尾生成检查点，使退出前的最后一批记录也受检查点保护
+ * @returns {Promise<void>}
+ */
+const flushAuditLogs = () => {
+  writeCheckpoint();
+  return auditStore.flush();
+};
+
+/**
+ * 按写入顺序遍历全部审计日志，供哈希链验证使用
+ * @returns {AsyncGenerator<Object>} 审计日志记录
+ */
+const scanAuditLogs = () => auditStore.scan();
+
 /**
  * 清理过期审计日志
  */
-const cleanupExpiredLogs = () => {
-  const retentionTime = AUDIT_CONFIG.retentionDays * 24 * 60 * 60 * 1000;
-  const cutoffTime = Date.now() - retentionTime;
+const cleanupExpiredLogs = async () => {
+  const cutoff = new Date(Date.now() - AUDIT_CONFIG.retentionDays * 24 * 60 * 60 * 1000);
   
-  const initialCount = auditLogs.length;
-  
-  // 移除过期日志
-  for (let i = auditLogs.length - 1; i >= 0; i--) {
-    if (new Date(auditLogs[i].timing.timestamp).getTime() < cutoffTime) {
-      auditLogs.splice(i, 1);
+  try {
+    const removedCount = await auditStore.cleanup(cutoff);
+    if (removedCount > 0) {
+      logger.info(`清理了 ${removedCount} 条过期审计日志`);
     }
-  }
-  
-  const removedCount = initialCount - auditLogs.length;
-  if (removedCount > 0) {
-    logger.info(`清理了 ${removedCount} 条过期审计日志`);
+  } catch (error) {
+    logger.error('清理过期审计日志失败', error);
   }
 };
 
@@ -411,9 +633,15 @@ setInterval(cleanupExpiredLogs, 24 * 60 * 60 * 1000); // 每天清理一次
 module.exports = {
   basicAudit,
   sensitiveOperationAudit,
+  auditImpersonatedRequest,
+  continueWithChangeTracking,
   adminOperationAudit,
   userDataAudit,
+  recordAuthRejection,
+  recordSecurityEvent,
   getAuditLogs,
+  flushAuditLogs,
+  scanAuditLogs,
   cleanupExpiredLogs,
   generateOperationId,
   isSensitiveOperation
@@ -0,0 +1,275 @@
+/**
+ * 审计日志哈希链
+ * 每条审计日志记录前一条记录的哈希，修改或删除中间任意一条都会使后续记录的哈希对不上；
+ * 定期生成带 HMAC 签名的检查点，固定截至检查点的链尾哈希，检查点同时写入 security 日志作为外部留存。
+ * 每个进程维护独立的链（链ID在进程启动时生成），集群模式下各工作进程互不依赖，验证时按链分别检查
+ */
+
+const crypto = require('crypto');
+const { logger } = require('../../common/logger');
+const { AUDIT_CONFIG } = require('../config');
+
+// 链首记录的前一条哈希
+const GENESIS_HASH = '0'.repeat(64);
+
+/**
+ * 按键名排序序列化，保证记录经过数据库存取（MySQL JSON 字段会调整键顺序）后哈希不变
+ * @param {*} value - 已经过 JSON 规范化的值
+ * @returns {string} 序列化结果
+ */
+function canonicalStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * 计算记录哈希，覆盖除 chain.hash 以外的全部字段（包括链ID、序号和前一条哈希）
+ * @param {Object} entry - 审计日志记录
+ * @returns {string} SHA-256 哈希
+ */
+function computeHash(entry) {
+  const { hash, ...chain } = entry.chain;
+  return crypto.createHash('sha256').update(canonicalStringify({ ...entry, chain })).digest('hex');
+}
+
+/**
+ * 计算检查点签名
+ * @param {Object} checkpoint - 检查点 { chainId, seq, hash, signedAt }
+ * @param {string} secret - 签名密钥
+ * @returns {string} HMAC-SHA256 签名
+ */
+function signCheckpoint(checkpoint, secret) {
+  return crypto.createHmac('sha256', secret)
+    .update(`${checkpoint.chainId}:${checkpoint.seq}:${checkpoint.hash}:${checkpoint.signedAt}`)
+    .digest('hex');
+}
+
+/**
+ * 当前进程的审计日志链
+ */
+class AuditChain {
+  constructor(options) {
+    this.id = crypto.randomUUID();
+    this.seq = 0;
+    this.lastHash = GENESIS_HASH;
+    this.secret = options.secret;
+    this.checkpointEvery = options.checkpointEvery;
+    this.checkpointInterval = options.checkpointInterval;
+    this.lastCheckpointSeq = 0;
+    this.lastCheckpointAt = Date.now();
+    this.missingSecretWarned = false;
+  }
+
+  /**
+   * 把记录接到链尾
+   * 返回记录的规范化副本（已附带 chain 字段），之后保存的必须是这份副本，避免请求对象后续变化导致哈希不一致
+   * @param {Object} entry - 审计日志记录
+   * @returns {Object} 带 chain 字段的记录
+   */
+  append(entry) {
+    const chained = JSON.parse(JSON.stringify(entry));
+    this.seq += 1;
+    chained.chain = { id: this.id, seq: this.seq, prevHash: this.lastHash };
+    chained.chain.hash = computeHash(chained);
+    this.lastHash = chained.chain.hash;
+    return chained;
+  }
+
+  /**
+   * 是否需要生成检查点：距上个检查点的记录数达到阈值，或有新记录且距上个检查点的时间达到间隔
+   * @returns {boolean}
+   */
+  isCheckpointDue() {
+    const pending = this.seq - this.lastCheckpointSeq;
+    return pending >= this.checkpointEvery
+      || (pending > 0 && Date.now() - this.lastCheckpointAt >= this.checkpointInterval);
+  }
+
+  /**
+   * 为当前链尾生成签名检查点
+   * @returns {Object|null} 检查点 { chainId, seq, hash, signedAt, signature }，未配置签名密钥或没有新记录时返回 null
+   */
+  createCheckpoint() {
+    if (this.seq === this.lastCheckpointSeq) {
+      return null;
+    }
+    if (!this.secret) {
+      if (!this.missingSecretWarned) {
+        this.missingSecretWarned = true;
+        logger.warn('未配置 AUDIT_CHAIN_SECRET，审计日志不生成签名检查点');
+      }
+      return null;
+    }
+
+    const checkpoint = {
+      chainId: this.id,
+      seq: this.seq,
+      hash: this.lastHash,
+      signedAt: new Date().toISOString()
+    };
+    checkpoint.signature = signCheckpoint(checkpoint, this.secret);
+
+    // 检查点本身作为下一条记录入链，计入已检查范围
+    this.lastCheckpointSeq = this.seq + 1;
+    this.lastCheckpointAt = Date.now();
+    return checkpoint;
+  }
+}
+
+/**
+ * 验证外部留存的检查点：每条链取序号最大的检查点，签名有效时与存储中的链比较
+ * @param {Array<Object>} checkpoints - 外部留存的检查点（security 日志中的“审计日志检查点”）
+ * @param {string} [secret] - 检查点签名密钥
+ * @returns {Object} { latest: Map<chainId, 检查点>, invalid: 签名无效的检查点|null }
+ */
+function selectExternalCheckpoints(checkpoints, secret) {
+  const latest = new Map();
+
+  for (const checkpoint of checkpoints) {
+    if (secret && signCheckpoint(checkpoint, secret) !== checkpoint.signature) {
+      return { latest, invalid: checkpoint };
+    }
+    const current = latest.get(checkpoint.chainId);
+    if (!current || checkpoint.seq > current.seq) {
+      latest.set(checkpoint.chainId, checkpoint);
+    }
+  }
+
+  return { latest, invalid: null };
+}
+
+/**
+ * 验证审计日志链，遇到第一处断裂即停止
+ * 链首不是第1条时，只有链首早于保留期截止时间才视为按保留期清理，否则视为保留期内的记录被删除；
+ * 提供外部检查点时，每条链须包含最新检查点对应的记录且哈希一致，链尾被截断或整条链被删除都会被发现
+ * （检查点早于保留期截止时间、已按保留期清理的链除外）
+ * @param {AsyncIterable<Object>} entries - 按写入顺序排列的审计日志记录
+ * @param {Object} options - 验证选项
+ * @param {string} [options.secret] - 检查点签名密钥，未提供时不验证检查点签名
+ * @param {Date} [options.retentionCutoff] - 保留期截止时间，未提供时不检查链首
+ * @param {Array<Object>} [options.externalCheckpoints] - 外部留存的检查点
+ * @returns {Promise<Object>} 验证结果 { valid, checked, unchained, chains, checkpoints, externalCheckpoints, prunedHeads, break }
+ */
+async function verifyChain(entries, options = {}) {
+  const chains = new Map();
+  const result = { valid: true, checked: 0, unchained: 0, checkpoints: 0, externalCheckpoints: 0, prunedHeads: [], break: null };
+  const cutoff = options.retentionCutoff ? options.retentionCutoff.getTime() : null;
+
+  const fail = (entry, reason) => {
+    result.valid = false;
+    result.break = {
+      chainId: entry.chain?.id,
+      seq: entry.chain?.seq,
+      operationId: entry.operationId,
+      timestamp: entry.timing?.timestamp,
+      reason
+    };
+  };
+
+  const { latest: external, invalid } = selectExternalCheckpoints(options.externalCheckpoints || [], options.secret);
+  if (invalid) {
+    fail({ chain: { id: invalid.chainId, seq: invalid.seq }, timing: { timestamp: invalid.signedAt } }, '外部检查点签名无效');
+    result.chains = 0;
+    return result;
+  }
+
+  for await (const entry of entries) {
+    // 启用哈希链之前写入的记录
+    if (!entry.chain) {
+      result.unchained += 1;
+      continue;
+    }
+
+    const { id, seq, prevHash, hash } = entry.chain;
+    const state = chains.get(id);
+
+    if (!state) {
+      // 链首之前的记录可能已按保留期清理，此时无法验证与前一条的衔接
+      if (seq !== 1 || prevHash !== GENESIS_HASH) {
+        const timestamp = entry.timing?.timestamp;
+        if (cutoff !== null && !(new Date(timestamp).getTime() < cutoff)) {
+          fail(entry, `链首记录缺失：链从序号 ${seq} 开始，且在保留期内（保留期内的记录被删除）`);
+          break;
+        }
+        result.prunedHeads.push({ chainId: id, seq, timestamp });
+      }
+    } else if (seq !== state.seq + 1) {
+      fail(entry, `序号不连续：应为 ${state.seq + 1}，实际为 ${seq}（记录被删除或顺序被调整）`);
+      break;
+    } else if (prevHash !== state.hash) {
+      fail(entry, '前一条记录哈希不匹配（前一条记录被修改或替换）');
+      break;
+    }
+
+    if (computeHash(entry) !== hash) {
+      fail(entry, '记录哈希不匹配（记录内容被修改）');
+      break;
+    }
+
+    const checkpoint = entry.operationType === 'AUDIT_CHECKPOINT' ? entry.metadata?.checkpoint : null;
+    if (checkpoint) {
+      if (checkpoint.chainId !== id || checkpoint.seq !== seq - 1 || checkpoint.hash !== prevHash) {
+        fail(entry, '检查点与链不一致');
+        break;
+      }
+      if (options.secret && signCheckpoint(checkpoint, options.secret) !== checkpoint.signature) {
+        fail(entry, '检查点签名无效');
+        break;
+      }
+      result.checkpoints += 1;
+    }
+
+    const externalCheckpoint = external.get(id);
+    if (externalCheckpoint && externalCheckpoint.seq === seq && externalCheckpoint.hash !== hash) {
+      fail(entry, '记录哈希与外部检查点不一致（记录被替换）');
+      break;
+    }
+
+    chains.set(id, { seq, hash });
+    result.checked += 1;
+  }
+
+  // 与外部检查点比较链尾：链尾早于检查点说明链尾被截断，链不存在说明整条链被删除
+  if (result.valid) {
+    for (const checkpoint of external.values()) {
+      const state = chains.get(checkpoint.chainId);
+      const expired = cutoff !== null && new Date(checkpoint.signedAt).getTime() < cutoff;
+      const failAt = reason => fail({ chain: { id: checkpoint.chainId, seq: checkpoint.seq }, timing: { timestamp: checkpoint.signedAt } }, reason);
+
+      if (!state) {
+        if (!expired) {
+          failAt('链缺失：外部检查点记录的链在存储中不存在（整条链被删除）');
+          break;
+        }
+        continue;
+      }
+      if (state.seq < checkpoint.seq) {
+        failAt(`链尾记录缺失：外部检查点记录到序号 ${checkpoint.seq}，存储中只到 ${state.seq}（链尾被截断）`);
+        break;
+      }
+      result.externalCheckpoints += 1;
+    }
+  }
+
+  result.chains = chains.size;
+  return result;
+}
+
+const auditChain = new AuditChain({
+  // 生产环境必须单独配置 AUDIT_CHAIN_SECRET（启动时检查），其他环境未配置时使用 JWT_SECRET
+  secret: process.env.AUDIT_CHAIN_SECRET || (process.env.NODE_ENV === 'production' ? null : process.env.JWT_SECRET),
+  checkpointEvery: AUDIT_CONFIG.chain.checkpointEvery,
+  checkpointInterval: AUDIT_CONFIG.chain.checkpointInterval
+});
+
+module.exports = {
+  auditChain,
+  verifyChain,
+  computeHash,
+  GENESIS_HASH
+};
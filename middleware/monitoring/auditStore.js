@@ -0,0 +1,551 @@
+/**
+ * 审计日志存储
+ * 审计日志先写入内存缓冲区，按批量大小或定时写入持久化存储（JSONL文件、MySQL表或MongoDB集合），
+ * 重启后不丢失，集群各工作进程写入同一存储，查询时可以看到全部进程的记录
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { Op, fn, col, where: sqlWhere } = require('sequelize');
+const { logger } = require('../../common/logger');
+const { AUDIT_CONFIG } = require('../config');
+
+/**
+ * 判断审计日志是否满足过滤条件
+ * @param {Object} entry - 审计日志记录
+ * @param {Object} filters - 过滤条件
+ * @returns {boolean} 是否满足
+ */
+function matchesFilters(entry, filters) {
+  if (filters.userId != null && entry.user?.id !== filters.userId) {
+    return false;
+  }
+  if (filters.actorId != null && entry.actor?.id !== filters.actorId) {
+    return false;
+  }
+  if (filters.operationType && entry.operationType !== filters.operationType) {
+    return false;
+  }
+  if (filters.success != null && entry.result?.success !== filters.success) {
+    return false;
+  }
+  if (filters.statusCode != null && entry.response?.statusCode !== filters.statusCode) {
+    return false;
+  }
+  if (filters.entityType && !(entry.changes || []).some(change => change.table === filters.entityType
+    && (filters.entityId == null || change.recordId === String(filters.entityId)))) {
+    return false;
+  }
+
+  const timestamp = new Date(entry.timing?.timestamp);
+  if (filters.startDate && timestamp < new Date(filters.startDate)) {
+    return false;
+  }
+  if (filters.endDate && timestamp > new Date(filters.endDate)) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * JSONL文件存储
+ * 每天一个文件（按UTC日期），每行一条审计日志；查询时按时间范围逐行读取对应日期的文件，适合单机或开发环境
+ */
+class FileAuditSink {
+  constructor(dir) {
+    this.name = 'file';
+    this.dir = path.resolve(process.cwd(), dir);
+    this.filePattern = /^audit-(\d{4}-\d{2}-\d{2})\.jsonl$/;
+    this.defaultQueryDays = 7; // 查询未指定开始时间时，只查询结束时间前7天
+  }
+
+  /**
+   * 获取记录所在的文件名
+   * @param {Object} entry - 审计日志记录
+   * @returns {string} 文件名
+   */
+  getFileName(entry) {
+    return `audit-${new Date(entry.timing.timestamp).toISOString().slice(0, 10)}.jsonl`;
+  }
+
+  /**
+   * 批量写入，每个文件一次追加
+   * @param {Array<Object>} batch - 审计日志记录
+   */
+  async write(batch) {
+    const files = new Map();
+    for (const entry of batch) {
+      const fileName = this.getFileName(entry);
+      files.set(fileName, (files.get(fileName) || '') + JSON.stringify(entry) + '\n');
+    }
+
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    for (const [fileName, content] of files) {
+      await fs.promises.appendFile(path.join(this.dir, fileName), content, 'utf8');
+    }
+  }
+
+  /**
+   * 列出审计日志文件及其日期
+   * @returns {Promise<Array<{fileName: string, date: string}>>} 按日期倒序
+   */
+  async listFiles() {
+    let names;
+    try {
+      names = await fs.promises.readdir(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    return names
+      .map(fileName => ({ fileName, match: this.filePattern.exec(fileName) }))
+      .filter(item => item.match)
+      .map(item => ({ fileName: item.fileName, date: item.match[1] }))
+      .sort((a, b) => b.date.localeCompare(a.date));
+  }
+
+  /**
+   * 逐行读取文件中的记录，跳过进程异常退出时留下的不完整行
+   * @param {string} fileName - 文件名
+   * @returns {AsyncGenerator<Object>} 审计日志记录
+   */
+  async *readEntries(fileName) {
+    const lines = readline.createInterface({
+      input: fs.createReadStream(path.join(this.dir, fileName), { encoding: 'utf8' }),
+      crlfDelay: Infinity
+    });
+
+    for await (const line of lines) {
+      if (!line) {
+        continue;
+      }
+      try {
+        yield JSON.parse(line);
+      } catch (error) {
+        continue;
+      }
+    }
+  }
+
+  /**
+   * 统计文件中满足条件的记录数
+   * @param {string} fileName - 文件名
+   * @param {Object} filters - 过滤条件
+   * @returns {Promise<number>} 记录数
+   */
+  async countMatches(fileName, filters) {
+    let count = 0;
+    for await (const entry of this.readEntries(fileName)) {
+      if (matchesFilters(entry, filters)) {
+        count++;
+      }
+    }
+    return count;
+  }
+
+  /**
+   * 查询审计日志
+   * 未指定时间范围时只查询最近7天（只指定结束时间时为结束时间前7天）。文件从新到旧逐行读取，内存中只保留当前页的记录：
+   * 先统计每个文件的匹配数，只有当前页落在该文件内时才再读一遍取出记录；已读文件的匹配数超过 offset + limit 后不再读取更早的文件。
+   * 因此 total 为已读文件中的匹配数：大于 offset + limit 时表示至少还有下一页，不是精确总数；读完范围内全部文件时才是精确总数
+   * @param {Object} filters - 过滤条件
+   * @param {Object} pagination - 分页参数 { offset, limit }
+   * @returns {Promise<{rows: Array, total: number}>} 查询结果
+   */
+  async query(filters, { offset, limit }) {
+    const endDate = filters.endDate ? new Date(filters.endDate) : new Date();
+    const startDate = filters.startDate
+      ? new Date(filters.startDate)
+      : new Date(endDate.getTime() - this.defaultQueryDays * 24 * 60 * 60 * 1000);
+    const range = { ...filters, startDate, endDate };
+    const startDay = startDate.toISOString().slice(0, 10);
+    const endDay = endDate.toISOString().slice(0, 10);
+
+    const files = (await this.listFiles())
+      .filter(file => file.date >= startDay && file.date <= endDay);
+
+    const rows = [];
+    let total = 0;
+    for (const file of files) {
+      if (total > offset + limit) {
+        break;
+      }
+
+      const count = await this.countMatches(file.fileName, range);
+      const before = total;
+      total += count;
+      if (count === 0 || total <= offset || before >= offset + limit) {
+        continue;
+      }
+
+      // 文件内按写入顺序（时间升序），第 index 条匹配记录在倒序结果中的位置为 before + count - 1 - index
+      const pageRows = [];
+      let index = 0;
+      for await (const entry of this.readEntries(file.fileName)) {
+        if (!matchesFilters(entry, range)) {
+          continue;
+        }
+        const position = before + count - 1 - index;
+        index++;
+        if (position >= offset && position < offset + limit) {
+          pageRows.push(entry);
+        }
+      }
+      rows.push(...pageRows.reverse());
+    }
+
+    return { rows, total };
+  }
+
+  /**
+   * 按写入顺序遍历全部记录（文件按日期升序，文件内按行）
+   * 不完整的行不是有效记录，由哈希链验证发现缺失
+   * @returns {AsyncGenerator<Object>} 审计日志记录
+   */
+  async *scan() {
+    const files = (await this.listFiles()).reverse();
+    for (const file of files) {
+      yield* this.readEntries(file.fileName);
+    }
+  }
+
+  /**
+   * 删除早于截止时间的文件
+   * @param {Date} cutoff - 截止时间
+   * @returns {Promise<number>} 删除的文件数
+   */
+  async cleanup(cutoff) {
+    const cutoffDay = cutoff.toISOString().slice(0, 10);
+    const expired = (await this.listFiles()).filter(file => file.date < cutoffDay);
+    for (const file of expired) {
+      await fs.promises.unlink(path.join(this.dir, file.fileName));
+    }
+    return expired.length;
+  }
+}
+
+/**
+ * MySQL存储（audit_logs表）
+ * 常用过滤字段单独成列并建索引，完整记录保存在 entry 字段
+ */
+class MysqlAuditSink {
+  constructor() {
+    this.name = 'mysql';
+  }
+
+  /**
+   * 获取审计日志模型
+   * 延迟加载，避免中间件模块加载时依赖模型初始化顺序
+   * @returns {Object} AuditLog 模型
+   */
+  getModel() {
+    return require('../../app/models').auditLogModel;
+  }
+
+  async write(batch) {
+    await this.getModel().bulkCreate(batch.map(entry => ({
+      operation_id: entry.operationId,
+      operation_type: entry.operationType,
+      user_id: entry.user?.id ?? null,
+      user_role: entry.user?.role ?? null,
+      actor_id: entry.actor?.id ?? null,
+      actor_role: entry.actor?.role ?? null,
+      impersonation_id: entry.impersonation?.id ?? null,
+      method: entry.request?.method,
+      path: entry.request?.originalUrl?.slice(0, 500),
+      ip: entry.request?.ip,
+      status_code: entry.response?.statusCode ?? null,
+      success: Boolean(entry.result?.success),
+      risk_level: entry.metadata?.riskLevel ?? null,
+      duration: entry.timing?.duration ?? null,
+      entry,
+      created_at: new Date(entry.timing.timestamp)
+    })));
+  }
+
+  async query(filters, { offset, limit }) {
+    const where = {};
+    if (filters.userId != null) where.user_id = filters.userId;
+    if (filters.actorId != null) where.actor_id = filters.actorId;
+    if (filters.operationType) where.operation_type = filters.operationType;
+    if (filters.success != null) where.success = filters.success;
+    if (filters.statusCode != null) where.status_code = filters.statusCode;
+    if (filters.startDate || filters.endDate) {
+      where.created_at = {};
+      if (filters.startDate) where.created_at[Op.gte] = new Date(filters.startDate);
+      if (filters.endDate) where.created_at[Op.lte] = new Date(filters.endDate);
+    }
+    if (filters.entityType) {
+      // changes 数组中存在匹配的表和记录ID
+      const change = { table: filters.entityType };
+      if (filters.entityId != null) change.recordId = String(filters.entityId);
+      where[Op.and] = [sqlWhere(fn('JSON_CONTAINS', col('entry'), JSON.stringify({ changes: [change] })), 1)];
+    }
+
+    const { rows, count } = await this.getModel().findAndCountAll({
+      where,
+      attributes: ['entry'],
+      order: [['created_at', 'DESC'], ['id', 'DESC']],
+      offset,
+      limit
+    });
+
+    return { rows: rows.map(row => row.entry), total: count };
+  }
+
+  async *scan() {
+    let lastId = 0;
+    for (;;) {
+      const rows = await this.getModel().findAll({
+        where: { id: { [Op.gt]: lastId } },
+        attributes: ['id', 'entry'],
+        order: [['id', 'ASC']],
+        limit: 1000
+      });
+      if (rows.length === 0) {
+        return;
+      }
+      for (const row of rows) {
+        yield row.entry;
+      }
+      lastId = rows[rows.length - 1].id;
+    }
+  }
+
+  async cleanup(cutoff) {
+    return await this.getModel().destroy({ where: { created_at: { [Op.lt]: cutoff } } });
+  }
+}
+
+/**
+ * MongoDB存储（audit_logs集合）
+ * 记录按原结构保存，另加 createdAt 用于时间范围查询和排序；MongoDB未连接时写入失败，记录留在缓冲区等待重试
+ */
+class MongoAuditSink {
+  constructor() {
+    this.name = 'mongo';
+    this.model = null;
+  }
+
+  /**
+   * 获取审计日志集合模型，首次使用时定义
+   * @returns {Object} mongoose 模型
+   */
+  getModel() {
+    const mongodb = require('../../common/mango');
+    if (!mongodb.isConnected()) {
+      throw new Error('审计日志存储不可用：MongoDB未连接');
+    }
+
+    if (!this.model) {
+      const { mongoose } = mongodb;
+      const schema = new mongoose.Schema({
+        operationId: String,
+        operationType: String,
+        createdAt: Date
+      }, { collection: 'audit_logs', strict: false, versionKey: false });
+
+      schema.index({ createdAt: -1 });
+      schema.index({ 'actor.id': 1, createdAt: -1 });
+      schema.index({ 'user.id': 1, createdAt: -1 });
+      schema.index({ operationType: 1, createdAt: -1 });
+
+      this.model = mongoose.models.AuditLog || mongoose.model('AuditLog', schema);
+    }
+    return this.model;
+  }
+
+  async write(batch) {
+    await this.getModel().insertMany(
+      batch.map(entry => ({ ...entry, createdAt: new Date(entry.timing.timestamp) })),
+      { ordered: false }
+    );
+  }
+
+  async query(filters, { offset, limit }) {
+    const condition = {};
+    if (filters.userId != null) condition['user.id'] = filters.userId;
+    if (filters.actorId != null) condition['actor.id'] = filters.actorId;
+    if (filters.operationType) condition.operationType = filters.operationType;
+    if (filters.success != null) condition['result.success'] = filters.success;
+    if (filters.statusCode != null) condition['response.statusCode'] = filters.statusCode;
+    if (filters.startDate || filters.endDate) {
+      condition.createdAt = {};
+      if (filters.startDate) condition.createdAt.$gte = new Date(filters.startDate);
+      if (filters.endDate) condition.createdAt.$lte = new Date(filters.endDate);
+    }
+    if (filters.entityType) {
+      const change = { table: filters.entityType };
+      if (filters.entityId != null) change.recordId = String(filters.entityId);
+      condition.changes = { $elemMatch: change };
+    }
+
+    const model = this.getModel();
+    const [rows, total] = await Promise.all([
+      model.find(condition, { _id: 0, createdAt: 0 }).sort({ createdAt: -1 }).skip(offset).limit(limit).lean(),
+      model.countDocuments(condition)
+    ]);
+
+    return { rows, total };
+  }
+
+  async *scan() {
+    yield* this.getModel().find({}, { _id: 0, createdAt: 0 }).sort({ _id: 1 }).lean().cursor();
+  }
+
+  async cleanup(cutoff) {
+    const result = await this.getModel().deleteMany({ createdAt: { $lt: cutoff } });
+    return result.deletedCount;
+  }
+}
+
+/**
+ * 创建存储实现
+ * @param {Object} storage - 存储配置（AUDIT_CONFIG.storage）
+ * @returns {Object} 存储实现
+ */
+function createSink(storage) {
+  switch (storage.sink) {
+    case 'mysql':
+      return new MysqlAuditSink();
+    case 'mongo':
+      return new MongoAuditSink();
+    case 'file':
+      return new FileAuditSink(storage.fileDir);
+    default:
+      logger.warn(`未知的审计日志存储方式 ${storage.sink}，使用文件存储`);
+      return new FileAuditSink(storage.fileDir);
+  }
+}
+
+/**
+ * 带批量写入缓冲的审计日志存储
+ */
+class AuditStore {
+  constructor(sink, storage) {
+    this.sink = sink;
+    this.batchSize = storage.batchSize;
+    this.maxBufferSize = storage.maxBufferSize;
+    this.buffer = [];
+    this.flushing = null;
+    // 正在写入的记录数，写入失败时会放回缓冲区，计入缓冲区容量
+    this.inFlight = 0;
+    // 缓冲区已满期间未接收的记录数
+    this.rejected = 0;
+
+    // 定时写入，不阻止进程退出
+    this.timer = setInterval(() => this.flush(), storage.flushInterval);
+    this.timer.unref();
+  }
+
+  /**
+   * 检查缓冲区能否接收新记录
+   * 存储长时间不可用时缓冲区会达到上限：此时不再接收新记录，而不是丢弃已入链的记录，
+   * 调用方应在记录入链前检查，使存储中的哈希链保持连续
+   * @returns {boolean} 是否可以接收
+   */
+  hasCapacity() {
+    if (this.buffer.length + this.inFlight < this.maxBufferSize) {
+      return true;
+    }
+
+    if (this.rejected === 0) {
+      logger.error('审计日志缓冲区已满，暂停写入新记录', { sink: this.sink.name, pending: this.buffer.length + this.inFlight });
+    }
+    this.rejected++;
+    return false;
+  }
+
+  /**
+   * 加入缓冲区，达到批量大小时立即写入
+   * @param {Object} entry - 审计日志记录（调用方已通过 hasCapacity 检查）
+   */
+  add(entry) {
+    this.buffer.push(entry);
+
+    if (this.buffer.length >= this.batchSize) {
+      this.flush();
+    }
+  }
+
+  /**
+   * 写入缓冲区中的全部记录
+   * 同一时间只有一个写入过程，写入期间新加入的记录也会在本次写完
+   * @returns {Promise<void>}
+   */
+  flush() {
+    if (!this.flushing) {
+      this.flushing = this.drain().finally(() => {
+        this.flushing = null;
+      });
+    }
+    return this.flushing;
+  }
+
+  /**
+   * 分批写入，失败时把本批放回缓冲区，等待下次定时写入重试
+   */
+  async drain() {
+    while (this.buffer.length > 0) {
+      const batch = this.buffer.splice(0, this.batchSize);
+      this.inFlight = batch.length;
+      try {
+        await this.sink.write(batch);
+      } catch (error) {
+        this.buffer.unshift(...batch);
+        logger.error('写入审计日志失败，稍后重试', {
+          sink: this.sink.name,
+          pending: this.buffer.length,
+          error: error.message
+        });
+        return;
+      } finally {
+        this.inFlight = 0;
+      }
+
+      if (this.rejected > 0) {
+        logger.warn('审计日志缓冲区恢复接收新记录', { sink: this.sink.name, rejected: this.rejected });
+        this.rejected = 0;
+      }
+    }
+  }
+
+  /**
+   * 查询审计日志，查询前先写入缓冲区中的记录
+   * @param {Object} filters - 过滤条件
+   * @param {Object} pagination - 分页参数 { offset, limit }
+   * @returns {Promise<{rows: Array, total: number}>} 按时间倒序的查询结果
+   */
+  async query(filters, pagination) {
+    await this.flush();
+    return await this.sink.query(filters, pagination);
+  }
+
+  /**
+   * 按写入顺序遍历全部记录，遍历前先写入缓冲区中的记录
+   * @returns {AsyncGenerator<Object>} 审计日志记录
+   */
+  async *scan() {
+    await this.flush();
+    yield* this.sink.scan();
+  }
+
+  /**
+   * 删除早于截止时间的记录
+   * @param {Date} cutoff - 截止时间
+   * @returns {Promise<number>} 删除数量
+   */
+  async cleanup(cutoff) {
+    return await this.sink.cleanup(cutoff);
+  }
+}
+
+const auditStore = new AuditStore(createSink(AUDIT_CONFIG.storage), AUDIT_CONFIG.storage);
+
+module.exports = {
+  auditStore
+};
@@ -0,0 +1,79 @@
+/**
+ * 集群运行统计
+ * 性能统计和API类型统计按进程分别计数，集群模式下通过主进程收集所有工作进程的快照，
+ * 返回合并后的整体数据和各工作进程的明细；单进程模式下只有当前进程
+ */
+
+const { getWorkerId, registerSnapshotProvider, collectClusterSnapshots } = require('../../common/cluster');
+const { getPerformanceStats, mergePerformanceStats } = require('./performance');
+const { getApiTypeStats, mergeApiTypeStats } = require('../utils/apiType');
+const { PERFORMANCE_CONFIG } = require('../config');
+
+/**
+ * 生成当前进程的统计快照
+ * @returns {Object} 快照 { worker, pid, performance, apiTypes }
+ */
+function collectStatsSnapshot() {
+  return {
+    worker: getWorkerId(),
+    pid: process.pid,
+    performance: getPerformanceStats(),
+    apiTypes: getApiTypeStats()
+  };
+}
+
+registerSnapshotProvider('stats', collectStatsSnapshot);
+
+/**
+ * 生成单个工作进程的统计摘要
+ * @param {Object} snapshot - 统计快照
+ * @returns {Object} 统计摘要
+ */
+function summarizeWorker({ worker, pid, performance, apiTypes }) {
+  const { requests, responseTime, memory, errors, slowRequests, uptime } = performance;
+
+  return {
+    worker,
+    pid,
+    uptime,
+    requests: {
+      total: requests.total,
+      success: requests.success,
+      error: requests.error
+    },
+    responseTime: {
+      avg: responseTime.avg,
+      min: responseTime.count > 0 ? responseTime.min : 0,
+      max: responseTime.max,
+      percentiles: responseTime.percentiles
+    },
+    memory,
+    errors: errors.total,
+    slowRequests: slowRequests.length,
+    apiTypes
+  };
+}
+
+/**
+ * 获取集群运行统计
+ * @returns {Promise<Object>} { workerCount, missingWorkers, combined: { performance, apiTypes }, workers }
+ *   missingWorkers 为超时未返回的工作进程，为 null 时表示主进程未响应，结果只包含当前工作进程
+ */
+async function getClusterStats() {
+  const { snapshots, missingWorkers } = await collectClusterSnapshots('stats', PERFORMANCE_CONFIG.clusterTimeout);
+  const sorted = [...snapshots].sort((a, b) => Number(a.worker) - Number(b.worker));
+
+  return {
+    workerCount: sorted.length,
+    missingWorkers,
+    combined: {
+      performance: mergePerformanceStats(sorted.map(snapshot => ({ worker: snapshot.worker, stats: snapshot.performance }))),
+      apiTypes: mergeApiTypeStats(sorted.map(snapshot => snapshot.apiTypes))
+    },
+    workers: sorted.map(summarizeWorker)
+  };
+}
+
+module.exports = {
+  getClusterStats
+};
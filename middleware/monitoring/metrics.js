@@ -0,0 +1,165 @@
+/**
+ * 监控指标中间件
+ * 提供 Prometheus 格式的 /metrics 接口：请求耗时、缓存和数据库耗时直方图由各模块记录到 common/metrics，
+ * 进程指标在采集时读取；集群模式下通过主进程向所有工作进程收集快照后合并输出
+ */
+
+const crypto = require('crypto');
+const { monitorEventLoopDelay } = require('perf_hooks');
+const { logger } = require('../../common/logger');
+const { registry, mergeSnapshots, renderMetrics } = require('../../common/metrics');
+const { getWorkerId, registerSnapshotProvider, collectClusterSnapshots } = require('../../common/cluster');
+const { METRICS_CONFIG } = require('../config');
+
+// 进程指标，集群模式下按工作进程分别输出
+const processMetrics = {
+  cpuUser: registry.counter({
+    name: 'process_cpu_user_seconds_total',
+    help: '进程用户态CPU时间（秒）',
+    perWorker: true
+  }),
+  cpuSystem: registry.counter({
+    name: 'process_cpu_system_seconds_total',
+    help: '进程内核态CPU时间（秒）',
+    perWorker: true
+  }),
+  residentMemory: registry.gauge({
+    name: 'process_resident_memory_bytes',
+    help: '进程常驻内存（字节）',
+    perWorker: true
+  }),
+  heapUsed: registry.gauge({
+    name: 'nodejs_heap_size_used_bytes',
+    help: 'V8堆已使用大小（字节）',
+    perWorker: true
+  }),
+  heapTotal: registry.gauge({
+    name: 'nodejs_heap_size_total_bytes',
+    help: 'V8堆总大小（字节）',
+    perWorker: true
+  }),
+  externalMemory: registry.gauge({
+    name: 'nodejs_external_memory_bytes',
+    help: 'V8管理的外部内存（字节）',
+    perWorker: true
+  }),
+  eventLoopDelay: registry.gauge({
+    name: 'nodejs_eventloop_delay_seconds',
+    help: '两次采集之间的事件循环延迟（秒）',
+    labelNames: ['quantile'],
+    perWorker: true
+  }),
+  uptime: registry.gauge({
+    name: 'process_uptime_seconds',
+    help: '进程运行时间（秒）',
+    perWorker: true
+  }),
+  startTime: registry.gauge({
+    name: 'process_start_time_seconds',
+    help: '进程启动时间（Unix时间戳，秒）',
+    perWorker: true
+  })
+};
+
+// 事件循环延迟采样
+const eventLoopDelay = monitorEventLoopDelay({ resolution: 20 });
+eventLoopDelay.enable();
+
+// 上次采集时的CPU时间（微秒），CPU计数器按差值累加
+let lastCpuUsage = { user: 0, system: 0 };
+
+/**
+ * 更新进程指标
+ * 直接读取进程状态，不经过 getPerformanceStats，避免每次采集都触发内存告警日志
+ */
+function updateProcessMetrics() {
+  const memory = process.memoryUsage();
+  const cpuUsage = process.cpuUsage();
+  const uptime = process.uptime();
+
+  processMetrics.cpuUser.inc({}, (cpuUsage.user - lastCpuUsage.user) / 1e6);
+  processMetrics.cpuSystem.inc({}, (cpuUsage.system - lastCpuUsage.system) / 1e6);
+  lastCpuUsage = cpuUsage;
+
+  processMetrics.residentMemory.set({}, memory.rss);
+  processMetrics.heapUsed.set({}, memory.heapUsed);
+  processMetrics.heapTotal.set({}, memory.heapTotal);
+  processMetrics.externalMemory.set({}, memory.external);
+
+  // 直方图单位为纳秒，没有采样时各值为 NaN
+  if (eventLoopDelay.count > 0) {
+    processMetrics.eventLoopDelay.set({ quantile: '0.5' }, eventLoopDelay.percentile(50) / 1e9);
+    processMetrics.eventLoopDelay.set({ quantile: '0.99' }, eventLoopDelay.percentile(99) / 1e9);
+    processMetrics.eventLoopDelay.set({ quantile: '1' }, eventLoopDelay.max / 1e9);
+    eventLoopDelay.reset();
+  }
+
+  processMetrics.uptime.set({}, uptime);
+  processMetrics.startTime.set({}, Math.round(Date.now() / 1000 - uptime));
+}
+
+/**
+ * 生成当前进程的指标快照
+ * @returns {Object} 快照 { worker, metrics }
+ */
+function collectLocalSnapshot() {
+  updateProcessMetrics();
+  return registry.snapshot(getWorkerId());
+}
+
+registerSnapshotProvider('metrics', collectLocalSnapshot);
+
+/**
+ * 获取 Prometheus 文本格式的指标（集群模式下为所有工作进程的汇总）
+ * @returns {Promise<string>} 指标文本
+ */
+async function getMetrics() {
+  const { snapshots, missingWorkers } = await collectClusterSnapshots('metrics', METRICS_CONFIG.clusterTimeout);
+  if (missingWorkers === null) {
+    logger.warn('集群监控指标汇总超时，仅返回当前工作进程的指标', { workerId: getWorkerId() });
+  }
+  return renderMetrics(mergeSnapshots(snapshots));
+}
+
+/**
+ * 校验访问令牌
+ * @param {string} authorization - Authorization 请求头
+ * @returns {boolean} 是否有效
+ */
+function isTokenValid(authorization) {
+  const [scheme, token] = String(authorization || '').split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    return false;
+  }
+
+  // 先计算哈希再比较，保证长度一致
+  const expected = crypto.createHash('sha256').update(METRICS_CONFIG.token).digest();
+  const actual = crypto.createHash('sha256').update(token).digest();
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * 监控指标接口
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ * @param {Function} next - 下一个中间件
+ */
+const metricsEndpoint = async (req, res, next) => {
+  if (METRICS_CONFIG.token && !isTokenValid(req.get('Authorization'))) {
+    return res.sendUnauthorized('监控指标访问令牌无效');
+  }
+
+  try {
+    const body = await getMetrics();
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(body);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  metricsEndpoint,
+  getMetrics,
+  collectLocalSnapshot
+};
@@ -4,6 +4,7 @@
  */
 
 const { logger } = require('../../common/logger');
+const { metrics } = require('../../common/metrics');
 const { PERFORMANCE_CONFIG } = require('../config');
 const os = require('os');
 
@@ -53,6 +54,27 @@ const performanceStats = {
   slowRequests: []
 };
 
+/**
+ * 计算响应时间百分位数
+ * @param {Array<number>} samples - 响应时间样本（毫秒）
+ * @returns {Object} { p50, p90, p95, p99 }，没有样本时均为0
+ */
+function calculatePercentiles(samples) {
+  if (samples.length === 0) {
+    return { p50: 0, p90: 0, p95: 0, p99: 0 };
+  }
+
+  const sorted = [...samples].sort((a, b) => a - b);
+  const len = sorted.length;
+
+  return {
+    p50: sorted[Math.floor(len * 0.5)],
+    p90: sorted[Math.floor(len * 0.9)],
+    p95: sorted[Math.floor(len * 0.95)],
+    p99: sorted[Math.floor(len * 0.99)]
+  };
+}
+
 /**
  * 更新响应时间统计
  * @param {number} responseTime - 响应时间（毫秒）
@@ -73,15 +95,7 @@ function updateResponseTimeStats(responseTime) {
   }
   
   // 计算百分位数
-  if (stats.recent.length > 0) {
-    const sorted = [...stats.recent].sort((a, b) => a - b);
-    const len = sorted.length;
-    
-    stats.percentiles.p50 = sorted[Math.floor(len * 0.5)];
-    stats.percentiles.p90 = sorted[Math.floor(len * 0.9)];
-    stats.percentiles.p95 = sorted[Math.floor(len * 0.95)];
-    stats.percentiles.p99 = sorted[Math.floor(len * 0.99)];
-  }
+  stats.percentiles = calculatePercentiles(stats.recent);
 }
 
 /**
@@ -148,6 +162,7 @@ function recordError(error, req) {
   
   const errorType = error.errorType || error.name || 'Unknown';
   stats.byType[errorType] = (stats.byType[errorType] || 0) + 1;
+  metrics.httpErrors.inc({ type: errorType });
   
   // 记录最近的错误
   stats.recent.push({
@@ -223,6 +238,14 @@ const performanceMonitor = (req, res, next) => {
     
     // 更新响应时间统计
     updateResponseTimeStats(responseTimeMs);
+
+    // 记录请求耗时指标，路由取匹配到的路由模板（不含路径参数的实际值），避免标签数量无限增长
+    metrics.httpRequestDuration.observe({
+      route: req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched',
+      method: req.method,
+      status: res.statusCode,
+      api_type: requestInfo.apiType
+    }, responseTimeMs / 1000);
     
     // 检查是否为慢请求
     if (responseTimeMs > PERFORMANCE_CONFIG.slowRequestThreshold) {
@@ -321,6 +344,86 @@ const resetPerformanceStats = () => {
   logger.info('性能统计数据已重置');
 };
 
+/**
+ * 按键累加计数对象
+ * @param {Array<Object>} counters - 计数对象列表，如各进程的 byMethod
+ * @returns {Object} 累加结果
+ */
+function sumCounters(counters) {
+  return counters.reduce((result, counter) => {
+    Object.entries(counter || {}).forEach(([key, value]) => {
+      result[key] = (result[key] || 0) + value;
+    });
+    return result;
+  }, {});
+}
+
+/**
+ * 合并多个进程的性能统计数据（集群模式下汇总各工作进程）
+ * 计数累加；响应时间百分位数按各进程最近的响应时间样本合并计算；内存和CPU为各进程之和；
+ * 最近的错误和慢请求按时间合并，并标注所属工作进程
+ * @param {Array<{worker: string|null, stats: Object}>} entries - 各进程的性能统计数据（getPerformanceStats 的结果）
+ * @returns {Object} 合并后的性能统计数据（不含响应时间样本）
+ */
+const mergePerformanceStats = (entries) => {
+  const statsList = entries.map(entry => entry.stats);
+  const withWorker = (records, worker) => records.map(record => ({ ...record, worker }));
+
+  const responseTimes = statsList.map(stats => stats.responseTime);
+  const total = responseTimes.reduce((sum, item) => sum + item.total, 0);
+  const count = responseTimes.reduce((sum, item) => sum + item.count, 0);
+  // 经过进程间传递后没有数据的 min（Infinity）会变为 null
+  const minValues = responseTimes.filter(item => item.count > 0).map(item => item.min);
+
+  return {
+    requests: {
+      total: statsList.reduce((sum, stats) => sum + stats.requests.total, 0),
+      success: statsList.reduce((sum, stats) => sum + stats.requests.success, 0),
+      error: statsList.reduce((sum, stats) => sum + stats.requests.error, 0),
+      byMethod: sumCounters(statsList.map(stats => stats.requests.byMethod)),
+      byRoute: sumCounters(statsList.map(stats => stats.requests.byRoute)),
+      byStatusCode: sumCounters(statsList.map(stats => stats.requests.byStatusCode)),
+      byApiType: sumCounters(statsList.map(stats => stats.requests.byApiType))
+    },
+    responseTime: {
+      total,
+      count,
+      min: minValues.length > 0 ? Math.min(...minValues) : 0,
+      max: Math.max(0, ...responseTimes.map(item => item.max)),
+      avg: count > 0 ? total / count : 0,
+      percentiles: calculatePercentiles(responseTimes.flatMap(item => item.recent))
+    },
+    memory: {
+      heapUsed: statsList.reduce((sum, stats) => sum + stats.memory.heapUsed, 0),
+      heapTotal: statsList.reduce((sum, stats) => sum + stats.memory.heapTotal, 0),
+      external: statsList.reduce((sum, stats) => sum + stats.memory.external, 0),
+      rss: statsList.reduce((sum, stats) => sum + stats.memory.rss, 0)
+    },
+    system: {
+      cpuUsage: {
+        user: statsList.reduce((sum, stats) => sum + stats.system.cpuUsage.user, 0),
+        system: statsList.reduce((sum, stats) => sum + stats.system.cpuUsage.system, 0)
+      },
+      // 同一主机，取任一进程的系统负载
+      loadAverage: statsList[0]?.system.loadAverage || [],
+      uptime: Math.max(0, ...statsList.map(stats => stats.uptime))
+    },
+    errors: {
+      total: statsList.reduce((sum, stats) => sum + stats.errors.total, 0),
+      byType: sumCounters(statsList.map(stats => stats.errors.byType)),
+      recent: entries
+        .flatMap(entry => withWorker(entry.stats.errors.recent, entry.worker))
+        .sort((a, b) => a.timestamp - b.timestamp)
+        .slice(-50)
+    },
+    slowRequests: entries
+      .flatMap(entry => withWorker(entry.stats.slowRequests, entry.worker))
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .slice(-100),
+    timestamp: Date.now()
+  };
+};
+
 /**
  * 性能报告生成器
  * @returns {Object} - 性能报告
@@ -368,5 +471,6 @@ module.exports = {
   getPerformanceStats,
   resetPerformanceStats,
   generatePerformanceReport,
+  mergePerformanceStats,
   recordError
 };
@@ -313,15 +313,18 @@ const apiTypeStats = {
 
 /**
  * API类型统计中间件
+ * API类型由各端中间件栈在路由内设置，因此在响应结束时计数，未经过任何中间件栈的请求计为 general
  * @param {Object} req - Express请求对象
  * @param {Object} res - Express响应对象
  * @param {Function} next - 下一个中间件
  */
 function apiTypeStatsMiddleware(req, res, next) {
-  const apiType = getApiType(req);
-  if (apiTypeStats.hasOwnProperty(apiType)) {
-    apiTypeStats[apiType]++;
-  }
+  res.on('finish', () => {
+    const apiType = getApiType(req);
+    if (apiTypeStats.hasOwnProperty(apiType)) {
+      apiTypeStats[apiType]++;
+    }
+  });
   next();
 }
 
@@ -333,6 +336,20 @@ function getApiTypeStats() {
   return { ...apiTypeStats };
 }
 
+/**
+ * 合并多个进程的API类型统计信息（集群模式下汇总各工作进程）
+ * @param {Array<Object>} statsList - 各进程的统计信息（getApiTypeStats 的结果）
+ * @returns {Object} 累加后的统计信息
+ */
+function mergeApiTypeStats(statsList) {
+  return statsList.reduce((result, stats) => {
+    Object.entries(stats).forEach(([apiType, count]) => {
+      result[apiType] = (result[apiType] || 0) + count;
+    });
+    return result;
+  }, {});
+}
+
 /**
  * 重置API类型统计信息
  */
@@ -362,5 +379,6 @@ module.exports = {
   validateUserTypeForApi,
   apiTypeStatsMiddleware,
   getApiTypeStats,
+  mergeApiTypeStats,
   resetApiTypeStats
 };
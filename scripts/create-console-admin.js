@@ -6,6 +6,7 @@
 const bcrypt = require('bcrypt');
 const { sequelize } = require('../common/mysql');
 const { USER_ROLE, USER_STATUS } = require('../common/constants/status');
+const PasswordPolicyService = require('../app/services/common/PasswordPolicyService');
 
 /**
  * 创建总台管理员用户
@@ -67,6 +68,7 @@ async function createConsoleAdmin(username, password, email) {
     const newUser = await User.create({
       username,
       password: hashedPassword,
+      password_updated_at: new Date(),
       email,
       role: USER_ROLE.CONSOLE_ADMIN,
       status: USER_STATUS.ACTIVE,
@@ -104,7 +106,7 @@ async function main() {
     
     if (args.length < 3) {
       console.log('使用方法: node create-console-admin.js <username> <password> <email>');
-      console.log('示例: node create-console-admin.js console_admin admin123456 console@example.com');
+      console.log('示例: node create-console-admin.js console_admin "Console#Admin2024" console@example.com');
       process.exit(1);
     }
 
@@ -115,8 +117,9 @@ async function main() {
       throw new Error('用户名至少需要3个字符');
     }
 
-    if (!password || password.length < 6) {
-      throw new Error('密码至少需要6个字符');
+    const passwordErrors = new PasswordPolicyService().check(password, { username, email });
+    if (passwordErrors.length > 0) {
+      throw new Error(`密码不符合安全要求: ${passwordErrors.join('，')}`);
     }
 
     if (!email || !email.includes('@')) {
@@ -0,0 +1,115 @@
+/**
+ * 初始化角色权限脚本
+ * 创建角色权限相关数据表、内置权限和超级管理员角色，可选为指定总台管理员分配超级管理员角色
+ */
+
+const { sequelize, merchantUserModel, roleModel, permissionModel, rolePermissionModel, userRoleModel } = require('../app/models');
+const { USER_ROLE, COMMON_STATUS, PERMISSION_LEVEL } = require('../common/constants/status');
+
+// 内置权限：角色权限管理接口本身需要的权限
+const BUILTIN_PERMISSIONS = [
+  { code: 'rbac:read', name: '查看角色权限', module: 'rbac', level: PERMISSION_LEVEL.READ },
+  { code: 'rbac:write', name: '管理角色权限', module: 'rbac', level: PERMISSION_LEVEL.ADMIN },
+  { code: 'account:impersonate', name: '模拟登录商户和用户账号', module: 'account', level: PERMISSION_LEVEL.ADMIN },
+  { code: 'merchant:read', name: '查看商户', module: 'merchant', level: PERMISSION_LEVEL.READ },
+  { code: 'merchant:write', name: '管理商户', module: 'merchant', level: PERMISSION_LEVEL.WRITE },
+  { code: 'audit:read', name: '查看审计日志', module: 'audit', level: PERMISSION_LEVEL.READ },
+  { code: 'system:read', name: '查看系统运行状态', module: 'system', level: PERMISSION_LEVEL.READ }
+];
+
+// 超级管理员角色，拥有全部权限
+const SUPER_ADMIN_ROLE = {
+  code: 'super_admin',
+  name: '超级管理员',
+  description: '拥有总台全部权限',
+  user_type: USER_ROLE.CONSOLE_ADMIN,
+  level: PERMISSION_LEVEL.SUPER
+};
+
+/**
+ * 初始化内置权限和超级管理员角色
+ * @returns {Promise<Object>} 超级管理员角色
+ */
+async function initRbac() {
+  for (const permission of BUILTIN_PERMISSIONS) {
+    const [, created] = await permissionModel.findOrCreate({
+      where: { code: permission.code },
+      defaults: { ...permission, status: COMMON_STATUS.ENABLED }
+    });
+    console.log(`权限 ${permission.code} ${created ? '创建成功' : '已存在'}`);
+  }
+
+  const [role, created] = await roleModel.findOrCreate({
+    where: { code: SUPER_ADMIN_ROLE.code },
+    defaults: { ...SUPER_ADMIN_ROLE, status: COMMON_STATUS.ENABLED }
+  });
+  console.log(`角色 ${role.code} ${created ? '创建成功' : '已存在'}`);
+
+  return role;
+}
+
+/**
+ * 为总台管理员分配超级管理员角色
+ * @param {string} username - 总台管理员用户名
+ * @param {Object} role - 超级管理员角色
+ */
+async function assignSuperAdmin(username, role) {
+  const admin = await merchantUserModel.findOne({
+    where: { username, role: USER_ROLE.CONSOLE_ADMIN }
+  });
+
+  if (!admin) {
+    throw new Error(`总台管理员 ${username} 不存在`);
+  }
+
+  const [, created] = await userRoleModel.findOrCreate({
+    where: { user_type: USER_ROLE.CONSOLE_ADMIN, user_id: admin.id, role_id: role.id }
+  });
+  console.log(`总台管理员 ${username} ${created ? '已分配' : '已拥有'}超级管理员角色`);
+}
+
+/**
+ * 主函数
+ */
+async function main() {
+  try {
+    // 从命令行参数获取需要分配超级管理员角色的用户名（可选）
+    const [username] = process.argv.slice(2);
+
+    // 连接数据库
+    await sequelize.authenticate();
+    console.log('数据库连接成功');
+
+    // 只同步角色权限相关的表
+    for (const model of [roleModel, permissionModel, rolePermissionModel, userRoleModel]) {
+      await model.sync();
+    }
+    console.log('角色权限数据表同步完成');
+
+    const role = await initRbac();
+
+    if (username) {
+      await assignSuperAdmin(username, role);
+    } else {
+      console.log('\n如需分配超级管理员角色: node scripts/init-rbac.js <username>');
+    }
+
+  } catch (error) {
+    console.error('脚本执行失败:', error.message);
+    process.exitCode = 1;
+  } finally {
+    // 关闭数据库连接
+    await sequelize.close();
+    console.log('\n数据库连接已关闭');
+  }
+}
+
+// 如果直接运行此脚本
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  initRbac,
+  assignSuperAdmin
+};
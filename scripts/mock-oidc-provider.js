@@ -0,0 +1,152 @@
+/**
+ * 本地模拟 OIDC 身份提供方
+ * 用于开发和联调第三方登录，不依赖外部服务。授权页不做登录，直接以指定用户身份回调
+ *
+ * 用法: node scripts/mock-oidc-provider.js [端口]
+ * 默认端口 9400，签发方为 http://localhost:9400，对应配置：
+ *   OIDC_PROVIDERS=mock
+ *   OIDC_MOCK_ISSUER=http://localhost:9400
+ *   OIDC_MOCK_CLIENT_ID=mock-client
+ *   OIDC_MOCK_CLIENT_SECRET=mock-secret
+ *   OIDC_MOCK_REDIRECT_URI=http://localhost:8080/oidc/callback
+ *
+ * 授权地址可附加 login_hint 指定模拟用户（默认 mock-user），邮箱为 <login_hint>@mock.local 且标记为已验证
+ * 启动时生成临时 RS256 密钥，重启后之前签发的令牌失效
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const port = parseInt(process.argv[2] || process.env.OIDC_MOCK_PORT, 10) || 9400;
+const issuer = `http://localhost:${port}`;
+const clientId = process.env.OIDC_MOCK_CLIENT_ID || 'mock-client';
+const clientSecret = process.env.OIDC_MOCK_CLIENT_SECRET || 'mock-secret';
+
+const kid = `mock-${crypto.randomBytes(4).toString('hex')}`;
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const codes = new Map(); // 授权码 -> 授权请求，一分钟内有效且只能使用一次
+
+/**
+ * 发送JSON响应
+ * @param {http.ServerResponse} res - 响应对象
+ * @param {number} status - 状态码
+ * @param {Object} body - 响应内容
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * 读取表单请求体
+ * @param {http.IncomingMessage} req - 请求对象
+ * @returns {Promise<URLSearchParams>} 表单参数
+ */
+function readForm(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => resolve(new URLSearchParams(data)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * 授权接口：校验参数后直接带授权码重定向回客户端
+ */
+function handleAuthorize(url, res) {
+  const params = url.searchParams;
+  if (params.get('client_id') !== clientId || params.get('response_type') !== 'code') {
+    return sendJson(res, 400, { error: 'invalid_request' });
+  }
+  if (params.get('code_challenge_method') !== 'S256' || !params.get('code_challenge')) {
+    return sendJson(res, 400, { error: 'invalid_request', error_description: 'PKCE S256 required' });
+  }
+
+  const code = crypto.randomBytes(24).toString('base64url');
+  codes.set(code, {
+    redirectUri: params.get('redirect_uri'),
+    codeChallenge: params.get('code_challenge'),
+    nonce: params.get('nonce'),
+    subject: params.get('login_hint') || 'mock-user',
+    expiresAt: Date.now() + 60 * 1000
+  });
+
+  const redirect = new URL(params.get('redirect_uri'));
+  redirect.searchParams.set('code', code);
+  redirect.searchParams.set('state', params.get('state') || '');
+  res.writeHead(302, { Location: redirect.toString() });
+  res.end();
+}
+
+/**
+ * 令牌接口：校验客户端、授权码和 PKCE 校验码后签发 ID 令牌
+ */
+async function handleToken(req, res) {
+  const form = await readForm(req);
+
+  let [id, secret] = [form.get('client_id'), form.get('client_secret')];
+  const basic = /^Basic (.+)$/.exec(req.headers.authorization || '');
+  if (basic) {
+    [id, secret] = Buffer.from(basic[1], 'base64').toString().split(':').map(decodeURIComponent);
+  }
+  if (id !== clientId || secret !== clientSecret) {
+    return sendJson(res, 401, { error: 'invalid_client' });
+  }
+
+  const grant = codes.get(form.get('code'));
+  codes.delete(form.get('code'));
+  const challenge = crypto.createHash('sha256').update(form.get('code_verifier') || '').digest('base64url');
+  if (!grant || grant.expiresAt < Date.now() || grant.redirectUri !== form.get('redirect_uri') || grant.codeChallenge !== challenge) {
+    return sendJson(res, 400, { error: 'invalid_grant' });
+  }
+
+  const idToken = jwt.sign({
+    sub: grant.subject,
+    email: `${grant.subject}@mock.local`,
+    email_verified: true,
+    name: grant.subject,
+    nonce: grant.nonce
+  }, privateKey, { algorithm: 'RS256', keyid: kid, issuer, audience: clientId, expiresIn: '5m' });
+
+  sendJson(res, 200, {
+    access_token: crypto.randomBytes(24).toString('base64url'),
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: idToken
+  });
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, issuer);
+
+  if (req.method === 'GET' && url.pathname === '/.well-known/openid-configuration') {
+    return sendJson(res, 200, {
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      code_challenge_methods_supported: ['S256'],
+      token_endpoint_auth_methods_supported: ['client_secret_post', 'client_secret_basic']
+    });
+  }
+  if (req.method === 'GET' && url.pathname === '/jwks') {
+    return sendJson(res, 200, { keys: [{ ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' }] });
+  }
+  if (req.method === 'GET' && url.pathname === '/authorize') {
+    return handleAuthorize(url, res);
+  }
+  if (req.method === 'POST' && url.pathname === '/token') {
+    return handleToken(req, res).catch(error => sendJson(res, 500, { error: 'server_error', error_description: error.message }));
+  }
+  sendJson(res, 404, { error: 'not_found' });
+});
+
+server.listen(port, () => {
+  console.log(`模拟OIDC提供方已启动: ${issuer}`);
+  console.log(`client_id=${clientId} client_secret=${clientSecret}`);
+});
@@ -0,0 +1,48 @@
+/**
+ * JWT签名密钥轮换脚本
+ * 生成新的签名密钥并设为当前密钥，原密钥退役后仍在保留期内用于验证，超过保留期的退役密钥被删除
+ *
+ * 用法: node scripts/rotate-jwt-keys.js [RS256|ES256]
+ * 未指定算法时使用 JWT_ALGORITHM；首次切换到非对称签名前先执行一次生成初始密钥
+ * 运行中的进程最迟一分钟内读取到新密钥，无需重启
+ */
+
+const JwtKeyService = require('../app/services/common/JwtKeyService');
+
+/**
+ * 主函数
+ */
+async function main() {
+  try {
+    const jwtKeyService = new JwtKeyService();
+    const [algorithm] = process.argv.slice(2);
+
+    const { kid, alg, retired, removed } = jwtKeyService.rotateKeys(
+      algorithm ? algorithm.toUpperCase() : jwtKeyService.isAsymmetric() ? jwtKeyService.algorithm : 'RS256'
+    );
+
+    console.log(`新签名密钥: ${kid} (${alg})`);
+    console.log(`密钥目录: ${jwtKeyService.keysDir}`);
+    if (retired.length > 0) {
+      console.log(`已退役密钥（保留${jwtKeyService.retentionDays}天用于验证）: ${retired.join(', ')}`);
+    }
+    if (removed.length > 0) {
+      console.log(`已删除过期密钥: ${removed.join(', ')}`);
+    }
+    if (!jwtKeyService.isAsymmetric()) {
+      console.log(`\n当前 JWT_ALGORITHM=${jwtKeyService.algorithm}，需设置 JWT_ALGORITHM=${alg} 后新密钥才会用于签名`);
+    }
+
+  } catch (error) {
+    console.error('脚本执行失败:', error.message);
+    process.exitCode = 1;
+  } finally {
+    // 服务基类加载公共模块时会建立数据库和Redis连接，轮换只涉及本地文件，直接退出
+    process.exit();
+  }
+}
+
+// 如果直接运行此脚本
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,134 @@
+/**
+ * 审计日志哈希链验证脚本
+ * 按写入顺序遍历 AUDIT_SINK 配置的存储中的全部审计日志，逐条检查哈希链和签名检查点，
+ * 并与 security 日志中留存的检查点比较各条链，报告第一处断裂
+ *
+ * 用法: node scripts/verify-audit-chain.js [日志目录]
+ * 日志目录默认为当前目录下的 logs；需要与写入时相同的 AUDIT_CHAIN_SECRET（非生产环境未配置时为 JWT_SECRET）才能验证检查点签名；
+ * 链完整时退出码为0，发现断裂时为1
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { sequelize, mongodb } = require('../common/index');
+const { AUDIT_CONFIG } = require('../middleware/config');
+const { scanAuditLogs } = require('../middleware/monitoring/audit');
+const { verifyChain } = require('../middleware/monitoring/auditChain');
+
+// 保留期截止时间的余量：链首之前的记录在清理时早于当时的截止时间，链首本身可能略晚，按一天放宽
+const HEAD_TOLERANCE = 24 * 60 * 60 * 1000;
+
+/**
+ * 从 security 日志中读取审计日志检查点
+ * 日志每条以 "[时间] [级别] [security] 消息" 开头，附加数据在其后的 "Data: {...}" 多行JSON中
+ * @param {string} logDir - 日志目录
+ * @returns {Promise<Array<Object>>} 检查点列表
+ */
+async function readExternalCheckpoints(logDir) {
+  if (!fs.existsSync(logDir)) {
+    return [];
+  }
+
+  const files = fs.readdirSync(logDir).filter(name => /-security\.log(\.\d+)?$/.test(name)).sort();
+  const checkpoints = [];
+
+  for (const name of files) {
+    const lines = readline.createInterface({ input: fs.createReadStream(path.join(logDir, name)), crlfDelay: Infinity });
+    let inCheckpoint = false;
+    let buffer = null;
+
+    for await (const line of lines) {
+      if (/^\[[^\]]+\] \[\w+\] \[security\] /.test(line)) {
+        inCheckpoint = line.endsWith('] 审计日志检查点');
+        buffer = null;
+        continue;
+      }
+      if (!inCheckpoint) {
+        continue;
+      }
+      if (line === 'Data: {') {
+        buffer = ['{'];
+      } else if (buffer) {
+        buffer.push(line);
+        if (line === '}') {
+          checkpoints.push(JSON.parse(buffer.join('\n')));
+          inCheckpoint = false;
+          buffer = null;
+        }
+      }
+    }
+  }
+
+  return checkpoints;
+}
+
+/**
+ * 主函数
+ */
+async function main() {
+  try {
+    if (AUDIT_CONFIG.storage.sink === 'mongo') {
+      await mongodb.connectMongoDB();
+    }
+
+    // 与写入时一致：生产环境只使用 AUDIT_CHAIN_SECRET
+    const secret = process.env.AUDIT_CHAIN_SECRET || (process.env.NODE_ENV === 'production' ? null : process.env.JWT_SECRET);
+    if (!secret) {
+      console.warn('未配置 AUDIT_CHAIN_SECRET，只验证哈希链，不验证检查点签名');
+    }
+
+    const logDir = path.resolve(process.argv[2] || path.join(process.cwd(), 'logs'));
+    const externalCheckpoints = await readExternalCheckpoints(logDir);
+    if (externalCheckpoints.length === 0) {
+      console.warn(`未在 ${logDir} 中找到留存的检查点，无法发现链尾截断和整条链被删除`);
+    }
+
+    const retentionCutoff = new Date(Date.now() - AUDIT_CONFIG.retentionDays * 24 * 60 * 60 * 1000 + HEAD_TOLERANCE);
+
+    console.log(`审计日志存储: ${AUDIT_CONFIG.storage.sink}`);
+    const result = await verifyChain(scanAuditLogs(), { secret, retentionCutoff, externalCheckpoints });
+
+    console.log(`已验证记录: ${result.checked} 条，链: ${result.chains} 条，检查点: ${result.checkpoints} 个`);
+    console.log(`外部检查点: ${externalCheckpoints.length} 个，已核对链: ${result.externalCheckpoints} 条`);
+    if (result.unchained > 0) {
+      console.log(`启用哈希链之前的记录: ${result.unchained} 条（未验证）`);
+    }
+    result.prunedHeads.forEach(head => {
+      console.log(`链 ${head.chainId} 从序号 ${head.seq} 开始（${head.timestamp}），更早的记录已清理或缺失`);
+    });
+
+    if (result.valid) {
+      console.log('\n审计日志哈希链完整');
+    } else {
+      const { chainId, seq, operationId, timestamp, reason } = result.break;
+      console.error('\n审计日志哈希链断裂:');
+      console.error(`  链: ${chainId}`);
+      console.error(`  序号: ${seq}`);
+      console.error(`  操作ID: ${operationId}`);
+      console.error(`  时间: ${timestamp}`);
+      console.error(`  原因: ${reason}`);
+      process.exitCode = 1;
+    }
+
+  } catch (error) {
+    console.error('脚本执行失败:', error.message);
+    process.exitCode = 1;
+  } finally {
+    // 关闭数据库连接
+    await sequelize.close();
+    if (mongodb.isConnected()) {
+      await mongodb.disconnectMongoDB();
+    }
+    process.exit();
+  }
+}
+
+// 如果直接运行此脚本
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  readExternalCheckpoints
+};